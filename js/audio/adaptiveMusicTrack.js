@@ -0,0 +1,257 @@
+// js/audio/adaptiveMusicTrack.js
+import { audioConfig } from '../config/audio.js';
+import { createLogger } from '../utils/logger.js';
+import { createNoiseBuffer } from './synthUtils.js';
+
+const logger = createLogger('AdaptiveMusicTrack');
+
+const NOISE_SECONDS = 1;
+
+/**
+ * A synthesized music track built from one of audio.ADAPTIVE_MUSIC.THEMES.
+ *
+ * Four layers play a step sequence through a shared low-pass filter: bass and kick always,
+ * a drive layer (hats and snare) that gets louder with speed, and a chase arpeggio that
+ * fades in while an enemy is chasing. Notes are scheduled a little ahead on the
+ * AudioContext clock so the timer's jitter never reaches the beat.
+ *
+ * It stands in for an AudioBufferSourceNode in AudioManager's current track: connect it to
+ * a gain, start it, and stop it when the track fades out. It never ends by itself.
+ */
+export class AdaptiveMusicTrack {
+    /**
+     * @param {AudioContext} audioContext - The context to play in.
+     * @param {object} theme - An ADAPTIVE_MUSIC.THEMES entry.
+     */
+    constructor(audioContext, theme) {
+        this.audioContext = audioContext;
+        this.theme = theme;
+        this.settings = audioConfig.ADAPTIVE_MUSIC;
+
+        this.speedFactor = 0; // 0-1 across SPEED_RANGE
+        this.chasing = false;
+        this.filterSweep = false;
+
+        this.step = 0;
+        this.nextStepTime = 0;
+        this.schedulerId = null;
+
+        this.output = audioContext.createGain();
+        this.filter = audioContext.createBiquadFilter();
+        this.filter.type = 'lowpass';
+        this.filter.frequency.value = this.settings.FILTER_OPEN_HZ;
+        this.filter.connect(this.output);
+
+        // The sweep wobbles the cutoff; its depth is 0 until invisibility starts
+        this.lfo = audioContext.createOscillator();
+        this.lfo.frequency.value = this.settings.INVISIBILITY_SWEEP.RATE_HZ;
+        this.lfoDepth = audioContext.createGain();
+        this.lfoDepth.gain.value = 0;
+        this.lfo.connect(this.lfoDepth);
+        this.lfoDepth.connect(this.filter.frequency);
+
+        this.layers = {
+            base: this._createLayer(1),
+            drive: this._createLayer(this.settings.DRIVE_MIN_GAIN),
+            chase: this._createLayer(0)
+        };
+        this.noiseBuffer = createNoiseBuffer(audioContext, NOISE_SECONDS);
+    }
+
+    /**
+     * Connects the track's output.
+     * @param {AudioNode} destination
+     */
+    connect(destination) {
+        this.output.connect(destination);
+    }
+
+    /**
+     * Disconnects the track's output.
+     */
+    disconnect() {
+        this.output.disconnect();
+    }
+
+    /**
+     * Starts the sequencer on the next scheduler tick.
+     */
+    start() {
+        if (this.schedulerId !== null) return;
+        this.lfo.start();
+        this.nextStepTime = this.audioContext.currentTime + 0.05;
+        this.schedulerId = setInterval(() => this._schedule(), this.settings.SCHEDULER_INTERVAL_MS);
+        logger.debug(`Adaptive music started at ${this._getBpm().toFixed(0)} BPM`);
+    }
+
+    /**
+     * Stops the sequencer. Notes already scheduled finish into the output.
+     */
+    stop() {
+        if (this.schedulerId === null) return;
+        clearInterval(this.schedulerId);
+        this.schedulerId = null;
+        try {
+            this.lfo.stop();
+        } catch (e) {
+            logger.debug('LFO already stopped', e);
+        }
+    }
+
+    /**
+     * Follows the run: speed sets the tempo and the drive layer, and chasing enemies bring in
+     * the chase layer. Cheap to call every frame; layers only move when something changes.
+     * @param {number} speed - player.currentSpeed.
+     * @param {boolean} chasing - Whether any enemy is chasing the player.
+     */
+    setIntensity(speed, chasing) {
+        const { MIN, MAX } = this.settings.SPEED_RANGE;
+        const speedFactor = Math.min(Math.max((speed - MIN) / (MAX - MIN), 0), 1);
+        const now = this.audioContext.currentTime;
+
+        if (Math.abs(speedFactor - this.speedFactor) > 0.01) {
+            this.speedFactor = speedFactor;
+            const driveGain = this.settings.DRIVE_MIN_GAIN + (1 - this.settings.DRIVE_MIN_GAIN) * speedFactor;
+            this.layers.drive.gain.setTargetAtTime(driveGain, now, 0.5);
+        }
+        if (chasing !== this.chasing) {
+            this.chasing = chasing;
+            // setTargetAtTime gets about 95% of the way in three time constants
+            this.layers.chase.gain.setTargetAtTime(chasing ? 1 : 0, now, this.settings.CHASE_FADE_SECONDS / 3);
+        }
+    }
+
+    /**
+     * Closes the filter down and wobbles it while active (invisibility), or opens it back up.
+     * @param {boolean} active
+     */
+    setFilterSweep(active) {
+        if (active === this.filterSweep) return;
+        this.filterSweep = active;
+
+        const { CENTER_HZ, DEPTH_HZ, Q, GLIDE_SECONDS } = this.settings.INVISIBILITY_SWEEP;
+        const now = this.audioContext.currentTime;
+        const timeConstant = GLIDE_SECONDS / 3;
+        this.filter.frequency.setTargetAtTime(active ? CENTER_HZ : this.settings.FILTER_OPEN_HZ, now, timeConstant);
+        this.filter.Q.setTargetAtTime(active ? Q : 1, now, timeConstant);
+        this.lfoDepth.gain.setTargetAtTime(active ? DEPTH_HZ : 0, now, timeConstant);
+    }
+
+    /**
+     * Schedules every step that starts before the lookahead window ends.
+     * @private
+     */
+    _schedule() {
+        const now = this.audioContext.currentTime;
+        // A throttled background tab can fall far behind; pick up from now rather than catching up
+        if (this.nextStepTime < now) {
+            this.nextStepTime = now + 0.01;
+        }
+        while (this.nextStepTime < now + this.settings.SCHEDULE_AHEAD_SECONDS) {
+            const stepDuration = 60 / this._getBpm() / 4;
+            this._playStep(this.step, this.nextStepTime, stepDuration);
+            this.nextStepTime += stepDuration;
+            this.step++;
+        }
+    }
+
+    /**
+     * Plays whatever each pattern has on a step.
+     * @private
+     */
+    _playStep(step, time, stepDuration) {
+        const { BASS, KICK, HATS, SNARE, ARP } = this.theme;
+        const gains = this.settings.LAYER_GAINS;
+
+        const bassNote = BASS[step % BASS.length];
+        if (bassNote !== null) {
+            this._playTone(this.layers.base, this.theme.BASS_WAVE, bassNote, time, stepDuration * 1.8, gains.BASS);
+        }
+        if (KICK[step % KICK.length] === 'x') {
+            this._playKick(time, gains.KICK);
+        }
+        if (HATS[step % HATS.length] === 'x') {
+            this._playNoise(this.layers.drive, 'highpass', 7000, time, 0.05, gains.HATS);
+        }
+        if (SNARE[step % SNARE.length] === 'x') {
+            this._playNoise(this.layers.drive, 'bandpass', 1800, time, 0.15, gains.SNARE);
+        }
+        // The arpeggio only costs nodes while it can be heard
+        const arpNote = ARP[step % ARP.length];
+        if (arpNote !== null && (this.chasing || this.layers.chase.gain.value > 0.01)) {
+            this._playTone(this.layers.chase, this.theme.ARP_WAVE, arpNote, time, stepDuration * 0.9, gains.ARP);
+        }
+    }
+
+    /** @private */
+    _playTone(layer, wave, semitones, time, duration, volume) {
+        const oscillator = this.audioContext.createOscillator();
+        oscillator.type = wave;
+        oscillator.frequency.value = this.theme.ROOT_HZ * Math.pow(2, semitones / 12);
+
+        const envelope = this.audioContext.createGain();
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(volume, time + 0.005);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+        oscillator.connect(envelope);
+        envelope.connect(layer);
+        oscillator.start(time);
+        oscillator.stop(time + duration);
+    }
+
+    /** @private */
+    _playKick(time, volume) {
+        const oscillator = this.audioContext.createOscillator();
+        oscillator.frequency.setValueAtTime(150, time);
+        oscillator.frequency.exponentialRampToValueAtTime(45, time + 0.12);
+
+        const envelope = this.audioContext.createGain();
+        envelope.gain.setValueAtTime(volume, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + 0.2);
+
+        oscillator.connect(envelope);
+        envelope.connect(this.layers.base);
+        oscillator.start(time);
+        oscillator.stop(time + 0.2);
+    }
+
+    /** @private */
+    _playNoise(layer, filterType, frequency, time, duration, volume) {
+        const source = this.audioContext.createBufferSource();
+        source.buffer = this.noiseBuffer;
+
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = filterType;
+        filter.frequency.value = frequency;
+
+        const envelope = this.audioContext.createGain();
+        envelope.gain.setValueAtTime(volume, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+        source.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(layer);
+        // Start somewhere random in the buffer so repeated hits don't sound identical
+        source.start(time, Math.random() * (NOISE_SECONDS - duration));
+        source.stop(time + duration);
+    }
+
+    /**
+     * The theme's tempo at the current speed.
+     * @returns {number}
+     * @private
+     */
+    _getBpm() {
+        const { MIN, MAX } = this.theme.BPM;
+        return MIN + (MAX - MIN) * this.speedFactor;
+    }
+
+    /** @private */
+    _createLayer(gain) {
+        const layer = this.audioContext.createGain();
+        layer.gain.value = gain;
+        layer.connect(this.filter);
+        return layer;
+    }
+}
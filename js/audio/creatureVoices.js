@@ -0,0 +1,164 @@
+// js/audio/creatureVoices.js
+import { getNoiseBuffer } from './synthUtils.js';
+
+/**
+ * Gives a gain an attack, a hold and an exponential release.
+ * @returns {GainNode}
+ */
+function createEnvelope(audioContext, time, volume, attack, duration) {
+    const envelope = audioContext.createGain();
+    envelope.gain.setValueAtTime(0.0001, time);
+    envelope.gain.exponentialRampToValueAtTime(volume, time + attack);
+    envelope.gain.setValueAtTime(volume, time + duration * 0.6);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+    return envelope;
+}
+
+/**
+ * Synthesized creature calls, keyed by the VOICE names audio.SPATIAL uses. Each schedules
+ * its nodes into `destination` at `time` and returns how long the call lasts in seconds.
+ * `pitch` scales the voice's frequencies, so one voice serves several animals.
+ */
+export const CreatureVoices = {
+    growl(audioContext, destination, time, { pitch = 1, volume = 1 } = {}) {
+        const duration = 0.9;
+        const envelope = createEnvelope(audioContext, time, volume, 0.08, duration);
+        const filter = audioContext.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 500 * pitch;
+
+        // A low sawtooth with a fast, uneven wobble in pitch
+        const voice = audioContext.createOscillator();
+        voice.type = 'sawtooth';
+        voice.frequency.setValueAtTime(80 * pitch, time);
+        voice.frequency.linearRampToValueAtTime(60 * pitch, time + duration);
+        const wobble = audioContext.createOscillator();
+        wobble.frequency.value = 17;
+        const wobbleDepth = audioContext.createGain();
+        wobbleDepth.gain.value = 12 * pitch;
+        wobble.connect(wobbleDepth);
+        wobbleDepth.connect(voice.frequency);
+
+        // Breath under the tone
+        const breath = audioContext.createBufferSource();
+        breath.buffer = getNoiseBuffer(audioContext);
+        const breathGain = audioContext.createGain();
+        breathGain.gain.value = 0.3;
+        breath.connect(breathGain);
+        breathGain.connect(filter);
+
+        voice.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(destination);
+        [voice, wobble, breath].forEach(node => {
+            node.start(time);
+            node.stop(time + duration);
+        });
+        return duration;
+    },
+
+    rattle(audioContext, destination, time, { pitch = 1, volume = 1 } = {}) {
+        const duration = 1.4;
+        const envelope = createEnvelope(audioContext, time, volume, 0.05, duration);
+        const filter = audioContext.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 5000 * pitch;
+        filter.Q.value = 2;
+
+        // Noise chopped by a square wave into rapid clicks
+        const noise = audioContext.createBufferSource();
+        noise.buffer = getNoiseBuffer(audioContext);
+        const chopper = audioContext.createGain();
+        chopper.gain.value = 0.5;
+        const chop = audioContext.createOscillator();
+        chop.type = 'square';
+        chop.frequency.value = 28 * pitch;
+        const chopDepth = audioContext.createGain();
+        chopDepth.gain.value = 0.5;
+        chop.connect(chopDepth);
+        chopDepth.connect(chopper.gain);
+
+        noise.connect(filter);
+        filter.connect(chopper);
+        chopper.connect(envelope);
+        envelope.connect(destination);
+        [noise, chop].forEach(node => {
+            node.start(time);
+            node.stop(time + duration);
+        });
+        return duration;
+    },
+
+    screech(audioContext, destination, time, { pitch = 1, volume = 1 } = {}) {
+        const duration = 0.7;
+        const envelope = createEnvelope(audioContext, time, volume, 0.03, duration);
+
+        // A thin, falling cry with a little vibrato
+        const voice = audioContext.createOscillator();
+        voice.type = 'triangle';
+        voice.frequency.setValueAtTime(1900 * pitch, time);
+        voice.frequency.exponentialRampToValueAtTime(950 * pitch, time + duration);
+        const vibrato = audioContext.createOscillator();
+        vibrato.frequency.value = 9;
+        const vibratoDepth = audioContext.createGain();
+        vibratoDepth.gain.value = 40 * pitch;
+        vibrato.connect(vibratoDepth);
+        vibratoDepth.connect(voice.frequency);
+
+        voice.connect(envelope);
+        envelope.connect(destination);
+        [voice, vibrato].forEach(node => {
+            node.start(time);
+            node.stop(time + duration);
+        });
+        return duration;
+    }
+};
+
+/**
+ * Creates the endless rustle of something rolling through dry brush. It starts silent;
+ * set its level as the roller speeds up and slows down.
+ * @param {BaseAudioContext} audioContext
+ * @param {AudioNode} destination
+ * @returns {{setLevel: function(number): void, stop: function(): void}}
+ */
+export function createRollingLoop(audioContext, destination) {
+    const noise = audioContext.createBufferSource();
+    noise.buffer = getNoiseBuffer(audioContext);
+    noise.loop = true;
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = 700;
+    filter.Q.value = 0.8;
+
+    // Bumps as it turns over
+    const bumps = audioContext.createGain();
+    bumps.gain.value = 0.6;
+    const bumpRate = audioContext.createOscillator();
+    bumpRate.frequency.value = 5;
+    const bumpDepth = audioContext.createGain();
+    bumpDepth.gain.value = 0.4;
+    bumpRate.connect(bumpDepth);
+    bumpDepth.connect(bumps.gain);
+
+    const level = audioContext.createGain();
+    level.gain.value = 0;
+
+    noise.connect(filter);
+    filter.connect(bumps);
+    bumps.connect(level);
+    level.connect(destination);
+    noise.start();
+    bumpRate.start();
+
+    return {
+        setLevel(value) {
+            level.gain.setTargetAtTime(value, audioContext.currentTime, 0.1);
+        },
+        stop() {
+            noise.stop();
+            bumpRate.stop();
+            level.disconnect();
+        }
+    };
+}
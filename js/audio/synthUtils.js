@@ -0,0 +1,32 @@
+// js/audio/synthUtils.js
+
+// One looping noise buffer per context, shared by every sound that needs noise
+const noiseBuffers = new WeakMap();
+
+/**
+ * Creates a mono buffer of white noise, the raw material for drums, rattles and rolling.
+ * @param {BaseAudioContext} audioContext
+ * @param {number} seconds - Buffer length.
+ * @returns {AudioBuffer}
+ */
+export function createNoiseBuffer(audioContext, seconds) {
+    const length = Math.floor(audioContext.sampleRate * seconds);
+    const buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+        data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+}
+
+/**
+ * Gets the shared two-second noise buffer for a context, creating it on first use.
+ * @param {BaseAudioContext} audioContext
+ * @returns {AudioBuffer}
+ */
+export function getNoiseBuffer(audioContext) {
+    if (!noiseBuffers.has(audioContext)) {
+        noiseBuffers.set(audioContext, createNoiseBuffer(audioContext, 2));
+    }
+    return noiseBuffers.get(audioContext);
+}
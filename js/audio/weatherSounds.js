@@ -0,0 +1,81 @@
+// js/audio/weatherSounds.js
+import { getNoiseBuffer } from './synthUtils.js';
+
+/**
+ * Synthesized weather loops, keyed by the LOOP names weather.STATES uses. Each is noise
+ * through a filter. A slow gust wobbles the filter and the level; a fast flutter breaks
+ * the level up into patter.
+ */
+const WEATHER_LOOPS = {
+    // A steady hiss with a quick patter
+    rain: { filter: 'highpass', frequency: 1800, q: 0.4, gustRate: 0.05, gustDepth: 200, flutterRate: 11, flutterDepth: 0.25 },
+    // Sand blown hard past the ears, howling in gusts
+    wind: { filter: 'bandpass', frequency: 450, q: 1.6, gustRate: 0.18, gustDepth: 280, flutterRate: 0, flutterDepth: 0 },
+    // A low, slow moan under the fog
+    lowWind: { filter: 'lowpass', frequency: 260, q: 2, gustRate: 0.07, gustDepth: 120, flutterRate: 0, flutterDepth: 0 }
+};
+
+/**
+ * Creates an endless weather loop. It starts silent; set its level as the weather comes
+ * and goes.
+ * @param {BaseAudioContext} audioContext
+ * @param {AudioNode} destination
+ * @param {string} name - A WEATHER_LOOPS key.
+ * @returns {{setLevel: function(number): void, stop: function(): void}|null} Null for an unknown loop.
+ */
+export function createWeatherLoop(audioContext, destination, name) {
+    const recipe = WEATHER_LOOPS[name];
+    if (!recipe) return null;
+
+    const noise = audioContext.createBufferSource();
+    noise.buffer = getNoiseBuffer(audioContext);
+    noise.loop = true;
+    const filter = audioContext.createBiquadFilter();
+    filter.type = recipe.filter;
+    filter.frequency.value = recipe.frequency;
+    filter.Q.value = recipe.q;
+
+    // The gust sweeps the filter and swells the level together
+    const swell = audioContext.createGain();
+    swell.gain.value = 0.75;
+    const gust = audioContext.createOscillator();
+    gust.frequency.value = recipe.gustRate;
+    const gustDepth = audioContext.createGain();
+    gustDepth.gain.value = recipe.gustDepth;
+    const swellDepth = audioContext.createGain();
+    swellDepth.gain.value = 0.25;
+    gust.connect(gustDepth);
+    gustDepth.connect(filter.frequency);
+    gust.connect(swellDepth);
+    swellDepth.connect(swell.gain);
+
+    const patter = audioContext.createGain();
+    patter.gain.value = 1 - recipe.flutterDepth;
+    const flutter = audioContext.createOscillator();
+    flutter.type = 'square';
+    flutter.frequency.value = recipe.flutterRate;
+    const flutterDepth = audioContext.createGain();
+    flutterDepth.gain.value = recipe.flutterDepth;
+    flutter.connect(flutterDepth);
+    flutterDepth.connect(patter.gain);
+
+    const level = audioContext.createGain();
+    level.gain.value = 0;
+
+    noise.connect(filter);
+    filter.connect(swell);
+    swell.connect(patter);
+    patter.connect(level);
+    level.connect(destination);
+    [noise, gust, flutter].forEach(node => node.start());
+
+    return {
+        setLevel(value) {
+            level.gain.setTargetAtTime(value, audioContext.currentTime, 0.5);
+        },
+        stop() {
+            [noise, gust, flutter].forEach(node => node.stop());
+            level.disconnect();
+        }
+    };
+}
@@ -0,0 +1,150 @@
+// js/config/achievements.js
+
+export const achievementsConfig = {
+    // Achievement definitions, in gallery order. AchievementManager checks them against
+    // events from the event bus (see its EVENT_FACTS for the events and the facts each carries).
+    //
+    // Common fields: id, name, description, icon, and `hidden` to keep the name and description
+    // secret in the gallery until unlocked. `where` lists facts an event must match to count,
+    // e.g. { levelId: 'level2' }. Rule types:
+    // - count:    { event, target, scope }             Matching events, in one run ('run') or ever ('total').
+    // - sum:      { event, field, target, scope }      Total of a fact over matching events.
+    // - reach:    { event, field, target }             A single event's fact reaches the target.
+    // - distinct: { event, field, values }             Every listed value of a fact seen at least once.
+    // - survive:  { seconds, resetOn? }                Gameplay seconds in one run while `where` holds for
+    //                                                  the current level. resetOn: { event, where } restarts the clock.
+    ACHIEVEMENTS: [
+        {
+            id: 'pocket_money',
+            name: 'Pocket Money',
+            description: 'Collect 100 coins in one run',
+            icon: '\u{1FA99}', // Coin
+            type: 'count',
+            event: 'coinCollected',
+            scope: 'run',
+            target: 100
+        },
+        {
+            id: 'piggy_bank',
+            name: 'Piggy Bank',
+            description: 'Collect 1,000 coins in total',
+            icon: '\u{1F437}', // Pig
+            type: 'count',
+            event: 'coinCollected',
+            scope: 'total',
+            target: 1000
+        },
+        {
+            id: 'marathon',
+            name: 'Marathon',
+            description: 'Run 2,000 m in one run',
+            icon: '\u{1F3C3}', // Runner
+            type: 'reach',
+            event: 'playerDied',
+            field: 'distance',
+            target: 2000
+        },
+        {
+            id: 'high_roller',
+            name: 'High Roller',
+            description: 'Finish a run with 1,000 points',
+            icon: '\u{1F3B2}', // Die
+            type: 'reach',
+            event: 'playerDied',
+            field: 'score',
+            target: 1000
+        },
+        {
+            id: 'personal_best',
+            name: 'Personal Best',
+            description: 'Set a new high score',
+            icon: '\u{1F3C6}', // Trophy
+            type: 'count',
+            event: 'newHighScore',
+            scope: 'total',
+            target: 1
+        },
+        {
+            id: 'survivor',
+            name: 'Survivor',
+            description: 'Survive for 3 minutes in one run',
+            icon: '\u23F1', // Stopwatch
+            type: 'survive',
+            seconds: 180
+        },
+        {
+            id: 'right_turns_only',
+            name: 'Right Turns Only',
+            description: 'Survive 60 seconds in the desert without turning left',
+            icon: '\u{1F335}', // Cactus
+            type: 'survive',
+            seconds: 60,
+            where: { levelId: 'level2' },
+            resetOn: { event: 'playerTurned', where: { direction: 'left' } }
+        },
+        {
+            id: 'close_shave',
+            name: 'Close Shave',
+            description: 'Have 10 near misses in one run',
+            icon: '\u{1F4A8}', // Dash
+            type: 'count',
+            event: 'nearMiss',
+            scope: 'run',
+            target: 10
+        },
+        {
+            id: 'power_hungry',
+            name: 'Power Hungry',
+            description: 'Pick up 5 power-ups in one run',
+            icon: '\u26A1', // Lightning
+            type: 'count',
+            event: 'powerupActivated',
+            scope: 'run',
+            target: 5
+        },
+        {
+            id: 'try_everything',
+            name: 'Try Everything',
+            description: 'Use every kind of power-up',
+            icon: '\u{1F9EA}', // Test tube
+            type: 'distinct',
+            event: 'powerupActivated',
+            field: 'type',
+            values: ['magnet', 'doubler', 'invisibility', 'shield', 'boost', 'slowmo']
+        },
+        {
+            id: 'explorer',
+            name: 'Explorer',
+            description: 'Unlock a new level',
+            icon: '\u{1F5FA}', // Map
+            type: 'count',
+            event: 'levelUnlockSaved',
+            scope: 'total',
+            target: 1
+        },
+        {
+            id: 'summit',
+            name: 'Summit',
+            description: 'Unlock the Mountains',
+            icon: '\u{1F3D4}', // Mountain
+            type: 'count',
+            event: 'levelUnlockSaved',
+            where: { levelId: 'level3' },
+            scope: 'total',
+            target: 1
+        },
+        {
+            id: 'food_chain',
+            name: 'Food Chain',
+            description: 'Get caught by every kind of enemy',
+            icon: '\u{1F43E}', // Paw prints
+            hidden: true,
+            type: 'distinct',
+            event: 'playerDied',
+            field: 'cause',
+            values: ['bear', 'squirrel', 'deer', 'coyote', 'rattlesnake', 'scorpion', 'wolf', 'yeti']
+        }
+    ],
+
+    TOAST_DURATION_MS: 4000 // How long an unlock toast stays on screen
+};
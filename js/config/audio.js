@@ -1,4 +1,106 @@
 
 export const audioConfig = {
-    INITIAL_MASTER_GAIN: 0.7
+    INITIAL_MASTER_GAIN: 0.7,
+
+    // Music drops to GAIN while an effect with DUCK set is playing
+    DUCKING: {
+        GAIN: 0.35,
+        ATTACK_MS: 60,
+        RELEASE_MS: 700
+    },
+
+    // How each sound effect is mixed, keyed like AudioManager's effectAudioMap.
+    // BUS: 'sfx' (default) or 'ui'. MAX_CONCURRENT: copies that can play at once; plays
+    // past the cap are skipped until one finishes. DUCK: duck the music while it plays.
+    DEFAULT_MAX_CONCURRENT: 4,
+    EFFECTS: {
+        buttonclick: { BUS: 'ui', MAX_CONCURRENT: 2 },
+        coin: { MAX_CONCURRENT: 3 },
+        collision: { MAX_CONCURRENT: 2 },
+        gameover: { MAX_CONCURRENT: 1, DUCK: true },
+        powerup: { MAX_CONCURRENT: 2, DUCK: true },
+        turn: { MAX_CONCURRENT: 1 }
+    },
+
+    // Positional sounds, played on the SFX bus through a PannerNode that follows the thing
+    // making them, and heard from the camera. VOICE names a synthesized call in
+    // js/audio/creatureVoices.js; PITCH scales it and VOLUME is 0-1.
+    SPATIAL: {
+        PANNING_MODEL: 'HRTF',  // Or 'equalpower', which is cheaper but can't place sounds behind you
+        REF_DISTANCE: 10,       // Distance at which a sound plays at its own volume
+        MAX_DISTANCE: 200,
+        ROLLOFF: 1.2,
+        MAX_CALLS: 6,           // Calls that can play at once; more are skipped
+        CALL_COOLDOWN_SECONDS: 4, // One animal doesn't call again sooner than this
+
+        // Calls made by enemies as they start chasing. Types not listed stay quiet.
+        ENEMY_CALLS: {
+            bear: { VOICE: 'growl', PITCH: 1, VOLUME: 0.9 },
+            wolf: { VOICE: 'growl', PITCH: 1.5, VOLUME: 0.7 },
+            coyote: { VOICE: 'growl', PITCH: 1.8, VOLUME: 0.6 },
+            yeti: { VOICE: 'growl', PITCH: 0.7, VOLUME: 1 },
+            rattlesnake: { VOICE: 'rattle', PITCH: 1, VOLUME: 0.7 }
+        },
+        BUZZARD_CALL: { VOICE: 'screech', PITCH: 1, VOLUME: 0.5 },
+        TUMBLEWEED_VOLUME: 0.4  // While rolling at tumbleweed.ROLL_SPEED_MAX or faster
+    },
+
+    // Synthesized gameplay music, for levels whose manifest names a musicTheme.
+    // The tempo and the drive layer (hats and snare) follow player.currentSpeed across
+    // SPEED_RANGE, the chase layer fades in while an enemy is chasing, and the whole mix
+    // sweeps through a wobbling low-pass filter while invisibility is active.
+    ADAPTIVE_MUSIC: {
+        SPEED_RANGE: { MIN: 15, MAX: 45 }, // player.currentSpeed at the bottom and top of the tempo range
+        DRIVE_MIN_GAIN: 0.3,               // Drive layer level at the bottom of the speed range
+        CHASE_FADE_SECONDS: 1.2,
+        FILTER_OPEN_HZ: 18000,
+        INVISIBILITY_SWEEP: {
+            CENTER_HZ: 900,
+            DEPTH_HZ: 600,       // How far either side of CENTER_HZ the cutoff wobbles
+            RATE_HZ: 0.5,
+            Q: 6,
+            GLIDE_SECONDS: 0.4
+        },
+        LAYER_GAINS: { BASS: 0.5, KICK: 0.8, HATS: 0.15, SNARE: 0.3, ARP: 0.16 },
+        SCHEDULER_INTERVAL_MS: 25,
+        SCHEDULE_AHEAD_SECONDS: 0.1,
+
+        // Melodic patterns are semitones above ROOT_HZ, one per 16th note, null for a rest.
+        // Drum patterns are strings with 'x' for a hit. Patterns loop on their own lengths.
+        THEMES: {
+            forest: {
+                ROOT_HZ: 110, // A2
+                BPM: { MIN: 100, MAX: 136 },
+                BASS_WAVE: 'triangle',
+                ARP_WAVE: 'square',
+                BASS: [0, null, 12, null, 0, null, 12, 7, 3, null, 15, null, -2, null, 10, null],
+                KICK: 'x...x...x...x...',
+                HATS: '..x...x...x...xx',
+                SNARE: '....x.......x...',
+                ARP: [24, 27, 31, 36, 31, 27, 24, 27, 22, 26, 29, 34, 29, 26, 22, 26]
+            },
+            desert: {
+                ROOT_HZ: 73.42, // D2
+                BPM: { MIN: 92, MAX: 124 },
+                BASS_WAVE: 'sawtooth',
+                ARP_WAVE: 'triangle',
+                BASS: [0, null, null, 1, 0, null, 7, null, 0, null, null, 1, 5, null, 3, 1],
+                KICK: 'x.....x...x.....',
+                HATS: '..x.x...x.x..x.x',
+                SNARE: '........x.......',
+                ARP: [24, 25, 28, 31, 32, 31, 28, 25, 24, 25, 28, 31, 36, 31, 28, 25]
+            },
+            mountains: {
+                ROOT_HZ: 82.41, // E2
+                BPM: { MIN: 96, MAX: 132 },
+                BASS_WAVE: 'triangle',
+                ARP_WAVE: 'sine',
+                BASS: [0, null, 0, 7, null, 0, 10, null, 8, null, 8, 3, null, 8, 7, null],
+                KICK: 'x..x..x...x..x..',
+                HATS: 'x.x.x.x.x.x.x.x.',
+                SNARE: '....x.......x..x',
+                ARP: [24, 31, 36, 39, 36, 31, 24, 31, 32, 36, 39, 44, 39, 36, 32, 36]
+            }
+        }
+    }
 };
\ No newline at end of file
@@ -10,4 +10,59 @@ export const cameraConfig = {
     SMOOTHING_FACTOR: 0.1, // Lower values mean smoother/slower camera
     POST_TRANSITION_SMOOTH_DURATION: 0.75, // seconds for special smoothing after transition
     POST_TRANSITION_RESPONSIVENESS_FACTOR: 0.1, // Multiplier for SMOOTHING_FACTOR during post-transition (0.1 = 10x more responsive)
+
+    // Other gameplay camera modes (CameraModes in cameraManager.js); the follow mode uses the
+    // FOLLOW_* values above. The player picks one in settings or cycles them while running.
+    MODE_BLEND_DURATION: 0.5, // Seconds to glide from one mode's view to the next
+    CHASE: {
+        OFFSET_Y: 5,           // Low and close behind
+        OFFSET_Z: 14,
+        LOOK_AT_OFFSET_Y: 3,
+        LOOK_AHEAD: 12,        // Looks past the player, down the course
+        SMOOTHING_FACTOR: 0.02,
+        BANK_PER_TURN_RATE: 0.2, // Roll in radians per radian/second of turning
+        MAX_BANK: 0.3,
+        BANK_SMOOTHING: 0.05
+    },
+    FIRST_PERSON: {
+        EYE_OFFSET_Y: 0.3,     // From the centre of the head, which is hidden in this mode
+        EYE_OFFSET_Z: -0.8,    // At the face
+        LOOK_DISTANCE: 20,
+        LOOK_DOWN: 2           // How far below eye level the view centres, that far ahead
+    },
+
+    // Circles the player while the game over screen is up
+    GAME_OVER_ORBIT: {
+        RADIUS: 22,
+        HEIGHT: 9,
+        SPEED: 0.25,           // Radians per second
+        LOOK_AT_OFFSET_Y: 2,
+        SMOOTHING_FACTOR: 0.2  // Glide from wherever the camera was when the run ended
+    },
+
+    // Effects on top of whichever camera is showing the run (cameraEffectsManager.js). The
+    // SCREEN_SHAKE and FOV_EFFECTS settings scale them down for motion-sensitive players.
+    EFFECTS: {
+        TRAUMA_ON_DEATH: 1,    // Trauma is 0-1 and the shake grows with its square
+        TRAUMA_ON_HIT: 0.5,    // A hit a life absorbed
+        TRAUMA_DECAY: 1.2,     // Trauma lost per second
+        SHAKE_MAX_OFFSET: 0.8, // World units, at full trauma
+        SHAKE_MAX_ROLL: 0.06,  // Radians, at full trauma
+        SHAKE_FREQUENCY: 15,   // How fast the shake wanders
+        SPEED_FOV_RANGE: { MIN: 15, MAX: 45 }, // Speeds from no widening to the most
+        SPEED_FOV_MAX: 15,     // Degrees added at the top of the range
+        SPEED_FOV_SMOOTHING: 0.05,
+        POWERUP_PUNCH: {
+            DEGREES: 10,       // Widening the moment a power-up is collected
+            DURATION: 0.4      // Seconds to ease back
+        }
+    },
+
+    // Debug free-fly camera. It leaves the player and flies on the free-fly actions in
+    // controls.BINDINGS while the run carries on.
+    FREE_FLY: {
+        SPEED: 40,
+        FAST_MULTIPLIER: 4,
+        TURN_SPEED: 1.5        // Radians per second
+    }
 };
\ No newline at end of file
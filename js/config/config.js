@@ -3,6 +3,7 @@
 import configManager from '../utils/configManager.js';
 import { createLogger, setGlobalLogLevel, LogLevel } from '../utils/logger.js';
 import performanceManager from '../utils/performanceManager.js';
+import eventBus from '../core/eventBus.js';
 
 
 import { worldConfig } from './world.js';
@@ -13,6 +14,8 @@ import { controlsConfig } from './controls.js';
 import { renderingConfig } from './rendering.js';
 import { renderingAdvancedConfig } from './renderingAdvanced.js';
 import { gameplayConfig } from './gameplay.js';
+import { scoringConfig } from './scoring.js';
+import { achievementsConfig } from './achievements.js';
 import { tumbleweedConfig } from './tumbleweed.js';
 import { uiConfig } from './ui.js';
 import { modelsConfig } from './models.js';
@@ -22,6 +25,8 @@ import { audioConfig } from './audio.js';
 import { materialsConfig } from './materials.js';
 import { fallbackGeometriesConfig } from './fallbackGeometries.js';
 import { debugConfig } from './debug.js';
+import { settingsConfig } from './settings.js';
+import { weatherConfig } from './weather.js';
 
 const logger = createLogger('Config');
 
@@ -33,6 +38,8 @@ const SECTIONS = {
     CONTROLS: 'controls',
     RENDERING: 'rendering',
     GAMEPLAY: 'gameplay',
+    SCORING: 'scoring',
+    ACHIEVEMENTS: 'achievements',
     TUMBLEWEED: 'tumbleweed',
     UI: 'ui',
     MODELS: 'models',
@@ -42,14 +49,21 @@ const SECTIONS = {
     AUDIO: 'audio',
     MATERIALS: 'materials',
     FALLBACK_GEOMETRIES: 'fallbackGeometries',
-    DEBUG: 'debug'
+    DEBUG: 'debug',
+    SETTINGS: 'settings',
+    WEATHER: 'weather'
 };
 
+// Where configManager.persistConfig saves values (the settings screen's choices)
+const PERSISTED_CONFIG_KEY = 'openRunner_settings';
+
+
+// Recorded with leaderboard entries so scores from different builds can be told apart
+export const GAME_VERSION = '1.1.0';
 
 const defaultConfig = {
     DEBUG_MODE: false,
-    MAX_DELTA_TIME: 1 / 15, // Max time step allowed
-    LEVEL1_TRANSITION_SCORE: 300 // Score needed to transition from level 1
+    MAX_DELTA_TIME: 1 / 15 // Max time step allowed
 };
 
 
@@ -61,6 +75,8 @@ configManager.registerConfig(SECTIONS.CAMERA, cameraConfig);
 configManager.registerConfig(SECTIONS.CONTROLS, controlsConfig);
 configManager.registerConfig(SECTIONS.RENDERING, renderingConfig);
 configManager.registerConfig(SECTIONS.GAMEPLAY, gameplayConfig);
+configManager.registerConfig(SECTIONS.SCORING, scoringConfig);
+configManager.registerConfig(SECTIONS.ACHIEVEMENTS, achievementsConfig);
 configManager.registerConfig(SECTIONS.TUMBLEWEED, tumbleweedConfig);
 configManager.registerConfig(SECTIONS.UI, uiConfig);
 configManager.registerConfig(SECTIONS.MODELS, modelsConfig);
@@ -71,6 +87,9 @@ configManager.registerConfig(SECTIONS.AUDIO, audioConfig);
 configManager.registerConfig(SECTIONS.MATERIALS, materialsConfig);
 configManager.registerConfig(SECTIONS.FALLBACK_GEOMETRIES, fallbackGeometriesConfig);
 configManager.registerConfig(SECTIONS.DEBUG, debugConfig);
+configManager.registerConfig(SECTIONS.SETTINGS, settingsConfig);
+configManager.registerConfig(SECTIONS.WEATHER, weatherConfig);
+configManager.loadPersistedConfig(PERSISTED_CONFIG_KEY);
 
 logger.debug('Game configuration sections registered');
 
@@ -157,6 +176,8 @@ performanceManager.setOnSettingsChanged((settings) => {
 
 
     logger.debug('Configuration updated based on performance settings');
+    // Lets the renderer and world pick up changes made after they were created
+    eventBus.emit('performanceSettingsChanged', settings);
 });
 
 // Export SECTIONS enum for use elsewhere
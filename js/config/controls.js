@@ -3,9 +3,105 @@ export const controlsConfig = {
     MOUSE_SENSITIVITY: 0.002,
     KEY_TURN_SPEED: Math.PI / 1.5,
 
-    KEY_TOGGLE_FPS: 'f',
-    KEY_PAUSE_RESUME_BACK: 'escape',
-    KEY_RESTART_GAME_OVER: 'r',
-    KEY_LEVEL_SELECT_TITLE: 'l',
+    // Rebindable actions, in the order the controls screen lists them. A required action
+    // always keeps at least one binding on each device, so it can't be lost to a rebind.
+    ACTIONS: [
+        { id: 'turnLeft', label: 'Turn left' },
+        { id: 'turnRight', label: 'Turn right' },
+        { id: 'jump', label: 'Jump' },
+        { id: 'slide', label: 'Duck and slide' },
+        { id: 'pause', label: 'Pause / back', required: true },
+        { id: 'restart', label: 'Restart (game over)' },
+        { id: 'levelSelect', label: 'Level select (title)' },
+        { id: 'toggleFps', label: 'Toggle FPS counter' },
+        { id: 'cameraMode', label: 'Change camera' },
+        { id: 'freeCamera', label: 'Free camera (debug)' },
+        { id: 'freeFlyForward', label: 'Free camera forward' },
+        { id: 'freeFlyBack', label: 'Free camera back' },
+        { id: 'freeFlyTurnLeft', label: 'Free camera turn left' },
+        { id: 'freeFlyTurnRight', label: 'Free camera turn right' },
+        { id: 'freeFlyLookUp', label: 'Free camera look up' },
+        { id: 'freeFlyLookDown', label: 'Free camera look down' },
+        { id: 'freeFlyUp', label: 'Free camera up' },
+        { id: 'freeFlyDown', label: 'Free camera down' },
+        { id: 'freeFlyFast', label: 'Free camera faster (hold)' }
+    ],
+
+    // Default bindings, by device and action. Keyboard bindings are KeyboardEvent.code
+    // values, which name where a key is rather than what is printed on it, so on an AZERTY
+    // keyboard the WASD defaults are the ZQSD keys. Gamepad bindings are button indexes.
+    // Saved bindings replace these per action; an action missing from them uses its defaults.
+    BINDINGS: {
+        keyboard: {
+            turnLeft: ['KeyA', 'ArrowLeft'],
+            turnRight: ['KeyD', 'ArrowRight'],
+            jump: ['Space', 'KeyW', 'ArrowUp'],
+            slide: ['KeyS', 'ArrowDown'],
+            pause: ['Escape'],
+            restart: ['KeyR'],
+            levelSelect: ['KeyL'],
+            toggleFps: ['KeyF'],
+            cameraMode: ['KeyC'],
+            freeCamera: ['Backquote'],
+            freeFlyForward: ['KeyI'],
+            freeFlyBack: ['KeyK'],
+            freeFlyTurnLeft: ['KeyN'],
+            freeFlyTurnRight: ['KeyM'],
+            freeFlyLookUp: ['KeyY'],
+            freeFlyLookDown: ['KeyH'],
+            freeFlyUp: ['KeyO'],
+            freeFlyDown: ['KeyU'],
+            freeFlyFast: ['ShiftLeft']
+        },
+        gamepad: {
+            turnLeft: [14],
+            turnRight: [15],
+            jump: [0],
+            slide: [1],
+            pause: [9],
+            restart: [3],
+            levelSelect: [2],
+            toggleFps: [],
+            cameraMode: [8],
+            freeCamera: [],
+            freeFlyForward: [],
+            freeFlyBack: [],
+            freeFlyTurnLeft: [],
+            freeFlyTurnRight: [],
+            freeFlyLookUp: [],
+            freeFlyLookDown: [],
+            freeFlyUp: [],
+            freeFlyDown: [],
+            freeFlyFast: []
+        }
+    },
+    BINDING_SLOTS: { keyboard: 3, gamepad: 2 }, // Bindings per action on the controls screen
+
+    MOUSE_BUTTON_JUMP: 1, // Middle button
+    MOUSE_WHEEL_ACTION_MS: 250, // How long a wheel notch holds jump (up) or slide (down)
+
+    // Gamepads, by the button and axis indexes of the browser's standard mapping
+    // (A/B/X/Y = 0-3, Start = 9, D-pad up/down/left/right = 12-15). Gameplay buttons are
+    // in BINDINGS; these are the fixed menu buttons.
+    GAMEPAD: {
+        STEER_AXIS: 0,         // Left stick X steers, as far as it's pushed
+        NAVIGATE_AXIS: 1,      // Left stick Y moves through menus, like the D-pad
+        DEADZONE: 0.2,         // Stick travel ignored around the centre
+        STEER_EXPONENT: 1.5,   // Above 1, small pushes turn gently and full pushes turn at full speed
+        NAVIGATE_THRESHOLD: 0.6,
+        NAVIGATE_REPEAT_DELAY_MS: 400, // Holding a direction in a menu repeats after this
+        NAVIGATE_REPEAT_MS: 150,
+        BUTTONS: {
+            CONFIRM: 0,        // Press the focused button
+            BACK: 1,           // Like the pause action
+            UP: 12,
+            DOWN: 13,
+            LEFT: 14,
+            RIGHT: 15
+        },
+        BUTTON_NAMES: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'Left stick',
+            'Right stick', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home']
+    },
+
     TURN_SOUND_THRESHOLD: 0.001
 };
\ No newline at end of file
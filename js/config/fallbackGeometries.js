@@ -11,5 +11,6 @@ export const fallbackGeometriesConfig = {
     SKULL: { RADIUS: 0.5, DETAIL: 0 },
     DRIED_BUSH: { RADIUS: 0.8, DETAIL: 0 },
     WAGON_WHEEL: { RADIUS: 1.0, TUBE: 0.15, RAD_SEG: 6, TUB_SEG: 12 },
-    TUMBLEWEED: { RADIUS: 1.0, DETAIL: 1 }
+    TUMBLEWEED: { RADIUS: 1.0, DETAIL: 1 },
+    ROCK_ICE: { RADIUS: 1.4, DETAIL: 0 }
 };
\ No newline at end of file
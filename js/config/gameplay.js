@@ -2,7 +2,48 @@ export const gameplayConfig = {
     POWERUP_TYPE_MAGNET: 'magnet',
     POWERUP_TYPE_DOUBLER: 'doubler',
     POWERUP_TYPE_INVISIBILITY: 'invisibility', // New powerup type
+    POWERUP_TYPE_SHIELD: 'shield', // Lasts until it absorbs a hit, not on a timer
+    POWERUP_TYPE_BOOST: 'boost',
+    POWERUP_TYPE_SLOWMO: 'slowmo',
     POWERUP_DURATION: 10,
+
+    // --- Health ---
+    STARTING_LIVES: 1, // The classic one-hit run; a level config's STARTING_LIVES gives more
+    HIT_INVULNERABILITY_DURATION: 2.0, // Seconds of immunity after losing a life or the shield
+    HIT_FLASH_INTERVAL: 0.1, // Seconds between player model visibility toggles while immune
+
+    // What you hit is knocked out of the way instead of staying put under the player
+    KNOCKBACK_SPEED: 18, // Horizontal speed away from the player
+    KNOCKBACK_LIFT: 9, // Initial upward speed
+    KNOCKBACK_GRAVITY: 30,
+    KNOCKBACK_SPIN: 8, // Radians per second
+    KNOCKBACK_DURATION: 1.0, // Seconds before the object is removed
+
+    // Shield bubble around the player
+    SHIELD_EFFECT_COLOR: 0x33CCFF,
+    SHIELD_EFFECT_EMISSIVE: 0x116688,
+    SHIELD_EFFECT_OPACITY: 0.3,
+    SHIELD_EFFECT_RADIUS: 4.0, // Centred on the player model, which stands 6.5 tall
+
+    // Boost: faster running, and obstacles are smashed aside instead of costing a life
+    BOOST_DURATION: 5,
+    BOOST_SPEED_MULTIPLIER: 1.75, // Applied on top of currentSpeed
+    BOOST_EFFECT_COLOR: 0xFF8C00,
+    BOOST_EFFECT_EMISSIVE: 0x662200,
+    BOOST_TRAIL_COLOR: 0xFFD24D, // Speed streaks behind the player
+    BOOST_TRAIL_OPACITY: 0.5,
+    BOOST_SOUND_RATE: 1.5, // Pickup sound pitched up
+
+    // Slow-mo: the world runs slower while steering keeps full speed
+    SLOWMO_DURATION: 5, // In game time, so it lasts DURATION / TIME_SCALE real seconds
+    SLOWMO_TIME_SCALE: 0.5,
+    SLOWMO_EFFECT_COLOR: 0x66FFCC,
+    SLOWMO_EFFECT_EMISSIVE: 0x1A6652,
+    SLOWMO_EFFECT_OPACITY: 0.6,
+    SLOWMO_RING_RADIUS: 3.0, // Clock ring around the player's waist
+    SLOWMO_RING_HEIGHT: 2.5,
+    SLOWMO_RING_SPIN: 1.5, // Radians per second of game time
+    SLOWMO_SOUND_RATE: 0.6, // Pickup sound pitched down
     
     // Magnet visual effect
     MAGNET_EFFECT_COLOR: 0xff0000,
@@ -29,6 +70,25 @@ export const gameplayConfig = {
     COIN_COLLECTION_RADIUS_FACTOR: 1.5,
     PLAYER_SAFE_DISTANCE_FACTOR: 0.2,
     TREE_COLLISION_BUFFER: 0.2,
+
+    // Height of each jumpable obstacle's top above its origin, at scale 1 (scaled by mesh.scale.y).
+    // An airborne player whose feet are above this clears the obstacle; types not listed can't be jumped.
+    JUMP_CLEARANCE_HEIGHTS: {
+        log_fallen: 0.5,
+        rock_small: 1.0,
+        tumbleweed: 1.0,
+        rock_desert: 1.5,
+        cactus_barrel: 0.75,
+        skull: 0.5,
+        dried_bush: 0.8,
+        wagon_wheel: 0.2,
+        rock_ice: 1.4
+    },
+    // Height of the gap under each overhanging obstacle, at scale 1. A player shorter than
+    // this (i.e. ducking) passes underneath.
+    DUCK_CLEARANCE_HEIGHTS: {
+        water_tower: 6.0 // Between the legs, below the tank
+    },
     DOUBLER_MULTIPLIER: 2,
     DOUBLER_COLLISION_RADIUS: 1.0,
     // INVISIBILITY_DURATION: 10, // Made redundant by invisibilityConfig.durationMs. Was 10 seconds.
@@ -4,5 +4,7 @@ export const materialsConfig = {
     LOG_COLOR: 0x8B4513, LOG_ROUGHNESS: 0.9,
     CABIN_COLOR: 0xDEB887, CABIN_ROUGHNESS: 0.8,
     CACTUS_COLOR: 0x2E8B57, CACTUS_ROUGHNESS: 0.7,
-    SALOON_COLOR: 0xA0522D, SALOON_ROUGHNESS: 0.8
+    SALOON_COLOR: 0xA0522D, SALOON_ROUGHNESS: 0.8,
+    ICE_COLOR: 0xA5D8F0, ICE_ROUGHNESS: 0.15, ICE_METALNESS: 0.1, ICE_OPACITY: 0.85,
+    SNOW_COLOR: 0xFAFCFF, SNOW_ROUGHNESS: 0.9
 };
\ No newline at end of file
@@ -257,6 +257,28 @@ export const modelsConfig = {
     },
 
 
+    ROCK_ICE: {
+        GEO_KEY: 'rockIceGeo',
+        MATERIAL_KEY: 'iceMaterial',
+        COLLISION_RADIUS: 1.4
+    },
+
+
+    SNOWMAN: {
+        SNOW_MATERIAL_KEY: 'snowMaterial',
+        WOOD_MATERIAL_KEY: 'logMaterial',
+        BASE_RADIUS: 1.2, MIDDLE_RADIUS: 0.85, HEAD_RADIUS: 0.6, SPHERE_SEGMENTS: 12,
+        BASE_Y_POS: 1.0, MIDDLE_Y_POS: 2.6, HEAD_Y_POS: 3.75,
+        COAL_COLOR: 0x111111, COAL_RADIUS: 0.08,
+        EYE_X_OFFSET: 0.2, EYE_Y_OFFSET: 0.15,
+        BUTTON_COUNT: 3, BUTTON_Y_SPACING: 0.35,
+        NOSE_COLOR: 0xFF8C00, NOSE_RADIUS: 0.1, NOSE_LENGTH: 0.5, NOSE_SEGMENTS: 8,
+        ARM_RADIUS: 0.06, ARM_LENGTH: 1.4, ARM_SEGMENTS: 5,
+        ARM_X_OFFSET: 1.3, ARM_Y_POS: 2.8, ARM_ROTATION_Z: Math.PI / 3,
+        COLLISION_RADIUS: 1.2
+    },
+
+
     TUMBLEWEED_MODEL: {
         GEO_KEY: 'tumbleweedGeo',
         FALLBACK_RADIUS: 1.0, FALLBACK_DETAIL: 1,
@@ -359,6 +381,59 @@ export const modelsConfig = {
     },
 
 
+    WOLF: {
+        DEFAULT_COLOR: 0x8A8D91,
+        TORSO_WIDTH: 1.2, TORSO_HEIGHT: 1.3, TORSO_DEPTH: 3.0,
+        HEAD_WIDTH: 0.85, HEAD_HEIGHT: 0.8, HEAD_DEPTH: 0.9,
+        NECK_WIDTH: 0.5, NECK_HEIGHT: 0.5, NECK_DEPTH: 0.7,
+        LEG_WIDTH: 0.3, LEG_HEIGHT: 1.4, LEG_DEPTH: 0.3,
+        MATERIAL_ROUGHNESS: 0.8,
+        TORSO_Y_POS: 0.9,
+        HEAD_Y_OFFSET: 0.5,
+        HEAD_Z_OFFSET: -1.7,
+        EYE_SIZE: 0.12,
+        SNOUT_WIDTH: 0.45, SNOUT_HEIGHT: 0.35, SNOUT_DEPTH: 0.7,
+        NECK_Y_OFFSET: 0.25,
+        NECK_Z_OFFSET: -1.2,
+        NECK_ROTATION_X: Math.PI / 7,
+        LEG_Y_POS: 0,
+        LEG_X_OFFSET: 0.42,
+        FRONT_LEG_Z: -1.0,
+        BACK_LEG_Z: 1.0,
+        TAIL_BASE_Y_OFFSET: 0.1,
+        TAIL_BASE_Z_OFFSET: 1.6,
+        TAIL_SEGMENTS: 4,
+        TAIL_WIDTH: 0.3,
+        TAIL_SEGMENT_LENGTH: 0.35,
+        TAIL_INITIAL_ANGLE: -Math.PI / 8,
+        TAIL_SEGMENT_WIDTH_FACTOR: 0.15,
+        TAIL_ANGLE_INCREMENT: -Math.PI / 24,
+        GEOMETRY_DETAIL: 2,
+        COLLISION_RADIUS: 1.0
+    },
+
+
+    YETI: {
+        DEFAULT_COLOR: 0xE8EEF2,
+        FACE_COLOR: 0x6F7F8C,
+        TORSO_WIDTH: 2.4, TORSO_HEIGHT: 2.8, TORSO_DEPTH: 1.6,
+        HEAD_WIDTH: 1.3, HEAD_HEIGHT: 1.2, HEAD_DEPTH: 1.2,
+        ARM_WIDTH: 0.7, ARM_HEIGHT: 2.8, ARM_DEPTH: 0.7,
+        LEG_WIDTH: 0.8, LEG_HEIGHT: 2.0, LEG_DEPTH: 0.8,
+        MATERIAL_ROUGHNESS: 0.95,
+        TORSO_Y_OFFSET: -0.1, // Torso overlaps the top of the legs slightly
+        HEAD_Y_OFFSET_FACTOR: 0.45, // Relative to torso height, above the torso's top
+        HEAD_Z_OFFSET: -0.2,
+        EYE_SIZE: 0.12,
+        FACE_WIDTH: 0.9, FACE_HEIGHT: 0.7, FACE_DEPTH: 0.1,
+        ARM_Y_OFFSET: -0.3, // Relative to torso center
+        LEG_Y_POS: 0,
+        LEG_X_OFFSET: 0.6,
+        GEOMETRY_DETAIL: 2,
+        COLLISION_RADIUS: 1.6
+    },
+
+
     BUZZARD: {
         BODY_COLOR: 0x333333, BODY_ROUGHNESS: 0.8,
         BODY_RADIUS: 0.5, BODY_SEGMENTS_W: 12, BODY_SEGMENTS_H: 8,
@@ -436,4 +511,50 @@ export const modelsConfig = {
         COLLISION_RADIUS: 1.0,
         POWERUP_TYPE: 'invisibility'
     },
+
+    // --- Shield ---
+    SHIELD: {
+        OBJECT_TYPE: 'shield',
+        DEFAULT_SIZE: 1.0,
+        DEFAULT_COLOR: 0x33CCFF, // Light blue
+        SHIELD_EMISSIVE: 0x115577,
+        SHIELD_METALNESS: 0.8,
+        SHIELD_ROUGHNESS: 0.25,
+        RIM_COLOR: 0xE0E0E0,
+        BOSS_COLOR: 0xFFD700, // Gold centre
+        RADIUS_FACTOR: 0.9,
+        THICKNESS_FACTOR: 0.15,
+        SEGMENTS: 24,
+        COLLISION_RADIUS: 1.0,
+        POWERUP_TYPE: 'shield'
+    },
+
+    // --- Boost ---
+    BOOST: {
+        OBJECT_TYPE: 'boost',
+        DEFAULT_SIZE: 1.0,
+        DEFAULT_COLOR: 0xFFB000, // Amber
+        BOOST_EMISSIVE: 0x884400,
+        BOOST_METALNESS: 0.5,
+        BOOST_ROUGHNESS: 0.3,
+        DEPTH_FACTOR: 0.2, // Thickness of the lightning bolt
+        COLLISION_RADIUS: 1.0,
+        POWERUP_TYPE: 'boost'
+    },
+
+    // --- Slow-mo ---
+    SLOWMO: {
+        OBJECT_TYPE: 'slowmo',
+        DEFAULT_SIZE: 1.0,
+        DEFAULT_COLOR: 0x66FFCC, // Glass
+        SAND_COLOR: 0xE8C872,
+        FRAME_COLOR: 0x8B5A2B, // Wooden caps and posts
+        GLASS_OPACITY: 0.45,
+        BULB_RADIUS_FACTOR: 0.35,
+        BULB_HEIGHT_FACTOR: 0.45,
+        CAP_HEIGHT_FACTOR: 0.08,
+        SEGMENTS: 16,
+        COLLISION_RADIUS: 1.0,
+        POWERUP_TYPE: 'slowmo'
+    },
 };
@@ -10,28 +10,243 @@ export const particleConfig = {
         }
         return getConfig('particles.PARTICLE_DENSITY', DEFAULT_PARTICLE_DENSITY);
     },
-    BASE_MAX_PARTICLES: 500,
-    BASE_PARTICLE_LIFETIME: 0.8,
-    BASE_PARTICLES_PER_SECOND: 150,
-    INITIAL_SPEED_MIN: 0.5,
-    INITIAL_SPEED_MAX: 1.5,
-    DRIFT_VELOCITY_X: 0,
-    DRIFT_VELOCITY_Y: 0.8,
-    DRIFT_VELOCITY_Z: -0.5,
-    SIZE: 0.3,
-    COLOR: 0xAAAAAA,
     LIFETIME_LOW_QUALITY_FACTOR: 0.7,
-    EMIT_POS_RANDOM_FACTOR: 0.5,
-    EMIT_VEL_SPREAD_FACTOR: 0.5,
-    EMIT_VEL_UPWARD_BIAS_MIN: 0.2,
-    EMIT_VEL_UPWARD_BIAS_MAX: 0.5,
-    EMIT_VEL_BACKWARD_BIAS: -0.3,
-    EMIT_ORIGIN_Y_OFFSET_FACTOR: 0.8,
-    TEXTURE_SIZE: 64,
-    TEXTURE_GRADIENT_STOPS: [
-        [0, 'rgba(255,255,255,1)'],
-        [0.2, 'rgba(255,255,255,0.8)'],
-        [0.4, 'rgba(200,200,200,0.3)'],
-        [1, 'rgba(150,150,150,0)']
-    ]
-};
\ No newline at end of file
+
+    // Particle textures, drawn once on a canvas and shared by every emitter that names them.
+    // 'glow' is a radial gradient; 'star' adds four rays to it. 'streak' is a thin upright
+    // line instead, with its gradient stops running from top to bottom.
+    TEXTURES: {
+        soft: {
+            size: 64,
+            shape: 'glow',
+            gradientStops: [
+                [0, 'rgba(255,255,255,1)'],
+                [0.2, 'rgba(255,255,255,0.8)'],
+                [0.4, 'rgba(200,200,200,0.3)'],
+                [1, 'rgba(150,150,150,0)']
+            ]
+        },
+        sparkle: {
+            size: 64,
+            shape: 'star',
+            gradientStops: [
+                [0, 'rgba(255,255,255,1)'],
+                [0.15, 'rgba(255,255,255,0.9)'],
+                [0.35, 'rgba(255,255,255,0.2)'],
+                [1, 'rgba(255,255,255,0)']
+            ]
+        },
+        flake: {
+            size: 32,
+            shape: 'glow',
+            gradientStops: [
+                [0, 'rgba(255,255,255,1)'],
+                [0.5, 'rgba(255,255,255,0.9)'],
+                [1, 'rgba(255,255,255,0)']
+            ]
+        },
+        streak: {
+            size: 32,
+            shape: 'streak',
+            width: 2,
+            gradientStops: [
+                [0, 'rgba(255,255,255,0)'],
+                [0.5, 'rgba(255,255,255,0.9)'],
+                [1, 'rgba(255,255,255,0)']
+            ]
+        }
+    },
+
+    /**
+     * Named emitter presets, used through ParticleManager. Each gets its own pool of
+     * particles, drawn in one go. Counts and rates are at particle density 1 and scale with it.
+     *
+     * - texture:          A TEXTURES key.
+     * - blending:         'additive' for glows and sparks, 'normal' for dust and snow.
+     * - maxParticles:     Pool size.
+     * - lifetime:         [min, max] seconds each particle lives.
+     * - rate:             Particles per second while attached to something.
+     * - burst:            Particles per burst().
+     * - offset:           { x, y, z } from where the effect is emitted.
+     * - spawnSpread:      { x, y, z } size of the box particles start in, around the offset.
+     * - direction, spread, speed:
+     *                     Particles start off along direction, scattered by up to spread
+     *                     (0 keeps to it, 1 goes anywhere), at a speed picked from [min, max].
+     * - drift:            { x, y, z } velocity every particle also moves at.
+     * - gravity:          Downward acceleration.
+     * - drag:             Fraction of its own velocity a particle loses per second.
+     * - sway:             { amount, frequency } side-to-side wander.
+     * - followTarget:     Particles move along with what they're attached to.
+     * - field:            { x, y, z } box kept full of particles around what it's attached
+     *                     to; particles leaving it wrap to the other side and dead ones are
+     *                     replaced. For ambient weather, so it keeps going after a run ends.
+     *                     Each attachment's density scales how full it keeps the box.
+     * - colorOverLife, sizeOverLife, opacityOverLife:
+     *                     [age 0-1, value] stops, blended between. Sizes are world units and
+     *                     colors can be tinted per attachment.
+     */
+    EMITTERS: {
+        // Dust from the runner's feet
+        playerDust: {
+            texture: 'soft',
+            blending: 'additive',
+            maxParticles: 500,
+            lifetime: [0.8, 0.8],
+            rate: 150,
+            offset: { x: 0, y: -2.8, z: 0 }, // Near the ground, below the player's centre
+            spawnSpread: { x: 0.5, y: 0, z: 0.5 },
+            direction: { x: 0, y: 0.35, z: -0.3 },
+            spread: 0.3,
+            speed: [0.5, 1.5],
+            drift: { x: 0, y: 0.8, z: -0.5 },
+            colorOverLife: [[0, 0xAAAAAA], [1, 0xAAAAAA]],
+            sizeOverLife: [[0, 0.3], [1, 0.3]],
+            opacityOverLife: [[0, 1], [1, 0]]
+        },
+        coinSparkle: {
+            texture: 'sparkle',
+            blending: 'additive',
+            maxParticles: 200,
+            lifetime: [0.35, 0.6],
+            burst: 14,
+            spawnSpread: { x: 0.6, y: 0.6, z: 0.6 },
+            direction: { x: 0, y: 1, z: 0 },
+            spread: 1,
+            speed: [2, 5],
+            gravity: 6,
+            drag: 2,
+            colorOverLife: [[0, 0xFFFFFF], [0.3, 0xFFE066], [1, 0xFFA000]],
+            sizeOverLife: [[0, 0.7], [1, 0.1]],
+            opacityOverLife: [[0, 1], [0.7, 1], [1, 0]]
+        },
+        // Kicked up by rolling tumbleweeds
+        tumbleweedSand: {
+            texture: 'soft',
+            blending: 'normal',
+            maxParticles: 300,
+            lifetime: [0.6, 1.1],
+            rate: 30,
+            offset: { x: 0, y: -0.8, z: 0 },
+            spawnSpread: { x: 1.2, y: 0.2, z: 1.2 },
+            direction: { x: 0, y: 1, z: 0 },
+            spread: 0.8,
+            speed: [0.8, 2],
+            gravity: 2,
+            drag: 1,
+            colorOverLife: [[0, 0xD8B98A], [1, 0xC4A070]],
+            sizeOverLife: [[0, 0.5], [1, 1.4]],
+            opacityOverLife: [[0, 0.7], [1, 0]]
+        },
+        // Around the runner while a power-up lasts, tinted with its HUD colour
+        powerupAura: {
+            texture: 'soft',
+            blending: 'additive',
+            maxParticles: 200,
+            lifetime: [0.5, 0.9],
+            rate: 40,
+            offset: { x: 0, y: -1.5, z: 0 },
+            spawnSpread: { x: 1.5, y: 3, z: 1.5 },
+            direction: { x: 0, y: 1, z: 0 },
+            spread: 0.2,
+            speed: [0.6, 1.4],
+            followTarget: true,
+            colorOverLife: [[0, 0xFFFFFF], [1, 0xFFFFFF]],
+            sizeOverLife: [[0, 0.3], [0.5, 0.5], [1, 0]],
+            opacityOverLife: [[0, 0], [0.2, 0.9], [1, 0]]
+        },
+        deathExplosion: {
+            texture: 'soft',
+            blending: 'normal',
+            maxParticles: 300,
+            lifetime: [0.6, 1.4],
+            burst: 120,
+            offset: { x: 0, y: -1, z: 0 },
+            spawnSpread: { x: 0.8, y: 0.8, z: 0.8 },
+            direction: { x: 0, y: 0.6, z: 0 },
+            spread: 1,
+            speed: [4, 12],
+            gravity: 9,
+            drag: 1.5,
+            colorOverLife: [[0, 0xFFF2C0], [0.2, 0xFF8A30], [0.6, 0x803820], [1, 0x3A3A3A]],
+            sizeOverLife: [[0, 0.6], [0.3, 1.2], [1, 1.8]],
+            opacityOverLife: [[0, 1], [1, 0]]
+        },
+        // Ambient fields, added by a level's atmosphericProfile
+        snowField: {
+            texture: 'flake',
+            blending: 'normal',
+            maxParticles: 2000,
+            lifetime: [6, 10],
+            field: { x: 120, y: 60, z: 120 },
+            offset: { x: 0, y: 18, z: 0 }, // Mostly above the player
+            direction: { x: 0, y: -1, z: 0 },
+            spread: 0.1,
+            speed: [5, 7],
+            sway: { amount: 1.5, frequency: 1 },
+            colorOverLife: [[0, 0xFFFFFF], [1, 0xFFFFFF]],
+            sizeOverLife: [[0, 0.35], [1, 0.35]],
+            opacityOverLife: [[0, 0], [0.1, 0.9], [0.9, 0.9], [1, 0]]
+        },
+        dustField: {
+            texture: 'soft',
+            blending: 'normal',
+            maxParticles: 400,
+            lifetime: [3, 6],
+            field: { x: 80, y: 12, z: 80 },
+            offset: { x: 0, y: 2, z: 0 },
+            direction: { x: 1, y: 0.1, z: 0.3 },
+            spread: 0.5,
+            speed: [1, 3],
+            sway: { amount: 0.5, frequency: 0.5 },
+            colorOverLife: [[0, 0xD9C29A], [1, 0xD9C29A]],
+            sizeOverLife: [[0, 0.2], [1, 0.2]],
+            opacityOverLife: [[0, 0], [0.2, 0.35], [0.8, 0.35], [1, 0]]
+        },
+        // Weather, faded in and out by the weather states (weather.STATES)
+        rainField: {
+            texture: 'streak',
+            blending: 'normal',
+            maxParticles: 1500,
+            lifetime: [1.5, 2.5],
+            field: { x: 80, y: 40, z: 80 },
+            offset: { x: 0, y: 12, z: 0 },
+            direction: { x: 0, y: -1, z: 0 },
+            spread: 0.02,
+            speed: [22, 28],
+            colorOverLife: [[0, 0xB4C8D8], [1, 0xB4C8D8]],
+            sizeOverLife: [[0, 0.8], [1, 0.8]],
+            opacityOverLife: [[0, 0], [0.1, 0.6], [0.9, 0.6], [1, 0]]
+        },
+        // Blows the same way as the sandstorm's crosswind
+        sandstormField: {
+            texture: 'soft',
+            blending: 'normal',
+            maxParticles: 1200,
+            lifetime: [2, 4],
+            field: { x: 90, y: 20, z: 90 },
+            offset: { x: 0, y: 4, z: 0 },
+            direction: { x: 1, y: 0.05, z: 0.2 },
+            spread: 0.2,
+            speed: [14, 20],
+            sway: { amount: 1, frequency: 0.8 },
+            colorOverLife: [[0, 0xC9A46C], [1, 0xB08A58]],
+            sizeOverLife: [[0, 0.6], [1, 1.2]],
+            opacityOverLife: [[0, 0], [0.2, 0.45], [0.8, 0.45], [1, 0]]
+        },
+        // Big, faint puffs drifting low through a fog bank
+        mistField: {
+            texture: 'soft',
+            blending: 'normal',
+            maxParticles: 300,
+            lifetime: [6, 10],
+            field: { x: 70, y: 8, z: 70 },
+            offset: { x: 0, y: 0, z: 0 },
+            direction: { x: 1, y: 0, z: 0.4 },
+            spread: 0.3,
+            speed: [0.3, 0.8],
+            colorOverLife: [[0, 0xDDE3E6], [1, 0xDDE3E6]],
+            sizeOverLife: [[0, 4], [1, 6]],
+            opacityOverLife: [[0, 0], [0.3, 0.25], [0.7, 0.25], [1, 0]]
+        }
+    }
+};
@@ -18,6 +18,16 @@ export const playerConfig = {
     PLAYER_ALIGN_TO_SLOPE_SPEED: 5.0, // Speed at which player model aligns to slope normal
     SLOPE_ALIGNMENT_FACTOR: 0.3, // How much the player leans into the slope (0 = no lean, 1 = full align)
 
+    // Jumping
+    JUMP_VELOCITY: 14.0, // Initial upward speed of a jump (peak height is JUMP_VELOCITY^2 / (2 * GRAVITY))
+    AIR_CONTROL_FACTOR: 0.4, // Fraction of the normal turn rate available while airborne
+    JUMP_RAYCAST_EXTENSION: 10.0, // Extra ground ray reach while airborne so the landing spot is still found
+
+    // Ducking (slide action)
+    DUCK_SCALE_Y: 0.55, // Vertical squash of the model (and its hitbox) while ducking
+    DUCK_TRANSITION_SPEED: 12.0, // How quickly the model squashes down and springs back up
+    STANDING_HEIGHT: 6.5, // Top of the head above the feet when standing upright
+
     HEAD_SIZE: 1.5,
     TORSO_HEIGHT: 3,
     TORSO_WIDTH: 2,
@@ -0,0 +1,32 @@
+// js/config/scoring.js
+
+export const scoringConfig = {
+    // Points per unit of each run statistic. The run's score is the sum of the (rounded down)
+    // points, so a weight of 0 leaves that statistic out of the score.
+    SCORE_WEIGHTS: {
+        coinPoints: 1,    // Per coin point collected (after the doubler)
+        distance: 0.1,    // Per world unit travelled, i.e. 1 point per 10 m
+        timeSurvived: 0,  // Per second of gameplay time
+        topSpeed: 0,      // Per unit/s of the fastest speed reached
+        nearMisses: 25,   // Per close call
+        powerupsUsed: 10  // Per power-up picked up
+    },
+
+    // How far beyond an obstacle's or enemy's collision radius the player can pass and
+    // still have it count as a near miss
+    NEAR_MISS_MARGIN: 1.5,
+
+    // --- Leaderboard ---
+    LEADERBOARD_SIZE: 10, // Entries kept per level
+    LEADERBOARD_NAME_MAX_LENGTH: 16,
+
+    // --- Remote leaderboard --- (see js/leaderboard/restLeaderboardAdapter.js for the REST contract)
+    REMOTE_LEADERBOARD: {
+        ADAPTER: null,         // 'rest' for a leaderboard server, 'memory' for an in-page stub, null to turn it off
+        URL: '',               // Base URL of the server, e.g. 'http://leaderboard.office.lan:8080/api'
+        TIMEOUT_MS: 5000,      // Requests taking longer than this count as failed
+        MAX_QUEUED: 50,        // Failed submissions kept for retrying; the oldest are dropped beyond this
+        TOP_COUNT: 10,         // Entries fetched for the top of a leaderboard
+        AROUND_ME_RANGE: 3     // Entries fetched above and below the player's best
+    }
+};
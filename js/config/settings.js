@@ -0,0 +1,98 @@
+// js/config/settings.js
+import { debugConfig } from './debug.js';
+
+export const settingsConfig = {
+    // Player preferences, changed from the settings screen. SettingsManager saves changes
+    // through configManager, so these are only the defaults for a first visit.
+    QUALITY: 'auto',        // 'auto' adapts to the device and frame rate, or a QualityPresets preset
+    SHADOWS: null,          // Overrides for the quality preset; null follows the preset
+    RENDER_DISTANCE: null,  // Chunks
+    PIXEL_RATIO: null,
+    PARTICLE_DENSITY: null, // 0-1
+    MUSIC_VOLUME: 1,        // 0-1, on top of each track's own volume
+    SFX_VOLUME: 1,          // 0-1, on top of each effect's own volume
+    UI_VOLUME: 1,           // 0-1, menu button sounds
+    TURN_SENSITIVITY: 1,    // Multiplies controls.KEY_TURN_SPEED
+    CAMERA_MODE: 'follow',  // A CameraModes value
+    SCREEN_SHAKE: 1,        // 0-1, scales camera.EFFECTS shake
+    FOV_EFFECTS: 1,         // 0-1, scales the speed and power-up field of view widening
+    SHOW_FPS: debugConfig.SHOW_FPS,
+
+    // The settings screen, in order. Select options with a null value follow the quality preset.
+    FIELDS: [
+        {
+            key: 'QUALITY',
+            label: 'Quality',
+            type: 'select',
+            options: [
+                { value: 'auto', label: 'Auto' },
+                { value: 'low', label: 'Low' },
+                { value: 'medium', label: 'Medium' },
+                { value: 'high', label: 'High' },
+                { value: 'ultra', label: 'Ultra' }
+            ]
+        },
+        {
+            key: 'SHADOWS',
+            label: 'Shadows',
+            type: 'select',
+            options: [
+                { value: null, label: 'Preset' },
+                { value: true, label: 'On' },
+                { value: false, label: 'Off' }
+            ]
+        },
+        {
+            key: 'RENDER_DISTANCE',
+            label: 'Render distance',
+            type: 'select',
+            options: [
+                { value: null, label: 'Preset' },
+                { value: 2, label: 'Near' },
+                { value: 3, label: 'Medium' },
+                { value: 4, label: 'Far' },
+                { value: 5, label: 'Very far' }
+            ]
+        },
+        {
+            key: 'PIXEL_RATIO',
+            label: 'Resolution',
+            type: 'select',
+            options: [
+                { value: null, label: 'Preset' },
+                { value: 0.5, label: '50%' },
+                { value: 0.75, label: '75%' },
+                { value: 1, label: '100%' },
+                { value: 2, label: '200% (high-DPI)' }
+            ]
+        },
+        {
+            key: 'PARTICLE_DENSITY',
+            label: 'Particles',
+            type: 'select',
+            options: [
+                { value: null, label: 'Preset' },
+                { value: 0.3, label: 'Few' },
+                { value: 0.6, label: 'Some' },
+                { value: 1, label: 'All' }
+            ]
+        },
+        { key: 'MUSIC_VOLUME', label: 'Music volume', type: 'range', min: 0, max: 1, step: 0.05, percent: true },
+        { key: 'SFX_VOLUME', label: 'Effects volume', type: 'range', min: 0, max: 1, step: 0.05, percent: true },
+        { key: 'UI_VOLUME', label: 'Menu sounds volume', type: 'range', min: 0, max: 1, step: 0.05, percent: true },
+        { key: 'TURN_SENSITIVITY', label: 'Turn sensitivity', type: 'range', min: 0.5, max: 2, step: 0.05, percent: true },
+        {
+            key: 'CAMERA_MODE',
+            label: 'Camera',
+            type: 'select',
+            options: [
+                { value: 'follow', label: 'Follow' },
+                { value: 'chase', label: 'Low chase' },
+                { value: 'firstPerson', label: 'First person' }
+            ]
+        },
+        { key: 'SCREEN_SHAKE', label: 'Screen shake', type: 'range', min: 0, max: 1, step: 0.05, percent: true },
+        { key: 'FOV_EFFECTS', label: 'Speed zoom', type: 'range', min: 0, max: 1, step: 0.05, percent: true },
+        { key: 'SHOW_FPS', label: 'Show FPS counter', type: 'checkbox' }
+    ]
+};
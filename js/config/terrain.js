@@ -16,5 +16,18 @@ export const terrainConfig = {
             return DEFAULT_SEGMENTS_Y;
         }
         return getConfig('terrain.SEGMENTS_Y', DEFAULT_SEGMENTS_Y);
-    }
+    },
+
+    // Ground surfaces a level can lay out with SURFACE_REGIONS (see terrainGenerator.getSurfaceType).
+    // SPEED_FACTOR scales forward movement, TURN_FACTOR scales the turn rate, SLIDE_FACTOR scales
+    // sliding down steep slopes, and DRIFT is the share of the previous heading still carried one
+    // second after a turn (0 = full grip). COLOR tints the terrain; null keeps the level's color.
+    SURFACE_TYPES: {
+        normal: { SPEED_FACTOR: 1.0, TURN_FACTOR: 1.0, SLIDE_FACTOR: 1.0, DRIFT: 0, COLOR: null },
+        sand: { SPEED_FACTOR: 0.75, TURN_FACTOR: 1.0, SLIDE_FACTOR: 0.7, DRIFT: 0, COLOR: 0xE0C98F },
+        ice: { SPEED_FACTOR: 1.0, TURN_FACTOR: 1.0, SLIDE_FACTOR: 1.6, DRIFT: 0.08, COLOR: 0xB8E2F2 },
+        mud: { SPEED_FACTOR: 0.9, TURN_FACTOR: 0.5, SLIDE_FACTOR: 0.6, DRIFT: 0, COLOR: 0x6B4F36 }
+    },
+    SURFACE_TINT_STRENGTH: 0.75, // How far a surface's COLOR replaces the level's terrain color (0-1)
+    SURFACE_SPEED_TRANSITION: 4.0 // How quickly speed adapts when crossing into a new surface
 };
\ No newline at end of file
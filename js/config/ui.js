@@ -10,7 +10,23 @@ export const uiConfig = {
 
     SCORE_PREFIX: 'Score: ',
     HIGH_SCORE_PREFIX: 'High Score: ',
+    SEED_PREFIX: 'Seed: ',
+    // Run statistics on the game over screen, in display order
+    RUN_STAT_LABELS: {
+        distance: 'Distance',
+        timeSurvived: 'Time',
+        topSpeed: 'Top speed',
+        coins: 'Coins',
+        coinPoints: 'Coin points',
+        nearMisses: 'Near misses',
+        powerupsUsed: 'Power-ups'
+    },
+    LIFE_ICON: '\u2764', // Heart
+    SHIELD_ICON: '\u{1F6E1}', // Shield
+    GAMEPAD_ICON: '\u{1F3AE}', // Video game controller
+    GAMEPAD_TOAST_DURATION_MS: 3000,
     LOADING_TEXT_PREFIX: 'Loading... ',
     LOADING_TEXT_SUFFIX: '%',
-    LOCKED_LEVEL_TEXT: 'Locked - Complete previous levels to unlock'
+    LOCKED_LEVEL_TEXT: 'Locked - meet the requirements below to unlock',
+    UNLOCK_ANY_TEXT: 'Any one of:'
 };
\ No newline at end of file
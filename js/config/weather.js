@@ -0,0 +1,37 @@
+export const weatherConfig = {
+    DEFAULT_TRANSITION_SECONDS: 8, // For 'weather' elements without their own transition
+
+    /**
+     * Weather states, named by the schedule of a level's 'weather' element (see
+     * AtmosphericManager). A state leaves out whatever it doesn't change.
+     *
+     * - FOG:                 { NEAR, FAR } multiply the level's fog distances.
+     * - PARTICLES:           A particles.EMITTERS field kept around the player.
+     * - SOUND:               { LOOP, VOLUME }: LOOP names a loop in js/audio/weatherSounds.js,
+     *                        played on the SFX bus while the run is going. VOLUME is 0-1.
+     * - CROSSWIND:           { X, Z, SPEED, GUST, GUST_FREQUENCY } pushes the player along
+     *                        the world direction (X, Z) at SPEED units per second, swinging
+     *                        by GUST (a fraction of SPEED) GUST_FREQUENCY times a second.
+     * - ENEMY_AGGRO_FACTOR:  Multiplies how close enemies notice the player from.
+     */
+    STATES: {
+        clear: {},
+        rain: {
+            FOG: { NEAR: 0.6, FAR: 0.3 },
+            PARTICLES: 'rainField',
+            SOUND: { LOOP: 'rain', VOLUME: 0.35 }
+        },
+        sandstorm: {
+            FOG: { NEAR: 0.1, FAR: 0.15 },
+            PARTICLES: 'sandstormField',
+            SOUND: { LOOP: 'wind', VOLUME: 0.5 },
+            CROSSWIND: { X: 1, Z: 0.2, SPEED: 3, GUST: 0.6, GUST_FREQUENCY: 0.3 }
+        },
+        fogBank: {
+            FOG: { NEAR: 0.1, FAR: 0.09 },
+            PARTICLES: 'mistField',
+            SOUND: { LOOP: 'lowWind', VOLUME: 0.4 },
+            ENEMY_AGGRO_FACTOR: 0.5
+        }
+    }
+};
@@ -3,9 +3,16 @@ import configManager from '../utils/configManager.js'; // Import configManager
 
 const DEFAULT_RENDER_DISTANCE_CHUNKS = 3;
 const DEFAULT_MAX_OBJECTS_PER_CHUNK = 20;
+export const DEFAULT_WORLD_SEED = 'open-runner-seed';
 
 export const worldConfig = {
-    SEED: 'open-runner-seed',
+    // The active run seed. Set per run through seedManager; defaults to the classic course.
+    get SEED() {
+        if (!configManager.isInitialized()) {
+            return DEFAULT_WORLD_SEED;
+        }
+        return getConfig('world.SEED', DEFAULT_WORLD_SEED);
+    },
     CHUNK_SIZE: 100,
     get RENDER_DISTANCE_CHUNKS() {
         if (!configManager.isInitialized()) {
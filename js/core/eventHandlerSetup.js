@@ -1,14 +1,18 @@
 import * as THREE from 'three';
 import eventBus from './eventBus.js';
-import gameStateManager, { GameStates } from './gameStateManager.js';
+import gameStateManager, { GameStates, TITLE_MENU_STATES } from './gameStateManager.js';
 import { createLogger } from '../utils/logger.js';
-import { getConfig } from '../config/config.js';
 import { gameplayConfig } from '../config/gameplay.js';
+import { worldConfig } from '../config/world.js';
 import { grayMaterial } from '../entities/playerCharacter.js';
 import { playWaveFile, effectAudioMap } from '../managers/audioManager.js';
 import * as ScoreManager from '../managers/scoreManager.js';
 import * as LevelManager from '../managers/levelManager.js';
+import * as ProgressManager from '../managers/progressManager.js';
+import * as LeaderboardManager from '../managers/leaderboardManager.js';
+import * as RemoteLeaderboardManager from '../managers/remoteLeaderboardManager.js';
 import { initPlayerManager, getPlayerManager } from '../managers/playerManager.js';
+import replayManager from '../managers/replayManager.js';
 
 const logger = createLogger('EventHandlerSetup');
 
@@ -60,35 +64,36 @@ export function setupEventHandlers(dependencies) {
 
 
     eventBus.subscribe('scoreChanged', (scoreIncrement) => {
-
-        const oldScore = ScoreManager.getCurrentScore();
-
-
         ScoreManager.updateCurrentScore(scoreIncrement);
+    });
 
-
+    // The score also grows with distance, so the level threshold is checked on every score update
+    let levelTransitionPending = false;
+    eventBus.subscribe('currentScoreUpdated', ({ score: currentScore }) => {
         const currentLevelId = levelManager.getCurrentLevelId();
-        const currentScore = ScoreManager.getCurrentScore();
-        const transitionScore = getConfig('LEVEL1_TRANSITION_SCORE', 300);
+        const nextLevel = levelManager.getLevelManifest(currentLevelId)?.nextLevel;
         const currentState = gameStateManager.getCurrentState();
 
 
-        if (currentLevelId === 'level1' && currentState === GameStates.PLAYING) {
+        // A replay moves on at the frame it was recorded on instead (see the game loop)
+        if (nextLevel && currentState === GameStates.PLAYING && !levelTransitionPending && !replayManager.isPlayingBack()) {
 
-            if (currentScore >= transitionScore) {
-                logger.info(`Score threshold reached (${currentScore}/${transitionScore}), transitioning to level2`);
+            if (currentScore >= nextLevel.score) {
+                logger.info(`Score threshold reached (${currentScore}/${nextLevel.score}), transitioning to ${nextLevel.levelId}`);
 
 
                 // Schedule a potential level transition.
                 // The 100ms delay allows current event processing to complete and provides a brief pause.
                 // Actual transition logic is delegated to the 'requestLevelTransition' event handler for robustness.
+                levelTransitionPending = true;
                 setTimeout(() => {
+                    levelTransitionPending = false;
                     // Re-check game state at the time of execution
                     if (gameStateManager.getCurrentState() === GameStates.PLAYING) {
-                        logger.info('Score threshold delay complete, emitting requestLevelTransition for level2.');
-                        eventBus.emit('requestLevelTransition', 'level2');
+                        logger.info(`Score threshold delay complete, emitting requestLevelTransition for ${nextLevel.levelId}.`);
+                        eventBus.emit('requestLevelTransition', nextLevel.levelId);
                     } else {
-                        logger.warn(`Level transition to level2 aborted. Game state was ${gameStateManager.getCurrentState()} after delay, not PLAYING.`);
+                        logger.warn(`Level transition to ${nextLevel.levelId} aborted. Game state was ${gameStateManager.getCurrentState()} after delay, not PLAYING.`);
                     }
                 }, 100);
             }
@@ -99,14 +104,28 @@ export function setupEventHandlers(dependencies) {
     // eventBus.subscribe('powerupActivated') is now handled by PlayerManager
     // eventBus.subscribe('resetPowerups') is now handled by PlayerManager
 
-    eventBus.subscribe('playerDied', () => {
+    eventBus.subscribe('playerDied', (cause) => {
         logger.info("Player Died event received.");
         const currentLevelId = levelManager.getCurrentLevelId();
         const currentScore = ScoreManager.getCurrentScore(); // Use imported module
-        
-        // Pass true as the third parameter to emit the new high score event only at game over
-        const isNewHighScore = scoreManager.updateHighScore(currentScore, currentLevelId, true);
+        const seed = worldConfig.SEED;
+
+        // Pass true as the third parameter to emit the new high score event only at game over.
+        // Passing the run also submits it to the remote leaderboard, under the last name entered;
+        // the game over screen can rename it. Replayed runs never count towards high scores.
+        const submitRemotely = !replayManager.isPlayingBack() && currentScore > 0 &&
+            RemoteLeaderboardManager.isEnabled();
+        const isNewHighScore = replayManager.isPlayingBack()
+            ? false
+            : scoreManager.updateHighScore(currentScore, currentLevelId, true, seed, submitRemotely
+                ? { name: LeaderboardManager.getPlayerName(), distance: player.runDistance, cause: cause ?? 'unknown' }
+                : null);
         const highScore = scoreManager.getLevelHighScore(currentLevelId);
+        const stats = ScoreManager.getRunStats();
+        const qualifiesForLeaderboard = !replayManager.isPlayingBack() &&
+            LeaderboardManager.qualifies(currentLevelId, currentScore);
+        const newBestStats = replayManager.isPlayingBack() ? [] : ScoreManager.commitRunStats(currentLevelId);
+        ProgressManager.commitRun(currentLevelId, player.runDistance);
 
         gameStateManager.setGameState(GameStates.GAME_OVER);
 
@@ -117,7 +136,19 @@ export function setupEventHandlers(dependencies) {
             score: currentScore,
             highScore: highScore,
             levelId: currentLevelId,
-            isNewHighScore: isNewHighScore
+            isNewHighScore: isNewHighScore,
+            seed: seed,
+            stats: stats,
+            breakdown: ScoreManager.getScoreBreakdown(stats),
+            bestStats: ScoreManager.getLevelBestStats(currentLevelId),
+            newBestStats: newBestStats,
+            // The UI asks for a name, then adds the entry to the local leaderboard if the run
+            // made it and renames the remote submission if the name changed
+            leaderboardRun: qualifiesForLeaderboard || submitRemotely
+                ? { score: currentScore, seed: seed, distance: player.runDistance, cause: cause ?? 'unknown' }
+                : null,
+            qualifiesForLeaderboard: qualifiesForLeaderboard,
+            remoteSubmission: submitRemotely ? RemoteLeaderboardManager.getLastSubmission() : null
         });
     });
 
@@ -131,8 +162,9 @@ export function setupEventHandlers(dependencies) {
                 uiManager.updateScoreDisplay(0, false);
             }
 
-            // Reset powerups through PlayerManager
+            // Reset powerups and health through PlayerManager
             playerManager.resetPowerups();
+            playerManager.resetHealth();
         } else if (newState === GameStates.PLAYING) {
         }
     });
@@ -140,6 +172,14 @@ export function setupEventHandlers(dependencies) {
     eventBus.subscribe('requestLevelTransition', (levelId) => {
         logger.info(`Received requestLevelTransition event for: ${levelId}`);
         try {
+            // A mid-run transition ends this level's part of the run
+            if (gameStateManager.getCurrentState() === GameStates.PLAYING) {
+                if (!replayManager.isPlayingBack()) {
+                    ScoreManager.commitRunStats(levelManager.getCurrentLevelId());
+                }
+                ProgressManager.commitRun(levelManager.getCurrentLevelId(), player.runDistance);
+                replayManager.continueRun(levelId);
+            }
 
             gameStateManager.setGameState(GameStates.LEVEL_TRANSITION);
 
@@ -227,8 +267,9 @@ export function setupEventHandlers(dependencies) {
         // clear powerups
         playerManager.resetPowerups();
 
-        // Only start camera transition if NOT coming from LEVEL_SELECT
-        if (currentState !== GameStates.LEVEL_SELECT) {
+        // Only start camera transition if NOT coming from a title menu screen
+        const fromTitleMenu = TITLE_MENU_STATES.includes(currentState);
+        if (!fromTitleMenu) {
             cameraManager.startTransitionToTitle(cameraManager.getCamera().position, cameraManager.getCamera().quaternion);
         }
 
@@ -238,7 +279,7 @@ export function setupEventHandlers(dependencies) {
         }
 
         // Set appropriate state
-        if (currentState === GameStates.LEVEL_SELECT) {
+        if (fromTitleMenu) {
             gameStateManager.setGameState(GameStates.TITLE);
         } else {
             gameStateManager.setGameState(GameStates.TRANSITIONING_TO_TITLE);
@@ -254,6 +295,24 @@ export function setupEventHandlers(dependencies) {
         gameStateManager.setGameState(GameStates.LEVEL_SELECT);
     });
 
+    eventBus.subscribe('requestShowLeaderboard', () => {
+        logger.info("Received requestShowLeaderboard event");
+        if (sceneTransitionManager.getIsTransitioning() || cameraManager.getIsTransitioning()) {
+            logger.warn("Cannot show leaderboard: Transition in progress.");
+            return;
+        }
+        gameStateManager.setGameState(GameStates.LEADERBOARD);
+    });
+
+    eventBus.subscribe('requestShowAchievements', () => {
+        logger.info("Received requestShowAchievements event");
+        if (sceneTransitionManager.getIsTransitioning() || cameraManager.getIsTransitioning()) {
+            logger.warn("Cannot show achievements: Transition in progress.");
+            return;
+        }
+        gameStateManager.setGameState(GameStates.ACHIEVEMENTS);
+    });
+
 
     eventBus.subscribe('cameraTransitionComplete', (transitionType) => {
         if (transitionType === 'toTitle') {
@@ -1,26 +1,32 @@
 import * as THREE from 'three';
 import eventBus from './eventBus.js';
-import gameStateManager, { GameStates } from './gameStateManager.js';
+import gameStateManager, { GameStates, TITLE_MENU_STATES } from './gameStateManager.js';
 import { initializeGame } from './gameInitializer.js';
 import { setupEventHandlers } from './eventHandlerSetup.js';
 import { updateGameplay } from './gameplayUpdater.js';
 import { createLogger } from '../utils/logger.js';
-import { updateFpsCounter } from '../rendering/sceneSetup.js';
+import { updateFpsCounter, applyShadowSetting } from '../rendering/sceneSetup.js';
 import { performanceManager } from '../config/config.js';
-import { controlsConfig } from '../config/controls.js';
-import configManager, { getConfig } from '../config/config.js';
+import { getConfig } from '../config/config.js';
 import { playerConfig } from '../config/player.js';
 import { worldConfig } from '../config/world.js';
-import { gameplayConfig } from '../config/gameplay.js';
 import { resetInputStates, initInputStateManager } from '../input/controlsSetup.js';
+import { InputActions, InputDevices, getActionForInput } from '../input/inputBindings.js';
+import { pollGamepads } from '../input/gamepadInput.js';
 import { updateMobileControlsVisibility } from '../utils/deviceUtils.js';
 import * as ScoreManager from '../managers/scoreManager.js';
 import * as LevelManager from '../managers/levelManager.js';
 import * as UIManager from '../managers/uiManager.js';
+import * as SeedManager from '../managers/seedManager.js';
+import * as SettingsManager from '../managers/settingsManager.js';
+import * as SpatialAudioManager from '../managers/spatialAudioManager.js';
 import { initPlayerManager, getPlayerManager } from '../managers/playerManager.js';
+import { getPowerupDefinition } from '../powerups/powerupRegistry.js';
 import cameraManager from '../managers/cameraManager.js';
 import sceneTransitionManager from '../managers/sceneTransitionManager.js';
 import atmosphericManager from '../managers/atmosphericManager.js';
+import replayManager from '../managers/replayManager.js';
+import * as LeaderboardManager from '../managers/leaderboardManager.js';
 import { initScene } from '../rendering/sceneSetup.js';
 import { SpatialGrid } from '../physics/spatialGrid.js';
 import { EnemyManager } from '../managers/enemyManager.js';
@@ -117,6 +123,7 @@ class Game {
         // Initialize PlayerManager
         this.playerManager = initPlayerManager(this.player);
         logger.info("PlayerManager initialized");
+        replayManager.setPlayer(this.player);
 
         // Setup event subscriptions after all components are initialized
         this._setupEventSubscriptions();
@@ -125,24 +132,14 @@ class Game {
         this.resizeHandler = () => this.cameraManager.handleResize();
         window.addEventListener('resize', this.resizeHandler, false);
 
-        // FPS toggle listener
-        this.fpsToggleHandler = (event) => {
-            if (event.key.toLowerCase() === controlsConfig.KEY_TOGGLE_FPS) {
-                const newFpsState = !configManager.get('debug.showFPS');
-                configManager.updateConfig('debug', { SHOW_FPS: newFpsState });
-                if (this.fpsCounter) {
-                    this.fpsCounter.style.display = newFpsState ? 'block' : 'none';
-                }
-            }
-        };
-        document.addEventListener('keydown', this.fpsToggleHandler);
         // Global key listener for game actions
         this.boundHandleGlobalKeys = this.handleGlobalKeys.bind(this);
         document.removeEventListener('keydown', this.boundHandleGlobalKeys); // Prevent duplicates
         document.addEventListener('keydown', this.boundHandleGlobalKeys);
+        eventBus.subscribe('gamepadAction', (action) => this.handleGlobalAction(action));
 
         // Setup UI Button Listeners
-        this.uiManager.setupStartButton(() => this.startGame('level1'));
+        this.uiManager.setupStartButton(() => this.startGame(LevelManager.getDefaultLevelId()));
         this.uiManager.setupBackToTitleButton(() => this.gameStateManager.requestReturnToTitle());
         this.uiManager.setupLevelSelectButton(() => this.gameStateManager.requestShowLevelSelect());
         this.uiManager.setupPauseMenuButtons(
@@ -154,6 +151,23 @@ class Game {
             () => this.gameStateManager.requestRestart(),
             () => this.gameStateManager.requestReturnToTitle()
         );
+        this.uiManager.setupSeedControls((mode, customSeed) => SeedManager.setSeedMode(mode, customSeed));
+        this.uiManager.setupReplayButtons(
+            () => this.watchLastReplay(),
+            () => this.saveLastReplay(),
+            (json) => this.loadReplayFromText(json)
+        );
+        this.uiManager.setupLeaderboardButtons(
+            () => this.gameStateManager.requestShowLeaderboard(),
+            () => this.gameStateManager.requestReturnToTitle(),
+            () => this.exportLeaderboard(),
+            (json) => this.importLeaderboardFromText(json)
+        );
+        this.uiManager.setupAchievementsButtons(
+            () => this.gameStateManager.requestShowAchievements(),
+            () => this.gameStateManager.requestReturnToTitle()
+        );
+        this.uiManager.setupSettingsScreen();
 
         logger.info("Game instance initialized successfully.");
         return true;
@@ -180,323 +194,43 @@ class Game {
             // Removed score/timer getters/setters
         });
 
-        // Event listeners for powerup effects
-        eventBus.subscribe('applyPowerupEffect', ({ type, player }) => {
-            logger.debug(`[Game.js] applyPowerupEffect event received. Type: ${type}, Player ID: ${player?.id}`);
-            if (type === gameplayConfig.POWERUP_TYPE_MAGNET && player && player.model) {
-                logger.info(`Applying ${type} powerup visual effect to player`);
-                logger.debug(`[Game.js] gameplayConfig.POWERUP_TYPE_MAGNET: ${gameplayConfig.POWERUP_TYPE_MAGNET}`);
-                logger.debug(`[Game.js] gameplayConfig.MAGNET_EFFECT_COLOR: ${gameplayConfig.MAGNET_EFFECT_COLOR?.toString(16)}`);
-
-                // Ensure userData exists
-                if (!player.userData) {
-                    player.userData = {};
-                    logger.debug("Created userData object for player");
-                }
-
-                // Create a new material for the magnet powerup effect
-                const magnetMaterial = new THREE.MeshStandardMaterial({
-                    color: gameplayConfig.MAGNET_EFFECT_COLOR,
-                    emissive: gameplayConfig.MAGNET_EFFECT_EMISSIVE,
-                    metalness: gameplayConfig.MAGNET_EFFECT_METALNESS,
-                    roughness: gameplayConfig.MAGNET_EFFECT_ROUGHNESS
-                });
-                if (!player.model.userData) player.model.userData = {}; // Ensure userData exists
-                player.model.userData.effectMaterial_magnet = magnetMaterial; // Store for disposal on the model's userData
-                logger.debug(`[Game.js] Stored magnetMaterial on player.model.userData.effectMaterial_magnet`);
-
-                // Apply the material to all meshes in the player model
-                let meshFound = false;
-                player.model.traverse(child => {
-                    if (child instanceof THREE.Mesh) {
-                        meshFound = true; // Keep this from my commit
-                        // Ensure child userData exists (from HEAD)
-                        if (!child.userData) {
-                            child.userData = {};
-                        }
-                        logger.debug(`[Game.js] Applying magnet material to mesh: ${child.name || child.id}. Original material: ${child.material?.uuid}`); // Keep this from my commit
-                        // Store the original material if not already stored
-                        // if (!child.userData) child.userData = {}; // This line is redundant now due to the check above
-                        if (!child.userData.originalMaterial) {
-                            child.userData.originalMaterial = child.material;
-                            logger.debug(`[Game.js] Stored original material ${child.userData.originalMaterial?.uuid} for mesh ${child.name || child.id}`);
-                        }
-                        // Retrieve from player.model.userData
-                        if (player.model.userData && player.model.userData.effectMaterial_magnet) {
-                            child.material = player.model.userData.effectMaterial_magnet;
-                            logger.debug(`[Game.js] New material ${child.material?.uuid} applied to mesh ${child.name || child.id}`);
-                        } else {
-                            logger.error(`[Game.js] Magnet material missing on player.model.userData when trying to apply to mesh ${child.name || child.id}`);
-                        }
-                    }
-                });
-                if (!meshFound) {
-                    logger.warn(`[Game.js] No THREE.Mesh found in player model to apply magnet material.`);
-                }
-            } else if (type === gameplayConfig.POWERUP_TYPE_DOUBLER && player && player.model) {
-                logger.info(`Applying ${type} powerup visual effect to player`);
-
-                // Ensure userData exists
-                if (!player.userData) {
-                    player.userData = {};
-                    logger.debug("Created userData object for player");
-                }
-
-                // Create a new material for the doubler powerup effect (applied to player model)
-                const doublerPlayerEffectMaterial = new THREE.MeshStandardMaterial({
-                    color: gameplayConfig.DOUBLER_EFFECT_COLOR,
-                    emissive: gameplayConfig.DOUBLER_EFFECT_EMISSIVE,
-                    metalness: gameplayConfig.DOUBLER_EFFECT_METALNESS,
-                    roughness: gameplayConfig.DOUBLER_EFFECT_ROUGHNESS
-                });
-                if (!player.model.userData) player.model.userData = {}; // Ensure userData exists
-                player.model.userData.effectMaterial_doubler_player = doublerPlayerEffectMaterial; // Store for disposal
+        // Quality changes, from the settings screen or adaptive quality, reach the live renderer and world
+        eventBus.subscribe('performanceSettingsChanged', (settings) => this._applyPerformanceSettings(settings));
 
-                // Apply the material to all meshes in the player model
-                player.model.traverse(child => {
-                    if (child instanceof THREE.Mesh) {
-                        // Ensure child userData exists
-                        if (!child.userData) {
-                            child.userData = {};
-                        }
-                        // Store the original material if not already stored
-                        if (!child.userData) child.userData = {}; // Ensure child's own userData exists
-                        if (!child.userData.originalMaterial) {
-                            child.userData.originalMaterial = child.material;
-                        }
-                        // Retrieve from player.model.userData
-                        if (player.model.userData && player.model.userData.effectMaterial_doubler_player) {
-                            child.material = player.model.userData.effectMaterial_doubler_player;
-                        } else {
-                            logger.error(`[Game.js] Doubler material missing on player.model.userData when trying to apply to mesh ${child.name || child.id}`);
-                        }
-                    }
-                });
-                
-                // Create a visual indicator for the doubler powerup
-                if (!player.doublerIndicator) {
-                    player.doublerIndicator = new THREE.Group();
-                    
-                    // Create a material for the X indicator
-                    const xMaterial = new THREE.MeshStandardMaterial({
-                        color: gameplayConfig.DOUBLER_EFFECT_COLOR,
-                        emissive: gameplayConfig.DOUBLER_EFFECT_EMISSIVE,
-                        metalness: 0.8,
-                        roughness: 0.1
-                    });
-                    
-                    // Create a floating X above the player's head
-                    const indicatorSize = 0.3;
-                    const indicatorHeight = 2.0; // Height above player
-                    
-                    // Create a background disc for the X
-                    const bgGeometry = new THREE.CylinderGeometry(indicatorSize * 1.2, indicatorSize * 1.2, 0.05, 16);
-                    bgGeometry.rotateX(Math.PI / 2);
-                    const bgMaterial = new THREE.MeshStandardMaterial({
-                        color: 0x000033, // Dark blue background
-                        transparent: true,
-                        opacity: 0.6
-                    });
-                    const bgMesh = new THREE.Mesh(bgGeometry, bgMaterial);
-                    
-                    // First diagonal of X (top-left to bottom-right)
-                    const diag1Geometry = new THREE.BoxGeometry(indicatorSize * 0.15, indicatorSize * 1.4, 0.05);
-                    const diag1 = new THREE.Mesh(diag1Geometry, xMaterial);
-                    diag1.rotation.z = Math.PI / 4; // 45-degree angle
-                    diag1.position.z = 0.03; // Slightly in front of the background
-                    
-                    // Second diagonal of X (top-right to bottom-left)
-                    const diag2Geometry = new THREE.BoxGeometry(indicatorSize * 0.15, indicatorSize * 1.4, 0.05);
-                    const diag2 = new THREE.Mesh(diag2Geometry, xMaterial);
-                    diag2.rotation.z = -Math.PI / 4; // -45-degree angle
-                    diag2.position.z = 0.03; // Slightly in front of the background
-                    
-                    // Add all parts to the indicator group
-                    player.doublerIndicator.add(bgMesh);
-                    player.doublerIndicator.add(diag1);
-                    player.doublerIndicator.add(diag2);
-                    
-                    // Position the indicator above the player's head
-                    player.doublerIndicator.position.set(0, indicatorHeight, 0);
-                    
-                    // Add to player model so it moves with the player
-                    player.model.add(player.doublerIndicator);
-                }
-            } else if (type === gameplayConfig.POWERUP_TYPE_INVISIBILITY && player && player.model) {
+        // Powerup visuals are declared by each powerup's definition (see js/powerups)
+        eventBus.subscribe('applyPowerupEffect', ({ type, player }) => {
+            const definition = getPowerupDefinition(type);
+            if (definition?.applyVisual && player && player.model) {
                 logger.info(`Applying ${type} powerup visual effect to player`);
-
-                // Ensure userData exists
-                if (!player.userData) {
-                    player.userData = {};
-                    logger.debug("Created userData object for player");
-                }
-
-                // Create a new material for the invisibility powerup effect
-                const invisibilityMaterial = new THREE.MeshStandardMaterial({
-                    color: gameplayConfig.INVISIBILITY_EFFECT_COLOR,
-                    emissive: gameplayConfig.INVISIBILITY_EFFECT_EMISSIVE,
-                    metalness: gameplayConfig.INVISIBILITY_EFFECT_METALNESS,
-                    roughness: gameplayConfig.INVISIBILITY_EFFECT_ROUGHNESS,
-                    transparent: true,
-                    opacity: gameplayConfig.INVISIBILITY_EFFECT_OPACITY
-                });
-                // Use player.model.userData for consistency (my commit's logic)
-                if (!player.model.userData) player.model.userData = {};
-                player.model.userData.effectMaterial_invisibility = invisibilityMaterial;
-                
-                // Apply the material to all meshes in the player model
-                player.model.traverse(child => {
-                    if (child instanceof THREE.Mesh) {
-                        // Ensure child userData exists
-                        if (!child.userData) {
-                            child.userData = {};
-                        }
-                        // Store the original material if not already stored
-                        if (!child.userData) child.userData = {}; // Ensure child's own userData exists
-                        if (!child.userData.originalMaterial) {
-                            child.userData.originalMaterial = child.material;
-                        }
-                        // Retrieve from player.model.userData
-                        if (player.model.userData && player.model.userData.effectMaterial_invisibility) {
-                            child.material = player.model.userData.effectMaterial_invisibility;
-                        } else {
-                            logger.error(`[Game.js] Invisibility material missing on player.model.userData when trying to apply to mesh ${child.name || child.id}`);
-                        }
-                    }
-                });
+                definition.applyVisual(player);
             }
         });
 
         eventBus.subscribe('removePowerupEffect', ({ type, player }) => {
-            if (type === gameplayConfig.POWERUP_TYPE_MAGNET && player && player.model) {
-                logger.info(`Removing ${type} powerup visual effect from player`);
-
-                // Restore original materials
-                player.model.traverse(child => {
-                    if (child instanceof THREE.Mesh && child.userData && child.userData.originalMaterial) {
-                        child.material = child.userData.originalMaterial;
-                        // Clear the stored material reference
-                        delete child.userData.originalMaterial;
-                    }
-                });
-
-                // Dispose of the effect material
-                // Use player.model.userData for consistency (my commit's logic)
-                if (player.model.userData && player.model.userData.effectMaterial_magnet) {
-                    logger.debug("Disposing magnet effect material from player model.");
-                    player.model.userData.effectMaterial_magnet.dispose();
-                    delete player.model.userData.effectMaterial_magnet;
-                }
-            } else if (type === gameplayConfig.POWERUP_TYPE_DOUBLER && player && player.model) {
-                logger.info(`Removing ${type} powerup visual effect from player`);
-
-                // Restore original materials on the player model
-                player.model.traverse(child => {
-                    // Code is identical, keep one version
-                    if (child instanceof THREE.Mesh && child.userData && child.userData.originalMaterial) {
-                        child.material = child.userData.originalMaterial;
-                        // Clear the stored material reference
-                        delete child.userData.originalMaterial;
-                    }
-                });
-
-                // Dispose of the player effect material for doubler
-                // Use player.model.userData for consistency (my commit's logic)
-                if (player.model.userData && player.model.userData.effectMaterial_doubler_player) {
-                    logger.debug("Disposing doubler player effect material.");
-                    player.model.userData.effectMaterial_doubler_player.dispose();
-                    delete player.model.userData.effectMaterial_doubler_player;
-                }
-                
-                // Remove the doubler indicator
-                if (player.doublerIndicator) {
-                    player.model.remove(player.doublerIndicator);
-                    
-                    // Dispose geometries and materials
-                    player.doublerIndicator.traverse(child => {
-                        if (child instanceof THREE.Mesh) {
-                            if (child.geometry) child.geometry.dispose();
-                            if (child.material) {
-                                if (Array.isArray(child.material)) {
-                                    child.material.forEach(m => m.dispose());
-                                } else {
-                                    child.material.dispose();
-                                }
-                            }
-                        }
-                    });
-                    
-                    player.doublerIndicator = null;
-                }
-            } else if (type === gameplayConfig.POWERUP_TYPE_INVISIBILITY && player && player.model) {
+            const definition = getPowerupDefinition(type);
+            if (definition?.removeVisual && player && player.model) {
                 logger.info(`Removing ${type} powerup visual effect from player`);
+                definition.removeVisual(player);
+            }
+        });
+    }
 
-                // Restore original materials
-                player.model.traverse(child => {
-                    if (child instanceof THREE.Mesh && child.userData && child.userData.originalMaterial) {
-                        child.material = child.userData.originalMaterial;
-                        // Clear the stored material reference
-                        delete child.userData.originalMaterial;
-                    }
+    /**
+     * Applies performance settings that only take effect at creation time to the renderer,
+     * scenes and chunk manager that already exist.
+     * @param {object} settings - The performanceManager settings.
+     * @private
+     */
+    _applyPerformanceSettings(settings) {
+        if (this.renderer) {
+            this.renderer.setPixelRatio(settings.pixelRatio);
+            if (this.renderer.shadowMap.enabled !== settings.shadowsEnabled) {
+                new Set([this.scene, this.gameplayScene].filter(Boolean)).forEach(scene => {
+                    applyShadowSetting(this.renderer, scene, settings.shadowsEnabled);
                 });
-
-                // Dispose of the effect material
-                // Use player.model.userData for consistency (my commit's logic)
-                if (player.model.userData && player.model.userData.effectMaterial_invisibility) {
-                    logger.debug("Disposing invisibility effect material from player.");
-                    player.model.userData.effectMaterial_invisibility.dispose();
-                    delete player.model.userData.effectMaterial_invisibility;
-                }
-                
-                // Remove the invisibility indicator
-                if (player.invisibilityIndicator) {
-                    player.model.remove(player.invisibilityIndicator);
-                    
-                    // Dispose geometries and materials
-                    player.invisibilityIndicator.traverse(child => {
-                        if (child instanceof THREE.Mesh) {
-                            if (child.geometry) child.geometry.dispose();
-                            if (child.material) {
-                                if (Array.isArray(child.material)) {
-                                    child.material.forEach(m => m.dispose());
-                                } else {
-                                    child.material.dispose();
-                                }
-                            }
-                        }
-                    });
-                    
-                    player.invisibilityIndicator = null;
-                }
-                
-                // Remove particle effect
-                if (player.invisibilityEffect) {
-                    player.model.remove(player.invisibilityEffect);
-                    
-                    // Dispose geometries and materials
-                    player.invisibilityEffect.traverse(child => {
-                        if (child instanceof THREE.Mesh) {
-                            if (child.geometry) child.geometry.dispose();
-                            if (child.material) {
-                                if (Array.isArray(child.material)) {
-                                    child.material.forEach(m => m.dispose());
-                                } else {
-                                    child.material.dispose();
-                                }
-                            }
-                        }
-                    });
-                    
-                    player.invisibilityEffect = null;
-                    
-                    // Unsubscribe from update event
-                    if (player.invisibilityEffectUpdateHandler) {
-                        eventBus.unsubscribe('gameLoopUpdate', player.invisibilityEffectUpdateHandler);
-                        player.invisibilityEffectUpdateHandler = null;
-                    }
-                }
             }
-        });
+        }
+        this.chunkManager?.setRenderDistance(settings.renderDistance);
     }
 
     /**
@@ -522,6 +256,8 @@ class Game {
         deltaTime = Math.min(deltaTime, getConfig('MAX_DELTA_TIME', 1 / 15));
 
         const elapsedTime = this.clock.getElapsedTime();
+        // Gamepads have no events for buttons, so they're read before anything samples input
+        pollGamepads();
         const currentState = this.gameStateManager.getCurrentState();
 
         performanceManager.updateFps();
@@ -532,8 +268,18 @@ class Game {
         // Update camera manager
         logger.debug(`Updating camera manager with state: ${currentState}`);
         this.cameraManager.update(deltaTime, currentState, this.player);
-
-        if (currentState === GameStates.PLAYING) {
+        SpatialAudioManager.update(this.cameraManager.getCamera());
+
+        const replayLevelSwitch = currentState === GameStates.PLAYING ? replayManager.takeDueLevelSwitch() : null;
+        if (replayLevelSwitch) {
+            // The replayed run moved on to the next level before this frame
+            eventBus.emit('requestLevelTransition', replayLevelSwitch);
+        } else if (currentState === GameStates.PLAYING) {
+            // The replay manager records live frames or substitutes recorded ones during playback.
+            // Gameplay receives run-relative time so a replayed run sees identical inputs.
+            // The recorded frame time is unscaled; slow-mo is reapplied from the run's own state.
+            const frame = replayManager.nextFrame(deltaTime);
+            const gameplayDeltaTime = frame.deltaTime * (getPlayerManager()?.getTimeScale() ?? 1);
             updateGameplay(
                 {
                     player: this.player,
@@ -543,12 +289,17 @@ class Game {
                     particleManager: this.particleManager,
                     collisionChecker: this.collisionChecker,
                     atmosphericManager: this.atmosphericManager,
-                    playerAnimationTime: this.playerAnimationTime
+                    playerAnimationTime: this.playerAnimationTime,
+                    inputState: frame.inputState,
+                    inputDeltaTime: frame.deltaTime
                 },
-                deltaTime,
-                elapsedTime
+                gameplayDeltaTime,
+                this.playerAnimationTime
             );
-            this.playerAnimationTime += deltaTime;
+            this.playerAnimationTime += gameplayDeltaTime;
+        } else if (currentState === GameStates.GAME_OVER) {
+            // Lets the death explosion play out behind the game over screen
+            this.particleManager?.update(deltaTime);
         }
 
         this.sceneTransitionManager.update(deltaTime, elapsedTime);
@@ -590,11 +341,6 @@ class Game {
             this.resizeHandler = null;
             logger.debug("Resize handler removed.");
         }
-        if (this.fpsToggleHandler) {
-            document.removeEventListener('keydown', this.fpsToggleHandler);
-            this.fpsToggleHandler = null;
-            logger.debug("FPS toggle handler removed.");
-        }
         if (this.boundHandleGlobalKeys) {
             document.removeEventListener('keydown', this.boundHandleGlobalKeys);
             this.boundHandleGlobalKeys = null; // No need to unbind, just nullify
@@ -897,6 +643,9 @@ class Game {
                 this.currentLevelConfig = this.levelManager.getCurrentConfig();
             }
 
+            // Start recording (or playback) before chunks spawn enemies so they share the run's RNG seed
+            replayManager.beginRun(levelId);
+
             // Initialize Assets, Scene, Player, Chunks
             await this.assetManager.initLevelAssets(this.currentLevelConfig);
             // Setup all atmospheric effects, including background, fog, lighting, and elements
@@ -913,7 +662,17 @@ class Game {
                 this.player.model.position.set(playerConfig.INITIAL_POS_X, playerConfig.INITIAL_POS_Y, playerConfig.INITIAL_POS_Z);
                 this.player.model.rotation.set(0, 0, 0);
                 this.player.currentSpeed = playerConfig.SPEED;
-                this.player.powerup = '';
+                this.player.verticalVelocity = 0;
+                this.player.isSliding = false;
+                this.player.runDistance = 0;
+                this.player.isAirborne = false;
+                this.player.isDucking = false;
+                this.player.duckScale = 1;
+                this.player.surfaceType = 'normal';
+                this.player.surfaceSpeedFactor = 1;
+                this.player.speedMultiplier = 1;
+                this.player.moveDirection = null;
+                this.player.model.scale.y = 1;
                 if (this.gameplayScene) {
                     if (this.player.model.parent !== this.gameplayScene) {
                         this.gameplayScene.add(this.player.model);
@@ -933,9 +692,10 @@ class Game {
             // The 'currentScoreUpdated' event is now emitted by ScoreManager.resetCurrentScore
             this.playerAnimationTime = 0;
             
-            // Reset powerups through PlayerManager
+            // Reset powerups and lives through PlayerManager
             if (this.playerManager) {
                 this.playerManager.resetPowerups();
+                this.playerManager.resetHealth();
             }
 
             // Load initial chunks
@@ -959,6 +719,94 @@ class Game {
 
 
 
+    // --- Replays ---
+
+    /**
+     * Plays back a replay by restarting its level with recorded input.
+     * @param {object} replay - Replay data from the ReplayManager.
+     * @returns {Promise<void>}
+     */
+    async startReplay(replay) {
+        if (!replayManager.armPlayback(replay)) {
+            this.uiManager.displayError(new Error("Replay data is invalid and cannot be played."));
+            return;
+        }
+        // Replays carry their own course; the player's seed selection is restored on the title screen
+        SeedManager.applySeed(replay.seed);
+        this.uiManager.showReplayNotification(`Playing replay (${replay.levelId}, seed ${replay.seed})`);
+        await this.startGame(replay.levelId);
+    }
+
+    /**
+     * Plays back the most recently recorded run.
+     */
+    async watchLastReplay() {
+        const replay = replayManager.getLastReplay();
+        if (!replay) {
+            this.uiManager.showReplayNotification("No replay recorded yet");
+            return;
+        }
+        try {
+            await this.startReplay(replay);
+        } catch (error) {
+            logger.error("Failed to play replay:", error);
+            this.uiManager.displayError(error);
+        }
+    }
+
+    /**
+     * Downloads the most recently recorded run as a JSON file.
+     */
+    saveLastReplay() {
+        const json = replayManager.exportLastReplay();
+        if (!json) {
+            this.uiManager.showReplayNotification("No replay recorded yet");
+            return;
+        }
+        const replay = replayManager.getLastReplay();
+        const stamp = replay.recordedAt.replace(/[:.]/g, '-');
+        this.uiManager.downloadTextFile(`open-runner-${replay.levelId}-${stamp}.json`, json);
+    }
+
+    /**
+     * Parses a replay file and plays it back.
+     * @param {string} json - Contents of a replay file.
+     */
+    async loadReplayFromText(json) {
+        try {
+            await this.startReplay(replayManager.parseReplay(json));
+        } catch (error) {
+            logger.error("Failed to load replay:", error);
+            this.uiManager.displayError(error);
+        }
+    }
+
+    // --- Leaderboard ---
+
+    /**
+     * Offers every level's leaderboard as a JSON download.
+     */
+    exportLeaderboard() {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.uiManager.downloadTextFile(`open-runner-leaderboard-${stamp}.json`, LeaderboardManager.exportLeaderboards());
+    }
+
+    /**
+     * Merges a leaderboard file into the local leaderboards.
+     * @param {string} json - Contents of a leaderboard file.
+     */
+    importLeaderboardFromText(json) {
+        try {
+            const added = LeaderboardManager.importLeaderboards(json);
+            this.uiManager.showLeaderboardNotification(
+                added > 0 ? `Imported ${added} leaderboard ${added === 1 ? 'entry' : 'entries'}` : "No new leaderboard entries to import"
+            );
+        } catch (error) {
+            logger.error("Failed to import leaderboard:", error);
+            this.uiManager.displayError(error);
+        }
+    }
+
      // --- Input Handling ---
      /**
       * Handles global keydown events for actions like pausing, resuming, restarting, etc.
@@ -966,28 +814,59 @@ class Game {
       * @private
       */
      handleGlobalKeys(event) {
+        const action = getActionForInput(InputDevices.KEYBOARD, event.code);
+        logger.debug(`Key pressed: ${event.code} (${action ?? 'unbound'}) in state: ${this.gameStateManager.getCurrentState()}`);
+        if (action) {
+            this.handleGlobalAction(action);
+        }
+    }
+
+     /**
+      * Carries out a global action from a key or gamepad button, if it applies to the current
+      * state. Gameplay actions are sampled by controlsSetup instead and are ignored here.
+      * @param {string} action - An InputActions value.
+      * @private
+      */
+     handleGlobalAction(action) {
         const currentState = this.gameStateManager.getCurrentState();
-        logger.debug(`Key pressed: ${event.key} (lowercase: ${event.key.toLowerCase()}) in state: ${currentState}`);
 
-        const lowerCaseKey = event.key.toLowerCase();
+        if (action === InputActions.TOGGLE_FPS) {
+            const newFpsState = !SettingsManager.getSetting('SHOW_FPS');
+            SettingsManager.setSetting('SHOW_FPS', newFpsState);
+            if (this.fpsCounter) {
+                this.fpsCounter.style.display = newFpsState ? 'block' : 'none';
+            }
+            return;
+        }
+
+        // The settings screen sits over the title screen or pause menu; actions go to it first
+        if (this.uiManager.isSettingsScreenOpen()) {
+            if (action === InputActions.PAUSE) {
+                this.uiManager.hideSettingsScreen();
+            }
+            return;
+        }
 
         // Use gameStateManager request methods
-        if (lowerCaseKey === controlsConfig.KEY_PAUSE_RESUME_BACK) {
+        if (action === InputActions.PAUSE) {
             if (currentState === GameStates.PLAYING) {
                 this.gameStateManager.requestPause();
             } else if (currentState === GameStates.PAUSED) {
                 this.gameStateManager.requestResume();
-            } else if (currentState === GameStates.LEVEL_SELECT) {
+            } else if (TITLE_MENU_STATES.includes(currentState)) {
                 this.gameStateManager.requestReturnToTitle();
             }
-        } else if (lowerCaseKey === controlsConfig.KEY_RESTART_GAME_OVER && currentState === GameStates.GAME_OVER) {
+        } else if (action === InputActions.RESTART && currentState === GameStates.GAME_OVER) {
             this.gameStateManager.requestRestart();
-        } else if (lowerCaseKey === controlsConfig.KEY_LEVEL_SELECT_TITLE) {
-            if (currentState === GameStates.TITLE) {
-                this.gameStateManager.requestShowLevelSelect();
-            }
+        } else if (action === InputActions.CAMERA_MODE && currentState === GameStates.PLAYING) {
+            // Saved as a setting, so the next run starts in the same mode
+            SettingsManager.setSetting('CAMERA_MODE', this.cameraManager.getNextMode());
+        } else if (action === InputActions.FREE_CAMERA &&
+            (currentState === GameStates.PLAYING || currentState === GameStates.GAME_OVER)) {
+            this.cameraManager.setFreeCamera(!this.cameraManager.isFreeCamera());
+        } else if (action === InputActions.LEVEL_SELECT && currentState === GameStates.TITLE) {
+            this.gameStateManager.requestShowLevelSelect();
         }
-        // FPS toggle handled separately in constructor
     }
 
 
@@ -4,6 +4,8 @@ import { EnemyManager } from '../managers/enemyManager.js';
 import { SpatialGrid } from '../physics/spatialGrid.js';
 import { ParticleManager } from '../managers/particleManager.js';
 import { setupPlayerControls, initInputStateManager } from '../input/controlsSetup.js';
+import { initGamepadInput } from '../input/gamepadInput.js';
+import { initInputBindings } from '../input/inputBindings.js';
 import { setDeviceClass } from '../utils/deviceUtils.js';
 import { createPlayerCharacter } from '../entities/playerCharacter.js';
 import { performanceManager } from '../config/config.js';
@@ -17,6 +19,14 @@ import eventBus from './eventBus.js';
 import { initPlayerController, updatePlayer as updatePlayerController } from '../entities/playerController.js';
 import { initCollisionManager, checkCollisions } from '../managers/collisionManager.js';
 import * as ScoreManager from '../managers/scoreManager.js';
+import * as SeedManager from '../managers/seedManager.js';
+import * as ProgressManager from '../managers/progressManager.js';
+import * as LeaderboardManager from '../managers/leaderboardManager.js';
+import * as RemoteLeaderboardManager from '../managers/remoteLeaderboardManager.js';
+import * as AchievementManager from '../managers/achievementManager.js';
+import * as SettingsManager from '../managers/settingsManager.js';
+import * as SpatialAudioManager from '../managers/spatialAudioManager.js';
+import * as CameraEffectsManager from '../managers/cameraEffectsManager.js';
 import * as UIManager from '../managers/uiManager.js';
 import * as AssetManager from '../managers/assetManager.js';
 import cameraManager from '../managers/cameraManager.js';
@@ -38,6 +48,8 @@ export async function initializeGame(canvasElement) {
 
     try {
         setDeviceClass();
+        // Saved settings decide whether the performance manager detects a quality itself
+        SettingsManager.init();
         performanceManager.init();
         const fpsCounter = createFpsCounter();
 
@@ -46,10 +58,19 @@ export async function initializeGame(canvasElement) {
             return null;
         }
 
+        // Pick the run seed before any terrain is generated (after the UI so it can show the seed)
+        SeedManager.init();
+        ProgressManager.init();
+        LeaderboardManager.init();
+        RemoteLeaderboardManager.init();
+        AchievementManager.init();
+        SpatialAudioManager.init();
+        CameraEffectsManager.init();
+
         UIManager.updateScoreDisplay(0, false, true);
         UIManager.updateHighScoreDisplay(ScoreManager.getGlobalHighScore());
 
-        const initialLevelId = 'level1';
+        const initialLevelId = LevelManager.getDefaultLevelId();
         const levelLoaded = await LevelManager.loadLevel(initialLevelId);
         if (!levelLoaded) {
             logger.error("Initial level configuration loading failed.");
@@ -66,7 +87,6 @@ export async function initializeGame(canvasElement) {
             model: playerModelData.characterGroup,
             modelParts: playerModelData,
             currentSpeed: playerConfig.SPEED,
-            powerup: '',
         };
         player.model.position.set(playerConfig.INITIAL_POS_X, playerConfig.INITIAL_POS_Y, playerConfig.INITIAL_POS_Z);
         player.model.rotation.y = Math.PI; // Set initial rotation to face -Z (forward)
@@ -83,6 +103,7 @@ export async function initializeGame(canvasElement) {
         const enemyManager = new EnemyManager(scene, spatialGrid);
         const chunkManager = new ChunkManager(scene, enemyManager, spatialGrid, currentLevelConfig);
         const particleManager = new ParticleManager(scene);
+        atmosphericManager.setParticleManager(particleManager);
         LevelManager.setManagers(chunkManager, enemyManager);
 
         const raycaster = new THREE.Raycaster();
@@ -92,6 +113,8 @@ export async function initializeGame(canvasElement) {
 
         setupPlayerControls(renderer.domElement);
         initInputStateManager();
+        initInputBindings();
+        initGamepadInput();
 
         AudioManager.initAudio();
 
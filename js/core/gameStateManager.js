@@ -13,6 +13,8 @@ export const GameStates = Object.freeze({
     LOADING: 'loading',
     TITLE: 'title',
     LEVEL_SELECT: 'levelSelect',
+    LEADERBOARD: 'leaderboard',
+    ACHIEVEMENTS: 'achievements',
     PLAYING: 'playing',
     PAUSED: 'paused',
     GAME_OVER: 'gameOver',
@@ -22,6 +24,17 @@ export const GameStates = Object.freeze({
     TRANSITIONING_TO_GAMEPLAY: 'transitioningToGameplay'
 });
 
+/**
+ * Screens opened from the title screen. The title camera keeps running behind them and
+ * they return straight to the title.
+ * @type {ReadonlyArray<string>}
+ */
+export const TITLE_MENU_STATES = Object.freeze([
+    GameStates.LEVEL_SELECT,
+    GameStates.LEADERBOARD,
+    GameStates.ACHIEVEMENTS
+]);
+
 /**
  * GameStateManager class handles state transitions and notifications
  */
@@ -152,10 +165,10 @@ export class GameStateManager {
 
     /** Requests returning to the title screen */
     requestReturnToTitle() {
-        // Allow return from PAUSED, GAME_OVER, LEVEL_SELECT
+        // Allow return from PAUSED, GAME_OVER and the title menu screens
         if (this.currentState === GameStates.PAUSED ||
             this.currentState === GameStates.GAME_OVER ||
-            this.currentState === GameStates.LEVEL_SELECT) {
+            TITLE_MENU_STATES.includes(this.currentState)) {
             logger.info("Requesting Return to Title...");
             eventBus.emit('requestReturnToTitle'); // Let handler manage transitions/state
         } else {
@@ -173,6 +186,26 @@ export class GameStateManager {
         }
     }
 
+    /** Requests showing the leaderboard screen */
+    requestShowLeaderboard() {
+        if (this.currentState === GameStates.TITLE) {
+            logger.info("Requesting Show Leaderboard...");
+            eventBus.emit('requestShowLeaderboard'); // Let handler change state
+        } else {
+            logger.warn(`Cannot show leaderboard from state: ${this.currentState}`);
+        }
+    }
+
+    /** Requests showing the achievements gallery */
+    requestShowAchievements() {
+        if (this.currentState === GameStates.TITLE) {
+            logger.info("Requesting Show Achievements...");
+            eventBus.emit('requestShowAchievements'); // Let handler change state
+        } else {
+            logger.warn(`Cannot show achievements from state: ${this.currentState}`);
+        }
+    }
+
     /** Initiates the game over sequence */
     requestGameOverSequence() {
         if (this.currentState === GameStates.PLAYING) {
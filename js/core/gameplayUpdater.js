@@ -2,6 +2,9 @@
 import { createLogger, LogLevel } from '../utils/logger.js';
 import cameraManager from '../managers/cameraManager.js';
 import { getPlayerManager } from '../managers/playerManager.js';
+import * as ScoreManager from '../managers/scoreManager.js';
+import * as AchievementManager from '../managers/achievementManager.js';
+import * as AudioManager from '../managers/audioManager.js';
 
 const logger = createLogger('GameplayUpdater', LogLevel.WARN);
 
@@ -9,7 +12,7 @@ const logger = createLogger('GameplayUpdater', LogLevel.WARN);
  * Updates all game logic relevant to the PLAYING state.
  * Called by the main game loop when the game state is PLAYING.
  * @param {object} dependencies - Object containing necessary dependencies.
- * @param {object} dependencies.player - The player state object { model, modelParts, currentSpeed, powerup }.
+ * @param {object} dependencies.player - The player state object { model, modelParts, currentSpeed }.
  * @param {object} dependencies.playerController - The player controller module/object.
  * @param {object} dependencies.chunkManager - The ChunkManager instance.
  * @param {object} dependencies.enemyManager - The EnemyManager instance.
@@ -17,7 +20,9 @@ const logger = createLogger('GameplayUpdater', LogLevel.WARN);
  * @param {function} dependencies.collisionChecker - The collision checking function.
  * @param {object} dependencies.atmosphericManager - The AtmosphericManager instance.
  * @param {number} dependencies.playerAnimationTime - Current animation time for the player.
- * @param {number} deltaTime - Time elapsed since the last frame.
+ * @param {{left: boolean, right: boolean, jump: boolean, slide: boolean}} [dependencies.inputState] - Player input for this frame (live or replayed).
+ * @param {number} [dependencies.inputDeltaTime] - Unscaled frame time for input handling (defaults to deltaTime).
+ * @param {number} deltaTime - Gameplay time elapsed since the last frame, already scaled by any slow-mo.
  * @param {number} elapsedTime - Total time elapsed since the game started.
  */
 export function updateGameplay(dependencies, deltaTime, elapsedTime) {
@@ -29,7 +34,9 @@ export function updateGameplay(dependencies, deltaTime, elapsedTime) {
         particleManager,
         collisionChecker,
         atmosphericManager,
-        playerAnimationTime
+        playerAnimationTime,
+        inputState,
+        inputDeltaTime = deltaTime
     } = dependencies;
 
     if (!player || !playerController || !chunkManager || !enemyManager || !particleManager || !collisionChecker || !atmosphericManager) {
@@ -37,26 +44,32 @@ export function updateGameplay(dependencies, deltaTime, elapsedTime) {
         return;
     }
 
+    const playerManager = getPlayerManager();
+
     if (player.model) {
-        playerController.updatePlayer(player, deltaTime, playerAnimationTime, chunkManager);
+        player.speedMultiplier = playerManager ? playerManager.getSpeedMultiplier() : 1;
+        player.crosswind = atmosphericManager.getCrosswind();
+        playerController.updatePlayer(player, deltaTime, playerAnimationTime, chunkManager, inputState, inputDeltaTime);
+        playerManager?.update(deltaTime);
+        ScoreManager.updateRunStats(player, deltaTime);
+        AchievementManager.update(deltaTime);
     } else {
         logger.warn("Cannot update player: player model is missing");
     }
 
     if (chunkManager && player.model) {
         chunkManager.update(player.model.position);
-        
-        // Get current powerup from PlayerManager
-        const playerManager = getPlayerManager();
-        const currentPowerup = playerManager ? playerManager.getCurrentPowerup() : player.powerup;
-        
-        chunkManager.updateCollectibles(deltaTime, elapsedTime, player.model.position, currentPowerup);
+        chunkManager.updateCollectibles(deltaTime, elapsedTime, player.model.position, playerManager);
         chunkManager.updateTumbleweeds(deltaTime, elapsedTime, player.model.position);
+        chunkManager.updateKnockedAwayObjects(deltaTime);
     }
     if (enemyManager && player.model) {
-        const playerManager = getPlayerManager();
-        const currentPowerup = playerManager ? playerManager.getCurrentPowerup() : player.powerup;
-        enemyManager.update(player.model.position, currentPowerup, deltaTime, elapsedTime);
+        const canTarget = playerManager ? (enemy) => playerManager.canEnemyTarget(enemy) : () => true;
+        enemyManager.update(player.model.position, canTarget, deltaTime, elapsedTime, atmosphericManager.getEnemyAggroFactor());
+        AudioManager.updateAdaptiveMusic({
+            speed: player.currentSpeed,
+            chasingEnemies: enemyManager.getChasingEnemiesCount()
+        });
     }
     if (particleManager && player.model) {
         particleManager.update(deltaTime, player.model.position);
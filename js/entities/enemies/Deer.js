@@ -2,8 +2,8 @@ import { Enemy } from '../enemy.js';
 import * as ModelFactory from '../../rendering/modelFactory.js';
 
 export class Deer extends Enemy {
-    constructor(initialData, properties, scene, chunkManager) {
-        super(initialData, properties, scene, chunkManager);
+    constructor(initialData, properties, scene, chunkManager, random) {
+        super(initialData, properties, scene, chunkManager, random);
     }
 
     createMesh() {
@@ -8,8 +8,8 @@ const downVector = new THREE.Vector3(0, -1, 0);
 const _rayOrigin = new THREE.Vector3();
 
 export class Scorpion extends Enemy {
-    constructor(initialData, properties, scene, chunkManager) {
-        super(initialData, properties, scene, chunkManager);
+    constructor(initialData, properties, scene, chunkManager, random) {
+        super(initialData, properties, scene, chunkManager, random);
     }
 
     createMesh() {
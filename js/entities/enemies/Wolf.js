@@ -0,0 +1,12 @@
+import { Enemy } from '../enemy.js';
+import * as ModelFactory from '../../rendering/modelFactory.js';
+
+export class Wolf extends Enemy {
+    constructor(initialData, properties, scene, chunkManager, random) {
+        super(initialData, properties, scene, chunkManager, random);
+    }
+
+    createMesh() {
+        return ModelFactory.createWolfModel(this);
+    }
+}
\ No newline at end of file
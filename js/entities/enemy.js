@@ -2,12 +2,12 @@ import * as THREE from 'three';
 import { createLogger } from '../utils/logger.js';
 import { enemyDefaultsConfig } from '../config/enemyDefaults.js';
 import * as UIManager from '../managers/uiManager.js';
+import eventBus from '../core/eventBus.js';
 import { smoothDamp } from '../utils/mathUtils.js';
 
 const logger = createLogger('Enemy');
 
-
-const ENEMY_STATE = {
+export const ENEMY_STATE = {
     IDLE: 'idle',
     ROAMING: 'roaming',
     CHASING: 'chasing',
@@ -25,7 +25,14 @@ const _rayOrigin = new THREE.Vector3();
 
 
 export class Enemy {
-    constructor(initialData, properties, scene, chunkManager) {
+    /**
+     * @param {object} initialData - Data containing position, rotation, etc.
+     * @param {object} properties - Enemy-specific properties from level config.
+     * @param {THREE.Scene} scene
+     * @param {ChunkManager} chunkManager
+     * @param {function(): number} [random=Math.random] - This enemy's own gameplay random stream.
+     */
+    constructor(initialData, properties, scene, chunkManager, random = Math.random) {
         if (!chunkManager) {
             const errorMsg = `[Enemy ${initialData.type}] Constructor missing ChunkManager! Grounding will fail.`;
             UIManager.displayError(new Error(errorMsg));
@@ -45,7 +52,8 @@ export class Enemy {
         this.roamingMaxWaitTime = properties.roamingMaxWaitTime ?? enemyDefaultsConfig.ROAMING_MAX_WAIT_TIME;
         this.state = ENEMY_STATE.IDLE;
         this.mesh = null;
-        this.groundCheckCounter = Math.floor(Math.random() * 5);
+        this.random = random;
+        this.groundCheckCounter = Math.floor(this.random() * 5);
         this.lastGroundY = initialData.position.y;
         this.currentGroundY = initialData.position.y;
         this.verticalVelocity = 0; // Initialize vertical velocity
@@ -88,11 +96,11 @@ export class Enemy {
         return null;
     }
 
-    update(playerPos, currentPowerup, deltaTime, elapsedTime) {
+    update(playerPos, canTargetPlayer, deltaTime, elapsedTime, aggroFactor = 1) {
         if (!this.mesh || !this.chunkManager) return;
 
         this._updateGrounding(deltaTime); // Pass deltaTime for gravity calculation
-        this._updateState(playerPos, currentPowerup, deltaTime);
+        this._updateState(playerPos, canTargetPlayer, deltaTime, aggroFactor);
         const { isMoving, currentSpeed } = this._updateMovement(playerPos, deltaTime);
         this._updateAnimation(elapsedTime, isMoving, currentSpeed);
     }
@@ -139,18 +147,19 @@ export class Enemy {
         }
     }
 
-    _updateState(playerPos, currentPowerup, deltaTime) {
+    _updateState(playerPos, canTargetPlayer, deltaTime, aggroFactor = 1) {
         const distanceToPlayer = this.mesh.position.distanceTo(playerPos);
         const distanceToOrigin = this.mesh.position.distanceTo(this.originalPosition);
+        const aggroRadius = this.aggroRadius * aggroFactor; // Weather such as fog hides the player
 
         switch (this.state) {
             case ENEMY_STATE.IDLE:
-                this.state = ENEMY_STATE.ROAMING;
+                this._setState(ENEMY_STATE.ROAMING);
                 this.pickNewRoamingTarget();
 
             case ENEMY_STATE.ROAMING:
-                 if (distanceToPlayer < this.aggroRadius && currentPowerup !== 'invisibility') {
-                    this.state = ENEMY_STATE.CHASING;
+                 if (distanceToPlayer < aggroRadius && canTargetPlayer) {
+                    this._setState(ENEMY_STATE.CHASING);
                     this.roamingTarget = null;
                     this.roamingWaitTimer = 0;
                  } else if (this.roamingWaitTimer > 0) {
@@ -161,17 +170,17 @@ export class Enemy {
                  }
                 break;
             case ENEMY_STATE.CHASING:
-                if (distanceToPlayer > this.deaggroRadius || currentPowerup === 'invisibility') {
-                    this.state = ENEMY_STATE.RETURNING;
+                if (distanceToPlayer > this.deaggroRadius || !canTargetPlayer) {
+                    this._setState(ENEMY_STATE.RETURNING);
                 }
                 break;
             case ENEMY_STATE.RETURNING:
                 if (distanceToOrigin < enemyDefaultsConfig.RETURN_DISTANCE_THRESHOLD) {
-                    this.state = ENEMY_STATE.ROAMING;
+                    this._setState(ENEMY_STATE.ROAMING);
                     this.roamingTarget = null;
                     this.setRoamingWaitTimer();
-                } else if (distanceToPlayer < this.aggroRadius) {
-                    this.state = ENEMY_STATE.CHASING;
+                } else if (distanceToPlayer < aggroRadius && canTargetPlayer) {
+                    this._setState(ENEMY_STATE.CHASING);
                     this.roamingTarget = null;
                     this.roamingWaitTimer = 0;
                 }
@@ -179,6 +188,18 @@ export class Enemy {
         }
     }
 
+    /**
+     * Changes the AI state, emitting 'enemyStateChanged' with { enemy, state, previousState }.
+     * @param {string} state - An ENEMY_STATE value.
+     * @private
+     */
+    _setState(state) {
+        if (state === this.state) return;
+        const previousState = this.state;
+        this.state = state;
+        eventBus.emit('enemyStateChanged', { enemy: this, state, previousState });
+    }
+
     _updateMovement(playerPos, deltaTime) {
         let targetPosition = null;
         let isMoving = false;
@@ -210,7 +231,7 @@ export class Enemy {
                     if (this.state === ENEMY_STATE.ROAMING || this.state === ENEMY_STATE.RETURNING) {
                         this.roamingTarget = null;
                         this.setRoamingWaitTimer();
-                        this.state = ENEMY_STATE.ROAMING; // Ensure state is ROAMING after reaching target
+                        this._setState(ENEMY_STATE.ROAMING); // Ensure state is ROAMING after reaching target
                         isMoving = false;
                     }
                 } else {
@@ -228,7 +249,7 @@ export class Enemy {
                 if (this.state === ENEMY_STATE.ROAMING || this.state === ENEMY_STATE.RETURNING) {
                     this.roamingTarget = null;
                     this.setRoamingWaitTimer();
-                    this.state = ENEMY_STATE.ROAMING;
+                    this._setState(ENEMY_STATE.ROAMING);
                     isMoving = false;
                 }
             }
@@ -274,23 +295,24 @@ export class Enemy {
 
 
     pickNewRoamingTarget() {
-        const angle = Math.random() * Math.PI * 2;
-        const radius = Math.random() * this.roamingRadius;
+        const angle = this.random() * Math.PI * 2;
+        const radius = this.random() * this.roamingRadius;
         const targetX = this.originalPosition.x + Math.cos(angle) * radius;
         const targetZ = this.originalPosition.z + Math.sin(angle) * radius;
         this.roamingTarget = _roamingTargetVec.set(targetX, this.originalPosition.y, targetZ);
     }
 
     setRoamingWaitTimer() {
-        this.roamingWaitTimer = this.roamingMinWaitTime + Math.random() * (this.roamingMaxWaitTime - this.roamingMinWaitTime);
+        this.roamingWaitTimer = this.roamingMinWaitTime + this.random() * (this.roamingMaxWaitTime - this.roamingMinWaitTime);
     }
 
     /**
      * Resets the enemy's state for reuse from an object pool.
      * @param {object} initialData - Data containing position, rotation, etc.
      * @param {object} properties - Enemy-specific properties from level config.
+     * @param {function(): number} [random=Math.random] - The enemy's gameplay random stream for its new spawn.
      */
-    reset(initialData, properties) {
+    reset(initialData, properties, random = Math.random) {
         this.state = ENEMY_STATE.IDLE;
         this.originalPosition.copy(initialData.position);
         this.lastPosition.copy(initialData.position);
@@ -299,7 +321,8 @@ export class Enemy {
         this.verticalVelocity = 0; // Reset vertical velocity
         this.roamingTarget = null;
         this.roamingWaitTimer = 0;
-        this.groundCheckCounter = Math.floor(Math.random() * 5);
+        this.random = random;
+        this.groundCheckCounter = Math.floor(this.random() * 5);
 
         this.speed = properties.speed ?? enemyDefaultsConfig.SPEED;
         this.aggroRadius = properties.aggroRadius ?? enemyDefaultsConfig.AGGRO_RADIUS;
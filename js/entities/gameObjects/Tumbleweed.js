@@ -6,7 +6,7 @@ import PhysicsComponent from '../../physics/PhysicsComponent.js'; // Updated pat
 import { noise2D } from '../../rendering/terrainGenerator.js'; // Updated path
 import eventBus from '../../core/eventBus.js'; // Updated path
 import { tumbleweedConfig as C } from '../../config/tumbleweed.js'; // Import specific config object and alias it
-import { randomRange } from '../../utils/mathUtils.js'; // Import randomRange if needed
+import { randomRange } from '../../utils/mathUtils.js';
 import PlayerCharacter from '../playerCharacter.js'; // For player orientation and JSDoc
 
 /**
@@ -22,6 +22,7 @@ export default class Tumbleweed /* extends GameObject */ { // Removed inheritanc
      * @param {THREE.Scene} options.scene - Scene to add to
      * @param {Object} options.levelConfig - Level configuration
      * @param {PlayerCharacter} options.player - The player character instance
+     * @param {function(): number} [options.random=Math.random] - This tumbleweed's own gameplay random stream
      */
     constructor(options = {}) {
         // super({ // Base class removed
@@ -46,12 +47,8 @@ export default class Tumbleweed /* extends GameObject */ { // Removed inheritanc
         this.scale = options.scale || 1.0;
 
         // Tumbleweed properties - Use constants and randomRange
-        this.rollSpeed = randomRange(C.ROLL_SPEED_MIN, C.ROLL_SPEED_MAX);
-        this.rotationSpeed = new THREE.Vector3(
-            randomRange(C.ROTATION_SPEED_MIN, C.ROTATION_SPEED_MAX),
-            randomRange(C.ROTATION_SPEED_MIN, C.ROTATION_SPEED_MAX),
-            randomRange(C.ROTATION_SPEED_MIN, C.ROTATION_SPEED_MAX)
-        );
+        this.rotationSpeed = new THREE.Vector3();
+        this._rollProperties(options.random ?? Math.random);
         this.targetDirection = new THREE.Vector3();
         this.isActive = false;
         this.activationDistanceSq = C.ACTIVATION_DISTANCE * C.ACTIVATION_DISTANCE; // Store squared distance
@@ -159,6 +156,14 @@ export default class Tumbleweed /* extends GameObject */ { // Removed inheritanc
         };
     }
 
+    /**
+     * Prepare a pooled tumbleweed for its next spawn
+     * @param {function(): number} [random=Math.random] - Gameplay random stream for the new spawn
+     */
+    reset(random = Math.random) {
+        this._rollProperties(random);
+    }
+
     /**
      * Update the tumbleweed
      * @param {number} deltaTime - Time since last update in seconds
@@ -211,6 +216,7 @@ export default class Tumbleweed /* extends GameObject */ { // Removed inheritanc
      */
     _activate(playerPosition) {
         this.isActive = true;
+        eventBus.emit('tumbleweedRollingChanged', { tumbleweed: this, rolling: true });
 
         // First, ensure the tumbleweed is properly positioned above the terrain
         // This is crucial to prevent it from starting below the ground
@@ -228,7 +234,7 @@ export default class Tumbleweed /* extends GameObject */ { // Removed inheritanc
         const playerDirection = this._tempVec3_1; // Use the vector directly
 
         // Calculate a point ahead of the player using constants and reusable objects
-        const targetAheadDistance = randomRange(C.TARGET_AHEAD_MIN, C.TARGET_AHEAD_MAX);
+        const targetAheadDistance = randomRange(C.TARGET_AHEAD_MIN, C.TARGET_AHEAD_MAX, this.random);
         const targetPoint = this._tempVec3_2.copy(playerPosition).add(
             playerDirection.multiplyScalar(targetAheadDistance) // Modify playerDirection in place
         );
@@ -237,11 +243,11 @@ export default class Tumbleweed /* extends GameObject */ { // Removed inheritanc
         this.targetDirection.subVectors(targetPoint, this.object3D.position).normalize();
 
         // Add some randomness to the initial direction using constant
-        this.targetDirection.x += (Math.random() - 0.5) * C.TARGET_RANDOMNESS;
+        this.targetDirection.x += (this.random() - 0.5) * C.TARGET_RANDOMNESS;
         this.targetDirection.normalize();
 
         // Set initial velocity using constants and reusable vector
-        const initialSpeedFactor = randomRange(C.INITIAL_SPEED_FACTOR_MIN, C.INITIAL_SPEED_FACTOR_MAX);
+        const initialSpeedFactor = randomRange(C.INITIAL_SPEED_FACTOR_MIN, C.INITIAL_SPEED_FACTOR_MAX, this.random);
         const initialSpeed = this.rollSpeed * initialSpeedFactor;
 
         // Set velocity with a slight upward component to help it stay above ground
@@ -256,6 +262,7 @@ export default class Tumbleweed /* extends GameObject */ { // Removed inheritanc
      */
     _deactivate() {
         this.isActive = false;
+        eventBus.emit('tumbleweedRollingChanged', { tumbleweed: this, rolling: false });
         this.physics.setVelocity(this._tempVec3_1.set(0, 0, 0)); // Use reusable vector
     }
 
@@ -287,7 +294,7 @@ export default class Tumbleweed /* extends GameObject */ { // Removed inheritanc
             const playerForward = this._tempVec3_2; // Use the vector directly
 
             // Calculate a point ahead of the player using constants and reusable objects
-            const targetAheadDistance = randomRange(C.UPDATE_TARGET_AHEAD_MIN, C.UPDATE_TARGET_AHEAD_MAX);
+            const targetAheadDistance = randomRange(C.UPDATE_TARGET_AHEAD_MIN, C.UPDATE_TARGET_AHEAD_MAX, this.random);
             const targetPoint = this._tempVec3_1.copy(playerPosition).add(
                 playerForward.multiplyScalar(targetAheadDistance) // Modify playerForward in place
             );
@@ -296,7 +303,7 @@ export default class Tumbleweed /* extends GameObject */ { // Removed inheritanc
             const newDirection = this._tempVec3_2.subVectors(targetPoint, this.object3D.position).normalize();
 
             // Add some randomness using constant
-            newDirection.x += (Math.random() - 0.5) * C.UPDATE_DIRECTION_RANDOMNESS;
+            newDirection.x += (this.random() - 0.5) * C.UPDATE_DIRECTION_RANDOMNESS;
             newDirection.normalize();
 
             // Blend current direction with new direction using constant
@@ -386,6 +393,21 @@ export default class Tumbleweed /* extends GameObject */ { // Removed inheritanc
         }
     }
 
+    /**
+     * Pick the roll and spin speeds from a new random stream, which later rolls draw from too
+     * @param {function(): number} random - Gameplay random stream
+     * @private
+     */
+    _rollProperties(random) {
+        this.random = random;
+        this.rollSpeed = randomRange(C.ROLL_SPEED_MIN, C.ROLL_SPEED_MAX, random);
+        this.rotationSpeed.set(
+            randomRange(C.ROTATION_SPEED_MIN, C.ROTATION_SPEED_MAX, random),
+            randomRange(C.ROTATION_SPEED_MIN, C.ROTATION_SPEED_MAX, random),
+            randomRange(C.ROTATION_SPEED_MIN, C.ROTATION_SPEED_MAX, random)
+        );
+    }
+
     /**
      * Handle collision with the player
      */
@@ -398,6 +420,10 @@ export default class Tumbleweed /* extends GameObject */ { // Removed inheritanc
      * Dispose resources
      */
      dispose() {
+        if (this.isActive) {
+            this._deactivate();
+        }
+
         // Dispose components
         this.components.forEach(component => {
             if (typeof component.dispose === 'function') {
@@ -192,6 +192,7 @@ export function createPlayerCharacter() {
 
     return {
         characterGroup,
+        headMesh,
         leftArmGroup, rightArmGroup,
         leftLegGroup, rightLegGroup,
         leftElbowGroup, rightElbowGroup,
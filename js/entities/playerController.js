@@ -4,10 +4,13 @@ import { createLogger, LogLevel } from '../utils/logger.js'; // Import logger
 // Import config objects
 import { playerConfig } from '../config/player.js';
 import { controlsConfig } from '../config/controls.js';
+import { terrainConfig } from '../config/terrain.js';
 
-import { playWaveFile, effectAudioMap } from '../managers/audioManager.js';
+import { playEffect } from '../managers/audioManager.js';
 import { animatePlayerCharacter } from './playerCharacter.js'; // Stays in entities
-import { keyLeftPressed, keyRightPressed, mouseLeftPressed, mouseRightPressed, touchLeftPressed, touchRightPressed } from '../input/controlsSetup.js'; // Moved to input
+import { getPlayerInput } from '../input/controlsSetup.js'; // Moved to input
+import { getSurfaceType } from '../rendering/terrainGenerator.js';
+import eventBus from '../core/eventBus.js';
 
 const logger = createLogger('PlayerController', LogLevel.DEBUG); // Instantiate logger
 
@@ -36,14 +39,28 @@ export function initPlayerController(raycasterInstance) {
     _raycaster = raycasterInstance;
 }
 
+/**
+ * Applies gravity to an airborne player and moves them by the resulting vertical velocity.
+ * @param {object} playerObj - The player object.
+ * @param {number} deltaTime - Time elapsed since the last frame.
+ * @private
+ */
+function _applyGravity(playerObj, deltaTime) {
+    playerObj.verticalVelocity -= playerConfig.GRAVITY * deltaTime;
+    playerObj.verticalVelocity = Math.max(playerObj.verticalVelocity, -playerConfig.MAX_FALL_SPEED);
+    playerObj.model.position.y += playerObj.verticalVelocity * deltaTime;
+}
+
 /**
  * Updates the player's state, including position, rotation, animation, and terrain following.
  * @param {object} playerObj - The player object containing model, modelParts, currentSpeed.
  * @param {number} deltaTime - Time elapsed since the last frame.
  * @param {number} elapsedTime - Total time elapsed.
  * @param {ChunkManager} chunkManager - For terrain height checks.
+ * @param {{left: boolean, right: boolean, jump: boolean, slide: boolean, steer?: number, turnSensitivity?: number}} [inputState] - Input for this frame. Defaults to live input; replays pass recorded samples.
+ * @param {number} [inputDeltaTime] - Unscaled frame time used for steering, so turning keeps its speed while the gameplay clock is slowed. Defaults to deltaTime.
  */
-export function updatePlayer(playerObj, deltaTime, animationTime, chunkManager) {
+export function updatePlayer(playerObj, deltaTime, animationTime, chunkManager, inputState = getPlayerInput(), inputDeltaTime = deltaTime) {
     if (!playerObj || !playerObj.model || !_raycaster) {
         logger.warn("Player object or raycaster not properly initialized for updatePlayer.");
         return;
@@ -60,23 +77,63 @@ export function updatePlayer(playerObj, deltaTime, animationTime, chunkManager)
     if (playerObj.isSliding === undefined) {
         playerObj.isSliding = false;
     }
+    // isAirborne: in the air from a jump or a fall. isDucking: the slide action (not slope sliding above).
+    if (playerObj.isAirborne === undefined) {
+        playerObj.isAirborne = false;
+    }
+    if (playerObj.isDucking === undefined) {
+        playerObj.isDucking = false;
+        playerObj.duckScale = 1;
+    }
+    // surfaceType: the ground under the player, kept from takeoff while airborne.
+    // moveDirection: heading the player is actually travelling in, which lags behind the facing on slippery ground.
+    if (playerObj.surfaceType === undefined) {
+        playerObj.surfaceType = 'normal';
+        playerObj.surfaceSpeedFactor = 1;
+    }
+    // speedMultiplier: set each frame from active powerups (the boost).
+    if (playerObj.speedMultiplier === undefined) {
+        playerObj.speedMultiplier = 1;
+    }
+
+    // --- Ground Surface ---
+    if (!playerObj.isAirborne && chunkManager?.levelConfig) {
+        playerObj.surfaceType = getSurfaceType(playerModel.position.x, playerModel.position.z, chunkManager.levelConfig);
+    }
+    const surface = terrainConfig.SURFACE_TYPES[playerObj.surfaceType] ?? terrainConfig.SURFACE_TYPES.normal;
+    playerObj.surfaceSpeedFactor += (surface.SPEED_FACTOR - playerObj.surfaceSpeedFactor) *
+        Math.min(1, terrainConfig.SURFACE_SPEED_TRANSITION * deltaTime);
 
     // --- Update Speed (Uncapped) ---
     playerObj.currentSpeed += playerConfig.SPEED_INCREASE_RATE * deltaTime; // Use imported constant
 
-    // 1. Calculate Rotation Deltas based on combined keyboard, mouse, and touch input
-    let rotationInput = 0; // -1 for right, 0 for none, 1 for left
+    // 1. Calculate Rotation Deltas based on combined keyboard, mouse, touch and gamepad input
+    let rotationInput = inputState.steer ?? 0; // -1 for full right, 0 for none, 1 for full left; analog sticks land in between
 
-    if (keyLeftPressed || mouseLeftPressed || touchLeftPressed) {
+    if (inputState.left) {
         rotationInput += 1;
     }
 
-    if (keyRightPressed || mouseRightPressed || touchRightPressed) {
+    if (inputState.right) {
         rotationInput -= 1;
     }
+    rotationInput = Math.max(-1, Math.min(1, rotationInput));
 
-    // Calculate total rotation applied this frame
-    const totalRotationDelta = rotationInput * controlsConfig.KEY_TURN_SPEED * deltaTime; // Use imported constant
+    // Announce each turn as it starts
+    const turnDirection = rotationInput > 0 ? 'left' : (rotationInput < 0 ? 'right' : null);
+    if (turnDirection !== playerObj.turnDirection) {
+        playerObj.turnDirection = turnDirection;
+        if (turnDirection) {
+            eventBus.emit('playerTurned', { direction: turnDirection });
+        }
+    }
+
+    // Calculate total rotation applied this frame (reduced while airborne or on heavy ground)
+    const baseTurnSpeed = controlsConfig.KEY_TURN_SPEED * (inputState.turnSensitivity ?? 1);
+    const turnSpeed = playerObj.isAirborne
+        ? baseTurnSpeed * playerConfig.AIR_CONTROL_FACTOR
+        : baseTurnSpeed * surface.TURN_FACTOR;
+    const totalRotationDelta = rotationInput * turnSpeed * inputDeltaTime;
     // logger.debug(`Input: totalRotationDelta: ${totalRotationDelta.toFixed(4)}`);
  
     // Apply input yaw rotation directly to the quaternion
@@ -84,27 +141,47 @@ export function updatePlayer(playerObj, deltaTime, animationTime, chunkManager)
         _yawDeltaQuaternion.setFromAxisAngle(_upVector, totalRotationDelta);
         playerModel.quaternion.premultiply(_yawDeltaQuaternion); // Premultiply to apply rotation in model's local Y
         if (Math.abs(totalRotationDelta) > controlsConfig.TURN_SOUND_THRESHOLD) {
-            playWaveFile(effectAudioMap['turn']);
+            playEffect('turn');
         }
     }
     // playerModel.rotation.y is now managed by the quaternion update.
  
     // 2. Handle Tilting (Roll) based on TOTAL rotation speed
     // Note: totalRotationRate is still based on the input delta for responsive tilt.
-    const totalRotationRate = (deltaTime > 0) ? totalRotationDelta / deltaTime : 0;
+    const totalRotationRate = (inputDeltaTime > 0) ? totalRotationDelta / inputDeltaTime : 0;
 
     // 3. Animate Limbs
     // Note: Config.PLAYER_SPEED is not directly available via named imports, assuming it's accessible if needed elsewhere or refactor if required.
     // For now, assuming playerObj.currentSpeed increase rate implies base speed is handled.
-    const cappedSpeedFactor = Math.min(playerObj.currentSpeed / playerConfig.SPEED, playerConfig.MAX_ANIMATION_SPEED_FACTOR); // Use playerConfig.SPEED
+    const cappedSpeedFactor = Math.min(playerObj.currentSpeed * playerObj.speedMultiplier / playerConfig.SPEED, playerConfig.MAX_ANIMATION_SPEED_FACTOR); // Use playerConfig.SPEED
     const dynamicAnimSpeed = playerConfig.ANIMATION_BASE_SPEED * cappedSpeedFactor; // Use imported constants
     animatePlayerCharacter(playerParts, animationTime, dynamicAnimSpeed);
 
-    // 4. Move Forward (in the direction the player is facing)
-    const moveDistance = playerObj.currentSpeed * deltaTime;
+    // 4. Move Forward (in the direction the player is facing, scaled by the surface and any boost)
+    // On drifting surfaces the travel heading only gradually catches up with the facing,
+    // so the player keeps sliding sideways for a moment after a turn.
+    const moveDistance = playerObj.currentSpeed * playerObj.speedMultiplier * playerObj.surfaceSpeedFactor * deltaTime;
     playerModel.getWorldQuaternion(playerQuaternion);
     playerDirection.copy(forwardVector).applyQuaternion(playerQuaternion).normalize();
-    playerModel.position.addScaledVector(playerDirection, moveDistance);
+    if (!playerObj.moveDirection) {
+        playerObj.moveDirection = playerDirection.clone();
+    }
+    const drift = playerObj.isAirborne ? 0 : surface.DRIFT; // Air control steers directly
+    const grip = drift > 0 ? 1 - Math.pow(drift, deltaTime) : 1;
+    playerObj.moveDirection.lerp(playerDirection, grip).normalize();
+    playerModel.position.addScaledVector(playerObj.moveDirection, moveDistance);
+    playerObj.runDistance = (playerObj.runDistance || 0) + moveDistance;
+    // Weather can blow the player sideways; it doesn't count towards the run
+    if (playerObj.crosswind) {
+        playerModel.position.addScaledVector(playerObj.crosswind, deltaTime);
+    }
+
+    // Ducking squashes the model towards its feet; the height offset shrinks with it so the feet stay planted
+    playerObj.isDucking = !!inputState.slide && !playerObj.isAirborne;
+    const targetDuckScale = playerObj.isDucking ? playerConfig.DUCK_SCALE_Y : 1;
+    playerObj.duckScale += (targetDuckScale - playerObj.duckScale) * Math.min(1, playerConfig.DUCK_TRANSITION_SPEED * deltaTime);
+    playerModel.scale.y = playerObj.duckScale;
+    const heightOffset = playerConfig.HEIGHT_OFFSET * playerObj.duckScale;
 
     // 5. Terrain Following (using two rays)
     // 5. Terrain Following and Slope Handling
@@ -114,6 +191,9 @@ export function updatePlayer(playerObj, deltaTime, animationTime, chunkManager)
         let highestGroundY = -Infinity;
         let groundFound = false;
         const hitNormals = [];
+        // Check distance with a small margin, reaching further down while airborne
+        const maxGroundDistance = playerConfig.RAYCAST_ORIGIN_OFFSET + playerConfig.HEIGHT_OFFSET + 2 +
+            (playerObj.isAirborne ? playerConfig.JUMP_RAYCAST_EXTENSION : 0);
 
         // playerDirection is the intended forward movement direction, calculated at lines 94-95
         // Ray 1: Front - origin projected along player's forward direction
@@ -121,7 +201,7 @@ export function updatePlayer(playerObj, deltaTime, animationTime, chunkManager)
         _rayOriginFront.y += playerConfig.RAYCAST_ORIGIN_OFFSET;
         _raycaster.set(_rayOriginFront, downVector);
         const intersectsFront = _raycaster.intersectObjects(nearbyMeshes);
-        if (intersectsFront.length > 0 && intersectsFront[0].distance < playerConfig.RAYCAST_ORIGIN_OFFSET + playerConfig.HEIGHT_OFFSET + 2) { // Check distance with a small margin
+        if (intersectsFront.length > 0 && intersectsFront[0].distance < maxGroundDistance) {
             highestGroundY = Math.max(highestGroundY, intersectsFront[0].point.y);
             if (intersectsFront[0].face) {
                  hitNormals.push(intersectsFront[0].face.normal.clone().transformDirection(intersectsFront[0].object.matrixWorld).normalize());
@@ -136,7 +216,7 @@ export function updatePlayer(playerObj, deltaTime, animationTime, chunkManager)
         _rayOriginBack.y += playerConfig.RAYCAST_ORIGIN_OFFSET;
         _raycaster.set(_rayOriginBack, downVector);
         const intersectsBack = _raycaster.intersectObjects(nearbyMeshes);
-        if (intersectsBack.length > 0 && intersectsBack[0].distance < playerConfig.RAYCAST_ORIGIN_OFFSET + playerConfig.HEIGHT_OFFSET + 2) { // Check distance
+        if (intersectsBack.length > 0 && intersectsBack[0].distance < maxGroundDistance) {
             highestGroundY = Math.max(highestGroundY, intersectsBack[0].point.y);
              if (intersectsBack[0].face) {
                 hitNormals.push(intersectsBack[0].face.normal.clone().transformDirection(intersectsBack[0].object.matrixWorld).normalize());
@@ -146,7 +226,16 @@ export function updatePlayer(playerObj, deltaTime, animationTime, chunkManager)
             groundFound = true;
         }
 
-        if (groundFound) {
+        const groundedY = highestGroundY + heightOffset;
+        if (groundFound && playerObj.isAirborne) {
+            // Ballistic flight until the feet come back down onto the terrain
+            _applyGravity(playerObj, deltaTime);
+            if (playerObj.verticalVelocity <= 0 && playerModel.position.y <= groundedY) {
+                playerModel.position.y = groundedY;
+                playerObj.verticalVelocity = 0;
+                playerObj.isAirborne = false;
+            }
+        } else if (groundFound) {
             _averageNormal.set(0, 0, 0);
             if (hitNormals.length > 0) {
                 hitNormals.forEach(normal => _averageNormal.add(normal));
@@ -166,16 +255,22 @@ export function updatePlayer(playerObj, deltaTime, animationTime, chunkManager)
                 const normalComponent = _averageNormal.clone().multiplyScalar(_slideDirection.dot(_averageNormal));
                 _slideDirection.sub(normalComponent).normalize(); // Direction down the steepest part of the slope
 
-                const slideMove = playerConfig.SLIDE_SPEED_FACTOR * playerObj.currentSpeed * deltaTime;
+                const slideMove = playerConfig.SLIDE_SPEED_FACTOR * surface.SLIDE_FACTOR * playerObj.currentSpeed * deltaTime;
                 playerModel.position.addScaledVector(_slideDirection, slideMove);
 
                 // Stick to the slope while sliding
-                playerModel.position.y = highestGroundY + playerConfig.HEIGHT_OFFSET;
+                playerModel.position.y = groundedY;
                 playerObj.verticalVelocity = 0;
             } else {
                 playerObj.isSliding = false;
-                playerModel.position.y = highestGroundY + playerConfig.HEIGHT_OFFSET;
+                playerModel.position.y = groundedY;
                 playerObj.verticalVelocity = 0;
+
+                // Jumps take off from walkable ground only, so steep slopes can't be climbed by hopping
+                if (inputState.jump) {
+                    playerObj.verticalVelocity = playerConfig.JUMP_VELOCITY;
+                    playerObj.isAirborne = true;
+                }
             }
  
             // Player tilt based on terrain slope has been removed.
@@ -186,9 +281,8 @@ export function updatePlayer(playerObj, deltaTime, animationTime, chunkManager)
         } else {
             // No ground detected
             playerObj.isSliding = false;
-            playerObj.verticalVelocity -= playerConfig.GRAVITY * deltaTime;
-            playerObj.verticalVelocity = Math.max(playerObj.verticalVelocity, -playerConfig.MAX_FALL_SPEED);
-            playerModel.position.y += playerObj.verticalVelocity * deltaTime;
+            playerObj.isAirborne = true;
+            _applyGravity(playerObj, deltaTime);
 
             // Optional: Reset orientation slightly towards upright when airborne
             // _targetQuaternion.setFromEuler(new THREE.Euler(0, playerModel.rotation.y, 0)); // Keep yaw, level roll/pitch
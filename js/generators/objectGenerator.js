@@ -11,6 +11,7 @@ import { SpatialGrid } from '../physics/spatialGrid.js'; // For optimized object
 const logger = createLogger('ObjectGenerator'); // Instantiate logger
 import * as AssetManager from '../managers/assetManager.js'; // Updated path
 import * as ModelFactory from '../rendering/modelFactory.js'; // Updated path
+import { getPowerupDefinition } from '../powerups/powerupRegistry.js';
 
 /**
  * Generates data for all placeable objects (coins, obstacles) for a specific chunk.
@@ -274,18 +275,6 @@ export function createObjectVisual(objectData, levelConfig) {
                 geometry = AssetManager.getAsset('coinGeometry');
                 material = AssetManager.getAsset('coinMaterial');
                 break;
-            case 'magnet':
-                mesh = ModelFactory.createMagnetModel(objectData); // Use factory
-                geometry = null; material = null;
-                break;
-            case 'doubler':
-                mesh = ModelFactory.createDoublerModel(objectData); // Use factory
-                geometry = null; material = null;
-                break;
-            case 'invisibility':
-                mesh = ModelFactory.createInvisibilityModel(objectData); // Use factory
-                geometry = null; material = null;
-                break;
             case 'rock_small':
                 geometry = AssetManager.getAsset('rockSmallGeo');
                 material = AssetManager.getAsset('rockMaterial');
@@ -383,12 +372,28 @@ export function createObjectVisual(objectData, levelConfig) {
                 mesh = ModelFactory.createWaterTowerModel(objectData); // Use factory
                 geometry = null; material = null;
                 break;
+            case 'rock_ice':
+                mesh = ModelFactory.createRockIceModel(objectData); // Use factory
+                geometry = null; material = null;
+                break;
+            case 'snowman':
+                mesh = ModelFactory.createSnowmanModel(objectData); // Use factory
+                geometry = null; material = null;
+                break;
             case 'tumbleweed':
                 // Tumbleweed visual is handled by its GameObject class
                 return null;
-            default:
+            default: {
+                // Power-up pickups are built by their registry definitions
+                const powerup = getPowerupDefinition(objectData.type);
+                if (powerup?.createModel) {
+                    mesh = powerup.createModel(objectData);
+                    geometry = null; material = null;
+                    break;
+                }
                 logger.warn(`Unknown or unhandled object type for visual creation: ${objectData.type}`);
                 return null;
+            }
         }
     } catch (error) {
         logger.error(`Error creating visual for object type ${objectData.type}:`, error);
@@ -436,7 +441,7 @@ export function createObjectVisual(objectData, levelConfig) {
         // Performance optimizations for static objects
         const perfSettings = performanceManager.getSettings();
         if (perfSettings.useStaticObjects && 
-            !['tumbleweed', 'deer', 'bear', 'coyote', 'squirrel', 'rattlesnake', 'scorpion'].includes(objectData.type)) {
+            !['tumbleweed', 'deer', 'bear', 'coyote', 'squirrel', 'rattlesnake', 'scorpion', 'wolf', 'yeti'].includes(objectData.type)) {
             // Disable auto-updates for static scenery objects
             mesh.matrixAutoUpdate = perfSettings.matrixAutoUpdates;
             // Pre-compute the matrix since it won't auto-update
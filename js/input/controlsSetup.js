@@ -2,6 +2,9 @@ import gameStateManager, { GameStates } from '../core/gameStateManager.js';
 import * as UIManager from '../managers/uiManager.js';
 import eventBus from '../core/eventBus.js';
 import { createLogger } from '../utils/logger.js';
+import { controlsConfig } from '../config/controls.js';
+import { getGamepadInput } from './gamepadInput.js';
+import { InputActions, InputDevices, getActionForInput } from './inputBindings.js';
 
 const logger = createLogger('ControlsSetup');
 
@@ -17,6 +20,17 @@ export let mouseRightPressed = false;
 export let touchLeftPressed = false;
 export let touchRightPressed = false;
 
+// Movement actions (held state, so replays can sample them per frame like steering)
+export let keyJumpPressed = false;
+export let keySlidePressed = false;
+export let mouseJumpPressed = false;
+export let touchJumpPressed = false;
+export let touchSlidePressed = false;
+
+// A wheel notch has no "release", so it holds its action for a short window instead
+let wheelJumpUntil = 0;
+let wheelSlideUntil = 0;
+
 
 /**
  * Resets all input state variables to their default (unpressed) state.
@@ -30,6 +44,32 @@ export function resetInputStates() {
     mouseRightPressed = false;
     touchLeftPressed = false;
     touchRightPressed = false;
+    keyJumpPressed = false;
+    keySlidePressed = false;
+    mouseJumpPressed = false;
+    touchJumpPressed = false;
+    touchSlidePressed = false;
+    wheelJumpUntil = 0;
+    wheelSlideUntil = 0;
+}
+
+/**
+ * Samples the live player input from keyboard, mouse, touch and gamepads.
+ * This is the shape recorded into replays and consumed by updatePlayer(), which also
+ * receives the turn sensitivity setting from ReplayManager.nextFrame().
+ * @returns {{left: boolean, right: boolean, jump: boolean, slide: boolean, steer: number}} The current
+ *   input state. steer is analog steering from -1 (full right) to 1 (full left), on top of left and right.
+ */
+export function getPlayerInput() {
+    const now = performance.now();
+    const gamepad = getGamepadInput();
+    return {
+        left: keyLeftPressed || mouseLeftPressed || touchLeftPressed || gamepad.left,
+        right: keyRightPressed || mouseRightPressed || touchRightPressed || gamepad.right,
+        jump: keyJumpPressed || mouseJumpPressed || touchJumpPressed || gamepad.jump || now < wheelJumpUntil,
+        slide: keySlidePressed || touchSlidePressed || gamepad.slide || now < wheelSlideUntil,
+        steer: gamepad.steer
+    };
 }
 
 
@@ -38,12 +78,17 @@ let keyupListener = null;
 let mousedownListener = null;
 let mouseupListener = null;
 let contextmenuListener = null;
+let wheelListener = null;
 
 
 let mobileLeftTouchStartListener = null;
 let mobileLeftTouchEndListener = null;
 let mobileRightTouchStartListener = null;
 let mobileRightTouchEndListener = null;
+let mobileJumpTouchStartListener = null;
+let mobileJumpTouchEndListener = null;
+let mobileSlideTouchStartListener = null;
+let mobileSlideTouchEndListener = null;
 let mobilePauseTouchListener = null;
 
 export function setupPlayerControls(canvasElement) {
@@ -63,11 +108,16 @@ export function setupPlayerControls(canvasElement) {
     if (contextmenuListener && canvasElement) {
         canvasElement.removeEventListener('contextmenu', contextmenuListener);
     }
+    if (wheelListener && canvasElement) {
+        canvasElement.removeEventListener('wheel', wheelListener);
+    }
 
 
     try {
         const mobileLeftBtn = document.getElementById('mobileLeftBtn');
         const mobileRightBtn = document.getElementById('mobileRightBtn');
+        const mobileJumpBtn = document.getElementById('mobileJumpBtn');
+        const mobileSlideBtn = document.getElementById('mobileSlideBtn');
         const mobilePauseBtn = document.getElementById('mobilePauseBtn');
 
         if (mobileLeftTouchStartListener && mobileLeftBtn) {
@@ -78,6 +128,14 @@ export function setupPlayerControls(canvasElement) {
             mobileRightBtn.removeEventListener('touchstart', mobileRightTouchStartListener);
             mobileRightBtn.removeEventListener('touchend', mobileRightTouchEndListener);
         }
+        if (mobileJumpTouchStartListener && mobileJumpBtn) {
+            mobileJumpBtn.removeEventListener('touchstart', mobileJumpTouchStartListener);
+            mobileJumpBtn.removeEventListener('touchend', mobileJumpTouchEndListener);
+        }
+        if (mobileSlideTouchStartListener && mobileSlideBtn) {
+            mobileSlideBtn.removeEventListener('touchstart', mobileSlideTouchStartListener);
+            mobileSlideBtn.removeEventListener('touchend', mobileSlideTouchEndListener);
+        }
         if (mobilePauseTouchListener && mobilePauseBtn) {
             mobilePauseBtn.removeEventListener('touchstart', mobilePauseTouchListener);
         }
@@ -88,30 +146,42 @@ export function setupPlayerControls(canvasElement) {
 
 
     keydownListener = (event) => {
-        switch (event.key.toLowerCase()) {
-            case 'a':
-            case 'arrowleft':
+        switch (getActionForInput(InputDevices.KEYBOARD, event.code)) {
+            case InputActions.TURN_LEFT:
                 keyLeftPressed = true;
                 break;
-            case 'd':
-            case 'arrowright':
+            case InputActions.TURN_RIGHT:
                 keyRightPressed = true;
                 break;
+            case InputActions.JUMP:
+                keyJumpPressed = true;
+                // Space would otherwise re-activate whichever menu button still has focus
+                if (gameStateManager.getCurrentState() === GameStates.PLAYING) {
+                    event.preventDefault();
+                }
+                break;
+            case InputActions.SLIDE:
+                keySlidePressed = true;
+                break;
         }
     };
 
     document.addEventListener('keydown', keydownListener);
 
     keyupListener = (event) => {
-        switch (event.key.toLowerCase()) {
-            case 'a':
-            case 'arrowleft':
+        switch (getActionForInput(InputDevices.KEYBOARD, event.code)) {
+            case InputActions.TURN_LEFT:
                 keyLeftPressed = false;
                 break;
-            case 'd':
-            case 'arrowright':
+            case InputActions.TURN_RIGHT:
                 keyRightPressed = false;
                 break;
+            case InputActions.JUMP:
+                keyJumpPressed = false;
+                break;
+            case InputActions.SLIDE:
+                keySlidePressed = false;
+                break;
         }
     };
 
@@ -127,6 +197,10 @@ export function setupPlayerControls(canvasElement) {
                 mouseRightPressed = true;
                 event.preventDefault(); // Prevent context menu
                 break;
+            case controlsConfig.MOUSE_BUTTON_JUMP:
+                mouseJumpPressed = true;
+                event.preventDefault(); // Prevent middle-click autoscroll
+                break;
         }
     };
 
@@ -140,6 +214,9 @@ export function setupPlayerControls(canvasElement) {
             case 2: // Right Mouse Button
                 mouseRightPressed = false;
                 break;
+            case controlsConfig.MOUSE_BUTTON_JUMP:
+                mouseJumpPressed = false;
+                break;
         }
     };
 
@@ -153,12 +230,25 @@ export function setupPlayerControls(canvasElement) {
     canvasElement.addEventListener('contextmenu', contextmenuListener);
 
 
+    wheelListener = (event) => {
+        if (event.deltaY < 0) {
+            wheelJumpUntil = performance.now() + controlsConfig.MOUSE_WHEEL_ACTION_MS;
+        } else if (event.deltaY > 0) {
+            wheelSlideUntil = performance.now() + controlsConfig.MOUSE_WHEEL_ACTION_MS;
+        }
+    };
+
+    canvasElement.addEventListener('wheel', wheelListener, { passive: true });
+
+
     try {
         const mobileLeftBtn = document.getElementById('mobileLeftBtn');
         const mobileRightBtn = document.getElementById('mobileRightBtn');
+        const mobileJumpBtn = document.getElementById('mobileJumpBtn');
+        const mobileSlideBtn = document.getElementById('mobileSlideBtn');
         const mobilePauseBtn = document.getElementById('mobilePauseBtn');
 
-        if (mobileLeftBtn && mobileRightBtn && mobilePauseBtn) {
+        if (mobileLeftBtn && mobileRightBtn && mobileJumpBtn && mobileSlideBtn && mobilePauseBtn) {
 
 
             mobileLeftTouchStartListener = (event) => {
@@ -183,6 +273,28 @@ export function setupPlayerControls(canvasElement) {
             };
 
 
+            mobileJumpTouchStartListener = (event) => {
+                event.preventDefault();
+                touchJumpPressed = true;
+            };
+
+            mobileJumpTouchEndListener = (event) => {
+                event.preventDefault();
+                touchJumpPressed = false;
+            };
+
+
+            mobileSlideTouchStartListener = (event) => {
+                event.preventDefault();
+                touchSlidePressed = true;
+            };
+
+            mobileSlideTouchEndListener = (event) => {
+                event.preventDefault();
+                touchSlidePressed = false;
+            };
+
+
             mobilePauseTouchListener = (event) => {
                 event.preventDefault();
                 const currentState = gameStateManager.getCurrentState();
@@ -199,6 +311,10 @@ export function setupPlayerControls(canvasElement) {
             mobileLeftBtn.addEventListener('touchend', mobileLeftTouchEndListener, { passive: false });
             mobileRightBtn.addEventListener('touchstart', mobileRightTouchStartListener, { passive: false });
             mobileRightBtn.addEventListener('touchend', mobileRightTouchEndListener, { passive: false });
+            mobileJumpBtn.addEventListener('touchstart', mobileJumpTouchStartListener, { passive: false });
+            mobileJumpBtn.addEventListener('touchend', mobileJumpTouchEndListener, { passive: false });
+            mobileSlideBtn.addEventListener('touchstart', mobileSlideTouchStartListener, { passive: false });
+            mobileSlideBtn.addEventListener('touchend', mobileSlideTouchEndListener, { passive: false });
             mobilePauseBtn.addEventListener('touchstart', mobilePauseTouchListener, { passive: false });
         } else {
             logger.warn("[Controls] Mobile control buttons not found in the DOM");
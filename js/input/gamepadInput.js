@@ -0,0 +1,207 @@
+// js/input/gamepadInput.js
+import gameStateManager, { GameStates } from '../core/gameStateManager.js';
+import * as UIManager from '../managers/uiManager.js';
+import eventBus from '../core/eventBus.js';
+import { createLogger } from '../utils/logger.js';
+import { controlsConfig } from '../config/controls.js';
+import { InputActions, InputDevices, getBindings } from './inputBindings.js';
+
+const logger = createLogger('GamepadInput');
+
+// Gameplay input from every connected gamepad, combined, as of the last poll
+let gamepadInput = { left: false, right: false, jump: false, slide: false, steer: 0 };
+
+const previousButtons = new Map(); // Gamepad index -> pressed state of each button at the last poll
+let heldButtons = new Set();       // Buttons held on any gamepad at the last poll
+let heldBindings = {};             // The gamepad bindings at the last poll
+let navigateDirection = null;      // Menu direction being held
+let navigateRepeatAt = 0;          // performance.now() time the held direction moves again
+let buttonCapture = null;          // { onButton, onCancel } waiting for the next button press, to bind it
+
+/**
+ * Starts listening for gamepads being plugged in and removed.
+ * Emits 'gamepadConnected' and 'gamepadDisconnected' with { index, name }.
+ */
+export function initGamepadInput() {
+    window.addEventListener('gamepadconnected', ({ gamepad }) => {
+        logger.info(`Gamepad ${gamepad.index} connected: ${gamepad.id}`);
+        eventBus.emit('gamepadConnected', { index: gamepad.index, name: getGamepadName(gamepad) });
+    });
+    window.addEventListener('gamepaddisconnected', ({ gamepad }) => {
+        logger.info(`Gamepad ${gamepad.index} disconnected`);
+        previousButtons.delete(gamepad.index);
+        eventBus.emit('gamepadDisconnected', { index: gamepad.index, name: getGamepadName(gamepad) });
+    });
+}
+
+/**
+ * Gets the gameplay input from gamepads, as of the last pollGamepads().
+ * @returns {{left: boolean, right: boolean, jump: boolean, slide: boolean, steer: number}}
+ *   steer is the analog stick, from -1 (full right) to 1 (full left), already past the deadzone.
+ */
+export function getGamepadInput() {
+    return gamepadInput;
+}
+
+/**
+ * Whether a button bound to an action was held on any gamepad at the last pollGamepads(),
+ * for actions that act while held rather than when pressed.
+ * @param {string} action - An InputActions value.
+ * @returns {boolean}
+ */
+export function isGamepadActionHeld(action) {
+    return !!heldBindings[action]?.some(button => heldButtons.has(button));
+}
+
+/**
+ * Hands the next button pressed on any gamepad to a callback instead of the game, for
+ * binding it to an action. The menu back button cancels instead, as it does in menus.
+ * @param {function(number): void} onButton - Called with the button index.
+ * @param {function(): void} onCancel - Called when the back button is pressed.
+ */
+export function captureNextButton(onButton, onCancel) {
+    buttonCapture = { onButton, onCancel };
+}
+
+/**
+ * Stops waiting for a button for captureNextButton.
+ */
+export function cancelButtonCapture() {
+    buttonCapture = null;
+}
+
+/**
+ * Reads every connected gamepad. Call once per frame, before input is sampled.
+ * During gameplay the stick and bound buttons become player input; elsewhere the fixed menu
+ * buttons move through the menu on screen. Bound pause, restart, level select and FPS
+ * buttons are emitted as 'gamepadAction' with an InputActions value, so they behave like
+ * their keys.
+ */
+export function pollGamepads() {
+    const gamepads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+    const input = { left: false, right: false, jump: false, slide: false, steer: 0 };
+    heldButtons = new Set();
+    if (gamepads.length === 0) {
+        gamepadInput = input;
+        return;
+    }
+
+    const { BUTTONS } = controlsConfig.GAMEPAD;
+    const currentState = gameStateManager.getCurrentState();
+    const inMenu = currentState !== GameStates.PLAYING || UIManager.isSettingsScreenOpen();
+    const bindings = getBindings(InputDevices.GAMEPAD);
+    heldBindings = bindings;
+    // Actions a button press carries out in menus, besides the fixed menu buttons
+    const menuActions = [InputActions.PAUSE, InputActions.RESTART, InputActions.LEVEL_SELECT, InputActions.TOGGLE_FPS];
+    let direction = null;
+
+    gamepads.forEach(gamepad => {
+        const pressed = gamepad.buttons.map(button => button.pressed);
+        const previous = previousButtons.get(gamepad.index) ?? [];
+        previousButtons.set(gamepad.index, pressed);
+        pressed.forEach((isPressed, button) => {
+            if (isPressed) heldButtons.add(button);
+        });
+        const justPressed = (button) => pressed[button] && !previous[button];
+        const isHeld = (action) => bindings[action].some(button => pressed[button]);
+        const wasPressed = (action) => bindings[action].some(justPressed);
+
+        if (buttonCapture) {
+            const button = pressed.findIndex((isPressed, index) => isPressed && !previous[index]);
+            if (button !== -1) {
+                const { onButton, onCancel } = buttonCapture;
+                buttonCapture = null;
+                if (button === BUTTONS.BACK) {
+                    onCancel();
+                } else {
+                    onButton(button);
+                }
+            }
+            return;
+        }
+
+        if (!inMenu) {
+            input.left ||= isHeld(InputActions.TURN_LEFT);
+            input.right ||= isHeld(InputActions.TURN_RIGHT);
+            input.jump ||= isHeld(InputActions.JUMP);
+            input.slide ||= isHeld(InputActions.SLIDE);
+            const steer = getSteer(gamepad.axes[controlsConfig.GAMEPAD.STEER_AXIS] ?? 0);
+            if (Math.abs(steer) > Math.abs(input.steer)) {
+                input.steer = steer;
+            }
+            [InputActions.PAUSE, InputActions.TOGGLE_FPS, InputActions.CAMERA_MODE, InputActions.FREE_CAMERA].filter(wasPressed)
+                .forEach(action => eventBus.emit('gamepadAction', action));
+            return;
+        }
+
+        if (justPressed(BUTTONS.BACK)) {
+            eventBus.emit('gamepadAction', InputActions.PAUSE);
+        } else if (justPressed(BUTTONS.CONFIRM)) {
+            UIManager.activateMenuItem();
+        } else {
+            // The pause button only resumes; B is back everywhere else
+            const action = menuActions.find(wasPressed);
+            if (action && (action !== InputActions.PAUSE || currentState === GameStates.PAUSED)) {
+                eventBus.emit('gamepadAction', action);
+            }
+        }
+        direction ??= getNavigateDirection(gamepad, pressed);
+    });
+
+    gamepadInput = input;
+    navigate(direction);
+}
+
+/**
+ * Moves through the menu in a held direction: once straight away, then repeating.
+ * @param {string|null} direction - 'up', 'down', 'left', 'right' or null when none is held.
+ */
+function navigate(direction) {
+    const now = performance.now();
+    if (direction !== navigateDirection) {
+        navigateDirection = direction;
+        navigateRepeatAt = now + controlsConfig.GAMEPAD.NAVIGATE_REPEAT_DELAY_MS;
+        if (direction) UIManager.navigateMenu(direction);
+    } else if (direction && now >= navigateRepeatAt) {
+        navigateRepeatAt = now + controlsConfig.GAMEPAD.NAVIGATE_REPEAT_MS;
+        UIManager.navigateMenu(direction);
+    }
+}
+
+/**
+ * Gets the menu direction a gamepad's D-pad or left stick is held in.
+ * @returns {string|null}
+ */
+function getNavigateDirection(gamepad, pressed) {
+    const { BUTTONS, STEER_AXIS, NAVIGATE_AXIS, NAVIGATE_THRESHOLD } = controlsConfig.GAMEPAD;
+    const x = gamepad.axes[STEER_AXIS] ?? 0;
+    const y = gamepad.axes[NAVIGATE_AXIS] ?? 0;
+    if (pressed[BUTTONS.UP] || y < -NAVIGATE_THRESHOLD) return 'up';
+    if (pressed[BUTTONS.DOWN] || y > NAVIGATE_THRESHOLD) return 'down';
+    if (pressed[BUTTONS.LEFT] || x < -NAVIGATE_THRESHOLD) return 'left';
+    if (pressed[BUTTONS.RIGHT] || x > NAVIGATE_THRESHOLD) return 'right';
+    return null;
+}
+
+/**
+ * Turns a stick's X axis into a steer amount: nothing inside the deadzone, then rising
+ * along the response curve to 1 at full travel.
+ * @param {number} axis - -1 (left) to 1 (right).
+ * @returns {number} -1 (full right) to 1 (full left), matching the turn direction of 'left'.
+ */
+function getSteer(axis) {
+    const { DEADZONE, STEER_EXPONENT } = controlsConfig.GAMEPAD;
+    const travel = Math.abs(axis);
+    if (travel <= DEADZONE) return 0;
+    const amount = Math.pow(Math.min((travel - DEADZONE) / (1 - DEADZONE), 1), STEER_EXPONENT);
+    return axis < 0 ? amount : -amount;
+}
+
+/**
+ * Shortens a gamepad's id to its product name, e.g. "Xbox 360 Controller (XInput STANDARD
+ * GAMEPAD)" to "Xbox 360 Controller".
+ * @returns {string}
+ */
+function getGamepadName(gamepad) {
+    return gamepad.id.replace(/\s*\(.*$/, '').trim() || 'Controller';
+}
@@ -0,0 +1,305 @@
+// js/input/inputBindings.js
+import eventBus from '../core/eventBus.js';
+import configManager, { SECTIONS } from '../config/config.js';
+import { controlsConfig } from '../config/controls.js';
+import { createLogger } from '../utils/logger.js';
+import { captureNextButton, cancelButtonCapture } from './gamepadInput.js';
+
+const logger = createLogger('InputBindings');
+
+/**
+ * Actions the player can bind keys and gamepad buttons to. controls.ACTIONS lists them for
+ * the controls screen and controls.BINDINGS holds their defaults.
+ * @readonly
+ * @enum {string}
+ */
+export const InputActions = Object.freeze({
+    TURN_LEFT: 'turnLeft',
+    TURN_RIGHT: 'turnRight',
+    JUMP: 'jump',
+    SLIDE: 'slide',
+    PAUSE: 'pause',           // Also resumes, and goes back from menus
+    RESTART: 'restart',
+    LEVEL_SELECT: 'levelSelect',
+    TOGGLE_FPS: 'toggleFps',
+    CAMERA_MODE: 'cameraMode',
+    FREE_CAMERA: 'freeCamera',
+    // Held to fly the debug free camera
+    FREE_FLY_FORWARD: 'freeFlyForward',
+    FREE_FLY_BACK: 'freeFlyBack',
+    FREE_FLY_TURN_LEFT: 'freeFlyTurnLeft',
+    FREE_FLY_TURN_RIGHT: 'freeFlyTurnRight',
+    FREE_FLY_LOOK_UP: 'freeFlyLookUp',
+    FREE_FLY_LOOK_DOWN: 'freeFlyLookDown',
+    FREE_FLY_UP: 'freeFlyUp',
+    FREE_FLY_DOWN: 'freeFlyDown',
+    FREE_FLY_FAST: 'freeFlyFast'
+});
+
+/**
+ * Devices with their own bindings. Keyboard inputs are KeyboardEvent.code values and
+ * gamepad inputs are button indexes.
+ * @readonly
+ * @enum {string}
+ */
+export const InputDevices = Object.freeze({
+    KEYBOARD: 'keyboard',
+    GAMEPAD: 'gamepad'
+});
+
+// Names for keys whose code doesn't read well on its own
+const KEY_NAMES = {
+    Space: 'Space',
+    Escape: 'Esc',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Semicolon: ';',
+    Quote: "'",
+    Comma: ',',
+    Period: '.',
+    Slash: '/'
+};
+
+// Keys that don't bind while waiting for one
+const CANCEL_CODE = 'Escape';
+const CLEAR_CODES = ['Backspace', 'Delete'];
+
+let actionsByInput = null;     // Device -> Map of input -> action, rebuilt when bindings change
+const keyLabels = new Map();   // KeyboardEvent.code -> what the player's layout prints on it
+let captureListener = null;    // Window keydown listener while waiting for an input
+
+/**
+ * Initializes the input bindings.
+ * Where the browser can tell, keys are named as the player's keyboard layout prints them.
+ */
+export function initInputBindings() {
+    rebuildLookup();
+    navigator.keyboard?.getLayoutMap?.()
+        .then(layoutMap => {
+            layoutMap.forEach((key, code) => {
+                if (!keyLabels.has(code)) keyLabels.set(code, key.toUpperCase());
+            });
+            eventBus.emit('inputBindingsChanged', { device: InputDevices.KEYBOARD, action: null });
+        })
+        .catch(error => logger.debug('Keyboard layout map unavailable', error));
+}
+
+/**
+ * Gets a device's bindings, with the defaults for any action that has none saved.
+ * @param {string} device - An InputDevices value.
+ * @returns {Object<string, Array<string|number>>} Inputs by action; a copy, safe to change.
+ */
+export function getBindings(device) {
+    const defaults = controlsConfig.BINDINGS[device] ?? {};
+    const saved = configManager.get(`${SECTIONS.CONTROLS}.BINDINGS`)?.[device] ?? {};
+    const inputType = device === InputDevices.KEYBOARD ? 'string' : 'number';
+
+    const bindings = {};
+    Object.keys(defaults).forEach(action => {
+        if (Array.isArray(saved[action])) {
+            bindings[action] = saved[action].filter(input => typeof input === inputType);
+        }
+    });
+    // Actions added since the bindings were saved get whichever defaults are still free
+    const used = new Set(Object.values(bindings).flat());
+    Object.entries(defaults).forEach(([action, inputs]) => {
+        bindings[action] ??= inputs.filter(input => !used.has(input));
+    });
+    return bindings;
+}
+
+/**
+ * Gets the action an input is bound to.
+ * @param {string} device - An InputDevices value.
+ * @param {string|number} input - A KeyboardEvent.code or gamepad button index.
+ * @returns {string|null} An InputActions value, or null when the input is unbound.
+ */
+export function getActionForInput(device, input) {
+    if (!actionsByInput) rebuildLookup();
+    return actionsByInput[device]?.get(input) ?? null;
+}
+
+/**
+ * Binds an input to one of an action's slots, replacing what was in it, or clears the slot.
+ * An input does one thing per device, so one bound to another action is taken from it -
+ * unless that would leave a required action with nothing bound, which is refused.
+ * Emits 'inputBindingsChanged' with { device, action }.
+ * @param {string} device - An InputDevices value.
+ * @param {string} action - An InputActions value.
+ * @param {number} slot - Which of the action's bindings, from 0.
+ * @param {string|number|null} input - The input, or null to clear the slot.
+ * @returns {{ok: boolean, takenFrom: string|null, blockedBy: string|null}} takenFrom is the
+ *   action that lost the input; blockedBy is the required action that refused the change.
+ */
+export function setBinding(device, action, slot, input) {
+    const bindings = getBindings(device);
+    if (!bindings[action]) {
+        logger.warn(`Unknown action "${action}" for ${device}`);
+        return { ok: false, takenFrom: null, blockedBy: null };
+    }
+
+    const owner = input === null ? null : Object.keys(bindings).find(other => bindings[other].includes(input)) ?? null;
+    const takenFrom = owner && owner !== action ? owner : null;
+    if (takenFrom) {
+        if (isRequired(takenFrom) && bindings[takenFrom].length === 1) {
+            return { ok: false, takenFrom: null, blockedBy: takenFrom };
+        }
+        bindings[takenFrom] = bindings[takenFrom].filter(bound => bound !== input);
+    }
+
+    let inputs = [...bindings[action]];
+    if (input === null) {
+        if (slot >= inputs.length) return { ok: true, takenFrom: null, blockedBy: null };
+        if (isRequired(action) && inputs.length === 1) {
+            return { ok: false, takenFrom: null, blockedBy: action };
+        }
+        inputs.splice(slot, 1);
+    } else if (owner === action) {
+        // Already bound to this action; just move it to the slot
+        inputs = inputs.filter(bound => bound !== input);
+        inputs.splice(Math.min(slot, inputs.length), 0, input);
+    } else if (slot < inputs.length) {
+        inputs[slot] = input;
+    } else {
+        inputs.push(input);
+    }
+    bindings[action] = inputs;
+
+    saveBindings({ [device]: bindings });
+    logger.info(`Bound ${action} on ${device} to ${bindings[action].map(bound => getInputLabel(device, bound)).join(', ') || 'nothing'}`);
+    eventBus.emit('inputBindingsChanged', { device, action });
+    return { ok: true, takenFrom, blockedBy: null };
+}
+
+/**
+ * Puts every binding back to its default and forgets the saved ones.
+ * Emits 'inputBindingsChanged' with { device: null, action: null }.
+ */
+export function resetBindings() {
+    configManager.updateConfig(SECTIONS.CONTROLS, { BINDINGS: controlsConfig.BINDINGS });
+    configManager.clearPersistedConfig(SECTIONS.CONTROLS);
+    rebuildLookup();
+    logger.info('Controls reset to defaults');
+    eventBus.emit('inputBindingsChanged', { device: null, action: null });
+}
+
+/**
+ * Gets the label of an action, from controls.ACTIONS.
+ * @param {string} action - An InputActions value.
+ * @returns {string}
+ */
+export function getActionLabel(action) {
+    return controlsConfig.ACTIONS.find(({ id }) => id === action)?.label ?? action;
+}
+
+/**
+ * Gets what to show the player for an input, e.g. "Q" for KeyA on an AZERTY keyboard, or
+ * "Start" for gamepad button 9.
+ * @param {string} device - An InputDevices value.
+ * @param {string|number} input - A KeyboardEvent.code or gamepad button index.
+ * @returns {string}
+ */
+export function getInputLabel(device, input) {
+    if (device === InputDevices.GAMEPAD) {
+        return controlsConfig.GAMEPAD.BUTTON_NAMES[input] ?? `Button ${input}`;
+    }
+    return keyLabels.get(input) ?? KEY_NAMES[input] ?? input
+        .replace(/^(Key|Digit)/, '')
+        .replace(/^Numpad/, 'Num ')
+        .replace(/^(.+?)(Left|Right)$/, '$2 $1');
+}
+
+/**
+ * Waits for the next key or gamepad button to bind. Escape or the gamepad back button cancels
+ * and Backspace or Delete clears the slot instead; while waiting, keys reach nothing else.
+ * @param {string} device - An InputDevices value; keys are only taken for the keyboard.
+ * @param {function(string|number|null): void} onInput - Called with the input, or null to clear.
+ * @param {function(): void} onCancel - Called when the player cancels.
+ */
+export function captureInput(device, onInput, onCancel) {
+    cancelCapture();
+
+    const finish = (callback, value) => {
+        cancelCapture();
+        callback(value);
+    };
+    captureListener = (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.code === CANCEL_CODE) {
+            finish(onCancel);
+        } else if (CLEAR_CODES.includes(event.code)) {
+            finish(onInput, null);
+        } else if (device === InputDevices.KEYBOARD && event.code) {
+            // Remember how this layout prints the key, for browsers without a layout map
+            if (event.key.length === 1 && event.key !== ' ') keyLabels.set(event.code, event.key.toUpperCase());
+            finish(onInput, event.code);
+        }
+    };
+    // Capturing on window runs before the document listeners that would act on the key
+    window.addEventListener('keydown', captureListener, true);
+
+    if (device === InputDevices.GAMEPAD) {
+        captureNextButton(button => finish(onInput, button), () => finish(onCancel));
+    }
+}
+
+/**
+ * Stops waiting for an input without binding anything.
+ */
+export function cancelCapture() {
+    if (captureListener) {
+        window.removeEventListener('keydown', captureListener, true);
+        captureListener = null;
+    }
+    cancelButtonCapture();
+}
+
+/**
+ * Whether captureInput is waiting for an input.
+ * @returns {boolean}
+ */
+export function isCapturing() {
+    return captureListener !== null;
+}
+
+/** @private */
+function isRequired(action) {
+    return !!controlsConfig.ACTIONS.find(({ id }) => id === action)?.required;
+}
+
+/**
+ * Saves bindings for some devices alongside the rest, and refreshes the lookup.
+ * @param {Object<string, Object>} updates - Bindings by device.
+ * @private
+ */
+function saveBindings(updates) {
+    const all = {};
+    Object.values(InputDevices).forEach(device => {
+        all[device] = updates[device] ?? getBindings(device);
+    });
+    configManager.persistConfig(SECTIONS.CONTROLS, { BINDINGS: all });
+    rebuildLookup();
+}
+
+/** @private */
+function rebuildLookup() {
+    actionsByInput = {};
+    Object.values(InputDevices).forEach(device => {
+        const lookup = new Map();
+        Object.entries(getBindings(device)).forEach(([action, inputs]) => {
+            inputs.forEach(input => {
+                if (!lookup.has(input)) lookup.set(input, action);
+            });
+        });
+        actionsByInput[device] = lookup;
+    });
+}
@@ -0,0 +1,81 @@
+// js/leaderboard/memoryLeaderboardAdapter.js
+
+/**
+ * Leaderboard adapter that keeps the scores in memory, following the same rules as the
+ * REST contract in restLeaderboardAdapter.js. Useful for trying the online leaderboard
+ * without a server, and for testing the submission queue: setOffline(true) makes every
+ * call fail the way an unreachable server would.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.offline=false] - Start out failing every call.
+ * @param {object[]} [options.entries] - Entries to start with, each with a levelId.
+ * @returns {object} A leaderboard adapter (see RemoteLeaderboardManager), plus
+ *   setOffline(offline) and getSubmissionCount().
+ */
+export function createMemoryLeaderboardAdapter({ offline = false, entries = [] } = {}) {
+    const levels = new Map(); // levelId -> entries, best score first
+    let isOffline = offline;
+    let submissionCount = 0;
+
+    function getLevel(levelId) {
+        if (!levels.has(levelId)) levels.set(levelId, []);
+        return levels.get(levelId);
+    }
+
+    function insert(levelId, entry) {
+        const level = getLevel(levelId);
+        const index = level.findIndex(other => entry.score > other.score);
+        level.splice(index === -1 ? level.length : index, 0, entry);
+        return level.indexOf(entry) + 1;
+    }
+
+    function withRanks(level, start, end) {
+        return level.slice(start, end).map((entry, index) => ({ ...entry, rank: start + index + 1 }));
+    }
+
+    function checkOnline() {
+        if (isOffline) {
+            return Promise.reject(new Error('Memory leaderboard is offline'));
+        }
+        return Promise.resolve();
+    }
+
+    entries.forEach(({ levelId, ...entry }) => insert(levelId, entry));
+
+    return {
+        name: 'memory',
+
+        async submitScore(levelId, entry) {
+            await checkOnline();
+            const level = getLevel(levelId);
+            const existing = level.find(other => entry.id && other.id === entry.id);
+            if (existing) {
+                existing.name = entry.name;
+                return { rank: level.indexOf(existing) + 1 };
+            }
+            submissionCount++;
+            return { rank: insert(levelId, { ...entry }) };
+        },
+
+        async fetchTop(levelId, limit) {
+            await checkOnline();
+            return withRanks(getLevel(levelId), 0, limit);
+        },
+
+        async fetchAroundMe(levelId, clientId, range) {
+            await checkOnline();
+            const level = getLevel(levelId);
+            const index = level.findIndex(entry => entry.clientId === clientId);
+            if (index === -1) return [];
+            return withRanks(level, Math.max(0, index - range), index + range + 1);
+        },
+
+        setOffline(value) {
+            isOffline = !!value;
+        },
+
+        getSubmissionCount() {
+            return submissionCount;
+        }
+    };
+}
@@ -0,0 +1,102 @@
+// js/leaderboard/restLeaderboardAdapter.js
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('RestLeaderboardAdapter');
+
+/**
+ * Leaderboard adapter that talks to a self-hosted leaderboard server over HTTP.
+ *
+ * REST contract (all bodies are JSON; {levelId} is a level registry ID like 'level1'):
+ *
+ * POST {baseUrl}/levels/{levelId}/scores
+ *   Body:     { id, clientId, name, score, seed, distance, cause, version, date }
+ *             `id` is unique per run and stays the same when a queued submission is retried
+ *             or the player renames the run, so for an id it has already stored the server
+ *             should only take the new name.
+ *   Response: 2xx { rank } - the entry's rank on the level (1 is best). The body may be
+ *             left empty (e.g. 204), in which case the rank is unknown.
+ *
+ * GET {baseUrl}/levels/{levelId}/scores?limit={n}
+ *   Response: 200 { entries: [{ rank, name, score, seed, distance, cause, version, date }] },
+ *             the best n entries, best first.
+ *
+ * GET {baseUrl}/levels/{levelId}/scores/around?clientId={clientId}&range={n}
+ *   Response: 200 { entries: [...] } - the client's best entry with up to n entries above and
+ *             below it, best first. Entries from that client carry `clientId`; the others may
+ *             leave it out. An empty list if the client has no entries on the level.
+ *
+ * Any other status is an error. 4xx responses other than 408 and 429 mean the server will
+ * never accept the request, so submissions failing with them are not retried.
+ * The server has to allow CORS requests from wherever the game is hosted.
+ *
+ * @param {string} baseUrl - The server's base URL, without a trailing slash.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=5000] - Requests taking longer than this are aborted.
+ * @returns {object} A leaderboard adapter (see RemoteLeaderboardManager).
+ */
+export function createRestLeaderboardAdapter(baseUrl, { timeoutMs = 5000 } = {}) {
+    const root = String(baseUrl).replace(/\/+$/, '');
+
+    async function request(path, options = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const response = await fetch(`${root}${path}`, {
+                ...options,
+                headers: { 'Content-Type': 'application/json', ...options.headers },
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                const error = new Error(`Leaderboard server responded ${response.status} ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+            // Any 2xx is a success, with or without a JSON body
+            const contentType = response.headers.get('Content-Type') ?? '';
+            if (response.status === 204 || response.headers.get('Content-Length') === '0' ||
+                !contentType.includes('json')) {
+                return null;
+            }
+            const text = await response.text();
+            try {
+                return text ? JSON.parse(text) : null;
+            } catch (error) {
+                logger.warn(`Leaderboard server sent an unreadable ${response.status} body for ${path}:`, error.message);
+                return null;
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Leaderboard server did not respond within ${timeoutMs} ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    const levelPath = levelId => `/levels/${encodeURIComponent(levelId)}/scores`;
+
+    return {
+        name: 'rest',
+
+        async submitScore(levelId, entry) {
+            const result = await request(levelPath(levelId), {
+                method: 'POST',
+                body: JSON.stringify(entry)
+            });
+            logger.debug(`Submitted ${entry.score} on ${levelId}`, result);
+            return { rank: result?.rank ?? null };
+        },
+
+        async fetchTop(levelId, limit) {
+            const result = await request(`${levelPath(levelId)}?limit=${encodeURIComponent(limit)}`);
+            return Array.isArray(result?.entries) ? result.entries : [];
+        },
+
+        async fetchAroundMe(levelId, clientId, range) {
+            const query = `clientId=${encodeURIComponent(clientId)}&range=${encodeURIComponent(range)}`;
+            const result = await request(`${levelPath(levelId)}/around?${query}`);
+            return Array.isArray(result?.entries) ? result.entries : [];
+        }
+    };
+}
@@ -6,29 +6,12 @@ export const level1Config = {
     NOISE_FREQUENCY: 0.01, // How close together the hills are (lower = wider hills)
     NOISE_AMPLITUDE: 8,   // How high the hills are (larger = higher peaks/deeper valleys)
 
-    // --- Scene & Atmosphere ---
-    atmosphericProfile: {
-        backgroundColor: 0x87CEEB,
-        fog: {
-            color: 0x87CEEB,
-            near: 35,
-            far: 1000,
-        },
-        lighting: {
-            ambient: {
-                color: 0xffffff,
-                intensity: 0.6,
-            },
-            directional: {
-                color: 0xffffff,
-                intensity: 0.8,
-                position: { x: 100, y: 100, z: 50 },
-            },
-        },
-        elements: [
-            // No special atmospheric elements for forest level by default
-        ]
-    },
+    // --- Surfaces --- (see terrainConfig.SURFACE_TYPES)
+    DEFAULT_SURFACE: 'normal',
+    SURFACE_NOISE_FREQUENCY: 0.02,
+    SURFACE_REGIONS: [
+        { type: 'mud', minNoise: 0.55 } // Boggy patches that are hard to turn in
+    ],
 
     // --- Coin Visuals ---
     COIN_VISUALS: {
@@ -130,6 +113,39 @@ export const level1Config = {
             scoreValue: 0,
             maxPlacementAttempts: 25,
         },
+        {
+            type: 'shield',
+            density: 0.00008, // Rarer than the timed powerups
+            minDistance: 30.0,
+            verticalOffset: 1.5,
+            scaleRange: [1.2, 1.5],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 0,
+            maxPlacementAttempts: 20,
+        },
+        {
+            type: 'boost',
+            density: 0.00008,
+            minDistance: 30.0,
+            verticalOffset: 1.5,
+            scaleRange: [1.2, 1.5],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 0,
+            maxPlacementAttempts: 20,
+        },
+        {
+            type: 'slowmo',
+            density: 0.00008,
+            minDistance: 30.0,
+            verticalOffset: 1.5,
+            scaleRange: [1.2, 1.5],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 0,
+            maxPlacementAttempts: 20,
+        },
         // --- Obstacles ---
         {
             type: 'rock_small',
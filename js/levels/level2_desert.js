@@ -6,36 +6,12 @@ export const level2Config = {
     NOISE_FREQUENCY: 0.015, // Slightly different frequency
     NOISE_AMPLITUDE: 4,   // Lower amplitude for flatter desert
 
-    // --- Scene & Atmosphere ---
-    atmosphericProfile: {
-        backgroundColor: 0xF0E68C, // Khaki/Sandy background
-        fog: {
-            color: 0xF0E68C, // Match background
-            near: 50,
-            far: 800, // Maybe slightly less fog distance
-        },
-        lighting: {
-            ambient: {
-                color: 0xffffff,
-                intensity: 0.7, // Slightly brighter ambient?
-            },
-            directional: {
-                color: 0xffffff,
-                intensity: 0.9, // Brighter sun?
-                position: { x: 150, y: 150, z: 100 },
-            },
-        },
-        elements: [
-            {
-                type: 'buzzard',
-                count: 4,
-                altitude: 80,
-                circleRadius: 150,
-                circleSpeed: 0.05, // This was in the update logic, good to have it configurable
-                lookAtOffset: { y: -10 } // For the lookAt adjustment
-            }
-        ]
-    },
+    // --- Surfaces --- (see terrainConfig.SURFACE_TYPES)
+    DEFAULT_SURFACE: 'normal', // Hard-packed ground
+    SURFACE_NOISE_FREQUENCY: 0.012,
+    SURFACE_REGIONS: [
+        { type: 'sand', minNoise: 0.35 } // Loose sand drifts that slow you down
+    ],
 
     // --- Coin Visuals ---
     COIN_VISUALS: {
@@ -146,6 +122,39 @@ export const level2Config = {
             scoreValue: 0,
             maxPlacementAttempts: 20,
         },
+        {
+            type: 'shield',
+            density: 0.00008, // Rarer than the timed powerups
+            minDistance: 30.0,
+            verticalOffset: 1.5,
+            scaleRange: [1.2, 1.5],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 0,
+            maxPlacementAttempts: 20,
+        },
+        {
+            type: 'boost',
+            density: 0.00008,
+            minDistance: 30.0,
+            verticalOffset: 1.5,
+            scaleRange: [1.2, 1.5],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 0,
+            maxPlacementAttempts: 20,
+        },
+        {
+            type: 'slowmo',
+            density: 0.00008,
+            minDistance: 30.0,
+            verticalOffset: 1.5,
+            scaleRange: [1.2, 1.5],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 0,
+            maxPlacementAttempts: 20,
+        },
         // --- Atmospheric Elements ---
         {
             type: 'buzzard',
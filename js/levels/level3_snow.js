@@ -0,0 +1,192 @@
+// js/levels/level3_snow.js
+
+export const level3Config = {
+    // --- Terrain ---
+    TERRAIN_COLOR: 0xF4F8FB, // Snow white
+    NOISE_FREQUENCY: 0.014, // Tighter hills than the forest
+    NOISE_AMPLITUDE: 16,   // Much higher peaks for steep mountain slopes
+
+    // --- Surfaces --- (see terrainConfig.SURFACE_TYPES)
+    DEFAULT_SURFACE: 'normal', // Packed snow
+    SURFACE_NOISE_FREQUENCY: 0.018,
+    SURFACE_REGIONS: [
+        { type: 'ice', minNoise: 0.4 } // Frozen patches where turns carry you sideways
+    ],
+
+    // --- Health ---
+    STARTING_LIVES: 3, // Fast wolves, yetis and ice; the other levels keep the one-hit run
+
+    // --- Coin Visuals ---
+    COIN_VISUALS: {
+        spinSpeed: 2.0,
+    },
+
+    // --- Enemies ---
+    ENEMY_DEFAULT_SPEED: 5.0,
+    ENEMY_DEFAULT_AGGRO_RADIUS: 30.0,
+    ENEMY_DEFAULT_DEAGGRO_RADIUS: 30.0,
+    ENEMY_SPAWN_DENSITY: 0.0002, // Slightly busier than the forest
+    ENEMY_TYPES: ['wolf', 'yeti'],
+    ENEMY_PROPERTIES: {
+        'wolf': {
+            speed: 12.0, // Fastest chaser so far
+            aggroRadius: 40.0,
+            deaggroRadius: 45.0,
+            color: 0x8A8D91, // Grey
+            minDistance: 12.0,
+            verticalOffset: 0.1,
+            maxPlacementAttempts: 12,
+            roamingRadius: 25.0, // Packs range widely
+            roamingSpeedFactor: 0.6,
+            roamingMinWaitTime: 1.0,
+            roamingMaxWaitTime: 3.0,
+        },
+        'yeti': {
+            speed: 7.0, // Slow but huge
+            aggroRadius: 50.0,
+            deaggroRadius: 50.0,
+            color: 0xE8EEF2, // Off-white fur
+            minDistance: 30.0,
+            verticalOffset: 0.1,
+            maxPlacementAttempts: 15,
+            roamingRadius: 10.0,
+            roamingSpeedFactor: 0.4,
+            roamingMinWaitTime: 3.0,
+            roamingMaxWaitTime: 8.0,
+        }
+    },
+
+    // --- Enemy Roaming ---
+    ENEMY_ROAMING_RADIUS: 15.0,
+    ENEMY_ROAMING_SPEED_FACTOR: 0.5,
+    ENEMY_ROAMING_MIN_WAIT_TIME: 2.0,
+    ENEMY_ROAMING_MAX_WAIT_TIME: 5.0,
+
+    // --- Object Generation ---
+    OBJECT_TYPES: [
+        // --- Coins ---
+        {
+            type: 'coin',
+            density: 0.000465,
+            minDistance: 3.0,
+            verticalOffset: 1.5,
+            scaleRange: [1, 1],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 10,
+            maxPlacementAttempts: 10,
+        },
+        // --- powerups ---
+        {
+            type: 'magnet',
+            density: 0.00012,
+            minDistance: 25.0,
+            verticalOffset: 1.5,
+            scaleRange: [1.2, 1.5],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 0,
+            maxPlacementAttempts: 20,
+        },
+        {
+            type: 'doubler',
+            density: 0.00012,
+            minDistance: 25.0,
+            verticalOffset: 1.5,
+            scaleRange: [1.2, 1.5],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 0,
+            maxPlacementAttempts: 20,
+        },
+        {
+            type: 'invisibility',
+            density: 0.00012,
+            minDistance: 25.0,
+            verticalOffset: 1.5,
+            scaleRange: [1.2, 1.5],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 0,
+            maxPlacementAttempts: 20,
+        },
+        {
+            type: 'shield',
+            density: 0.00008, // Rarer than the timed powerups
+            minDistance: 30.0,
+            verticalOffset: 1.5,
+            scaleRange: [1.2, 1.5],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 0,
+            maxPlacementAttempts: 20,
+        },
+        {
+            type: 'boost',
+            density: 0.00008,
+            minDistance: 30.0,
+            verticalOffset: 1.5,
+            scaleRange: [1.2, 1.5],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 0,
+            maxPlacementAttempts: 20,
+        },
+        {
+            type: 'slowmo',
+            density: 0.00008,
+            minDistance: 30.0,
+            verticalOffset: 1.5,
+            scaleRange: [1.2, 1.5],
+            randomRotationY: true,
+            collidable: false,
+            scoreValue: 0,
+            maxPlacementAttempts: 20,
+        },
+        // --- Obstacles ---
+        {
+            type: 'tree_pine', // Same pines as the forest, built by robustTree.js
+            density: 0.0003,
+            minDistance: 8.0,
+            verticalOffset: 0,
+            scaleRange: [1.2, 2.5], // A little shorter up in the mountains
+            randomRotationY: true,
+            collidable: true,
+            scoreValue: 0,
+            maxPlacementAttempts: 15,
+        },
+        {
+            type: 'rock_ice',
+            density: 0.0003,
+            minDistance: 2.5,
+            verticalOffset: 0.5, // Partly buried in the snow
+            scaleRange: [0.6, 1.6],
+            randomRotationY: true,
+            collidable: true,
+            scoreValue: 0,
+            maxPlacementAttempts: 8,
+        },
+        {
+            type: 'snowman',
+            density: 0.00006,
+            minDistance: 10.0,
+            verticalOffset: 0,
+            scaleRange: [0.9, 1.3],
+            randomRotationY: true,
+            collidable: true,
+            scoreValue: 0,
+            maxPlacementAttempts: 12,
+        },
+        {
+            type: 'log_fallen',
+            density: 0.000095,
+            minDistance: 3.0,
+            verticalOffset: 0.25,
+            scaleRange: [0.8, 1.5],
+            randomRotationY: true,
+            collidable: true,
+            scoreValue: 0,
+            maxPlacementAttempts: 8,
+        },
+    ]
+};
@@ -0,0 +1,205 @@
+// js/levels/levelRegistry.js
+
+/**
+ * Level manifests, in level-select order. The first entry is the default level.
+ *
+ * Everything the game needs to know about a level outside of its gameplay config lives
+ * here, and LevelManager, ScoreManager, AudioManager and the UI all read from this list.
+ * Adding a biome means writing its config module and appending a manifest.
+ *
+ * Manifest fields:
+ * - id:                 Unique level ID (also the key for high scores and replays).
+ * - name, description:  Shown on the level select screen.
+ * - loadConfig:         Returns a promise for the level's config object. Dynamic imports
+ *                       keep unplayed levels out of the initial download.
+ * - unlock:             Rule that must be met before the level can be selected, or null if
+ *                       it is always available. See ProgressManager for the rule types.
+ * - music:              Path of the track played during the level.
+ * - musicTheme:         Optional audio.ADAPTIVE_MUSIC.THEMES key. When set, the level plays
+ *                       adaptive music that follows the run instead of its music file.
+ * - atmosphericProfile: Background, fog, lighting and ambient elements, and an optional
+ *                       dayNight cycle that animates them (see AtmosphericManager). A
+ *                       'weather' element runs through a schedule of weather.STATES.
+ * - nextLevel:          Optional { levelId, score }: switch to levelId mid-run once the
+ *                       score is reached.
+ */
+export const levelRegistry = [
+    {
+        id: 'level1',
+        name: 'Forest',
+        description: 'Run through the lush forest landscape',
+        loadConfig: () => import('./level1_forest.js').then(module => module.level1Config),
+        unlock: null,
+        music: '/assets/audio/openrunnersong1.wav',
+        musicTheme: 'forest',
+        atmosphericProfile: {
+            backgroundColor: 0x87CEEB,
+            fog: {
+                color: 0x87CEEB,
+                near: 35,
+                far: 1000,
+            },
+            lighting: {
+                ambient: {
+                    color: 0xffffff,
+                    intensity: 0.6,
+                },
+                directional: {
+                    color: 0xffffff,
+                    intensity: 0.8,
+                    position: { x: 100, y: 100, z: 50 },
+                },
+            },
+            // Runs start in the morning; dusk falls about three minutes in
+            dayNight: {
+                cycleDuration: 360,
+                startTime: 0.3,
+                sunTilt: 0.5,
+                keyframes: [
+                    { time: 0, sky: 0x0B1430, ambient: { color: 0x4A5A8A, intensity: 0.25 }, sun: { color: 0x8FA3D9, intensity: 0.2 }, night: 1 },
+                    { time: 0.17, sky: 0x0B1430, ambient: { color: 0x4A5A8A, intensity: 0.25 }, sun: { color: 0x8FA3D9, intensity: 0.2 }, night: 1 },
+                    { time: 0.22, sky: 0xF2A66B, ambient: { color: 0xC9A48A, intensity: 0.4 }, sun: { color: 0xFFB070, intensity: 0.5 }, night: 0.3 },
+                    { time: 0.3, sky: 0x87CEEB, ambient: { color: 0xffffff, intensity: 0.6 }, sun: { color: 0xffffff, intensity: 0.8 }, night: 0 },
+                    { time: 0.7, sky: 0x87CEEB, ambient: { color: 0xffffff, intensity: 0.6 }, sun: { color: 0xffffff, intensity: 0.8 }, night: 0 },
+                    { time: 0.78, sky: 0xE8845A, ambient: { color: 0xC99A8A, intensity: 0.4 }, sun: { color: 0xFF9050, intensity: 0.5 }, night: 0.3 },
+                    { time: 0.86, sky: 0x0B1430, ambient: { color: 0x4A5A8A, intensity: 0.25 }, sun: { color: 0x8FA3D9, intensity: 0.2 }, night: 1 }
+                ],
+                headlamp: {
+                    color: 0xFFF2CC,
+                    intensity: 20,
+                    distance: 70,
+                    decay: 1,
+                    angle: 0.5,      // Radians either side of the beam's centre
+                    penumbra: 0.5,
+                    position: { x: 0, y: 1, z: -0.6 },  // At the forehead
+                    target: { x: 0, y: -3.5, z: -25 }   // The ground ahead
+                },
+                pickupGlow: { coin: 0.8, powerup: 1 }
+            },
+            elements: [
+                {
+                    type: 'weather', // States are weather.STATES keys
+                    schedule: [
+                        { state: 'clear', duration: 90 },
+                        { state: 'rain', duration: 45 },
+                        { state: 'clear', duration: 60 },
+                        { state: 'fogBank', duration: 40 }
+                    ],
+                    transition: 10
+                }
+            ]
+        },
+        nextLevel: { levelId: 'level2', score: 300 }
+    },
+    {
+        id: 'level2',
+        name: 'Desert',
+        description: 'Navigate the hot desert terrain',
+        loadConfig: () => import('./level2_desert.js').then(module => module.level2Config),
+        unlock: { type: 'highScore', levelId: 'level1', minScore: 1 },
+        music: '/assets/audio/openrunnersong2.wav',
+        musicTheme: 'desert',
+        atmosphericProfile: {
+            backgroundColor: 0xF0E68C, // Khaki/Sandy background
+            fog: {
+                color: 0xF0E68C, // Match background
+                near: 50,
+                far: 800, // Maybe slightly less fog distance
+            },
+            lighting: {
+                ambient: {
+                    color: 0xffffff,
+                    intensity: 0.7, // Slightly brighter ambient?
+                },
+                directional: {
+                    color: 0xffffff,
+                    intensity: 0.9, // Brighter sun?
+                    position: { x: 150, y: 150, z: 100 },
+                },
+            },
+            // Runs start in the afternoon and soon go into a cold desert night
+            dayNight: {
+                cycleDuration: 300,
+                startTime: 0.55,
+                sunTilt: 0.7,
+                keyframes: [
+                    { time: 0, sky: 0x1A1838, ambient: { color: 0x5A5A90, intensity: 0.3 }, sun: { color: 0xA0B0E0, intensity: 0.25 }, night: 1 },
+                    { time: 0.17, sky: 0x1A1838, ambient: { color: 0x5A5A90, intensity: 0.3 }, sun: { color: 0xA0B0E0, intensity: 0.25 }, night: 1 },
+                    { time: 0.22, sky: 0xF5B878, ambient: { color: 0xE0B890, intensity: 0.5 }, sun: { color: 0xFFC080, intensity: 0.6 }, night: 0.3 },
+                    { time: 0.3, sky: 0xF0E68C, ambient: { color: 0xffffff, intensity: 0.7 }, sun: { color: 0xffffff, intensity: 0.9 }, night: 0 },
+                    { time: 0.68, sky: 0xF0E68C, ambient: { color: 0xffffff, intensity: 0.7 }, sun: { color: 0xffffff, intensity: 0.9 }, night: 0 },
+                    { time: 0.77, sky: 0xF07850, ambient: { color: 0xE0A080, intensity: 0.5 }, sun: { color: 0xFF8040, intensity: 0.6 }, night: 0.3 },
+                    { time: 0.85, sky: 0x1A1838, ambient: { color: 0x5A5A90, intensity: 0.3 }, sun: { color: 0xA0B0E0, intensity: 0.25 }, night: 1 }
+                ],
+                headlamp: {
+                    color: 0xFFF2CC,
+                    intensity: 20,
+                    distance: 70,
+                    decay: 1,
+                    angle: 0.5,
+                    penumbra: 0.5,
+                    position: { x: 0, y: 1, z: -0.6 },
+                    target: { x: 0, y: -3.5, z: -25 }
+                },
+                pickupGlow: { coin: 0.8, powerup: 1 }
+            },
+            elements: [
+                {
+                    type: 'buzzard',
+                    count: 4,
+                    altitude: 80,
+                    circleRadius: 150,
+                    circleSpeed: 0.05, // This was in the update logic, good to have it configurable
+                    lookAtOffset: { y: -10 }, // For the lookAt adjustment
+                    callInterval: { min: 6, max: 14 } // Seconds between calls (audio.SPATIAL.BUZZARD_CALL)
+                },
+                { type: 'particles', emitter: 'dustField' }, // Windblown sand (particles.EMITTERS)
+                {
+                    type: 'weather',
+                    schedule: [
+                        { state: 'clear', duration: 80 },
+                        { state: 'sandstorm', duration: 35 }
+                    ],
+                    transition: 8
+                }
+            ]
+        }
+    },
+    {
+        id: 'level3',
+        name: 'Mountains',
+        description: 'Climb the snowy peaks, where wolves and yetis roam',
+        loadConfig: () => import('./level3_snow.js').then(module => module.level3Config),
+        unlock: {
+            type: 'all',
+            rules: [
+                { type: 'highScore', levelId: 'level2', minScore: 200 },
+                { type: 'coins', count: 150 }
+            ]
+        },
+        music: '/assets/audio/openrunnersong1.wav', // Shares the forest track until the level gets its own
+        musicTheme: 'mountains',
+        atmosphericProfile: {
+            backgroundColor: 0xC9D6DF, // Overcast winter sky
+            fog: {
+                color: 0xC9D6DF,
+                near: 25,
+                far: 600, // Closer fog for falling snow
+            },
+            lighting: {
+                ambient: {
+                    color: 0xDDE8FF, // Cool tint
+                    intensity: 0.8,
+                },
+                directional: {
+                    color: 0xFFFFFF,
+                    intensity: 0.6, // Weak winter sun
+                    position: { x: -80, y: 120, z: 60 },
+                },
+            },
+            elements: [
+                { type: 'particles', emitter: 'snowField' } // particles.EMITTERS
+            ]
+        }
+    }
+];
@@ -0,0 +1,256 @@
+// js/managers/achievementManager.js
+import eventBus from '../core/eventBus.js';
+import { GameStates } from '../core/gameStateManager.js';
+import { createLogger } from '../utils/logger.js';
+import { achievementsConfig } from '../config/achievements.js';
+import * as ScoreManager from './scoreManager.js';
+import * as LevelManager from './levelManager.js';
+import replayManager from './replayManager.js';
+
+const logger = createLogger('AchievementManager');
+
+// Constants
+const ACHIEVEMENTS_KEY = 'openRunner_achievements';
+
+/**
+ * The events achievements can listen for, each with a function turning its payload into
+ * the facts that definitions' `where` and `field` refer to. Every event's facts also include
+ * the current levelId unless the event names its own.
+ */
+const EVENT_FACTS = {
+    scoreChanged: (points) => ({ points }),
+    coinCollected: (payload) => ({ value: payload?.value ?? 0 }),
+    nearMiss: (payload) => ({ objectType: payload?.objectType }),
+    powerupActivated: (type) => ({ type }),
+    playerTurned: ({ direction }) => ({ direction }),
+    playerHit: ({ cause, lives }) => ({ cause, lives }),
+    playerDied: (cause) => ({
+        cause: cause ?? 'unknown',
+        score: ScoreManager.getCurrentScore(),
+        ...ScoreManager.getRunStats()
+    }),
+    newHighScore: ({ score, levelId }) => ({ score, levelId }),
+    levelUnlockSaved: (levelId) => ({ levelId })
+};
+
+// Survive rules run on a clock rather than on events
+const surviveDefinitions = achievementsConfig.ACHIEVEMENTS.filter(definition => definition.type === 'survive');
+
+// In-memory state
+let unlocked = {};    // { [id]: ISO date unlocked }
+let progress = {};    // { [id]: total so far, best run so far, or (distinct) the values seen }
+let runProgress = {}; // { [id]: count, sum or seconds survived in the current run }
+let surviveLevelId = null; // Level the survive clocks are running in
+let dirty = false; // Progress changed since the last save
+
+/**
+ * Initialize the achievement manager.
+ * Loads saved progress and starts listening for the events achievements are defined on.
+ */
+export function init() {
+    logger.debug('Initializing AchievementManager');
+    loadAchievements();
+
+    Object.keys(EVENT_FACTS).forEach(eventName => {
+        eventBus.subscribe(eventName, (payload) => handleEvent(eventName, payload));
+    });
+
+    eventBus.subscribe('gameStateChanged', ({ newState, oldState }) => {
+        // A fresh run (not a resume) starts counting from zero
+        if (newState === GameStates.PLAYING && oldState !== GameStates.PAUSED) {
+            runProgress = {};
+            surviveLevelId = null;
+        }
+        // Progress changes on nearly every frame of a run, so it is saved between gameplay instead
+        if (newState !== GameStates.PLAYING && dirty) {
+            saveAchievements();
+        }
+    });
+}
+
+/**
+ * Load achievement progress from localStorage
+ */
+function loadAchievements() {
+    try {
+        const stored = localStorage.getItem(ACHIEVEMENTS_KEY);
+        if (stored !== null) {
+            const data = JSON.parse(stored) || {};
+            unlocked = data.unlocked || {};
+            progress = data.progress || {};
+        }
+    } catch (error) {
+        logger.error('Error loading achievements from localStorage:', error);
+        unlocked = {};
+        progress = {};
+    }
+}
+
+/**
+ * Save achievement progress to localStorage
+ */
+function saveAchievements() {
+    try {
+        localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify({ unlocked, progress }));
+        dirty = false;
+    } catch (error) {
+        logger.error('Error saving achievements to localStorage:', error);
+    }
+}
+
+/**
+ * Advances the survive clocks. Called every gameplay frame.
+ * @param {number} deltaTime - Gameplay time since the last frame, in seconds.
+ */
+export function update(deltaTime) {
+    if (replayManager.isPlayingBack()) return;
+
+    const levelId = LevelManager.getCurrentLevelId();
+    if (levelId !== surviveLevelId) {
+        // Survive rules count time in one level, so a level change starts the clocks again
+        surviveLevelId = levelId;
+        surviveDefinitions.forEach(definition => delete runProgress[definition.id]);
+    }
+
+    surviveDefinitions.forEach(definition => {
+        if (unlocked[definition.id] || !matchesWhere(definition.where, { levelId })) return;
+        const seconds = (runProgress[definition.id] || 0) + deltaTime;
+        runProgress[definition.id] = seconds;
+        if (Math.floor(seconds) > (progress[definition.id] || 0)) {
+            progress[definition.id] = Math.floor(seconds);
+            dirty = true;
+        }
+        if (seconds >= definition.seconds) {
+            unlock(definition);
+        }
+    });
+}
+
+/**
+ * Checks an event against every achievement still locked.
+ * @param {string} eventName - The event bus event.
+ * @param {*} payload - The event's payload.
+ */
+function handleEvent(eventName, payload) {
+    // Replayed runs never earn achievements
+    if (replayManager.isPlayingBack()) return;
+
+    const facts = { levelId: LevelManager.getCurrentLevelId(), ...EVENT_FACTS[eventName](payload) };
+
+    achievementsConfig.ACHIEVEMENTS.forEach(definition => {
+        if (unlocked[definition.id]) return;
+
+        if (definition.resetOn?.event === eventName && matchesWhere(definition.resetOn.where, facts)) {
+            delete runProgress[definition.id];
+        }
+        if (definition.event !== eventName || !matchesWhere(definition.where, facts)) return;
+
+        switch (definition.type) {
+            case 'count':
+            case 'sum': {
+                const amount = definition.type === 'count' ? 1 : Number(facts[definition.field]) || 0;
+                if (definition.scope === 'run') {
+                    runProgress[definition.id] = (runProgress[definition.id] || 0) + amount;
+                    progress[definition.id] = Math.max(progress[definition.id] || 0, runProgress[definition.id]);
+                } else {
+                    progress[definition.id] = (progress[definition.id] || 0) + amount;
+                }
+                break;
+            }
+            case 'reach':
+                progress[definition.id] = Math.max(progress[definition.id] || 0, Math.floor(Number(facts[definition.field]) || 0));
+                break;
+            case 'distinct': {
+                const seen = progress[definition.id] || [];
+                const value = facts[definition.field];
+                if (!definition.values.includes(value) || seen.includes(value)) return;
+                progress[definition.id] = [...seen, value];
+                break;
+            }
+            default:
+                logger.warn(`Unknown achievement type "${definition.type}" for ${definition.id}`);
+                return;
+        }
+        dirty = true;
+
+        const { current, target } = getProgress(definition);
+        if (current >= target) {
+            unlock(definition);
+        }
+    });
+}
+
+/**
+ * Checks whether facts match a definition's `where` filter.
+ * @param {object|undefined} where - Fact values to require.
+ * @param {object} facts - The event's facts.
+ * @returns {boolean}
+ */
+function matchesWhere(where, facts) {
+    return !where || Object.entries(where).every(([key, value]) => facts[key] === value);
+}
+
+/**
+ * Marks an achievement as unlocked, saves and emits 'achievementUnlocked'.
+ * @param {object} definition - The achievement definition.
+ */
+function unlock(definition) {
+    if (unlocked[definition.id]) return;
+    unlocked[definition.id] = new Date().toISOString();
+    saveAchievements();
+    logger.info(`Achievement unlocked: ${definition.name}`);
+    eventBus.emit('achievementUnlocked', {
+        id: definition.id,
+        name: definition.name,
+        description: definition.description,
+        icon: definition.icon
+    });
+}
+
+/**
+ * Gets how far along an achievement is.
+ * @param {object} definition - The achievement definition.
+ * @returns {{current: number, target: number}}
+ */
+function getProgress(definition) {
+    const saved = progress[definition.id];
+    switch (definition.type) {
+        case 'distinct':
+            return { current: (saved || []).length, target: definition.values.length };
+        case 'survive':
+            return { current: saved || 0, target: definition.seconds };
+        default:
+            return { current: saved || 0, target: definition.target };
+    }
+}
+
+/**
+ * Gets every achievement for display, in gallery order.
+ * @returns {Array<{id: string, name: string, description: string, icon: string, hidden: boolean,
+ *   unlocked: boolean, unlockedAt: string|null, current: number, target: number}>}
+ *   For run-scoped achievements `current` is the best run so far.
+ */
+export function getAchievements() {
+    return achievementsConfig.ACHIEVEMENTS.map(definition => {
+        const { current, target } = getProgress(definition);
+        return {
+            id: definition.id,
+            name: definition.name,
+            description: definition.description,
+            icon: definition.icon,
+            hidden: !!definition.hidden,
+            unlocked: !!unlocked[definition.id],
+            unlockedAt: unlocked[definition.id] ?? null,
+            current: Math.min(current, target),
+            target
+        };
+    });
+}
+
+/**
+ * Gets the number of achievements unlocked.
+ * @returns {number}
+ */
+export function getUnlockedCount() {
+    return achievementsConfig.ACHIEVEMENTS.filter(definition => unlocked[definition.id]).length;
+}
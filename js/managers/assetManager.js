@@ -37,7 +37,8 @@ export function initLevelAssets(levelConfig) {
     const coinSegments = fallbackGeometriesConfig.COIN.SEGMENTS;
     levelAssets.coinGeometry = new THREE.CylinderGeometry(coinRadius, coinRadius, coinHeight, coinSegments);
     levelAssets.coinGeometry.rotateX(Math.PI / 2);
-    levelAssets.coinMaterial = new THREE.MeshStandardMaterial({ color: coinColor, metalness: 0.3, roughness: 0.4 }); // Keep metalness/roughness for now
+    // Emissive in its own color so it can glow at night; off by day
+    levelAssets.coinMaterial = new THREE.MeshStandardMaterial({ color: coinColor, emissive: coinColor, emissiveIntensity: 0, metalness: 0.3, roughness: 0.4 }); // Keep metalness/roughness for now
 
     // --- Powerups ---
     // The AssetManager initializes models (THREE.Group instances) for each power-up type once per level.
@@ -134,6 +135,14 @@ export function initLevelAssets(levelConfig) {
     levelAssets.cabinMaterial = new THREE.MeshStandardMaterial({ color: materialsConfig.CABIN_COLOR, roughness: materialsConfig.CABIN_ROUGHNESS });
     levelAssets.cactusMaterial = new THREE.MeshStandardMaterial({ color: materialsConfig.CACTUS_COLOR, roughness: materialsConfig.CACTUS_ROUGHNESS });
     levelAssets.saloonMaterial = new THREE.MeshStandardMaterial({ color: materialsConfig.SALOON_COLOR, roughness: materialsConfig.SALOON_ROUGHNESS });
+    levelAssets.iceMaterial = new THREE.MeshStandardMaterial({
+        color: materialsConfig.ICE_COLOR,
+        roughness: materialsConfig.ICE_ROUGHNESS,
+        metalness: materialsConfig.ICE_METALNESS,
+        transparent: true,
+        opacity: materialsConfig.ICE_OPACITY
+    });
+    levelAssets.snowMaterial = new THREE.MeshStandardMaterial({ color: materialsConfig.SNOW_COLOR, roughness: materialsConfig.SNOW_ROUGHNESS });
 
 
     // --- Obstacles Geometries ---
@@ -174,11 +183,15 @@ export function initLevelAssets(levelConfig) {
             case 'tumbleweed':
                  if (!levelAssets.tumbleweedGeo) levelAssets.tumbleweedGeo = new THREE.IcosahedronGeometry(fallbackGeometriesConfig.TUMBLEWEED.RADIUS, fallbackGeometriesConfig.TUMBLEWEED.DETAIL);
                  break;
+            case 'rock_ice':
+                 if (!levelAssets.rockIceGeo) levelAssets.rockIceGeo = new THREE.DodecahedronGeometry(fallbackGeometriesConfig.ROCK_ICE.RADIUS, fallbackGeometriesConfig.ROCK_ICE.DETAIL);
+                 break;
             case 'tree_pine':
             case 'cactus_saguaro':
             case 'railroad_sign':
             case 'mine_entrance':
             case 'water_tower':
+            case 'snowman':
                 break;
         }
     });
@@ -3,15 +3,35 @@ import * as THREE from 'three';
 import { createLogger } from '../utils/logger.js'; // Stays in utils
 // Assuming AssetManager provides createBuzzardModel directly or via a method
 import * as ModelFactory from '../rendering/modelFactory.js'; // Moved to rendering
+import eventBus from '../core/eventBus.js';
+import { GameStates } from '../core/gameStateManager.js';
+import { weatherConfig } from '../config/weather.js';
+import { createWeatherLoop } from '../audio/weatherSounds.js';
+import * as AudioManager from './audioManager.js';
 
 const logger = createLogger('AtmosphericManager'); // Use logger instance
 
+// Lowest the sun or moon gets, so the scene is never lit from below the horizon
+const MIN_LIGHT_ELEVATION = 0.1;
+
+// Weather loops only reschedule their gain for a change this big
+const WEATHER_LEVEL_EPSILON = 0.01;
+
+// Reusable objects
+const _windDirection = new THREE.Vector3();
+
 class AtmosphericManager {
     constructor() {
         this.atmosphericElements = []; // Stores active 3D objects
         this.targetScene = null;
         this.player = null;
+        this.particleManager = null;
         this.currentLevelConfig = null; // Store the whole level config for easy access
+        this.dayNight = null;           // The running time-of-day cycle, for levels with one
+        this.pickupGlow = { coin: 0, powerup: 0 };
+        this.weather = null;            // The running weather schedule, for levels with one
+        this.crosswind = new THREE.Vector3();
+        this.enemyAggroFactor = 1;
         logger.info("AtmosphericManager instantiated");
     }
 
@@ -26,17 +46,22 @@ class AtmosphericManager {
         logger.info("Player reference set.");
     }
 
+    setParticleManager(particleManager) {
+        this.particleManager = particleManager;
+    }
+
     // --- Management ---
     clearElements() {
         logger.info("Clearing atmospheric elements...");
         this.atmosphericElements.forEach(elementData => {
+            elementData.particles?.stop();
             const element = elementData.model; // The 3D object is stored in model property
             if (element && element.parent) {
                 element.parent.remove(element);
             }
-            if (element.traverse) {
+            if (element?.traverse) {
                 element.traverse((child) => {
-                    if (child instanceof THREE.Mesh) {
+                    if (child instanceof THREE.Mesh || child instanceof THREE.Points) {
                         child.geometry?.dispose();
                         if (child.material) {
                             if (Array.isArray(child.material)) {
@@ -51,6 +76,8 @@ class AtmosphericManager {
         });
         this.atmosphericElements = [];
         this.currentLevelConfig = null;
+        this._clearDayNight();
+        this._clearWeather();
         logger.info("Atmospheric elements cleared.");
     }
 
@@ -136,7 +163,12 @@ class AtmosphericManager {
             logger.warn("No lighting profile found. Existing scene lights (if any) will remain unchanged.");
         }
 
-        // 4. Add Atmospheric Elements
+        // 4. Start the time-of-day cycle, which takes over the sky, fog and lights
+        if (profile.dayNight) {
+            this._setupDayNight(profile.dayNight, sceneToUpdate);
+        }
+
+        // 5. Add Atmospheric Elements
         if (profile.elements && profile.elements.length > 0) {
             profile.elements.forEach(elementConfig => {
                 this.createAndAddElement(elementConfig);
@@ -165,7 +197,12 @@ class AtmosphericManager {
                         elementModel.position.set(initialX, elementConfig.altitude, initialZ);
                         
                         this.targetScene.add(elementModel);
-                        this.atmosphericElements.push({ model: elementModel, config: elementConfig, type: 'buzzard' });
+                        this.atmosphericElements.push({
+                            model: elementModel,
+                            config: elementConfig,
+                            type: 'buzzard',
+                            callTimer: this._nextCallDelay(elementConfig)
+                        });
                         logger.info(`Added ${elementConfig.type} element.`);
                     } else {
                         logger.warn("Failed to create buzzard model instance for atmospheric element.");
@@ -174,7 +211,24 @@ class AtmosphericManager {
                     logger.error(`Error creating ${elementConfig.type} model:`, error);
                 }
                 break;
-            // Add cases for other element types here (e.g., clouds, dust particles)
+            case 'particles':
+                // An ambient field from particles.EMITTERS, kept around the player
+                if (!this.particleManager || !this.player?.model) {
+                    logger.warn(`Cannot add ${elementConfig.emitter} particles: particle manager or player not set.`);
+                    break;
+                }
+                this.atmosphericElements.push({
+                    model: null,
+                    config: elementConfig,
+                    type: 'particles',
+                    particles: this.particleManager.attach(elementConfig.emitter, this.player.model)
+                });
+                logger.info(`Added ${elementConfig.emitter} particles.`);
+                break;
+            case 'weather':
+                this._setupWeather(elementConfig);
+                break;
+            // Add cases for other element types here (e.g., clouds)
             default:
                 logger.warn(`Unknown atmospheric element type: ${elementConfig.type}`);
                 break;
@@ -182,8 +236,50 @@ class AtmosphericManager {
     }
 
 
+    /**
+     * How dark the time-of-day cycle has made it.
+     * @returns {number} 0 by day or in levels without the cycle, up to 1 at night.
+     */
+    getNightAmount() {
+        return this.dayNight?.night ?? 0;
+    }
+
+    /**
+     * How much brighter coins and power-ups glow for the time of day.
+     * @returns {{coin: number, powerup: number}} Emissive intensity to add; shared, so don't keep it.
+     */
+    getPickupGlow() {
+        return this.pickupGlow;
+    }
+
+    /**
+     * How hard the weather is pushing the player.
+     * @returns {THREE.Vector3} World velocity in units per second; shared, so don't keep it.
+     */
+    getCrosswind() {
+        return this.crosswind;
+    }
+
+    /**
+     * How much the weather shrinks the distance enemies notice the player from.
+     * @returns {number} Multiplier for their aggro radius; 1 in clear weather.
+     */
+    getEnemyAggroFactor() {
+        return this.enemyAggroFactor;
+    }
+
     // --- Update Loop ---
     update(deltaTime, elapsedTime) {
+        if (this.dayNight) {
+            this.dayNight.time = (this.dayNight.time + deltaTime / this.dayNight.config.cycleDuration) % 1;
+            this._applyTimeOfDay();
+        }
+        if (this.weather) {
+            this.weather.time += deltaTime;
+            this.weather.audible = true; // Only updated while the run is going
+            this._applyWeather();
+        }
+
         if (!this.player?.model || this.atmosphericElements.length === 0) {
             return;
         }
@@ -207,12 +303,331 @@ class AtmosphericManager {
 
                         const lookAtY = config.altitude + (config.lookAtOffset ? config.lookAtOffset.y : 0);
                         model.lookAt(playerX, lookAtY, playerZ);
+
+                        elementData.callTimer -= deltaTime;
+                        if (elementData.callTimer <= 0) {
+                            eventBus.emit('buzzardCalled', { object3D: model });
+                            elementData.callTimer = this._nextCallDelay(config);
+                        }
                     }
                     break;
                 // Add update logic for other element types here
             }
         });
     }
+
+    /**
+     * Starts a level's time-of-day cycle. The profile's dayNight has:
+     * - cycleDuration:  Seconds for a whole day.
+     * - startTime:      Time of day runs start at, 0-1: 0 is midnight, 0.25 sunrise, 0.5 noon
+     *                   and 0.75 sunset. The sun rises and sets with it, and the moon lights
+     *                   the night from the other side.
+     * - sunTilt:        How far the sun's path leans along the course.
+     * - keyframes:      [{ time, sky, fog, ambient: { color, intensity }, sun: { color, intensity },
+     *                   night }], blended between and wrapping round midnight. night (0-1)
+     *                   turns the headlamp on and makes pickups glow.
+     * - headlamp:       { color, intensity, distance, decay, angle, penumbra, position, target }
+     *                   spotlight on the player; position and target are relative to the player.
+     * - pickupGlow:     { coin, powerup } emissive intensity added at full night.
+     * @param {object} config - The profile's dayNight.
+     * @param {THREE.Scene} scene - The level's scene, already lit by the profile.
+     * @private
+     */
+    _setupDayNight(config, scene) {
+        const keyframes = [...config.keyframes]
+            .sort((a, b) => a.time - b.time)
+            .map(keyframe => ({
+                time: keyframe.time,
+                sky: new THREE.Color(keyframe.sky),
+                fog: new THREE.Color(keyframe.fog ?? keyframe.sky),
+                ambientColor: new THREE.Color(keyframe.ambient.color),
+                ambientIntensity: keyframe.ambient.intensity,
+                sunColor: new THREE.Color(keyframe.sun.color),
+                sunIntensity: keyframe.sun.intensity,
+                night: keyframe.night ?? 0
+            }));
+
+        if (!(scene.background instanceof THREE.Color)) {
+            scene.background = new THREE.Color();
+        }
+        let ambientLight = scene.getObjectByProperty('isAmbientLight', true);
+        if (!ambientLight) {
+            ambientLight = new THREE.AmbientLight();
+            scene.add(ambientLight);
+        }
+        let sunLight = scene.getObjectByProperty('isDirectionalLight', true);
+        if (!sunLight) {
+            sunLight = new THREE.DirectionalLight();
+            scene.add(sunLight);
+        }
+
+        // Always in the scene, so lighting it up at dusk doesn't recompile every material
+        let headlamp = null;
+        if (config.headlamp && this.player?.model) {
+            const { color, distance, decay, angle, penumbra, position, target } = config.headlamp;
+            headlamp = new THREE.SpotLight(color, 0, distance, angle, penumbra, decay);
+            headlamp.name = 'headlamp';
+            headlamp.position.set(position.x, position.y, position.z);
+            headlamp.target.position.set(target.x, target.y, target.z);
+            this.player.model.add(headlamp, headlamp.target);
+        }
+
+        this.dayNight = {
+            config,
+            keyframes,
+            time: config.startTime ?? 0.5,
+            night: 0,
+            scene,
+            ambientLight,
+            sunLight,
+            headlamp
+        };
+        this._applyTimeOfDay();
+        logger.info(`Day/night cycle started at time ${this.dayNight.time}.`);
+    }
+
+    /**
+     * Lights the scene for the cycle's current time of day.
+     * @private
+     */
+    _applyTimeOfDay() {
+        const { config, keyframes, time, scene, ambientLight, sunLight, headlamp } = this.dayNight;
+
+        // The keyframes either side of now, wrapping round midnight
+        let nextIndex = keyframes.findIndex(keyframe => keyframe.time > time);
+        if (nextIndex === -1) nextIndex = 0;
+        const next = keyframes[nextIndex];
+        const previous = keyframes[(nextIndex - 1 + keyframes.length) % keyframes.length];
+        const span = (next.time - previous.time + 1) % 1 || 1;
+        const t = ((time - previous.time + 1) % 1) / span;
+
+        scene.background.lerpColors(previous.sky, next.sky, t);
+        scene.fog?.color.lerpColors(previous.fog, next.fog, t);
+        ambientLight.color.lerpColors(previous.ambientColor, next.ambientColor, t);
+        ambientLight.intensity = THREE.MathUtils.lerp(previous.ambientIntensity, next.ambientIntensity, t);
+        sunLight.color.lerpColors(previous.sunColor, next.sunColor, t);
+        sunLight.intensity = THREE.MathUtils.lerp(previous.sunIntensity, next.sunIntensity, t);
+
+        const angle = (time - 0.25) * Math.PI * 2; // 0 at sunrise, up to noon, down at sunset
+        let across = Math.cos(angle);
+        let elevation = Math.sin(angle);
+        if (elevation < 0) {
+            // Night; the moon is opposite the sun
+            across = -across;
+            elevation = -elevation;
+        }
+        sunLight.position.set(across, Math.max(elevation, MIN_LIGHT_ELEVATION), config.sunTilt ?? 0).normalize();
+
+        const night = THREE.MathUtils.lerp(previous.night, next.night, t);
+        this.dayNight.night = night;
+        if (headlamp) headlamp.intensity = night * config.headlamp.intensity;
+        this.pickupGlow.coin = night * (config.pickupGlow?.coin ?? 0);
+        this.pickupGlow.powerup = night * (config.pickupGlow?.powerup ?? 0);
+    }
+
+    /** @private */
+    _clearDayNight() {
+        const headlamp = this.dayNight?.headlamp;
+        if (headlamp) {
+            headlamp.parent?.remove(headlamp, headlamp.target);
+            headlamp.dispose();
+        }
+        this.dayNight = null;
+        this.pickupGlow.coin = 0;
+        this.pickupGlow.powerup = 0;
+    }
+
+    /**
+     * Starts a level's weather. The 'weather' element has:
+     * - schedule:    [{ state, duration }] run through in order and repeated; state is a
+     *                weather.STATES key and duration is in seconds.
+     * - transition:  Seconds each entry takes to blend in from the one before, out of its
+     *                duration. The first entry is already in place when the run starts.
+     * The weather follows the gameplay clock, so a replay sees the same weather.
+     * @param {object} config - The 'weather' element config from the atmospheric profile.
+     * @private
+     */
+    _setupWeather(config) {
+        const schedule = (config.schedule ?? []).filter(entry => {
+            if (weatherConfig.STATES[entry.state] && entry.duration > 0) return true;
+            logger.warn(`Skipping weather schedule entry with unknown state "${entry.state}" or no duration.`);
+            return false;
+        });
+        if (schedule.length === 0) {
+            logger.warn("Weather element has no usable schedule; skipping.");
+            return;
+        }
+        if (this.weather) {
+            logger.warn("Level has more than one weather element; using the last.");
+            this._clearWeather();
+        }
+
+        const fog = this.targetScene.fog;
+        this.weather = {
+            schedule,
+            transition: config.transition ?? weatherConfig.DEFAULT_TRANSITION_SECONDS,
+            cycleDuration: schedule.reduce((total, entry) => total + entry.duration, 0),
+            time: 0,
+            entryIndex: -1,
+            baseFog: fog ? { near: fog.near, far: fog.far } : null,
+            weights: new Map(),   // State name -> 0-1 share of the weather
+            particles: new Map(), // State name -> attachment from ParticleManager
+            sounds: new Map(),    // State name -> { loop, level }
+            audible: false,       // Loops are only heard while the run is going
+            unsubscribe: eventBus.subscribe('gameStateChanged', ({ newState }) => {
+                if (newState === GameStates.PLAYING) return;
+                this.weather.audible = false;
+                this._setWeatherLevels();
+            })
+        };
+        this._applyWeather();
+        logger.info(`Weather started with ${schedule.length} schedule entries.`);
+    }
+
+    /**
+     * Blends the states either side of the weather's current schedule entry into the fog,
+     * particles, sound and the gameplay effects.
+     * @private
+     */
+    _applyWeather() {
+        const weather = this.weather;
+        const { schedule, transition, cycleDuration, weights } = weather;
+
+        // Find the current entry, and how far it has blended in over the one before
+        let entryTime = weather.time % cycleDuration;
+        let index = 0;
+        while (entryTime >= schedule[index].duration) {
+            entryTime -= schedule[index].duration;
+            index++;
+        }
+        const firstEntry = weather.time < schedule[0].duration;
+        const blend = firstEntry || transition <= 0 ? 1 : Math.min(entryTime / transition, 1);
+        const current = schedule[index].state;
+        const previous = schedule[(index - 1 + schedule.length) % schedule.length].state;
+
+        if (index !== weather.entryIndex) {
+            weather.entryIndex = index;
+            logger.info(`Weather turning ${current}.`);
+        }
+
+        weights.forEach((weight, state) => weights.set(state, 0));
+        weights.set(previous, (weights.get(previous) ?? 0) + 1 - blend);
+        weights.set(current, (weights.get(current) ?? 0) + blend);
+
+        let fogNear = 0;
+        let fogFar = 0;
+        let aggroFactor = 0;
+        this.crosswind.set(0, 0, 0);
+        weights.forEach((weight, name) => {
+            const state = weatherConfig.STATES[name];
+            fogNear += weight * (state.FOG?.NEAR ?? 1);
+            fogFar += weight * (state.FOG?.FAR ?? 1);
+            aggroFactor += weight * (state.ENEMY_AGGRO_FACTOR ?? 1);
+
+            if (state.CROSSWIND && weight > 0) {
+                const { X, Z, SPEED, GUST = 0, GUST_FREQUENCY = 0 } = state.CROSSWIND;
+                const gust = 1 + GUST * Math.sin(weather.time * GUST_FREQUENCY * Math.PI * 2);
+                _windDirection.set(X, 0, Z).normalize();
+                this.crosswind.addScaledVector(_windDirection, weight * SPEED * gust);
+            }
+
+            if (state.PARTICLES) this._setWeatherParticles(name, state.PARTICLES, weight);
+        });
+        this.enemyAggroFactor = aggroFactor;
+
+        const fog = this.targetScene?.fog;
+        if (fog && weather.baseFog) {
+            fog.near = weather.baseFog.near * fogNear;
+            fog.far = weather.baseFog.far * fogFar;
+        }
+
+        this._setWeatherLevels();
+    }
+
+    /**
+     * Fades a state's particle field with its share of the weather, attaching it as the
+     * state arrives and stopping it once it has gone.
+     * @private
+     */
+    _setWeatherParticles(stateName, emitter, weight) {
+        const { particles } = this.weather;
+        let attachment = particles.get(stateName);
+        if (weight <= 0) {
+            attachment?.stop();
+            particles.delete(stateName);
+            return;
+        }
+        if (!attachment) {
+            if (!this.particleManager || !this.player?.model) return;
+            attachment = this.particleManager.attach(emitter, this.player.model, { density: weight });
+            particles.set(stateName, attachment);
+        }
+        attachment.setDensity(weight);
+    }
+
+    /**
+     * Sets each state's loop to its share of the weather, or silences them all outside the
+     * run. Loops are created once audio has started.
+     * @private
+     */
+    _setWeatherLevels() {
+        const { weights, sounds, audible } = this.weather;
+        const audioContext = AudioManager.getAudioContext();
+        weights.forEach((weight, name) => {
+            const sound = weatherConfig.STATES[name].SOUND;
+            if (!sound) return;
+
+            let playing = sounds.get(name);
+            if (!playing) {
+                const destination = AudioManager.getBusInput(AudioManager.AudioBuses.SFX);
+                if (!audioContext || !destination || weight <= 0) return;
+                const loop = createWeatherLoop(audioContext, destination, sound.LOOP);
+                if (!loop) {
+                    logger.warn(`Unknown weather loop "${sound.LOOP}"`);
+                    return;
+                }
+                playing = { loop, level: 0 };
+                sounds.set(name, playing);
+            }
+
+            const level = audible ? weight * sound.VOLUME : 0;
+            if (Math.abs(level - playing.level) > WEATHER_LEVEL_EPSILON || (level === 0 && playing.level !== 0)) {
+                playing.level = level;
+                playing.loop.setLevel(level);
+            }
+        });
+    }
+
+    /** @private */
+    _clearWeather() {
+        const weather = this.weather;
+        if (weather) {
+            weather.unsubscribe();
+            weather.particles.forEach(attachment => attachment.stop());
+            weather.sounds.forEach(({ loop }) => loop.stop());
+            // Put the fog back for whatever uses the scene next
+            const fog = this.targetScene?.fog;
+            if (fog && weather.baseFog) {
+                fog.near = weather.baseFog.near;
+                fog.far = weather.baseFog.far;
+            }
+        }
+        this.weather = null;
+        this.crosswind.set(0, 0, 0);
+        this.enemyAggroFactor = 1;
+    }
+
+    /**
+     * Picks how long until a buzzard next calls, from its element's callInterval.
+     * @param {object} config - The 'buzzard' element config from the atmospheric profile.
+     * @returns {number} Seconds, or Infinity for a buzzard without a callInterval.
+     * @private
+     */
+    _nextCallDelay(config) {
+        if (!config.callInterval) return Infinity;
+        const { min, max } = config.callInterval;
+        return min + Math.random() * (max - min);
+    }
 }
 
 // Singleton instance
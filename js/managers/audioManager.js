@@ -3,23 +3,73 @@ import eventBus from '../core/eventBus.js';
 import { GameStates } from '../core/gameStateManager.js';
 import * as LevelManager from './levelManager.js';
 import { audioConfig } from '../config/audio.js';
+import { getConfig } from '../config/config.js';
 import { createLogger } from '../utils/logger.js';
+import { AdaptiveMusicTrack } from '../audio/adaptiveMusicTrack.js';
+import { gameplayConfig } from '../config/gameplay.js';
 
 const logger = createLogger('AudioManager');
 
+/**
+ * The gain buses sounds are mixed on. Each has its own volume setting; the music bus also
+ * ducks while important effects play.
+ * @readonly
+ * @enum {string}
+ */
+export const AudioBuses = Object.freeze({
+    MUSIC: 'music',
+    SFX: 'sfx',
+    UI: 'ui'
+});
+
+// The volume setting for each bus
+const BUS_VOLUME_SETTINGS = {
+    [AudioBuses.MUSIC]: 'settings.MUSIC_VOLUME',
+    [AudioBuses.SFX]: 'settings.SFX_VOLUME',
+    [AudioBuses.UI]: 'settings.UI_VOLUME'
+};
+
 let audioContext = null;
 let masterGain = null;
+const busGains = {};  // AudioBuses value -> GainNode, all feeding masterGain
+let duckGain = null;  // Between the music bus and masterGain, so ducking leaves the music volume alone
+let duckReleaseTime = 0; // AudioContext time the current duck starts releasing
+const bufferCache = new Map(); // File path -> Promise of its decoded AudioBuffer
+const playingEffectCounts = new Map(); // Effect name -> copies playing or loading
 // currentTrack stores the state of the currently playing music track
 let currentTrack = {
-    source: null,     // AudioBufferSourceNode
+    source: null,     // AudioBufferSourceNode, or an AdaptiveMusicTrack for a level with a musicTheme
     gainNode: null,   // GainNode specific to this track
     id: null          // Identifier like 'level1', 'theme'
 };
+let invisibilityActive = false; // Adaptive music sweeps its filter while this is set
 
-const levelAudioMap = {
+// Tracks that don't belong to a level; level music comes from each level's manifest
+const menuMusicMap = {
     'theme': '/assets/audio/openrunnertheme.wav',
-    'level1': '/assets/audio/openrunnersong1.wav',
-    'level2': '/assets/audio/openrunnersong2.wav',
+}
+
+/**
+ * Resolves a music ID to its adaptive music theme, if the level has one.
+ * @param {string} musicId - 'theme' or a level ID.
+ * @returns {object | undefined} An audio.ADAPTIVE_MUSIC.THEMES entry.
+ */
+function getMusicTheme(musicId) {
+    const themeName = LevelManager.getLevelManifest(musicId)?.musicTheme;
+    const theme = themeName ? audioConfig.ADAPTIVE_MUSIC.THEMES[themeName] : undefined;
+    if (themeName && !theme) {
+        logger.warn(`Unknown music theme "${themeName}" for ${musicId}, playing its music file instead`);
+    }
+    return theme;
+}
+
+/**
+ * Resolves a music ID (a menu track or a level ID) to its audio file.
+ * @param {string} musicId - 'theme' or a level ID.
+ * @returns {string | undefined} The file path, if one is defined.
+ */
+function getMusicFilePath(musicId) {
+    return menuMusicMap[musicId] ?? LevelManager.getLevelManifest(musicId)?.music;
 }
 
 export const effectAudioMap = {
@@ -40,15 +90,14 @@ function setupEventListeners() {
 
     // Listen for player death (collision)
     eventBus.subscribe('playerDied', () => {
-       playWaveFile(effectAudioMap['collision']);
+       playEffect('collision');
     });
 
     eventBus.subscribe('gameStateChanged', ({ newState, previousState }) => { // Destructure newState and previousState
         logger.info(`Audio handling game state change: ${previousState} -> ${newState}`);
 
         if (newState === GameStates.GAME_OVER) {
-
-            playWaveFile(effectAudioMap['gameover']);
+            playEffect('gameover');
         } else if (newState === GameStates.TITLE) {
 
             // playMusic will handle transitions and check if 'theme' is already playing.
@@ -68,19 +117,52 @@ function setupEventListeners() {
         }
     });
 
-    eventBus.subscribe('scoreChanged', (scoreIncrement) => {
-
-        if (scoreIncrement > 0) {
-            playWaveFile(effectAudioMap['coin']);
-        }
+    eventBus.subscribe('coinCollected', () => {
+        playEffect('coin');
     });
 
 
     eventBus.subscribe('uiButtonClicked', () => {
-        playWaveFile(effectAudioMap['buttonclick']);
+        playEffect('buttonclick');
+    });
+
+    eventBus.subscribe('applyPowerupEffect', ({ type }) => {
+        if (type === gameplayConfig.POWERUP_TYPE_INVISIBILITY) setInvisibilitySweep(true);
+    });
+
+    eventBus.subscribe('removePowerupEffect', ({ type }) => {
+        if (type === gameplayConfig.POWERUP_TYPE_INVISIBILITY) setInvisibilitySweep(false);
     });
 }
 
+/**
+ * Remembers whether invisibility is active and sweeps the adaptive music's filter to match.
+ * @param {boolean} active
+ */
+function setInvisibilitySweep(active) {
+    invisibilityActive = active;
+    getAdaptiveTrack()?.setFilterSweep(active);
+}
+
+/**
+ * Gets the current track if it is adaptive music.
+ * @returns {AdaptiveMusicTrack|null}
+ */
+function getAdaptiveTrack() {
+    return currentTrack.source instanceof AdaptiveMusicTrack ? currentTrack.source : null;
+}
+
+/**
+ * Feeds the run's state to the adaptive music. Called every gameplay frame; does nothing
+ * while the music is a plain track.
+ * @param {object} state
+ * @param {number} state.speed - player.currentSpeed, for the tempo and drive layer.
+ * @param {number} state.chasingEnemies - Enemies chasing the player, for the chase layer.
+ */
+export function updateAdaptiveMusic({ speed, chasingEnemies }) {
+    getAdaptiveTrack()?.setIntensity(speed, chasingEnemies > 0);
+}
+
 /**
  * Initializes the Web Audio API AudioContext and sets up event listeners.
  * Must be called after a user interaction (e.g., button click).
@@ -95,6 +177,19 @@ export function initAudio() {
         masterGain.gain.setValueAtTime(audioConfig.INITIAL_MASTER_GAIN, audioContext.currentTime);
         masterGain.connect(audioContext.destination);
 
+        duckGain = audioContext.createGain();
+        duckGain.connect(masterGain);
+        Object.values(AudioBuses).forEach(bus => {
+            const busGain = audioContext.createGain();
+            busGain.gain.setValueAtTime(getConfig(BUS_VOLUME_SETTINGS[bus], 1), audioContext.currentTime);
+            busGain.connect(bus === AudioBuses.MUSIC ? duckGain : masterGain);
+            busGains[bus] = busGain;
+        });
+
+        // Decode the effects up front so the first coin or click doesn't wait for them
+        Object.values(effectAudioMap).forEach(filePath => {
+            loadAudioBuffer(filePath).catch(e => logger.warn(`Could not preload ${filePath}:`, e));
+        });
 
         if (audioContext.state === 'suspended') {
             audioContext.resume().then(() => {
@@ -115,6 +210,53 @@ export function initAudio() {
     }
 }
 
+/**
+ * Sets a bus's volume (the settings screen's volume sliders).
+ * Has no effect until audio is initialized; initAudio reads the settings itself.
+ * @param {string} bus - An AudioBuses value.
+ * @param {number} volume - Volume from 0 to 1, on top of each sound's own volume.
+ */
+export function setBusVolume(bus, volume) {
+    if (!audioContext || !busGains[bus]) return;
+    busGains[bus].gain.setValueAtTime(volume, audioContext.currentTime);
+}
+
+/**
+ * Gets the AudioContext, for modules that build their own node graphs.
+ * @returns {AudioContext|null} Null until audio is initialized.
+ */
+export function getAudioContext() {
+    return audioContext;
+}
+
+/**
+ * Gets the gain node a bus mixes into, for sounds played outside playEffect.
+ * @param {string} bus - An AudioBuses value.
+ * @returns {GainNode|null} Null until audio is initialized.
+ */
+export function getBusInput(bus) {
+    return busGains[bus] ?? null;
+}
+
+/**
+ * Ducks the music to audio.DUCKING.GAIN for a while, then lets it back up. Overlapping
+ * ducks extend the current one instead of restarting it.
+ * @param {number} holdMs - How long the music stays ducked once it is down.
+ */
+export function duckMusic(holdMs) {
+    if (!audioContext || !duckGain) return;
+    const { GAIN, ATTACK_MS, RELEASE_MS } = audioConfig.DUCKING;
+    const now = audioContext.currentTime;
+    const releaseAt = Math.max(duckReleaseTime, now + (ATTACK_MS + holdMs) / 1000);
+
+    duckGain.gain.cancelScheduledValues(now);
+    duckGain.gain.setValueAtTime(duckGain.gain.value, now);
+    duckGain.gain.linearRampToValueAtTime(GAIN, now + ATTACK_MS / 1000);
+    duckGain.gain.setValueAtTime(GAIN, releaseAt);
+    duckGain.gain.linearRampToValueAtTime(1, releaseAt + RELEASE_MS / 1000);
+    duckReleaseTime = releaseAt;
+}
+
 /**
  * Fades out a specific audio track.
  * @param {object} trackToFade - The track object { source, gainNode, id }.
@@ -143,10 +285,10 @@ function fadeOutMusic(trackToFade, durationMs) {
             } catch (e) {
                 logger.debug('[AudioManager] fadeOutMusic: Error stopping source, possibly already stopped.', e);
             }
-            // Disconnect the track-specific gain node from masterGain
-            if (gainNode && masterGain) {
+            // Disconnect the track-specific gain node from the music bus
+            if (gainNode && busGains[AudioBuses.MUSIC]) {
                 try {
-                    gainNode.disconnect(masterGain);
+                    gainNode.disconnect(busGains[AudioBuses.MUSIC]);
                 } catch (e) {
                     logger.debug('[AudioManager] fadeOutMusic: Error disconnecting gainNode, possibly already disconnected.', e);
                 }
@@ -212,12 +354,13 @@ export async function stopMusic(transitionDuration = 500) { // Default 500ms fad
 }
 
 /**
- * Plays background music, handling transitions with fades.
+ * Plays background music, handling transitions with fades. A level with a musicTheme
+ * plays adaptive music instead of its music file.
  * @param {string} levelId - The ID of the music to play (e.g., 'level1', 'theme').
  * @param {boolean} loop - Whether the music should loop (default: true).
  * @param {number} volume - Target volume for the music (0 to 1, default: 0.3).
  * @param {number} transitionDuration - Duration for fade-in/out in ms (default: 500).
- * @returns {Promise<AudioBufferSourceNode|null>} The new audio source node or null if playback failed.
+ * @returns {Promise<AudioBufferSourceNode|AdaptiveMusicTrack|null>} The new audio source or null if playback failed.
  */
 export async function playMusic(levelId = 'theme', loop = true, volume = 0.3, transitionDuration = 500) {
     if (!audioContext || !masterGain) {
@@ -253,8 +396,9 @@ export async function playMusic(levelId = 'theme', loop = true, volume = 0.3, tr
     }
 
 
-    const filePath = levelAudioMap[levelId];
-    if (!filePath) {
+    const theme = getMusicTheme(levelId);
+    const filePath = getMusicFilePath(levelId);
+    if (!theme && !filePath) {
         logger.error(`[AudioManager] No audio file defined for level: ${levelId}`);
         return null;
     }
@@ -264,21 +408,27 @@ export async function playMusic(levelId = 'theme', loop = true, volume = 0.3, tr
             await audioContext.resume();
         }
 
-        const response = await fetch(filePath);
-        if (!response.ok) throw new Error(`Failed to fetch audio file: ${response.status} ${response.statusText}`);
-        
-        const audioData = await response.arrayBuffer();
-        const audioBuffer = await audioContext.decodeAudioData(audioData);
+        let newSource;
+        if (theme) {
+            newSource = new AdaptiveMusicTrack(audioContext, theme);
+            newSource.setFilterSweep(invisibilityActive);
+        } else {
+            const response = await fetch(filePath);
+            if (!response.ok) throw new Error(`Failed to fetch audio file: ${response.status} ${response.statusText}`);
+
+            const audioData = await response.arrayBuffer();
+            const audioBuffer = await audioContext.decodeAudioData(audioData);
 
-        const newSource = audioContext.createBufferSource();
-        newSource.buffer = audioBuffer;
-        newSource.loop = loop;
+            newSource = audioContext.createBufferSource();
+            newSource.buffer = audioBuffer;
+            newSource.loop = loop;
+        }
 
         const newGainNode = audioContext.createGain();
         newGainNode.gain.setValueAtTime(0, audioContext.currentTime); // Start at 0 for fade-in
 
         newSource.connect(newGainNode);
-        newGainNode.connect(masterGain);
+        newGainNode.connect(busGains[AudioBuses.MUSIC]);
 
         newSource.start(0);
         logger.info(`[AudioManager] Started source for ${levelId}.`);
@@ -291,9 +441,9 @@ export async function playMusic(levelId = 'theme', loop = true, volume = 0.3, tr
             logger.debug(`[AudioManager] Music source for ${newTrackDetails.id} (instance) ended.`);
             // This onended is for THIS specific source.
             // Disconnect its gainNode if it's still connected and this was the current track.
-            if (newTrackDetails.gainNode && masterGain && newTrackDetails.gainNode.numberOfOutputs > 0) {
+            if (newTrackDetails.gainNode && busGains[AudioBuses.MUSIC] && newTrackDetails.gainNode.numberOfOutputs > 0) {
                 try {
-                    newTrackDetails.gainNode.disconnect(masterGain);
+                    newTrackDetails.gainNode.disconnect(busGains[AudioBuses.MUSIC]);
                     logger.debug(`[AudioManager] onended: Disconnected gainNode for ${newTrackDetails.id}.`);
                 } catch (e) {
                     logger.warn(`[AudioManager] onended: Error disconnecting gainNode for ${newTrackDetails.id}.`, e);
@@ -319,7 +469,7 @@ export async function playMusic(levelId = 'theme', loop = true, volume = 0.3, tr
         // Clean up if this was the track we were trying to set as current
         if (currentTrack.id === levelId) {
             if (currentTrack.source) { try { currentTrack.source.stop(); currentTrack.source.disconnect(); } catch(e) { /*ignore*/ } }
-            if (currentTrack.gainNode && masterGain) { try { currentTrack.gainNode.disconnect(masterGain); } catch(e) { /*ignore*/ } }
+            if (currentTrack.gainNode && busGains[AudioBuses.MUSIC]) { try { currentTrack.gainNode.disconnect(busGains[AudioBuses.MUSIC]); } catch(e) { /*ignore*/ } }
             currentTrack.source = null;
             currentTrack.gainNode = null;
             currentTrack.id = null;
@@ -345,51 +495,112 @@ export function getCurrentMusicId() {
 }
 
 /**
- * Plays a wave file from the specified path.
+ * Fetches and decodes an audio file, or returns the buffer decoded for it before.
+ * A failed load is not cached, so the next call tries again.
+ * @param {string} filePath - Path to the audio file
+ * @returns {Promise<AudioBuffer>}
+ * @private
+ */
+function loadAudioBuffer(filePath) {
+    if (!bufferCache.has(filePath)) {
+        const loading = fetch(filePath)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch audio file: ${response.status} ${response.statusText}`);
+                }
+                return response.arrayBuffer();
+            })
+            .then(audioData => audioContext.decodeAudioData(audioData))
+            .catch(error => {
+                bufferCache.delete(filePath);
+                throw error;
+            });
+        bufferCache.set(filePath, loading);
+    }
+    return bufferCache.get(filePath);
+}
+
+/**
+ * Plays a sound effect from effectAudioMap on its bus (see audio.EFFECTS), unless as many
+ * copies as its MAX_CONCURRENT allows are already playing. Effects marked DUCK duck the
+ * music for as long as they play.
+ * @param {string} name - A key of effectAudioMap, e.g. 'coin'.
+ * @param {object} [options]
+ * @param {number} [options.volume=0.5] - Volume from 0 to 1
+ * @param {number} [options.playbackRate=1] - Speed and pitch of playback
+ * @returns {Promise<AudioBufferSourceNode|null>} The source, or null if it was skipped or failed.
+ */
+export async function playEffect(name, { volume = 0.5, playbackRate = 1 } = {}) {
+    const filePath = effectAudioMap[name];
+    if (!filePath) {
+        logger.warn(`Unknown sound effect "${name}"`);
+        return null;
+    }
+    if (!audioContext) return null;
+
+    const mixing = audioConfig.EFFECTS[name] ?? {};
+    const playing = playingEffectCounts.get(name) ?? 0;
+    if (playing >= (mixing.MAX_CONCURRENT ?? audioConfig.DEFAULT_MAX_CONCURRENT)) {
+        return null;
+    }
+    // Counted before the buffer loads, so a burst of plays in one frame still respects the cap
+    playingEffectCounts.set(name, playing + 1);
+    const release = () => playingEffectCounts.set(name, Math.max(0, (playingEffectCounts.get(name) ?? 1) - 1));
+
+    const source = await playBuffer(filePath, busGains[mixing.BUS ?? AudioBuses.SFX], volume, false, playbackRate);
+    if (!source) {
+        release();
+        return null;
+    }
+    source.addEventListener('ended', release);
+    if (mixing.DUCK) {
+        duckMusic((source.buffer.duration / playbackRate) * 1000);
+    }
+    return source;
+}
+
+/**
+ * Plays a wave file from the specified path on the SFX bus. Prefer playEffect for the
+ * effects in effectAudioMap, which applies their mixing rules.
  * @param {string} filePath - Path to the wave file
  * @param {number} volume - Volume level from 0 to 1 (default: 0.5)
  * @param {boolean} loop - Whether to loop the audio (default: false)
+ * @param {number} playbackRate - Speed and pitch of playback (default: 1)
  * @returns {Promise<AudioBufferSourceNode|null>} The audio source node or null if playback failed
  */
-export async function playWaveFile(filePath, volume = 0.5, loop = false) {
-    if (!audioContext || !masterGain) {
-        console.error("[AudioManager] Cannot play wave file: Audio context not initialized");
+export async function playWaveFile(filePath, volume = 0.5, loop = false, playbackRate = 1) {
+    if (!audioContext) {
+        logger.error("Cannot play wave file: Audio context not initialized");
         return null;
     }
+    return playBuffer(filePath, busGains[AudioBuses.SFX], volume, loop, playbackRate);
+}
 
+/**
+ * Plays an audio file, decoding it the first time, through its own gain into a bus.
+ * @private
+ */
+async function playBuffer(filePath, destination, volume, loop, playbackRate) {
     try {
-        const response = await fetch(filePath);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch audio file: ${response.status} ${response.statusText}`);
-        }
-
-
-        const audioData = await response.arrayBuffer();
-
-
-        const audioBuffer = await audioContext.decodeAudioData(audioData);
-
+        const audioBuffer = await loadAudioBuffer(filePath);
 
         const source = audioContext.createBufferSource();
         source.buffer = audioBuffer;
         source.loop = loop;
-
+        source.playbackRate.value = playbackRate;
 
         const gainNode = audioContext.createGain();
         gainNode.gain.value = volume;
 
-
         source.connect(gainNode);
-        gainNode.connect(masterGain);
-
+        gainNode.connect(destination);
 
         source.start(0);
 
-
         return source;
 
     } catch (e) {
-        logger.error("[AudioManager] Error playing wave file:", e);
+        logger.error(`[AudioManager] Error playing ${filePath}:`, e);
         return null;
     }
 }
@@ -0,0 +1,151 @@
+// js/managers/cameraEffectsManager.js
+import * as THREE from 'three';
+import { createNoise2D } from 'simplex-noise';
+import eventBus from '../core/eventBus.js';
+import { GameStates } from '../core/gameStateManager.js';
+import { cameraConfig } from '../config/camera.js';
+import { getConfig } from '../config/config.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CameraEffectsManager');
+
+// Noise rows for each shake channel, so they move independently
+const SHAKE_CHANNELS = { X: 0, Y: 10, Z: 20, ROLL: 30 };
+
+// States the effects show in; paused keeps them as they were
+const ACTIVE_STATES = [GameStates.PLAYING, GameStates.PAUSED, GameStates.GAME_OVER];
+
+// Reusable objects
+const _rollAxis = new THREE.Vector3(0, 0, 1);
+const _rollQuaternion = new THREE.Quaternion();
+
+// In-memory state
+const noise = createNoise2D();
+let trauma = 0;             // 0-1; the shake grows with its square
+let shakeTime = 0;          // Seconds of shake noise travelled
+let speedFov = 0;           // Degrees added for speed, smoothed
+const punches = [];         // { degrees, duration, elapsed } for FOV punches still decaying
+const appliedOffset = new THREE.Vector3();      // Shake added to the camera position last frame
+const appliedRoll = new THREE.Quaternion();     // Shake roll added to the camera last frame
+
+/**
+ * Initialize the camera effects manager.
+ * Deaths and hits shake the camera and power-ups punch the field of view out.
+ */
+export function init() {
+    logger.debug('Initializing CameraEffectsManager');
+
+    eventBus.subscribe('playerDied', () => addTrauma(cameraConfig.EFFECTS.TRAUMA_ON_DEATH));
+    eventBus.subscribe('playerHit', () => addTrauma(cameraConfig.EFFECTS.TRAUMA_ON_HIT));
+    eventBus.subscribe('powerupActivated', () => {
+        const { DEGREES, DURATION } = cameraConfig.EFFECTS.POWERUP_PUNCH;
+        punchFov(DEGREES, DURATION);
+    });
+
+    eventBus.subscribe('gameStateChanged', ({ newState, oldState }) => {
+        // A new run starts calm
+        if (newState === GameStates.PLAYING && oldState !== GameStates.PAUSED) {
+            clear();
+        }
+    });
+}
+
+/**
+ * Shakes the camera. Trauma from several sources adds up, to at most 1, and wears off
+ * at EFFECTS.TRAUMA_DECAY per second.
+ * @param {number} amount - 0-1; 1 is the biggest shake.
+ */
+export function addTrauma(amount) {
+    trauma = Math.min(1, trauma + amount);
+}
+
+/**
+ * Widens the field of view for a moment, easing back over the duration. Punches overlap.
+ * @param {number} degrees - How far to widen it at the start.
+ * @param {number} duration - Seconds to ease back.
+ */
+export function punchFov(degrees, duration) {
+    punches.push({ degrees, duration, elapsed: 0 });
+}
+
+/**
+ * Takes last frame's shake back off the camera, so the camera modes move it from where
+ * they left it. Called before the camera is moved each frame.
+ * @param {THREE.PerspectiveCamera} camera
+ */
+export function remove(camera) {
+    camera.position.sub(appliedOffset);
+    camera.quaternion.multiply(_rollQuaternion.copy(appliedRoll).invert());
+    appliedOffset.set(0, 0, 0);
+    appliedRoll.identity();
+}
+
+/**
+ * Wears the effects down and applies them to the camera. Called after the camera is moved
+ * each frame, and while paused so they stay put.
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {number} deltaTime - Seconds since last frame.
+ * @param {string} currentState - The current GameStates value.
+ * @param {object} [player] - The player, for their speed.
+ */
+export function apply(camera, deltaTime, currentState, player) {
+    const effects = cameraConfig.EFFECTS;
+    if (!ACTIVE_STATES.includes(currentState)) {
+        clear();
+        setFov(camera, cameraConfig.FOV);
+        return;
+    }
+
+    if (currentState !== GameStates.PAUSED) {
+        trauma = Math.max(0, trauma - effects.TRAUMA_DECAY * deltaTime);
+        shakeTime += deltaTime;
+
+        for (let i = punches.length - 1; i >= 0; i--) {
+            punches[i].elapsed += deltaTime;
+            if (punches[i].elapsed >= punches[i].duration) punches.splice(i, 1);
+        }
+
+        // Only the run itself widens with speed; game over eases back to normal
+        const { MIN, MAX } = effects.SPEED_FOV_RANGE;
+        const speed = currentState === GameStates.PLAYING
+            ? (player?.currentSpeed ?? 0) * (player?.speedMultiplier ?? 1)
+            : MIN;
+        const targetSpeedFov = THREE.MathUtils.clamp((speed - MIN) / (MAX - MIN), 0, 1) * effects.SPEED_FOV_MAX;
+        speedFov += (targetSpeedFov - speedFov) * (1 - Math.pow(1 - effects.SPEED_FOV_SMOOTHING, deltaTime * 60));
+    }
+
+    const shakeScale = getConfig('settings.SCREEN_SHAKE', 1);
+    const shake = trauma * trauma * shakeScale;
+    if (shake > 0) {
+        const t = shakeTime * effects.SHAKE_FREQUENCY;
+        appliedOffset.set(
+            noise(t, SHAKE_CHANNELS.X),
+            noise(t, SHAKE_CHANNELS.Y),
+            noise(t, SHAKE_CHANNELS.Z)
+        ).multiplyScalar(shake * effects.SHAKE_MAX_OFFSET);
+        appliedRoll.setFromAxisAngle(_rollAxis, noise(t, SHAKE_CHANNELS.ROLL) * shake * effects.SHAKE_MAX_ROLL);
+        camera.position.add(appliedOffset);
+        camera.quaternion.multiply(appliedRoll);
+    }
+
+    const fovScale = getConfig('settings.FOV_EFFECTS', 1);
+    const punchFovDegrees = punches.reduce((total, punch) => {
+        const remaining = 1 - punch.elapsed / punch.duration;
+        return total + punch.degrees * remaining * remaining;
+    }, 0);
+    setFov(camera, cameraConfig.FOV + (speedFov + punchFovDegrees) * fovScale);
+}
+
+/** @private */
+function clear() {
+    trauma = 0;
+    speedFov = 0;
+    punches.length = 0;
+}
+
+/** @private */
+function setFov(camera, fov) {
+    if (Math.abs(camera.fov - fov) < 0.01) return;
+    camera.fov = fov;
+    camera.updateProjectionMatrix();
+}
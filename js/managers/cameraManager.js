@@ -1,14 +1,30 @@
 import * as THREE from 'three';
 import { cameraConfig } from '../config/camera.js';
-import { GameStates } from '../core/gameStateManager.js';
+import { getConfig } from '../config/config.js';
+import { GameStates, TITLE_MENU_STATES } from '../core/gameStateManager.js';
 import { createLogger, LogLevel } from '../utils/logger.js';
 import eventBus from '../core/eventBus.js';
+import * as CameraEffectsManager from './cameraEffectsManager.js';
+import { InputActions, InputDevices, getActionForInput } from '../input/inputBindings.js';
+import { isGamepadActionHeld } from '../input/gamepadInput.js';
 
 const logger = createLogger('CameraManager', LogLevel.DEBUG);
 
 
 const TITLE_LOOK_AT_TARGET = new THREE.Vector3(0, 0, 0);
 
+/**
+ * Gameplay camera modes. The player's choice is the CAMERA_MODE setting.
+ * @readonly
+ * @enum {string}
+ */
+export const CameraModes = Object.freeze({
+    FOLLOW: 'follow',            // High and behind
+    CHASE: 'chase',              // Low and close, banking into turns
+    FIRST_PERSON: 'firstPerson'  // From the runner's head
+});
+const CAMERA_MODE_ORDER = Object.values(CameraModes);
+
 
 const _targetPosition = new THREE.Vector3();
 const _cameraOffset = new THREE.Vector3();
@@ -16,6 +32,12 @@ const _rotatedOffset = new THREE.Vector3();
 const _targetQuaternion = new THREE.Quaternion();
 const _targetRotationMatrix = new THREE.Matrix4();
 const _newPosition = new THREE.Vector3();
+const _lookAtOffset = new THREE.Vector3();
+const _blendQuaternion = new THREE.Quaternion();
+const _forward = new THREE.Vector3();
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+const _gameplayCameraPosition = new THREE.Vector3(); // Returned by _calculateGameplayCameraTarget
+const _gameplayLookAt = new THREE.Vector3();
 
 
 class CameraManager {
@@ -45,6 +67,21 @@ class CameraManager {
         this._lastPlayerPosition = null;
         this._firstPositionFrame = true;
 
+        // Gameplay camera modes
+        this.mode = null;                  // The mode last shown; null until gameplay starts
+        this.modeBlendElapsed = Infinity;  // Seconds since the mode changed
+        this.modeBlendStartPosition = new THREE.Vector3();
+        this.modeBlendStartQuaternion = new THREE.Quaternion();
+        this._bank = 0;                    // Chase camera roll, in radians
+        this._lastYaw = null;              // Player yaw last frame, for the turn rate
+        this._orbitAngle = null;           // Game over orbit angle around the player
+
+        // Debug free-fly camera
+        this.freeCamera = false;
+        this._freeFlyKeys = new Map();     // KeyboardEvent.code of each held bound key -> its action
+        this._freeFlyKeyHandler = null;
+        this._freeYaw = 0;
+        this._freePitch = 0;
     }
 
 
@@ -64,20 +101,99 @@ class CameraManager {
     update(deltaTime, currentState, player) {
         if (!this.camera) return;
 
+        this._updateHeadVisibility(currentState, player);
+        CameraEffectsManager.remove(this.camera);
+
         if (this.isTransitioning) {
             if (this.transitionType === 'toTitle') {
                 this._transitionCameraToTitle(deltaTime);
             } else if (this.transitionType === 'toGameplay') {
                 this._updateCameraTransition(deltaTime, player);
             }
+        } else if (this.freeCamera) {
+            this._updateFreeCamera(deltaTime);
         } else {
 
             if (currentState === GameStates.PLAYING && player?.model) {
-                this.updateCameraFollow(player, deltaTime);
-            } else if (currentState === GameStates.TITLE || currentState === GameStates.LEVEL_SELECT) {
+                this._updateGameplayCamera(player, deltaTime);
+            } else if (currentState === GameStates.GAME_OVER && player?.model) {
+                this._updateGameOverOrbit(player, deltaTime);
+            } else if (currentState === GameStates.TITLE || TITLE_MENU_STATES.includes(currentState)) {
                 this._updateTitleCamera(deltaTime);
             }
         }
+
+        if (currentState !== GameStates.GAME_OVER) {
+            this._orbitAngle = null;
+        }
+
+        // The free camera is for looking around, so it flies steady
+        if (!this.freeCamera) {
+            CameraEffectsManager.apply(this.camera, deltaTime, currentState, player);
+        }
+    }
+
+    /**
+     * Gets the gameplay camera mode the player has chosen.
+     * @returns {string} A CameraModes value.
+     */
+    getMode() {
+        const mode = getConfig('settings.CAMERA_MODE', CameraModes.FOLLOW);
+        return CAMERA_MODE_ORDER.includes(mode) ? mode : CameraModes.FOLLOW;
+    }
+
+    /**
+     * Gets the mode after the current one, for cycling through them.
+     * @returns {string} A CameraModes value.
+     */
+    getNextMode() {
+        return CAMERA_MODE_ORDER[(CAMERA_MODE_ORDER.indexOf(this.getMode()) + 1) % CAMERA_MODE_ORDER.length];
+    }
+
+    /**
+     * Detaches the camera from the player to fly around on the free-fly actions' bindings, for
+     * debugging. The game carries on underneath. Transitions to and from gameplay turn it off.
+     * Emits 'freeCameraToggled' with { enabled }.
+     * @param {boolean} enabled
+     */
+    setFreeCamera(enabled) {
+        if (enabled === this.freeCamera || !this.camera) return;
+        this.freeCamera = enabled;
+
+        if (enabled) {
+            _euler.setFromQuaternion(this.camera.quaternion, 'YXZ');
+            this._freeYaw = _euler.y;
+            this._freePitch = _euler.x;
+            this._freeFlyKeyHandler = (event) => {
+                const action = getActionForInput(InputDevices.KEYBOARD, event.code);
+                if (event.type === 'keydown' && action) {
+                    this._freeFlyKeys.set(event.code, action);
+                } else {
+                    this._freeFlyKeys.delete(event.code);
+                }
+            };
+            document.addEventListener('keydown', this._freeFlyKeyHandler);
+            document.addEventListener('keyup', this._freeFlyKeyHandler);
+        } else {
+            document.removeEventListener('keydown', this._freeFlyKeyHandler);
+            document.removeEventListener('keyup', this._freeFlyKeyHandler);
+            this._freeFlyKeyHandler = null;
+            this._freeFlyKeys.clear();
+            // Glide back from wherever the free camera was left
+            this.modeBlendElapsed = 0;
+            this.modeBlendStartPosition.copy(this.camera.position);
+            this.modeBlendStartQuaternion.copy(this.camera.quaternion);
+        }
+        logger.info(`Free camera ${enabled ? 'on' : 'off'}`);
+        eventBus.emit('freeCameraToggled', { enabled });
+    }
+
+    /**
+     * Whether the debug free-fly camera is on.
+     * @returns {boolean}
+     */
+    isFreeCamera() {
+        return this.freeCamera;
     }
 
 
@@ -88,6 +204,7 @@ class CameraManager {
             return;
         }
         logger.debug("Starting camera transition to title.");
+        this.setFreeCamera(false);
         this.isTransitioning = true;
         this.transitionType = 'toTitle';
         this.cameraStartPosition = currentCameraPosition.clone();
@@ -102,6 +219,9 @@ class CameraManager {
             return;
         }
         logger.debug("Starting camera transition to gameplay.");
+        this.setFreeCamera(false);
+        this.mode = null;
+        this.modeBlendElapsed = Infinity;
         this.isTransitioning = true;
         this.transitionType = 'toGameplay';
         this.cameraStartPosition = currentCameraPosition.clone();
@@ -125,27 +245,182 @@ class CameraManager {
 
 
     /**
-     * Calculates the target position and lookAt point for the gameplay camera.
-     * @param {THREE.Object3D} playerModel - The player's 3D model.
+     * Calculates the target position and lookAt point for the gameplay camera in the current mode.
+     * The returned vectors are shared and overwritten by the next call in every mode, so copy
+     * them to keep them.
+     * @param {object} player - The player object, with its model and modelParts.
      * @returns {{position: THREE.Vector3, lookAt: THREE.Vector3}} The target position and lookAt point.
      * @private
      */
-    _calculateGameplayCameraTarget(playerModel) {
+    _calculateGameplayCameraTarget(player) {
+        const playerModel = player.model;
+        const mode = this.getMode();
+        const headMesh = player.modelParts?.headMesh;
+
+        if (mode === CameraModes.FIRST_PERSON && headMesh) {
+            const { EYE_OFFSET_Y, EYE_OFFSET_Z, LOOK_DISTANCE, LOOK_DOWN } = cameraConfig.FIRST_PERSON;
+            headMesh.updateWorldMatrix(true, false);
+            headMesh.localToWorld(_gameplayCameraPosition.set(0, EYE_OFFSET_Y, EYE_OFFSET_Z));
+            headMesh.localToWorld(_gameplayLookAt.set(0, EYE_OFFSET_Y, EYE_OFFSET_Z - LOOK_DISTANCE));
+            _gameplayLookAt.y = _gameplayCameraPosition.y - LOOK_DOWN;
+            return { position: _gameplayCameraPosition, lookAt: _gameplayLookAt };
+        }
+
         playerModel.getWorldPosition(_targetPosition);
 
-        _cameraOffset.set(
-            cameraConfig.FOLLOW_OFFSET_X,
-            cameraConfig.FOLLOW_OFFSET_Y,
-            cameraConfig.FOLLOW_OFFSET_Z
-        );
+        if (mode === CameraModes.CHASE) {
+            const { OFFSET_Y, OFFSET_Z, LOOK_AT_OFFSET_Y, LOOK_AHEAD } = cameraConfig.CHASE;
+            _cameraOffset.set(0, OFFSET_Y, OFFSET_Z);
+            _lookAtOffset.set(0, LOOK_AT_OFFSET_Y, -LOOK_AHEAD).applyQuaternion(playerModel.quaternion);
+        } else {
+            _cameraOffset.set(
+                cameraConfig.FOLLOW_OFFSET_X,
+                cameraConfig.FOLLOW_OFFSET_Y,
+                cameraConfig.FOLLOW_OFFSET_Z
+            );
+            _lookAtOffset.set(0, cameraConfig.LOOK_AT_OFFSET_Y, 0);
+        }
 
         _rotatedOffset.copy(_cameraOffset).applyQuaternion(playerModel.quaternion);
-        const targetCameraPosition = _targetPosition.clone().add(_rotatedOffset);
+        _gameplayCameraPosition.copy(_targetPosition).add(_rotatedOffset);
+        _gameplayLookAt.copy(_targetPosition).add(_lookAtOffset);
+
+        return { position: _gameplayCameraPosition, lookAt: _gameplayLookAt };
+    }
+
+    /**
+     * Moves the camera for the chosen gameplay mode. When the mode changes, the camera glides
+     * from its old view to the new one over camera.MODE_BLEND_DURATION.
+     * @param {object} player - The player object.
+     * @param {number} deltaTime
+     * @private
+     */
+    _updateGameplayCamera(player, deltaTime) {
+        const mode = this.getMode();
+        if (mode !== this.mode) {
+            if (this.mode !== null) {
+                this.modeBlendElapsed = 0;
+                this.modeBlendStartPosition.copy(this.camera.position);
+                this.modeBlendStartQuaternion.copy(this.camera.quaternion);
+                logger.debug(`Camera mode changed from ${this.mode} to ${mode}`);
+            }
+            this.mode = mode;
+            this._bank = 0;
+            this._lastYaw = null;
+        }
+
+        if (mode === CameraModes.CHASE) {
+            this._updateChaseCamera(player, deltaTime);
+        } else if (mode === CameraModes.FIRST_PERSON) {
+            const { position, lookAt } = this._calculateGameplayCameraTarget(player);
+            this.camera.position.copy(position);
+            this.camera.lookAt(lookAt);
+        } else {
+            this.updateCameraFollow(player, deltaTime);
+        }
+
+        if (this.modeBlendElapsed < cameraConfig.MODE_BLEND_DURATION) {
+            this.modeBlendElapsed += deltaTime;
+            const easedProgress = this._easeInOutCubic(Math.min(this.modeBlendElapsed / cameraConfig.MODE_BLEND_DURATION, 1));
+            this.camera.position.lerpVectors(this.modeBlendStartPosition, this.camera.position, easedProgress);
+            _blendQuaternion.copy(this.camera.quaternion);
+            this.camera.quaternion.copy(this.modeBlendStartQuaternion).slerp(_blendQuaternion, easedProgress);
+        }
+    }
 
-        const lookAtPosition = _targetPosition.clone();
-        lookAtPosition.y += cameraConfig.LOOK_AT_OFFSET_Y;
+    /**
+     * The low chase camera: follows closely and rolls into turns as the player's heading changes.
+     * @private
+     */
+    _updateChaseCamera(player, deltaTime) {
+        const { SMOOTHING_FACTOR, BANK_PER_TURN_RATE, MAX_BANK, BANK_SMOOTHING } = cameraConfig.CHASE;
+        const { position, lookAt } = this._calculateGameplayCameraTarget(player);
+
+        this.camera.position.lerp(position, 1.0 - Math.pow(SMOOTHING_FACTOR, deltaTime));
+        this.camera.lookAt(lookAt);
+
+        const yaw = player.model.rotation.y;
+        let turnRate = 0;
+        if (this._lastYaw !== null && deltaTime > 0) {
+            const yawChange = yaw - this._lastYaw;
+            turnRate = Math.atan2(Math.sin(yawChange), Math.cos(yawChange)) / deltaTime;
+        }
+        this._lastYaw = yaw;
 
-        return { position: targetCameraPosition, lookAt: lookAtPosition };
+        // Turning left raises the yaw, and a positive roll leans the view left with it
+        const targetBank = THREE.MathUtils.clamp(turnRate * BANK_PER_TURN_RATE, -MAX_BANK, MAX_BANK);
+        this._bank = THREE.MathUtils.lerp(this._bank, targetBank, 1.0 - Math.pow(BANK_SMOOTHING, deltaTime));
+        this.camera.rotateZ(this._bank);
+    }
+
+    /**
+     * Circles the player slowly while the game over screen is up, starting from wherever the
+     * camera was when the run ended.
+     * @private
+     */
+    _updateGameOverOrbit(player, deltaTime) {
+        const { RADIUS, HEIGHT, SPEED, LOOK_AT_OFFSET_Y, SMOOTHING_FACTOR } = cameraConfig.GAME_OVER_ORBIT;
+        player.model.getWorldPosition(_targetPosition);
+
+        if (this._orbitAngle === null) {
+            this._orbitAngle = Math.atan2(
+                this.camera.position.x - _targetPosition.x,
+                this.camera.position.z - _targetPosition.z
+            );
+        }
+        this._orbitAngle += SPEED * deltaTime;
+
+        _newPosition.set(
+            Math.sin(this._orbitAngle) * RADIUS,
+            HEIGHT,
+            Math.cos(this._orbitAngle) * RADIUS
+        ).add(_targetPosition);
+        this.camera.position.lerp(_newPosition, 1.0 - Math.pow(SMOOTHING_FACTOR, deltaTime));
+        this.camera.lookAt(_targetPosition.x, _targetPosition.y + LOOK_AT_OFFSET_Y, _targetPosition.z);
+    }
+
+    /**
+     * Flies the debug free camera on the held free-fly actions, from keys or gamepad buttons.
+     * It moves on real time, so slow-mo doesn't slow it down.
+     * @private
+     */
+    _updateFreeCamera(deltaTime) {
+        const { SPEED, FAST_MULTIPLIER, TURN_SPEED } = cameraConfig.FREE_FLY;
+        const held = (action) => isGamepadActionHeld(action) || this._isFreeFlyKeyHeld(action);
+        const axis = (positive, negative) => (held(positive) ? 1 : 0) - (held(negative) ? 1 : 0);
+
+        this._freeYaw += axis(InputActions.FREE_FLY_TURN_LEFT, InputActions.FREE_FLY_TURN_RIGHT) * TURN_SPEED * deltaTime;
+        this._freePitch = THREE.MathUtils.clamp(
+            this._freePitch + axis(InputActions.FREE_FLY_LOOK_UP, InputActions.FREE_FLY_LOOK_DOWN) * TURN_SPEED * deltaTime,
+            -Math.PI / 2 + 0.01,
+            Math.PI / 2 - 0.01
+        );
+        _euler.set(this._freePitch, this._freeYaw, 0, 'YXZ');
+        this.camera.quaternion.setFromEuler(_euler);
+
+        const distance = SPEED * (held(InputActions.FREE_FLY_FAST) ? FAST_MULTIPLIER : 1) * deltaTime;
+        _forward.set(0, 0, -1).applyQuaternion(this.camera.quaternion);
+        this.camera.position.addScaledVector(_forward, axis(InputActions.FREE_FLY_FORWARD, InputActions.FREE_FLY_BACK) * distance);
+        this.camera.position.y += axis(InputActions.FREE_FLY_UP, InputActions.FREE_FLY_DOWN) * distance;
+    }
+
+    /** @private */
+    _isFreeFlyKeyHeld(action) {
+        for (const heldAction of this._freeFlyKeys.values()) {
+            if (heldAction === action) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Hides the runner's head while the camera looks out from it.
+     * @private
+     */
+    _updateHeadVisibility(currentState, player) {
+        const headMesh = player?.modelParts?.headMesh;
+        if (!headMesh) return;
+        const inGameplay = currentState === GameStates.PLAYING || currentState === GameStates.PAUSED;
+        headMesh.visible = !(inGameplay && !this.freeCamera && this.getMode() === CameraModes.FIRST_PERSON);
     }
 
 
@@ -177,7 +452,7 @@ class CameraManager {
             this._firstPositionFrame = false; // Mark that we've processed the first frame
         }
 
-        const { position: targetCameraPosition, lookAt: lookAtPosition } = this._calculateGameplayCameraTarget(playerObj.model);
+        const { position: targetCameraPosition, lookAt: lookAtPosition } = this._calculateGameplayCameraTarget(playerObj);
 
         let lerpAlpha;
 
@@ -321,7 +596,7 @@ class CameraManager {
         }
 
 
-        const { position: targetCameraPosition, lookAt: lookAtPosition } = this._calculateGameplayCameraTarget(player.model);
+        const { position: targetCameraPosition, lookAt: lookAtPosition } = this._calculateGameplayCameraTarget(player);
 
 
         this.transitionTimeElapsed += deltaTime;
@@ -3,10 +3,10 @@ import * as THREE from 'three';
 // import * as UIManager from './uiManager.js'; // Removed unused import
 import { createLogger } from '../utils/logger.js';
 import Tumbleweed from '../entities/gameObjects/Tumbleweed.js';
-import * as AudioManager from './audioManager.js';
 import * as AssetManager from './assetManager.js'; // Needed for tree repair
 import * as ModelFactory from '../rendering/modelFactory.js'; // Needed for creating visuals
 import { createObjectVisual } from '../generators/objectGenerator.js'; // Removed unused disposeObjectVisual import
+import { getPowerupDefinition } from '../powerups/powerupRegistry.js';
 import { gameplayConfig } from '../config/gameplay.js'; // Needed for collection/magnet logic
 import { playerConfig } from '../config/player.js'; // Needed for collection logic
 import eventBus from '../core/eventBus.js'; // Needed for scoreChanged event in updateCollectibles
@@ -14,6 +14,8 @@ import { modelsConfig as C_MODELS } from '../config/models.js'; // Needed for tr
 import { noise2D } from '../rendering/terrainGenerator.js'; // Needed for terrain height calculation
 import { performanceManager } from '../config/config.js'; // For performance settings
 import performanceUtils from '../utils/performanceUtils.js'; // For frustum culling
+import atmosphericManager from './atmosphericManager.js'; // For pickups glowing at night
+import { createGameplayRandom } from '../utils/mathUtils.js';
 
 const logger = createLogger('ChunkContentManager');
 
@@ -43,6 +45,7 @@ export class ChunkContentManager {
         this.chunkManager = options.chunkManager; // Store chunkManager reference
         this.levelConfig = options.levelConfig;
         this.getChunkData = options.getChunkDataCallback;
+        this.knockedAwayObjects = []; // Obstacles and enemies flying off after the player hit them
 
         logger.info("ChunkContentManager instantiated");
     }
@@ -63,7 +66,9 @@ export class ChunkContentManager {
      * @returns {{collectibles: THREE.Mesh[], collidables: THREE.Mesh[], enemies: Enemy[], tumbleweeds: Tumbleweed[]}} - References to the created content.
      */
     _loadEnemy(objectData, chunkKey, enemiesArray) {
-        const enemyInstance = this.enemyManager.spawnEnemy(objectData.type, objectData, this.chunkManager, this.levelConfig);
+        // Keyed by where it spawns, so it behaves the same however late its chunk loads
+        const random = createGameplayRandom(`${chunkKey}_${objectData.objectIndex}`);
+        const enemyInstance = this.enemyManager.spawnEnemy(objectData.type, objectData, this.chunkManager, this.levelConfig, random);
         if (enemyInstance) {
             enemiesArray.push(enemyInstance);
             objectData.enemyInstance = enemyInstance; // Used by unloadContent
@@ -73,13 +78,15 @@ export class ChunkContentManager {
     }
 
     _loadTumbleweed(objectData, chunkKey, tumbleweedsArray, index) {
+        const random = createGameplayRandom(`${chunkKey}_${index}`);
         let tumbleweed = this.objectPoolManager.getFromPool('tumbleweeds');
         if (!tumbleweed) {
             tumbleweed = new Tumbleweed({
                 position: objectData.position || new THREE.Vector3(0, 0, 0),
                 scale: objectData.scale?.x ?? 1,
                 scene: this.scene,
-                levelConfig: this.levelConfig
+                levelConfig: this.levelConfig,
+                random
             });
         } else {
             if (tumbleweed.object3D) {
@@ -90,7 +97,7 @@ export class ChunkContentManager {
                 if (tumbleweed.object3D.parent !== this.scene) this.scene.add(tumbleweed.object3D);
                 tumbleweed.object3D.visible = true;
             }
-            if (typeof tumbleweed.reset === 'function') tumbleweed.reset();
+            if (typeof tumbleweed.reset === 'function') tumbleweed.reset(random);
         }
         tumbleweed.object3D.userData.chunkKey = chunkKey;
         tumbleweed.object3D.userData.objectIndex = index;
@@ -401,7 +408,6 @@ export class ChunkContentManager {
 
                 object.mesh = null;
                 object.collected = true;
-                AudioManager.playWaveFile(AudioManager.effectAudioMap['coin']);
                 return true;
             } else {
                  logger.warn(`Attempted to collect invalid, collidable, or already collected object: chunk ${chunkKey}, index ${objectIndex}`);
@@ -413,27 +419,155 @@ export class ChunkContentManager {
     }
 
     /**
-     * Updates collectible visuals (spin, magnet effect).
+     * Takes an obstacle, tumbleweed or enemy the player has hit out of its chunk and sends it
+     * flying away from the player. It no longer collides, and is removed once it lands
+     * (see updateKnockedAwayObjects). Like collected coins, it stays gone if its chunk reloads.
+     * @param {Map<string, object>} loadedChunks - Map of currently loaded chunk data.
+     * @param {THREE.Object3D} mesh - The mesh that was hit.
+     * @param {THREE.Vector3} fromPosition - Where the hit came from (the player's position).
+     * @returns {boolean} True if the object was found and knocked away.
+     */
+    knockAwayObject(loadedChunks, mesh, fromPosition) {
+        const enemyInstance = mesh.userData.enemyInstance || null;
+        const tumbleweed = !enemyInstance && mesh.userData.objectType === 'tumbleweed' ? mesh.userData.gameObject : null;
+
+        let objectData = null;
+        for (const chunkData of loadedChunks.values()) {
+            const content = chunkData.contentManagerData;
+            if (!content) continue;
+
+            let list, item;
+            if (enemyInstance) {
+                list = content.enemies; item = enemyInstance;
+            } else if (tumbleweed) {
+                list = content.tumbleweeds; item = tumbleweed;
+            } else {
+                list = content.collidables; item = mesh;
+            }
+            const index = list.indexOf(item);
+            if (index === -1) continue;
+
+            list.splice(index, 1);
+            objectData = chunkData.objects?.find(data => data.mesh === mesh || (enemyInstance && data.enemyInstance === enemyInstance)) || {};
+            break;
+        }
+        if (!objectData) {
+            logger.warn(`Could not find hit object ${mesh.name || mesh.id} in any loaded chunk`);
+            return false;
+        }
+
+        // Detach it from the chunk so unloadContent leaves it alone
+        objectData.mesh = null;
+        objectData.enemyInstance = null;
+        objectData.collected = true;
+        if (enemyInstance) {
+            this.enemyManager.detachEnemy(enemyInstance);
+        } else {
+            this.spatialGrid.remove(mesh);
+        }
+
+        let dirX = mesh.position.x - fromPosition.x;
+        let dirZ = mesh.position.z - fromPosition.z;
+        const length = Math.hypot(dirX, dirZ);
+        if (length > 0.0001) {
+            dirX /= length; dirZ /= length;
+        } else {
+            dirX = 0; dirZ = -1;
+        }
+
+        mesh.matrixAutoUpdate = true;
+        this.knockedAwayObjects.push({
+            mesh,
+            enemyInstance,
+            tumbleweed,
+            type: objectData.type ?? mesh.userData.objectType,
+            collidable: objectData.collidable ?? true,
+            velocity: new THREE.Vector3(dirX * gameplayConfig.KNOCKBACK_SPEED, gameplayConfig.KNOCKBACK_LIFT, dirZ * gameplayConfig.KNOCKBACK_SPEED),
+            timeLeft: gameplayConfig.KNOCKBACK_DURATION
+        });
+        logger.debug(`Knocked away ${mesh.name || mesh.id}`);
+        return true;
+    }
+
+    /**
+     * Moves knocked-away objects along their arcs and removes the ones that have landed.
+     * @param {number} deltaTime - Time since last frame.
+     */
+    updateKnockedAwayObjects(deltaTime) {
+        for (let i = this.knockedAwayObjects.length - 1; i >= 0; i--) {
+            const knocked = this.knockedAwayObjects[i];
+            knocked.velocity.y -= gameplayConfig.KNOCKBACK_GRAVITY * deltaTime;
+            knocked.mesh.position.addScaledVector(knocked.velocity, deltaTime);
+            knocked.mesh.rotation.x += gameplayConfig.KNOCKBACK_SPIN * deltaTime;
+            knocked.timeLeft -= deltaTime;
+
+            if (knocked.timeLeft <= 0) {
+                this._releaseKnockedAwayObject(knocked);
+                this.knockedAwayObjects.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * Removes every knocked-away object immediately (e.g. when the level is cleared).
+     */
+    clearKnockedAwayObjects() {
+        this.knockedAwayObjects.forEach(knocked => this._releaseKnockedAwayObject(knocked));
+        this.knockedAwayObjects = [];
+    }
+
+    /**
+     * Takes a knocked-away object out of the scene and returns it to its pool,
+     * the same way unloadContent would have.
+     * @param {object} knocked - An entry of this.knockedAwayObjects.
+     * @private
+     */
+    _releaseKnockedAwayObject(knocked) {
+        const { mesh, enemyInstance, tumbleweed } = knocked;
+
+        if (enemyInstance) {
+            enemyInstance.removeFromScene();
+            mesh.rotation.x = 0; // Pooled enemies keep their rotation through reset()
+            this.objectPoolManager.addToPool('enemies', enemyInstance);
+        } else if (tumbleweed) {
+            this.scene.remove(mesh);
+            this.objectPoolManager.addToPool('tumbleweeds', tumbleweed);
+        } else if (knocked.type === 'tree_pine') {
+            this.scene.remove(mesh);
+            mesh.traverse(child => {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) {
+                    if (Array.isArray(child.material)) {
+                        child.material.forEach(mat => mat.dispose());
+                    } else {
+                        child.material.dispose();
+                    }
+                }
+            });
+        } else {
+            this.scene.remove(mesh);
+            this.objectPoolManager.addToPool(knocked.collidable ? 'obstacles' : 'collectibles', mesh);
+        }
+    }
+
+    /**
+     * Updates collectible visuals (spin, coin and night glow) and pulls coins towards the
+     * player while a powerup attracts them.
      * @param {Map<string, object>} loadedChunks - Map of currently loaded chunk data.
      * @param {number} deltaTime - Time since last frame.
      * @param {number} elapsedTime - Total elapsed time.
      * @param {THREE.Vector3} playerPosition - Current player position.
-     * @param {string} playerPowerup - Current player powerup type.
+     * @param {PlayerManager|null} playerManager - Source of the active powerups' coin effects.
      */
-    updateCollectibles(loadedChunks, deltaTime, elapsedTime, playerPosition, playerPowerup) {
+    updateCollectibles(loadedChunks, deltaTime, elapsedTime, playerPosition, playerManager) {
         if (!this.levelConfig || !this.levelConfig.COIN_VISUALS) return;
         const spinSpeed = this.levelConfig.COIN_VISUALS.spinSpeed || 1.0;
-        const magnetActive = playerPowerup === gameplayConfig.POWERUP_TYPE_MAGNET;
-        const doublerActive = playerPowerup === gameplayConfig.POWERUP_TYPE_DOUBLER;
-        const invisibilityActive = playerPowerup === gameplayConfig.POWERUP_TYPE_INVISIBILITY;
-        const magnetRadius = gameplayConfig.MAGNET_POWERUP_RADIUS;
-        const magnetForce = gameplayConfig.MAGNET_POWERUP_FORCE;
-
-        // Log magnet-related states for debugging
-        if (playerPowerup === gameplayConfig.POWERUP_TYPE_MAGNET || magnetActive) { // Log if magnet is supposed to be active or is detected as active
-            logger.debug(`[ChunkContentManager] updateCollectibles: playerPowerup: "${playerPowerup}", gameplayConfig.POWERUP_TYPE_MAGNET: "${gameplayConfig.POWERUP_TYPE_MAGNET}"`);
-            logger.debug(`[ChunkContentManager] updateCollectibles: magnetActive: ${magnetActive}, magnetRadius: ${magnetRadius}, magnetForce: ${magnetForce}`);
-        }
+        const attraction = playerManager?.getCoinAttraction() ?? null;
+        const coinEmissive = playerManager?.getCoinEmissive() ?? null;
+        const pickupGlow = atmosphericManager.getPickupGlow();
+        const magnetActive = attraction !== null;
+        const magnetRadius = attraction?.radius ?? 0;
+        const magnetForce = attraction?.force ?? 0;
 
         for (const [key, chunkData] of loadedChunks.entries()) {
             // Use the contentManagerData references for iteration
@@ -458,31 +592,41 @@ export class ChunkContentManager {
                      }
 
                     // Spin collectibles for visual effect
-                    if (collectibleMesh.userData.objectType === 'coin' || 
-                        collectibleMesh.userData.objectType === 'magnet' ||
-                        collectibleMesh.userData.objectType === 'doubler' ||
-                        collectibleMesh.userData.objectType === 'invisibility') {
+                    if (collectibleMesh.userData.objectType === 'coin' ||
+                        getPowerupDefinition(collectibleMesh.userData.objectType)) {
                         collectibleMesh.rotation.y += spinSpeed * deltaTime;
                     }
 
-                    // Add visual effects for active powerups
-                    if (doublerActive && collectibleMesh.userData.objectType === 'coin') {
-                        // Optional: Add a visual effect to coins when doubler is active
-                        // For example, a subtle pulsing glow effect or color tint
+                    // Make coins glow while a powerup (e.g. the doubler) asks for it
+                    if (coinEmissive !== null && collectibleMesh.userData.objectType === 'coin') {
                         if (!collectibleMesh.userData.originalEmissive) {
                             if (collectibleMesh.material) {
                                 collectibleMesh.userData.originalEmissive = collectibleMesh.material.emissive?.clone() || new THREE.Color(0x000000);
-                                collectibleMesh.material.emissive = new THREE.Color(gameplayConfig.DOUBLER_EFFECT_EMISSIVE);
+                                collectibleMesh.material.emissive = new THREE.Color(coinEmissive);
                             }
                         }
-                    } else if (!doublerActive && collectibleMesh.userData.objectType === 'coin' && collectibleMesh.userData.originalEmissive) {
-                        // Reset emissive when doubler is not active
+                    } else if (coinEmissive === null && collectibleMesh.userData.objectType === 'coin' && collectibleMesh.userData.originalEmissive) {
+                        // Reset emissive when no powerup makes coins glow
                         if (collectibleMesh.material) {
                             collectibleMesh.material.emissive.copy(collectibleMesh.userData.originalEmissive);
                             delete collectibleMesh.userData.originalEmissive;
                         }
                     }
 
+                    // Glow in the dark; a powerup's coin glow is always at full strength
+                    if (collectibleMesh.userData.objectType === 'coin' && collectibleMesh.material) {
+                        collectibleMesh.material.emissiveIntensity = coinEmissive !== null ? 1 : pickupGlow.coin;
+                    } else if (collectibleMesh.userData.nightGlow !== pickupGlow.powerup &&
+                        getPowerupDefinition(collectibleMesh.userData.objectType)) {
+                        collectibleMesh.userData.nightGlow = pickupGlow.powerup;
+                        collectibleMesh.traverse(child => {
+                            const material = child.material;
+                            if (!material?.emissive) return;
+                            material.userData.baseEmissiveIntensity ??= material.emissiveIntensity;
+                            material.emissiveIntensity = material.userData.baseEmissiveIntensity + pickupGlow.powerup;
+                        });
+                    }
+
                     // Apply magnet effect if active
                     if (magnetActive && playerPosition && collectibleMesh.userData.objectType === 'coin') {
                         const dx = playerPosition.x - collectibleMesh.position.x;
@@ -524,9 +668,10 @@ export class ChunkContentManager {
                                     if (collected) {
                                         // Calculate the final score value based on active powerups
                                         const coinValue = scoreValue || gameplayConfig.DEFAULT_COIN_SCORE;
-                                        const finalValue = doublerActive ? coinValue * gameplayConfig.DOUBLER_MULTIPLIER : coinValue;
+                                        const finalValue = playerManager ? playerManager.applyCoinValue(coinValue) : coinValue;
                                         eventBus.emit('scoreChanged', finalValue);
-                                        logger.debug(`Collected coin (magnet pull) with final value ${finalValue} (doubler active: ${doublerActive})`);
+                                        eventBus.emit('coinCollected', { value: finalValue, position: collectibleMesh.position });
+                                        logger.debug(`Collected coin (magnet pull) with final value ${finalValue}`);
                                     }
                                 }
                             } else if (newDistanceSq > minSafeDistanceSq) {
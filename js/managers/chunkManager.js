@@ -8,7 +8,7 @@ import { EnemyManager } from './enemyManager.js'; // Needed for constructor chec
 import objectPoolManager from './objectPoolManager.js'; // Needed for clearAllChunks
 import { worldConfig } from '../config/world.js';
 import { ChunkContentManager } from './chunkContentManager.js'; // Import the new manager
-import { performanceManager } from '../config/config.js'; // For performance settings
+import { performanceManager, getConfig } from '../config/config.js'; // For performance settings
 import performanceUtils from '../utils/performanceUtils.js'; // For frustum culling
 // Removed unused imports: Tumbleweed, AudioManager, AssetManager, eventBus, playerConfig, gameplayConfig, modelsConfig, createObjectVisual, disposeObjectVisual
 
@@ -26,7 +26,7 @@ export class ChunkManager {
         this.enemyManager = enemyManager;
         this.spatialGrid = spatialGrid;
         this.chunkSize = worldConfig.CHUNK_SIZE;
-        this.renderDistance = worldConfig.RENDER_DISTANCE_CHUNKS;
+        this.renderDistance = getConfig('world.RENDER_DISTANCE_CHUNKS', worldConfig.RENDER_DISTANCE_CHUNKS);
         this.loadedChunks = new Map(); // Stores { terrainMesh, objects: objectDataArray, contentManagerData: { ... } }
         this.lastCameraChunkX = null;
         this.lastCameraChunkZ = null;
@@ -93,6 +93,19 @@ export class ChunkManager {
         return { chunkX, chunkZ };
     }
 
+    /**
+     * Changes how many chunks are kept loaded around the player. The chunks to load and
+     * unload are worked out again on the next update.
+     * @param {number} distance - Render distance in chunks.
+     */
+    setRenderDistance(distance) {
+        if (!Number.isFinite(distance) || distance < 1 || distance === this.renderDistance) return;
+        logger.info(`Render distance changed from ${this.renderDistance} to ${distance} chunks`);
+        this.renderDistance = distance;
+        this.lastCameraChunkX = null;
+        this.lastCameraChunkZ = null;
+    }
+
     // Main update function, called every frame - determines which chunks to load/unload
     update(playerPosition) {
         const { chunkX: currentChunkX, chunkZ: currentChunkZ } = this.getPositionChunkCoords(playerPosition);
@@ -338,14 +351,22 @@ export class ChunkManager {
         return this.contentManager.collectObject(chunkKey, objectIndex);
     }
 
-    updateCollectibles(deltaTime, elapsedTime, playerPosition, playerPowerup) {
-        this.contentManager.updateCollectibles(this.loadedChunks, deltaTime, elapsedTime, playerPosition, playerPowerup);
+    updateCollectibles(deltaTime, elapsedTime, playerPosition, playerManager) {
+        this.contentManager.updateCollectibles(this.loadedChunks, deltaTime, elapsedTime, playerPosition, playerManager);
     }
 
     updateTumbleweeds(deltaTime, elapsedTime, playerPosition) {
         this.contentManager.updateTumbleweeds(this.loadedChunks, deltaTime, elapsedTime, playerPosition);
     }
 
+    knockAwayObject(mesh, fromPosition) {
+        return this.contentManager.knockAwayObject(this.loadedChunks, mesh, fromPosition);
+    }
+
+    updateKnockedAwayObjects(deltaTime) {
+        this.contentManager.updateKnockedAwayObjects(deltaTime);
+    }
+
     // --- Cleanup ---
 
     /**
@@ -370,6 +391,7 @@ export class ChunkManager {
         keysToUnload.forEach(key => {
             this.unloadChunk(key);
         });
+        this.contentManager.clearKnockedAwayObjects();
 
         if (this.loadedChunks.size > 0) {
             logger.warn(`loadedChunks map not empty after clearAllChunks. Size: ${this.loadedChunks.size}`);
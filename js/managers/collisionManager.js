@@ -5,12 +5,15 @@ import { createLogger } from '../utils/logger.js'; // Import logger
 import { playerConfig } from '../config/player.js';
 import { modelsConfig } from '../config/models.js';
 import { gameplayConfig } from '../config/gameplay.js';
+import { scoringConfig } from '../config/scoring.js';
 import { tumbleweedConfig } from '../config/tumbleweed.js';
 
 
 
 import gameStateManager, { GameStates } from '../core/gameStateManager.js'; // Import default instance and GameStates enum
 import eventBus from '../core/eventBus.js'; // Moved to core
+import { getPlayerManager } from './playerManager.js';
+import { getPowerupDefinition } from '../powerups/powerupRegistry.js';
 
 const logger = createLogger('CollisionManager'); // Instantiate logger
 
@@ -23,6 +26,8 @@ const playerCollisionRadius = playerConfig.TORSO_WIDTH; // Use imported constant
 // --- Module State ---
 let _spatialGrid = null;
 let _chunkManager = null;
+// Obstacles and enemies the player was passing close to on the last check
+let _nearMissCandidates = new Set();
 // let _scoreUpdater = null; // No longer needed, use eventBus
 // let _gameOverHandler = null; // No longer needed, use eventBus
 
@@ -37,6 +42,97 @@ export function initCollisionManager(spatialGridInstance, chunkManagerInstance)
     _chunkManager = chunkManagerInstance;
     // _scoreUpdater = scoreUpdateCallback; // Removed
     // _gameOverHandler = gameOverCallback; // Removed
+
+    // Close calls don't carry over from one run to the next
+    eventBus.subscribe('gameStateChanged', ({ newState }) => {
+        if (newState !== GameStates.PLAYING && newState !== GameStates.PAUSED) {
+            _nearMissCandidates.clear();
+        }
+    });
+}
+
+/**
+ * Marks an obstacle or enemy the player is passing without hitting as a near miss candidate
+ * if it is within scoringConfig.NEAR_MISS_MARGIN of a collision.
+ * @param {THREE.Object3D} mesh - The obstacle or enemy mesh.
+ * @param {number} distanceSq - Squared horizontal distance between the player and the mesh.
+ * @param {number} collisionThresholdSq - Squared distance below which the two collide.
+ * @param {Set<THREE.Object3D>} candidates - Candidates found on this check.
+ * @private
+ */
+function _trackNearMiss(mesh, distanceSq, collisionThresholdSq, candidates) {
+    const nearMissRange = Math.sqrt(collisionThresholdSq) + scoringConfig.NEAR_MISS_MARGIN;
+    if (distanceSq < nearMissRange * nearMissRange) {
+        candidates.add(mesh);
+    }
+}
+
+/**
+ * Emits 'nearMiss' for every candidate from the last check that the player has now got past
+ * without a hit, and remembers this check's candidates.
+ * @param {Set<THREE.Object3D>} candidates - Candidates found on this check.
+ * @private
+ */
+function _settleNearMisses(candidates) {
+    for (const mesh of _nearMissCandidates) {
+        if (!candidates.has(mesh)) {
+            eventBus.emit('nearMiss', { objectType: mesh.userData.enemyInstance?.type ?? mesh.userData.objectType });
+        }
+    }
+    _nearMissCandidates = candidates;
+}
+
+/**
+ * Checks whether the player is passing over (jumping) or under (ducking) an obstacle,
+ * in which case overlapping it horizontally is not a hit.
+ * Heights come from gameplayConfig.JUMP_CLEARANCE_HEIGHTS / DUCK_CLEARANCE_HEIGHTS.
+ * @param {object} player - The player object (isAirborne, isDucking, duckScale, model).
+ * @param {THREE.Object3D} mesh - The obstacle mesh.
+ * @param {string} objectType - The obstacle's type name.
+ * @returns {boolean} True if the player clears the obstacle vertically.
+ * @private
+ */
+function _isClearingObstacle(player, mesh, objectType) {
+    const duckScale = player.duckScale ?? 1;
+    const scaleY = mesh.scale ? mesh.scale.y : 1;
+    const playerFeetY = player.model.position.y - playerConfig.HEIGHT_OFFSET * duckScale;
+
+    const jumpHeight = gameplayConfig.JUMP_CLEARANCE_HEIGHTS[objectType];
+    if (player.isAirborne && jumpHeight !== undefined) {
+        return playerFeetY > mesh.position.y + jumpHeight * scaleY;
+    }
+
+    const duckGap = gameplayConfig.DUCK_CLEARANCE_HEIGHTS[objectType];
+    if (player.isDucking && duckGap !== undefined) {
+        const playerHeadY = playerFeetY + playerConfig.STANDING_HEIGHT * duckScale;
+        return playerHeadY < mesh.position.y + duckGap * scaleY;
+    }
+    return false;
+}
+
+/**
+ * Resolves the player running into an obstacle or enemy. Obstacles are simply smashed aside
+ * while a powerup like the boost allows it. Otherwise the PlayerManager takes the hit
+ * (shield first, then a life); if the player survives, whatever they hit is knocked out of
+ * the way, otherwise the run ends.
+ * @param {THREE.Object3D} mesh - The obstacle or enemy mesh that was hit.
+ * @param {object} playerPosition - The player's current position.
+ * @param {string} cause - The cause reported with 'playerDied'.
+ * @private
+ */
+function _resolveHit(mesh, playerPosition, cause) {
+    _nearMissCandidates.clear(); // Whatever else was close, this was no clean escape
+    const playerManager = getPlayerManager();
+    if (!mesh.userData.enemyInstance && playerManager?.smashesObstacles()) {
+        logger.info(`Smashed through ${cause}`);
+        _chunkManager.knockAwayObject(mesh, playerPosition);
+        return;
+    }
+    if (playerManager && playerManager.absorbHit(cause)) {
+        _chunkManager.knockAwayObject(mesh, playerPosition);
+        return;
+    }
+    eventBus.emit('playerDied', cause); // Emit player death event with cause
 }
 
 /**
@@ -54,10 +150,10 @@ function _handlePowerupCollection(mesh, playerPosition, nearbyArray, indexInNear
     }
 
     const powerupType = mesh.userData.objectType;
-    const modelConfigForPowerup = modelsConfig[powerupType.toUpperCase()];
+    const definition = getPowerupDefinition(powerupType);
 
-    if (!modelConfigForPowerup || !modelConfigForPowerup.POWERUP_TYPE) {
-        // Not a recognized powerup type in modelsConfig or missing POWERUP_TYPE definition
+    if (!definition) {
+        // Not a registered powerup type
         return false;
     }
 
@@ -70,7 +166,7 @@ function _handlePowerupCollection(mesh, playerPosition, nearbyArray, indexInNear
     const dz = playerPosition.z - mesh.position.z;
     const distanceSq = dx * dx + dz * dz;
 
-    const collisionRadius = modelConfigForPowerup.COLLISION_RADIUS || 1.0;
+    const collisionRadius = definition.collisionRadius ?? modelsConfig[powerupType.toUpperCase()]?.COLLISION_RADIUS ?? 1.0;
     const collisionThresholdSq = (playerCollisionRadius + collisionRadius) ** 2;
 
     if (distanceSq < collisionThresholdSq) {
@@ -83,10 +179,9 @@ function _handlePowerupCollection(mesh, playerPosition, nearbyArray, indexInNear
         const collected = _chunkManager.collectObject(chunkKey, objectIndex);
 
         if (collected) {
-            const actualPowerupType = modelConfigForPowerup.POWERUP_TYPE;
-            eventBus.emit('powerupActivated', actualPowerupType);
+            eventBus.emit('powerupActivated', powerupType);
             nearbyArray.splice(indexInNearbyArray, 1); // Remove from local array for this check
-            logger.debug(`Collected ${actualPowerupType} powerup.`);
+            logger.debug(`Collected ${powerupType} powerup.`);
             return true;
         }
     }
@@ -138,11 +233,14 @@ export function checkCollisions(player) {
 
     if (!nearbyObjects || nearbyObjects.size === 0) {
         // No nearby objects to check
+        _settleNearMisses(new Set());
         return true;
     }
 
     // --- Process Nearby Objects ---
     const nearbyArray = Array.from(nearbyObjects).filter(obj => obj != null);
+    const playerManager = getPlayerManager();
+    const coinsAttracted = !!playerManager?.getCoinAttraction();
 
     // Check Collectibles first (iterating backwards for safe removal)
     for (let i = nearbyArray.length - 1; i >= 0; i--) {
@@ -170,7 +268,7 @@ export function checkCollisions(player) {
             let collisionThresholdSq;
             const minSafeDistanceSq = (playerCollisionRadius * gameplayConfig.PLAYER_SAFE_DISTANCE_FACTOR) ** 2; // Use constant
 
-            if (player.powerup === 'magnet') {
+            if (coinsAttracted) {
                 // Use a much larger collection radius when magnet is active
                 // This ensures coins don't get stuck inside the player model
                 // This must be larger than the minSafeDistanceSq
@@ -189,11 +287,12 @@ export function checkCollisions(player) {
                     const collected = _chunkManager.collectObject(chunkKey, objectIndex);
 
                     if (collected) {
-                        // If doubler powerup is active, double the coin value
+                        // Active powerups (e.g. the doubler) may change the coin value
                         const coinValue = scoreValue || gameplayConfig.DEFAULT_COIN_SCORE;
-                        const finalValue = player.powerup === 'doubler' ? coinValue * 2 : coinValue;
+                        const finalValue = playerManager ? playerManager.applyCoinValue(coinValue) : coinValue;
                         
                         eventBus.emit('scoreChanged', finalValue);
+                        eventBus.emit('coinCollected', { value: finalValue, position: mesh.position });
                         nearbyArray.splice(i, 1);
                         logger.debug(`Collected coin (magnet force collect) with value ${finalValue}`);
                     }
@@ -215,26 +314,34 @@ export function checkCollisions(player) {
                 const collected = _chunkManager.collectObject(chunkKey, objectIndex);
 
                 if (collected) {
-                    // If doubler powerup is active, double the coin value
+                    // Active powerups (e.g. the doubler) may change the coin value
                     const coinValue = scoreValue || gameplayConfig.DEFAULT_COIN_SCORE;
-                    const finalValue = player.powerup === 'doubler' ? coinValue * 2 : coinValue;
+                    const finalValue = playerManager ? playerManager.applyCoinValue(coinValue) : coinValue;
                     
                     // Emit score change event instead of calling callback
                     eventBus.emit('scoreChanged', finalValue);
+                    eventBus.emit('coinCollected', { value: finalValue, position: mesh.position });
                     nearbyArray.splice(i, 1); // Remove from local array for this check
                     logger.debug(`Collected coin with value ${finalValue}`);
                 }
             }
         }
 
-        // handle powerups (magnet, doubler, invisibility)
+        // handle powerups (any type in the powerup registry)
         if (_handlePowerupCollection(mesh, playerPosition, nearbyArray, i)) {
             // If a powerup was collected, it was removed from nearbyArray, so continue.
             continue;
         }
     }
 
+    // Obstacles and enemies can't hurt the player during the grace period after a hit
+    if (playerManager?.isInvulnerable()) {
+        _nearMissCandidates.clear();
+        return true;
+    }
+
     // Now check remaining nearby objects for obstacles and enemies
+    const nearMissCandidates = new Set();
     for (const mesh of nearbyArray) {
         if (!mesh || !mesh.userData) {
             continue;
@@ -269,11 +376,12 @@ export function checkCollisions(player) {
                 const tumbleweedRadius = (modelsConfig.TUMBLEWEED_MODEL?.COLLISION_RADIUS || 1.0) * mesh.scale.x; // Use constant from config
                 const collisionThresholdSqTumbleweed = (playerCollisionRadius + tumbleweedRadius) ** 2;
 
-                if (distanceSq < collisionThresholdSqTumbleweed) {
+                if (distanceSq < collisionThresholdSqTumbleweed && !_isClearingObstacle(player, mesh, objectType)) {
                     logger.info(`Player collided with tumbleweed at position (${mesh.position.x.toFixed(2)}, ${mesh.position.z.toFixed(2)})`);
-                    eventBus.emit('playerDied', 'tumbleweed'); // Emit player death event with cause
+                    _resolveHit(mesh, playerPosition, 'tumbleweed');
                     return true; // Stop checking and return true to indicate collision was processed
                 }
+                _trackNearMiss(mesh, distanceSq, collisionThresholdSqTumbleweed, nearMissCandidates);
             }
             // Special check for trees to allow walking under foliage
             else if (objectType === modelsConfig.TREE_PINE?.OBJECT_TYPE && modelsConfig.TREE_PINE?.ALLOW_WALK_UNDER) { // Use constants
@@ -303,12 +411,13 @@ export function checkCollisions(player) {
                     // Add a small buffer using constant
                     if (playerFeetY < trunkTopY - (gameplayConfig.TREE_COLLISION_BUFFER || 0.1)) {
                         logger.info(`Player collided with tree trunk at position (${mesh.position.x.toFixed(2)}, ${mesh.position.z.toFixed(2)})`);
-                        eventBus.emit('playerDied', 'tree'); // Emit player death event with cause
+                        _resolveHit(mesh, playerPosition, 'tree');
                         return true; // Stop checking and return true to indicate collision was processed
                     }
                     // Otherwise player is above trunk height and can walk under foliage
                     logger.debug(`Player is above tree trunk height at position (${mesh.position.x.toFixed(2)}, ${mesh.position.z.toFixed(2)})`);
                 }
+                _trackNearMiss(mesh, distanceSq, collisionThresholdSqTrunk, nearMissCandidates);
             }
             // Check for other static obstacles
             else {
@@ -322,11 +431,12 @@ export function checkCollisions(player) {
                 const obstacleRadius = (modelConfig?.COLLISION_RADIUS || 1.0) * mesh.scale.x;
                 const collisionThresholdSqObstacle = (playerCollisionRadius + obstacleRadius) ** 2;
 
-                if (distanceSq < collisionThresholdSqObstacle) {
+                if (distanceSq < collisionThresholdSqObstacle && !_isClearingObstacle(player, mesh, objectType)) {
                     logger.info(`Player collided with obstacle of type ${objectType} at position (${mesh.position.x.toFixed(2)}, ${mesh.position.z.toFixed(2)})`);
-                    eventBus.emit('playerDied', objectType); // Emit player death event with cause
+                    _resolveHit(mesh, playerPosition, objectType);
                     return true; // Stop checking and return true to indicate collision was processed
                 }
+                _trackNearMiss(mesh, distanceSq, collisionThresholdSqObstacle, nearMissCandidates);
             }
         }
         // Check if it's an Enemy
@@ -357,11 +467,13 @@ export function checkCollisions(player) {
 
             if (distanceSq < collisionThresholdSqEnemy) {
                 logger.info(`Player collided with enemy of type ${enemyType} at position (${mesh.position.x.toFixed(2)}, ${mesh.position.z.toFixed(2)})`);
-                eventBus.emit('playerDied', 'enemy'); // Emit player death event with cause
+                _resolveHit(mesh, playerPosition, enemyType);
                 return true; // Stop checking and return true to indicate collision was processed
             }
+            _trackNearMiss(mesh, distanceSq, collisionThresholdSqEnemy, nearMissCandidates);
         }
     }
 
+    _settleNearMisses(nearMissCandidates);
     return true; // Return true to indicate collision checking was performed
 }
@@ -9,7 +9,10 @@ import { Deer } from '../entities/enemies/Deer.js';
 import { Coyote } from '../entities/enemies/Coyote.js';
 import { Rattlesnake } from '../entities/enemies/Rattlesnake.js';
 import { Scorpion } from '../entities/enemies/Scorpion.js';
+import { Wolf } from '../entities/enemies/Wolf.js';
+import { Yeti } from '../entities/enemies/Yeti.js';
 import objectPoolManager from './objectPoolManager.js';
+import { ENEMY_STATE } from '../entities/enemy.js';
 
 const logger = createLogger('EnemyManager');
 
@@ -21,6 +24,8 @@ const enemyClassMap = {
     coyote: Coyote,
     rattlesnake: Rattlesnake,
     scorpion: Scorpion,
+    wolf: Wolf,
+    yeti: Yeti,
 };
 
 export class EnemyManager {
@@ -54,9 +59,10 @@ export class EnemyManager {
      * @param {object} initialData - Data containing position, rotation, etc.
      * @param {ChunkManager} chunkManager - The ChunkManager instance.
      * @param {object} levelConfig - The configuration object for the current level.
+     * @param {function(): number} [random=Math.random] - The enemy's own gameplay random stream.
      * @returns {Enemy|null} The created enemy instance, or null if type is unknown or creation fails.
      */
-    spawnEnemy(enemyType, initialData, chunkManager, levelConfig) {
+    spawnEnemy(enemyType, initialData, chunkManager, levelConfig, random = Math.random) {
         if (!chunkManager || !levelConfig) {
              const errorMsg = `[EnemyManager] spawnEnemy called without valid ChunkManager or levelConfig! Cannot spawn ${enemyType}.`;
              logger.error(errorMsg); // Use logger instead of UIManager
@@ -72,7 +78,7 @@ export class EnemyManager {
         let enemyInstance = this.objectPoolManager.getFromPool('enemies', enemyType);
 
         if (enemyInstance) {
-            enemyInstance.reset(initialData, properties);
+            enemyInstance.reset(initialData, properties, random);
             if (enemyInstance.mesh) {
                 if (this.scene) {
                     this.scene.add(enemyInstance.mesh);
@@ -92,7 +98,7 @@ export class EnemyManager {
             if (EnemyClass) {
                 try {
                     // Pass chunkManager here as Enemy constructor needs it
-                    enemyInstance = new EnemyClass(initialData, properties, this.scene, chunkManager);
+                    enemyInstance = new EnemyClass(initialData, properties, this.scene, chunkManager, random);
                 } catch (error) {
                      logger.error(`[EnemyManager] Error instantiating enemy type ${enemyType}:`, error);
                      // UIManager.displayError(new Error(`Failed to create enemy: ${enemyType}`)); // Use logger
@@ -144,6 +150,18 @@ export class EnemyManager {
         }
     }
 
+    /**
+     * Stops updating an enemy and takes it out of collision checks, but leaves its mesh in
+     * the scene so the caller can animate it out (e.g. knocked away by the player). The
+     * caller is responsible for removing the mesh and pooling the instance afterwards.
+     * @param {Enemy} enemyInstance - The enemy instance to detach.
+     */
+    detachEnemy(enemyInstance) {
+        if (!enemyInstance || !enemyInstance.mesh) return;
+        this.spatialGrid.remove(enemyInstance.mesh);
+        this.activeEnemies.delete(enemyInstance.mesh.id);
+    }
+
      /**
      * Removes an enemy based on its mesh ID.
      * @param {number} meshId - The ID of the enemy's mesh to remove.
@@ -161,13 +179,15 @@ export class EnemyManager {
     /**
      * Updates all active enemies.
      * @param {THREE.Vector3} playerPos - The current position of the player.
+     * @param {function(Enemy): boolean} canTarget - Whether an enemy may chase the player (powerups can hide them).
      * @param {number} deltaTime - Time elapsed since the last frame.
      * @param {number} elapsedTime - Total time elapsed.
+     * @param {number} [aggroFactor=1] - Scales every enemy's aggro radius, for weather that hides the player.
      */
-    update(playerPos, currentPowerup, deltaTime, elapsedTime) {
+    update(playerPos, canTarget, deltaTime, elapsedTime, aggroFactor = 1) {
         if (!playerPos) return;
         for (const enemy of this.activeEnemies.values()) {
-            enemy.update(playerPos, currentPowerup, deltaTime, elapsedTime);
+            enemy.update(playerPos, canTarget(enemy), deltaTime, elapsedTime, aggroFactor);
             if (enemy.mesh) {
                 this.spatialGrid.update(enemy.mesh);
             }
@@ -196,6 +216,18 @@ export class EnemyManager {
         return this.activeEnemies.size;
     }
 
+    /**
+     * Gets the number of enemies currently chasing the player.
+     * @returns {number}
+     */
+    getChasingEnemiesCount() {
+        let count = 0;
+        for (const enemy of this.activeEnemies.values()) {
+            if (enemy.state === ENEMY_STATE.CHASING) count++;
+        }
+        return count;
+    }
+
     /**
      * Removes all active enemies from the scene and clears the manager.
      * Used during level transitions.
@@ -0,0 +1,248 @@
+// js/managers/leaderboardManager.js
+import eventBus from '../core/eventBus.js';
+import { createLogger } from '../utils/logger.js';
+import { scoringConfig } from '../config/scoring.js';
+import { GAME_VERSION } from '../config/config.js';
+import * as LevelManager from './levelManager.js';
+
+const logger = createLogger('LeaderboardManager');
+
+// Constants
+const LEADERBOARDS_KEY = 'openRunner_leaderboards';
+const PLAYER_NAME_KEY = 'openRunner_playerName';
+const EXPORT_FORMAT = 'open-runner-leaderboard';
+const EXPORT_FORMAT_VERSION = 1;
+
+// In-memory state
+let leaderboards = {}; // { [levelId]: entries, best score first }
+let playerName = '';
+
+/**
+ * A leaderboard entry:
+ * {
+ *   name: 'Runner',
+ *   score: 1234,
+ *   date: '2024-05-01T12:00:00.000Z',
+ *   seed: 'classic',
+ *   distance: 5120.4,  // World units run
+ *   cause: 'tree',     // What ended the run (the 'playerDied' cause)
+ *   version: '1.1.0'   // GAME_VERSION the run was played on
+ * }
+ */
+
+/**
+ * Initialize the leaderboard manager.
+ * Loads saved leaderboards and the last name entered.
+ */
+export function init() {
+    logger.debug('Initializing LeaderboardManager');
+    try {
+        const stored = localStorage.getItem(LEADERBOARDS_KEY);
+        if (stored !== null) {
+            leaderboards = JSON.parse(stored) || {};
+        }
+        playerName = localStorage.getItem(PLAYER_NAME_KEY) ?? '';
+    } catch (error) {
+        logger.error('Error loading leaderboards from localStorage:', error);
+        leaderboards = {};
+    }
+}
+
+/**
+ * Save leaderboards to localStorage
+ */
+function saveLeaderboards() {
+    try {
+        localStorage.setItem(LEADERBOARDS_KEY, JSON.stringify(leaderboards));
+    } catch (error) {
+        logger.error('Error saving leaderboards to localStorage:', error);
+    }
+}
+
+/**
+ * Get a level's leaderboard.
+ * @param {string} levelId - The level ID
+ * @returns {object[]} Copies of the entries, best score first
+ */
+export function getLeaderboard(levelId) {
+    return (leaderboards[levelId] || []).map(entry => ({ ...entry }));
+}
+
+/**
+ * Check whether a score would make it onto a level's leaderboard.
+ * @param {string} levelId - The level ID
+ * @param {number} score - The score to check
+ * @returns {boolean}
+ */
+export function qualifies(levelId, score) {
+    if (!levelId || !(score > 0)) return false;
+    const entries = leaderboards[levelId] || [];
+    return entries.length < scoringConfig.LEADERBOARD_SIZE || score > entries[entries.length - 1].score;
+}
+
+/**
+ * Adds a finished run to a level's leaderboard. The date and game version are filled in here.
+ * Emits 'leaderboardUpdated'.
+ * @param {string} levelId - The level ID
+ * @param {{name: string, score: number, seed: string, distance: number, cause: string}} run - The run to record
+ * @returns {number} The entry's rank (1 is best), or 0 if it did not make the leaderboard
+ */
+export function addEntry(levelId, run) {
+    if (!qualifies(levelId, run.score)) return 0;
+
+    const name = normalizeName(run.name);
+    const entry = {
+        name,
+        score: run.score,
+        date: new Date().toISOString(),
+        seed: run.seed ?? null,
+        distance: Math.floor(run.distance || 0),
+        cause: run.cause ?? 'unknown',
+        version: GAME_VERSION
+    };
+    const entries = insertEntry(levelId, entry);
+    saveLeaderboards();
+    setPlayerName(name);
+
+    const rank = entries.indexOf(entry) + 1;
+    logger.info(`${name} placed #${rank} on the ${levelId} leaderboard with ${entry.score}`);
+    eventBus.emit('leaderboardUpdated', { levelId, rank });
+    return rank;
+}
+
+/**
+ * Get the name last entered for the leaderboard, to prefill the next entry.
+ * @returns {string}
+ */
+export function getPlayerName() {
+    return playerName;
+}
+
+/**
+ * Remembers the name to prefill leaderboard entries with.
+ * @param {string} name - The player's name
+ */
+export function setPlayerName(name) {
+    playerName = normalizeName(name);
+    try {
+        localStorage.setItem(PLAYER_NAME_KEY, playerName);
+    } catch (error) {
+        logger.error('Error saving player name to localStorage:', error);
+    }
+}
+
+/**
+ * Exports every level's leaderboard as JSON, for importLeaderboards() on another browser.
+ * @returns {string} The export file contents.
+ */
+export function exportLeaderboards() {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_FORMAT_VERSION,
+        gameVersion: GAME_VERSION,
+        exportedAt: new Date().toISOString(),
+        leaderboards
+    }, null, 2);
+}
+
+/**
+ * Merges leaderboards exported by exportLeaderboards() into the local ones. Entries already
+ * present are skipped and each level is trimmed to the leaderboard size afterwards.
+ * Emits 'leaderboardUpdated' for each level that changed.
+ * @param {string} json - The export file contents.
+ * @returns {number} The number of entries added.
+ * @throws {Error} If the text is not a leaderboard export.
+ */
+export function importLeaderboards(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Leaderboard file is not valid JSON: ${error.message}`);
+    }
+    if (data?.format !== EXPORT_FORMAT || typeof data.leaderboards !== 'object' || data.leaderboards === null) {
+        throw new Error("File is not an Open Runner leaderboard export.");
+    }
+    if (data.version > EXPORT_FORMAT_VERSION) {
+        throw new Error(`Leaderboard file format ${data.version} is newer than this game supports.`);
+    }
+
+    let added = 0;
+    Object.entries(data.leaderboards).forEach(([levelId, entries]) => {
+        // Only levels this build knows; a Map lookup, so keys like __proto__ never match
+        if (!Array.isArray(entries) || !LevelManager.getLevelManifest(levelId)) {
+            logger.warn(`Skipping leaderboard for unknown level "${levelId}"`);
+            return;
+        }
+        let levelAdded = 0;
+        entries.filter(isValidEntry).forEach(imported => {
+            // Only the known fields are kept, so nothing else in the file is stored
+            const entry = {
+                name: normalizeName(imported.name),
+                score: imported.score,
+                date: imported.date,
+                seed: imported.seed ?? null,
+                distance: imported.distance ?? 0,
+                cause: imported.cause ?? 'unknown',
+                version: imported.version ?? null
+            };
+            const existing = leaderboards[levelId] || [];
+            const isDuplicate = existing.some(other =>
+                other.name === entry.name && other.score === entry.score && other.date === entry.date);
+            if (isDuplicate || !qualifies(levelId, entry.score)) return;
+            insertEntry(levelId, entry);
+            levelAdded++;
+        });
+        if (levelAdded > 0) {
+            added += levelAdded;
+            eventBus.emit('leaderboardUpdated', { levelId, rank: 0 });
+        }
+    });
+
+    if (added > 0) {
+        saveLeaderboards();
+    }
+    logger.info(`Imported ${added} leaderboard entries`);
+    return added;
+}
+
+/**
+ * Inserts an entry in score order and trims the level's leaderboard to size.
+ * Equal scores keep the earlier entry ahead.
+ * @param {string} levelId - The level ID
+ * @param {object} entry - The entry to insert
+ * @returns {object[]} The level's entries
+ * @private
+ */
+function insertEntry(levelId, entry) {
+    const entries = leaderboards[levelId] || [];
+    const index = entries.findIndex(other => entry.score > other.score);
+    entries.splice(index === -1 ? entries.length : index, 0, entry);
+    entries.length = Math.min(entries.length, scoringConfig.LEADERBOARD_SIZE);
+    leaderboards[levelId] = entries;
+    return entries;
+}
+
+/**
+ * Checks an entry from an import file has the fields and types a leaderboard entry has.
+ * Optional fields may be missing or null.
+ * @private
+ */
+function isValidEntry(entry) {
+    const isOptional = (value, check) => value === undefined || value === null || check(value);
+    const isString = value => typeof value === 'string';
+    return !!entry && typeof entry === 'object' &&
+        typeof entry.name === 'string' &&
+        Number.isFinite(entry.score) &&
+        typeof entry.date === 'string' &&
+        isOptional(entry.seed, isString) &&
+        isOptional(entry.cause, isString) &&
+        isOptional(entry.version, isString) &&
+        isOptional(entry.distance, Number.isFinite);
+}
+
+/** @private */
+function normalizeName(name) {
+    const trimmed = String(name ?? '').trim().slice(0, scoringConfig.LEADERBOARD_NAME_MAX_LENGTH);
+    return trimmed || 'Runner';
+}
@@ -3,14 +3,22 @@ import * as UIManager from './uiManager.js'; // Stays in managers
 import * as AssetManager from './assetManager.js'; // Stays in managers
 import { createLogger } from '../utils/logger.js'; // Import logger
 import eventBus from '../core/eventBus.js';
+import { levelRegistry } from '../levels/levelRegistry.js';
 
 const logger = createLogger('LevelManager'); // Instantiate logger
-// Define available levels
-const AVAILABLE_LEVELS = [
-    { id: 'level1', name: 'Forest', description: 'Run through the lush forest landscape' },
-    { id: 'level2', name: 'Desert', description: 'Navigate the hot desert terrain' }
-    // Add more levels in AVAILABLE_LEVELS as they are created
-];
+
+// Index the registry by ID, rejecting entries that other subsystems couldn't use
+const manifestsById = new Map();
+for (const manifest of levelRegistry) {
+    if (!manifest.id || typeof manifest.loadConfig !== 'function') {
+        logger.error('Skipping level manifest without an id or loadConfig function:', manifest);
+    } else if (manifestsById.has(manifest.id)) {
+        logger.error(`Skipping duplicate level manifest for ${manifest.id}`);
+    } else {
+        manifestsById.set(manifest.id, manifest);
+    }
+}
+const AVAILABLE_LEVELS = Array.from(manifestsById.values());
 
 let currentLevelId = null; // Will store the string ID (e.g., 'level1')
 let currentLevelConfig = null;
@@ -23,24 +31,20 @@ let enemyManagerInstance = null; // Reference to EnemyManager
  */
 export async function loadLevel(levelId) { // levelId is now a string
     logger.info(`Loading level: ${levelId}`);
-    let configModule;
+    const manifest = manifestsById.get(levelId);
+    if (!manifest) {
+        logger.error(`[LevelManager] Unknown level ID: ${levelId}`);
+        currentLevelConfig = null;
+        currentLevelId = null;
+        return false;
+    }
+
     try {
-        switch (levelId) {
-            case 'level1':
-                configModule = await import('../levels/level1_forest.js'); // Updated path
-                currentLevelConfig = configModule.level1Config;
-                break;
-            case 'level2':
-                configModule = await import('../levels/level2_desert.js'); // Updated path
-                currentLevelConfig = configModule.level2Config;
-                break;
-            // Add cases for future levels here
-            default:
-                logger.error(`[LevelManager] Unknown level ID: ${levelId}`);
-                currentLevelConfig = null;
-                currentLevelId = null;
-                return false;
-        }
+        const levelConfig = await manifest.loadConfig();
+        // The manifest owns the atmosphere; attach it (and the ID) so consumers only need the config
+        currentLevelConfig = levelConfig
+            ? { ...levelConfig, levelId, atmosphericProfile: manifest.atmosphericProfile }
+            : null;
 
         if (!currentLevelConfig) {
              // Use UI Manager for critical config load failure
@@ -149,8 +153,25 @@ export function unloadCurrentLevel() {
 
 /**
  * Gets the list of available levels.
- * @returns {Array<Object>} An array of level objects ({ id: string, name: string }).
+ * @returns {Array<Object>} The level manifests from the registry, in level-select order.
  */
 export function getAvailableLevels() {
     return AVAILABLE_LEVELS;
 }
+
+/**
+ * Gets the registry manifest for a level.
+ * @param {string} levelId - The level ID.
+ * @returns {object | null} The manifest, or null if no such level is registered.
+ */
+export function getLevelManifest(levelId) {
+    return manifestsById.get(levelId) || null;
+}
+
+/**
+ * Gets the level a new game starts on (the first registered level).
+ * @returns {string | null} The default level ID.
+ */
+export function getDefaultLevelId() {
+    return AVAILABLE_LEVELS.length > 0 ? AVAILABLE_LEVELS[0].id : null;
+}
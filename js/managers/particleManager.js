@@ -1,108 +1,36 @@
 // js/managers/particleManager.js
 import * as THREE from 'three';
 import { createLogger } from '../utils/logger.js'; // Import logger
-// Import config objects and performanceManager
-import { performanceManager } from '../config/config.js'; // Re-export from config.js
+import eventBus from '../core/eventBus.js';
 import { particleConfig as P } from '../config/particles.js'; // Alias for brevity
-import { playerConfig } from '../config/player.js';
-
-// Base particle settings are now in config.js
-// Use P_BASE_MAX_PARTICLES, P_BASE_PARTICLE_LIFETIME, etc.
+import { ParticleEmitter } from '../rendering/particleEmitter.js';
+import { getPowerupDefinition } from '../powerups/powerupRegistry.js';
 
 const logger = createLogger('ParticleManager'); // Instantiate logger
 
-// Reusable vector for drift
-const PARTICLE_DRIFT_VELOCITY = new THREE.Vector3(
-    P.DRIFT_VELOCITY_X,
-    P.DRIFT_VELOCITY_Y,
-    P.DRIFT_VELOCITY_Z
-);
-// Reusable vector for velocity calculation
-const _particleVelocity = new THREE.Vector3();
-
-// Get actual particle count based on performance settings
-function getMaxParticles() {
-    const density = P.PARTICLE_DENSITY ?? 1.0; // Use aliased config object
-    return Math.floor(P.BASE_MAX_PARTICLES * density); // Use aliased config object
-}
-
-function getParticlesPerSecond() {
-    const density = P.PARTICLE_DENSITY ?? 1.0; // Use aliased config object
-    return Math.floor(P.BASE_PARTICLES_PER_SECOND * density); // Use aliased config object
-}
-
-function getParticleLifetime() {
-    // Lower quality = shorter lifetime for better performance
-    if (performanceManager.currentQuality === 'low') {
-        return P.BASE_PARTICLE_LIFETIME * P.LIFETIME_LOW_QUALITY_FACTOR; // Use constants
-    }
-    return P.BASE_PARTICLE_LIFETIME; // Use constant
-}
-
-// Simple circular texture for particles
-function createParticleTexture() {
-    const canvas = document.createElement('canvas');
-    canvas.width = P.TEXTURE_SIZE; // Use constant
-    canvas.height = P.TEXTURE_SIZE; // Use constant
-    const context = canvas.getContext('2d');
-    const gradient = context.createRadialGradient(
-        canvas.width / 2, canvas.height / 2, 0,
-        canvas.width / 2, canvas.height / 2, canvas.width / 2
-    );
-    // Add gradient stops from config
-    P.TEXTURE_GRADIENT_STOPS.forEach(stop => {
-        gradient.addColorStop(stop[0], stop[1]);
-    });
-
-    context.fillStyle = gradient;
-    context.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Create texture with specific settings to avoid WebGL warnings
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.flipY = false; // Prevent FLIP_Y warning with 3D textures
-    texture.premultiplyAlpha = false; // Prevent PREMULTIPLY_ALPHA warning
-    return texture;
-}
+// Does nothing, for attachments to emitters that don't exist
+const NO_ATTACHMENT = Object.freeze({ stop() {}, setDensity() {} });
 
+/**
+ * Owns the particle emitters, one per particles.EMITTERS preset, and starts the effects
+ * gameplay events call for. Emitters are created the first time they're used.
+ */
 export class ParticleManager {
     constructor(scene) {
         this.scene = scene;
-        this.particles = []; // Array to hold active particle data { velocity, age }
-        this.timeToEmit = 0; // Accumulator for emission rate
-        this.activeParticleCount = 0; // Track how many particles are active
-        this.maxParticles = getMaxParticles(); // Get max particles based on performance
-
-        // Geometry: We'll manage positions manually
-        this.particleGeometry = new THREE.BufferGeometry();
-        this.positions = new Float32Array(this.maxParticles * 3);
-        this.opacities = new Float32Array(this.maxParticles); // For fading
-
-        this.particleGeometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
-        this.particleGeometry.setAttribute('opacity', new THREE.BufferAttribute(this.opacities, 1));
-
-        // Material using constants
-        this.particleMaterial = new THREE.PointsMaterial({
-            size: P.SIZE,
-            map: createParticleTexture(),
-            blending: THREE.AdditiveBlending, // Or NormalBlending
-            depthWrite: false, // Particles don't obscure each other as much
-            transparent: true,
-            vertexColors: false, // Using uniform color for now
-            color: P.COLOR,
-            opacity: 1.0, // We'll control via attribute/shader later if needed, for now uniform
-            sizeAttenuation: performanceManager.currentQuality !== 'low' // Disable size attenuation on low quality
-        });
+        this.emitters = new Map(); // Preset name -> ParticleEmitter
+        this.playerDust = { accumulator: 0 }; // Stream state for the dust trail
+        this.lastPlayerPosition = null;
 
-        // The Points object
-        this.particleSystem = new THREE.Points(this.particleGeometry, this.particleMaterial);
-        this.particleSystem.frustumCulled = false; // Ensure it's always rendered if visible
-        this.scene.add(this.particleSystem);
+        this.tumbleweedSand = new Map(); // Tumbleweed -> attachment
+        this.powerupAuras = new Map();   // Power-up type -> attachment
 
-        this.activeParticleCount = 0;
-}
+        this.unsubscribers = [];
+        this._subscribeToEvents();
+    }
 
     /**
-     * Sets the scene for the particle manager and adds the particle system to it.
+     * Sets the scene for the particle manager and moves every emitter to it.
      * @param {THREE.Scene} newScene - The new scene instance.
      */
     setScene(newScene) {
@@ -111,128 +39,114 @@ export class ParticleManager {
             return;
         }
 
-        // Remove from old scene if necessary
-        if (this.particleSystem.parent) {
-            this.particleSystem.parent.remove(this.particleSystem);
-        }
-
         this.scene = newScene;
-        this.scene.add(this.particleSystem);
+        this.emitters.forEach(emitter => this.scene.add(emitter.points)); // add() takes it out of the old scene
         logger.info("ParticleManager scene updated.");
     }
 
-    emitParticle(originPosition) {
-        if (this.activeParticleCount >= this.maxParticles) {
-            logger.warn("Max particles reached, skipping emission.");
-            return; // Pool is full
-        }
+    /**
+     * Emits a burst from a preset, such as a coin's sparkle.
+     * @param {string} name - A particles.EMITTERS key.
+     * @param {THREE.Vector3} position - World position.
+     * @param {number} [count] - Particles at density 1; defaults to the preset's burst.
+     */
+    burst(name, position, count) {
+        this.getEmitter(name)?.burst(position, count);
+    }
 
-        const index = this.activeParticleCount;
-
-        // Set initial position slightly randomized around origin using constant
-        const randomFactor = P.EMIT_POS_RANDOM_FACTOR;
-        this.positions[index * 3 + 0] = originPosition.x + (Math.random() - 0.5) * randomFactor;
-        this.positions[index * 3 + 1] = originPosition.y; // Start at ground level (adjust if needed)
-        this.positions[index * 3 + 2] = originPosition.z + (Math.random() - 0.5) * randomFactor;
-
-        // Initial velocity using constants and reusable vector
-        const speed = THREE.MathUtils.randFloat(P.INITIAL_SPEED_MIN, P.INITIAL_SPEED_MAX);
-        _particleVelocity.set(
-            (Math.random() - 0.5) * P.EMIT_VEL_SPREAD_FACTOR, // Sideways spread
-            Math.random() * (P.EMIT_VEL_UPWARD_BIAS_MAX - P.EMIT_VEL_UPWARD_BIAS_MIN) + P.EMIT_VEL_UPWARD_BIAS_MIN, // Upward bias
-            (Math.random() - 0.5) * P.EMIT_VEL_SPREAD_FACTOR + P.EMIT_VEL_BACKWARD_BIAS // Backward bias
-        );
-        _particleVelocity.normalize().multiplyScalar(speed);
-
-        // Store particle data (using the index directly) - copy velocity from reusable vector
-        this.particles[index] = {
-            velocity: _particleVelocity.clone(), // Clone needed as _particleVelocity is reused
-            age: 0,
-            initialY: this.positions[index * 3 + 1] // Store initial Y for potential ground check
-        };
-
-        this.opacities[index] = 1.0; // Start fully opaque
-
-        this.activeParticleCount++;
+    /**
+     * Emits from a preset around an object until stopped or the object leaves the scene.
+     * @param {string} name - A particles.EMITTERS key.
+     * @param {THREE.Object3D} object3D - What to emit from.
+     * @param {object} [options] - See ParticleEmitter.attach().
+     * @returns {{stop: function(): void, setDensity: function(number): void}}
+     */
+    attach(name, object3D, options) {
+        return this.getEmitter(name)?.attach(object3D, options) ?? NO_ATTACHMENT;
     }
 
-    update(deltaTime, playerPosition) {
-        // --- Emission ---
-        this.timeToEmit += deltaTime;
-        const particlesPerSecond = getParticlesPerSecond();
-        const particlesToEmit = Math.floor(this.timeToEmit * particlesPerSecond);
-
-        if (particlesToEmit > 0 && this.activeParticleCount < this.maxParticles) {
-            this.timeToEmit -= particlesToEmit / particlesPerSecond; // Reduce accumulator
-            // Use reusable vector for emitOrigin
-            let _rayOrigin = new THREE.Vector3(); // Declare the temporary vector
-            const emitOrigin = _rayOrigin.copy(playerPosition); // Using _rayOrigin as a temp vector
-            // Adjust emit origin slightly behind and below the player model center if needed
-            emitOrigin.y -= playerConfig.HEIGHT_OFFSET * P.EMIT_ORIGIN_Y_OFFSET_FACTOR; // Use constants
-            // emitOrigin.z += 0.5; // Slightly behind player center
-
-            // Only emit as many particles as we have room for
-            const actualParticlesToEmit = Math.min(particlesToEmit, this.maxParticles - this.activeParticleCount);
-            for (let i = 0; i < actualParticlesToEmit; i++) {
-                this.emitParticle(emitOrigin);
+    /**
+     * Gets a preset's emitter, creating it on first use.
+     * @param {string} name - A particles.EMITTERS key.
+     * @returns {ParticleEmitter|null} Null for an unknown preset.
+     */
+    getEmitter(name) {
+        let emitter = this.emitters.get(name);
+        if (!emitter) {
+            const preset = P.EMITTERS[name];
+            if (!preset) {
+                logger.warn(`Unknown particle emitter "${name}"`);
+                return null;
             }
+            emitter = new ParticleEmitter(name, preset);
+            this.emitters.set(name, emitter);
+            this.scene?.add(emitter.points);
+            logger.debug(`Created particle emitter "${name}"`);
         }
+        return emitter;
+    }
 
-        // --- Update Existing Particles ---
-        const particleLifetime = getParticleLifetime();
-        let aliveCount = 0;
-        for (let i = 0; i < this.activeParticleCount; i++) {
-            const particle = this.particles[i];
-            particle.age += deltaTime;
-
-            if (particle.age >= particleLifetime) {
-                // Particle died, swap with the last active particle
-                const lastIndex = this.activeParticleCount - 1;
-                if (i !== lastIndex) {
-                    // Copy data from last particle to current slot
-                    this.positions[i * 3 + 0] = this.positions[lastIndex * 3 + 0];
-                    this.positions[i * 3 + 1] = this.positions[lastIndex * 3 + 1];
-                    this.positions[i * 3 + 2] = this.positions[lastIndex * 3 + 2];
-                    this.opacities[i] = this.opacities[lastIndex];
-                    this.particles[i] = this.particles[lastIndex];
-                }
-                this.activeParticleCount--; // Reduce active count
-                i--; // Re-process the swapped particle in the next iteration
-                continue; // Skip further processing for this (now dead or replaced) particle
-            }
-
-            // Update position based on velocity and drift
-            const currentPosX = this.positions[i * 3 + 0];
-            const currentPosY = this.positions[i * 3 + 1];
-            const currentPosZ = this.positions[i * 3 + 2];
+    /**
+     * Moves every particle along. While the run is going, the player trails dust and
+     * attached emitters emit; after it ends, particles already out finish their lives and
+     * ambient fields carry on.
+     * @param {number} deltaTime - Seconds since last frame.
+     * @param {THREE.Vector3} [playerPosition] - Given while the run is going.
+     */
+    update(deltaTime, playerPosition) {
+        if (playerPosition) {
+            this.getEmitter('playerDust')?.stream(this.playerDust, deltaTime, playerPosition);
+            this.lastPlayerPosition ??= new THREE.Vector3();
+            this.lastPlayerPosition.copy(playerPosition);
+        }
+        this.emitters.forEach(emitter => emitter.update(deltaTime, !!playerPosition));
 
-            const newPosX = currentPosX + particle.velocity.x * deltaTime + PARTICLE_DRIFT_VELOCITY.x * deltaTime;
-            let newPosY = currentPosY + particle.velocity.y * deltaTime + PARTICLE_DRIFT_VELOCITY.y * deltaTime;
-            const newPosZ = currentPosZ + particle.velocity.z * deltaTime + PARTICLE_DRIFT_VELOCITY.z * deltaTime;
+        // A tumbleweed unloaded with its chunk never says it stopped rolling
+        this.tumbleweedSand.forEach((attachment, tumbleweed) => {
+            if (!tumbleweed.object3D.parent) this.tumbleweedSand.delete(tumbleweed);
+        });
+    }
 
-            // Optional: Prevent particles from going through the "ground" (approximate)
-            // if (newPosY < particle.initialY * 0.8) { // If it drops significantly below start
-            //     newPosY = particle.initialY * 0.8;
-            //     particle.velocity.y *= -0.3; // Dampen bounce
-            // }
+    /**
+     * Disposes every emitter and stops listening for events, when the game is stopped.
+     */
+    cleanup() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.emitters.forEach(emitter => emitter.dispose());
+        this.emitters.clear();
+        this.tumbleweedSand.clear();
+        this.powerupAuras.clear();
+    }
 
-            this.positions[i * 3 + 0] = newPosX;
-            this.positions[i * 3 + 1] = newPosY;
-            this.positions[i * 3 + 2] = newPosZ;
+    /** @private */
+    _subscribeToEvents() {
+        const subscribe = (eventName, handler) => this.unsubscribers.push(eventBus.subscribe(eventName, handler));
 
-            // Update velocity (e.g., gravity, air resistance - simplified for now)
-            // particle.velocity.y -= 0.5 * deltaTime; // Simple gravity
+        subscribe('coinCollected', ({ position }) => {
+            if (position) this.burst('coinSparkle', position);
+        });
 
-            // Update opacity (fade out)
-            const lifeRatio = particle.age / getParticleLifetime();
-            this.opacities[i] = 1.0 - lifeRatio; // Linear fade
+        subscribe('tumbleweedRollingChanged', ({ tumbleweed, rolling }) => {
+            this.tumbleweedSand.get(tumbleweed)?.stop();
+            this.tumbleweedSand.delete(tumbleweed);
+            if (rolling) {
+                this.tumbleweedSand.set(tumbleweed, this.attach('tumbleweedSand', tumbleweed.object3D));
+            }
+        });
 
-            aliveCount++; // This index is still alive
-        }
+        subscribe('applyPowerupEffect', ({ type, player }) => {
+            if (!player?.model) return;
+            this.powerupAuras.get(type)?.stop();
+            this.powerupAuras.set(type, this.attach('powerupAura', player.model, { tint: getPowerupDefinition(type)?.hudColor }));
+        });
+        subscribe('removePowerupEffect', ({ type }) => {
+            this.powerupAuras.get(type)?.stop();
+            this.powerupAuras.delete(type);
+        });
 
-        // Important: Update the draw range and notify buffer attributes need update
-        this.particleGeometry.setDrawRange(0, this.activeParticleCount);
-        this.particleGeometry.attributes.position.needsUpdate = true;
-        this.particleGeometry.attributes.opacity.needsUpdate = true; // Update opacity attribute
+        subscribe('playerDied', () => {
+            if (this.lastPlayerPosition) this.burst('deathExplosion', this.lastPlayerPosition);
+        });
+    }
 }
-}
\ No newline at end of file
@@ -1,8 +1,9 @@
-import * as THREE from 'three';
 import eventBus from '../core/eventBus.js';
 import { createLogger } from '../utils/logger.js';
 import { gameplayConfig } from '../config/gameplay.js';
-import { playWaveFile, effectAudioMap } from './audioManager.js';
+import { playEffect } from './audioManager.js';
+import { getPowerupDefinition } from '../powerups/powerupRegistry.js';
+import * as LevelManager from './levelManager.js';
 
 const logger = createLogger('PlayerManager');
 
@@ -12,7 +13,15 @@ const logger = createLogger('PlayerManager');
 class PlayerManager {
     constructor(player) {
         this.player = player;
-        this.powerupTimeout = null;
+
+        // Active powerups by type: { definition, timeLeft }. Untimed powerups have Infinity timeLeft.
+        this.activePowerups = new Map();
+        this.hookContext = { player, playerManager: this };
+        this.hudShowsTimers = false;
+
+        // Health: lives left and a grace period after each hit
+        this.lives = gameplayConfig.STARTING_LIVES;
+        this.invulnerableTimer = 0;
         
         logger.info('PlayerManager initialized');
         
@@ -31,61 +40,279 @@ class PlayerManager {
     }
     
     /**
-     * Handle powerup activation
+     * Handle powerup activation. Powerups stack; picking up one that is already active
+     * restarts its timer.
      * @param {string} powerupType - Type of powerup activated
      */
     handlePowerupActivated(powerupType) {
         logger.debug(`[PlayerManager] handlePowerupActivated called with type: ${powerupType}`);
-        const wasActive = this.player.powerup === powerupType;
-        this.player.powerup = powerupType;
-        logger.debug(`[PlayerManager] this.player.powerup set to: ${this.player.powerup}`);
-        playWaveFile(effectAudioMap['powerup']);
-        
-        if (wasActive) {
+        const definition = getPowerupDefinition(powerupType);
+        if (!definition) {
+            logger.warn(`Unknown powerup type: ${powerupType}`);
+            return;
+        }
+        playEffect(definition.sound ?? 'powerup', { playbackRate: definition.soundRate ?? 1 });
+
+        const duration = definition.duration ?? Infinity;
+        const active = this.activePowerups.get(powerupType);
+        if (active) {
             logger.info(`${powerupType} powerup already active, extending duration`);
-            if (this.powerupTimeout) clearTimeout(this.powerupTimeout);
+            active.timeLeft = duration;
         } else {
             logger.info(`${powerupType} powerup started!`);
+            this.activePowerups.set(powerupType, { definition, timeLeft: duration });
+            definition.onActivate?.(this.hookContext);
             // Emit event for visual effect
-            logger.debug(`[PlayerManager] Emitting applyPowerupEffect for type: ${powerupType}`);
             eventBus.emit('applyPowerupEffect', { type: powerupType, player: this.player });
         }
-        
-        if (this.powerupTimeout) clearTimeout(this.powerupTimeout);
-        
-        let duration = gameplayConfig.POWERUP_DURATION * 1000; // Default duration
-        if (powerupType === gameplayConfig.POWERUP_TYPE_INVISIBILITY) {
-            duration = gameplayConfig.invisibilityConfig.durationMs;
-            logger.debug(`Using invisibility specific duration: ${duration}ms`);
-        }
+        this._emitHealthChanged();
+        this._emitPowerupTimers();
+    }
 
-        this.powerupTimeout = setTimeout(() => {
-            if (this.player.powerup === powerupType) {
-                this.player.powerup = '';
-                logger.info(`${powerupType} powerup expired!`);
-                eventBus.emit('removePowerupEffect', { type: powerupType, player: this.player });
-            }
-            this.powerupTimeout = null;
-        }, duration);
+    /**
+     * Ends an active powerup early (or on expiry) and removes its effect.
+     * @param {string} powerupType - Type of powerup to end
+     * @returns {boolean} True if the powerup was active
+     */
+    deactivatePowerup(powerupType) {
+        const active = this.activePowerups.get(powerupType);
+        if (!active) return false;
+
+        this.activePowerups.delete(powerupType);
+        active.definition.onExpire?.(this.hookContext);
+        eventBus.emit('removePowerupEffect', { type: powerupType, player: this.player });
+        this._emitHealthChanged();
+        this._emitPowerupTimers();
+        return true;
     }
     
     /**
      * Reset all active powerups
      */
     resetPowerups() {
-        if (this.player.powerup) {
-            const currentPowerup = this.player.powerup;
-            this.player.powerup = '';
-            logger.debug(`Powerup ${currentPowerup} reset`);
-            
-            eventBus.emit('removePowerupEffect', { type: currentPowerup, player: this.player });
+        for (const powerupType of [...this.activePowerups.keys()]) {
+            this.deactivatePowerup(powerupType);
+            logger.debug(`Powerup ${powerupType} reset`);
         }
-        
-        if (this.powerupTimeout) {
-            clearTimeout(this.powerupTimeout);
-            this.powerupTimeout = null;
-            logger.debug("Powerup timeout cleared");
+    }
+
+    /**
+     * Advances powerup timers and post-hit invulnerability.
+     * Driven by the gameplay deltaTime, so timers stop while paused and replays expire
+     * powerups on the same frames as the recorded run.
+     * @param {number} deltaTime - Time since the last frame, in seconds.
+     */
+    update(deltaTime) {
+        for (const [powerupType, active] of this.activePowerups) {
+            active.definition.onTick?.(deltaTime, this.hookContext);
+            active.timeLeft -= deltaTime;
+            if (active.timeLeft <= 0) {
+                logger.info(`${powerupType} powerup expired!`);
+                this.deactivatePowerup(powerupType);
+            }
+        }
+        this._emitPowerupTimers();
+        this._updateInvulnerability(deltaTime);
+    }
+
+    /**
+     * Runs a collected coin's value through the onCollectCoin hooks of active powerups.
+     * @param {number} value - The coin's base value.
+     * @returns {number} The value to award.
+     */
+    applyCoinValue(value) {
+        let finalValue = value;
+        for (const { definition } of this.activePowerups.values()) {
+            if (definition.onCollectCoin) {
+                finalValue = definition.onCollectCoin(finalValue, this.hookContext);
+            }
+        }
+        return finalValue;
+    }
+
+    /**
+     * Asks the onEnemyCheck hooks of active powerups whether an enemy may target the player.
+     * @param {Enemy} enemy - The enemy deciding whether to chase.
+     * @returns {boolean} False if any active powerup hides the player from it.
+     */
+    canEnemyTarget(enemy) {
+        for (const { definition } of this.activePowerups.values()) {
+            if (definition.onEnemyCheck?.(enemy, this.hookContext) === false) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Gets the strongest coin attraction among active powerups.
+     * @returns {{radius: number, force: number}|null} Null if nothing is pulling coins.
+     */
+    getCoinAttraction() {
+        let attraction = null;
+        for (const { definition } of this.activePowerups.values()) {
+            if (definition.coinAttraction && (!attraction || definition.coinAttraction.radius > attraction.radius)) {
+                attraction = definition.coinAttraction;
+            }
+        }
+        return attraction;
+    }
+
+    /**
+     * Gets the combined forward speed multiplier of active powerups.
+     * @returns {number} 1 when no powerup changes the player's speed.
+     */
+    getSpeedMultiplier() {
+        let multiplier = 1;
+        for (const { definition } of this.activePowerups.values()) {
+            multiplier *= definition.speedMultiplier ?? 1;
+        }
+        return multiplier;
+    }
+
+    /**
+     * Gets the combined gameplay clock scale of active powerups.
+     * @returns {number} 1 when gameplay runs at normal speed.
+     */
+    getTimeScale() {
+        let timeScale = 1;
+        for (const { definition } of this.activePowerups.values()) {
+            timeScale *= definition.timeScale ?? 1;
+        }
+        return timeScale;
+    }
+
+    /**
+     * Whether an active powerup lets the player smash through obstacles unharmed.
+     * @returns {boolean}
+     */
+    smashesObstacles() {
+        return [...this.activePowerups.values()].some(({ definition }) => !!definition.smashesObstacles);
+    }
+
+    /**
+     * Gets the emissive color coins should glow with, from the most recently activated
+     * powerup that sets one.
+     * @returns {number|null} A color, or null if coins should look normal.
+     */
+    getCoinEmissive() {
+        let emissive = null;
+        for (const { definition } of this.activePowerups.values()) {
+            if (definition.coinEmissive !== undefined) emissive = definition.coinEmissive;
+        }
+        return emissive;
+    }
+
+    /**
+     * Resolves a hit from an obstacle or enemy. An active powerup with an onHit hook (the
+     * shield) may absorb it, otherwise a life is lost. Either way the player is briefly
+     * invulnerable afterwards.
+     * @param {string} cause - What the player hit (the 'playerDied' cause if this was fatal).
+     * @returns {boolean} True if the player survived the hit.
+     */
+    absorbHit(cause) {
+        const absorber = [...this.activePowerups.values()]
+            .find(({ definition }) => definition.onHit?.(cause, this.hookContext));
+        if (absorber) {
+            logger.info(`${absorber.definition.type} absorbed a hit from ${cause}`);
+        } else {
+            this.lives = Math.max(0, this.lives - 1);
+            logger.info(`Hit by ${cause}, ${this.lives} ${this.lives === 1 ? 'life' : 'lives'} left`);
+            if (this.lives === 0) {
+                this._emitHealthChanged();
+                return false;
+            }
+        }
+        this.invulnerableTimer = gameplayConfig.HIT_INVULNERABILITY_DURATION;
+        this._emitHealthChanged();
+        eventBus.emit('playerHit', { cause, lives: this.lives });
+        return true;
+    }
+
+    /**
+     * Counts down post-hit invulnerability and flashes the player model while it lasts.
+     * @param {number} deltaTime - Time since the last frame, in seconds.
+     * @private
+     */
+    _updateInvulnerability(deltaTime) {
+        if (this.invulnerableTimer <= 0) return;
+
+        this.invulnerableTimer = Math.max(0, this.invulnerableTimer - deltaTime);
+        if (!this.player.model) return;
+        if (this.invulnerableTimer === 0) {
+            this.player.model.visible = true;
+        } else {
+            const flashPhase = Math.floor(this.invulnerableTimer / gameplayConfig.HIT_FLASH_INTERVAL);
+            this.player.model.visible = flashPhase % 2 === 0;
+        }
+    }
+
+    /**
+     * Whether the player is in the grace period after a hit.
+     * @returns {boolean}
+     */
+    isInvulnerable() {
+        return this.invulnerableTimer > 0;
+    }
+
+    /**
+     * Whether an active powerup will absorb the next hit.
+     * @returns {boolean}
+     */
+    hasShield() {
+        return [...this.activePowerups.values()].some(({ definition }) => !!definition.onHit);
+    }
+
+    /**
+     * Get the number of lives left
+     * @returns {number}
+     */
+    getLives() {
+        return this.lives;
+    }
+
+    /**
+     * Restores full lives and drops any invulnerability, for a new run. The level's config
+     * can set STARTING_LIVES to start with more than gameplay.STARTING_LIVES.
+     * Call resetPowerups() as well to drop the shield.
+     */
+    resetHealth() {
+        this.lives = LevelManager.getCurrentConfig()?.STARTING_LIVES ?? gameplayConfig.STARTING_LIVES;
+        this.invulnerableTimer = 0;
+        if (this.player.model) this.player.model.visible = true;
+        this._emitHealthChanged();
+    }
+
+    /**
+     * Notifies the HUD of the current lives and shield.
+     * @private
+     */
+    _emitHealthChanged() {
+        eventBus.emit('playerHealthChanged', { lives: this.lives, shield: this.hasShield() });
+    }
+
+    /**
+     * Sends the HUD the time left on each timed powerup. Skipped while none are running,
+     * after one final empty update to clear the display.
+     * @private
+     */
+    _emitPowerupTimers() {
+        const timers = [];
+        for (const [type, { definition, timeLeft }] of this.activePowerups) {
+            if (definition.duration) {
+                timers.push({
+                    type,
+                    name: definition.name ?? type,
+                    icon: definition.icon ?? '',
+                    color: definition.hudColor,
+                    timeLeft: Math.max(0, timeLeft),
+                    duration: definition.duration
+                });
+            }
         }
+        if (timers.length === 0 && !this.hudShowsTimers) return;
+        this.hudShowsTimers = timers.length > 0;
+        eventBus.emit('powerupTimersUpdated', timers);
     }
     
     /**
@@ -95,17 +322,17 @@ class PlayerManager {
      */
     hasPowerup(type) {
         if (type) {
-            return this.player.powerup === type;
+            return this.activePowerups.has(type);
         }
-        return Boolean(this.player.powerup);
+        return this.activePowerups.size > 0;
     }
     
     /**
-     * Get the current active powerup type
-     * @returns {string} Current powerup type or empty string if none
+     * Get the types of all active powerups, in activation order
+     * @returns {string[]}
      */
-    getCurrentPowerup() {
-        return this.player.powerup;
+    getActivePowerups() {
+        return [...this.activePowerups.keys()];
     }
     
     /**
@@ -0,0 +1,255 @@
+// js/managers/progressManager.js
+import eventBus from '../core/eventBus.js';
+import { GameStates } from '../core/gameStateManager.js';
+import { createLogger } from '../utils/logger.js';
+import * as ScoreManager from './scoreManager.js';
+import * as LevelManager from './levelManager.js';
+import replayManager from './replayManager.js';
+
+const logger = createLogger('ProgressManager');
+
+// Constants
+const PROGRESS_KEY = 'openRunner_levelProgress';
+
+// In-memory state
+let levelProgress = {}; // { [levelId]: { coins, distance, bestDistance, runs } }
+let runCoins = 0;       // Coins collected in the current level segment of the run
+let unlockedLevelIds = new Set(); // Levels known to be unlocked, to spot new unlocks
+
+/**
+ * Unlock rules, as declared in a level manifest's `unlock` field:
+ * - { type: 'highScore', levelId?, minScore }      Best score in a level (or in any level).
+ * - { type: 'coins', levelId?, count }             Coins collected over all runs (in one level, or anywhere).
+ * - { type: 'distance', levelId?, distance, singleRun? }
+ *                                                  Distance run in total, or in one run if singleRun is set.
+ * - { type: 'all', rules: [...] }                  Every nested rule must be met.
+ * - { type: 'any', rules: [...] }                  At least one nested rule must be met.
+ * Any rule may carry a `text` field to override its generated description.
+ */
+
+/**
+ * Initialize the progress manager.
+ * Loads saved progress, starts counting coins and watches for levels being unlocked.
+ */
+export function init() {
+    logger.debug('Initializing ProgressManager');
+    loadProgress();
+    unlockedLevelIds = new Set(getUnlockedLevelIds());
+
+    // Scores and progress are what unlock rules look at
+    eventBus.subscribe('newHighScore', checkForNewUnlocks);
+    eventBus.subscribe('levelProgressUpdated', checkForNewUnlocks);
+
+    eventBus.subscribe('coinCollected', () => {
+        runCoins++;
+    });
+
+    // A fresh run (not a resume) starts counting from zero
+    eventBus.subscribe('gameStateChanged', ({ newState, oldState }) => {
+        if (newState === GameStates.PLAYING && oldState !== GameStates.PAUSED) {
+            runCoins = 0;
+        }
+    });
+}
+
+/**
+ * Load level progress from localStorage
+ */
+function loadProgress() {
+    try {
+        const stored = localStorage.getItem(PROGRESS_KEY);
+        if (stored !== null) {
+            levelProgress = JSON.parse(stored) || {};
+            logger.debug('Loaded level progress', levelProgress);
+        }
+    } catch (error) {
+        logger.error('Error loading level progress from localStorage:', error);
+        levelProgress = {};
+    }
+}
+
+/**
+ * Save level progress to localStorage
+ */
+function saveProgress() {
+    try {
+        localStorage.setItem(PROGRESS_KEY, JSON.stringify(levelProgress));
+    } catch (error) {
+        logger.error('Error saving level progress to localStorage:', error);
+    }
+}
+
+/**
+ * Adds the coins and distance of the run just finished in a level to its progress.
+ * Called when the player dies and when a run moves on to another level. Replays are ignored.
+ * Emits 'levelProgressUpdated'.
+ * @param {string} levelId - The level the run segment was played in.
+ * @param {number} distance - Distance travelled in that level.
+ */
+export function commitRun(levelId, distance) {
+    const coins = runCoins;
+    runCoins = 0;
+    if (!levelId || replayManager.isPlayingBack()) return;
+
+    const progress = getLevelProgress(levelId);
+    const runDistance = Math.max(0, distance || 0);
+    levelProgress[levelId] = {
+        coins: progress.coins + coins,
+        distance: progress.distance + runDistance,
+        bestDistance: Math.max(progress.bestDistance, runDistance),
+        runs: progress.runs + 1
+    };
+    saveProgress();
+    logger.debug(`Recorded run in ${levelId}: ${coins} coins, ${runDistance.toFixed(0)} m`);
+    eventBus.emit('levelProgressUpdated', { levelId, progress: levelProgress[levelId] });
+}
+
+/**
+ * Gets the accumulated progress for a level.
+ * @param {string} levelId - The level ID.
+ * @returns {{coins: number, distance: number, bestDistance: number, runs: number}}
+ */
+export function getLevelProgress(levelId) {
+    return { coins: 0, distance: 0, bestDistance: 0, runs: 0, ...levelProgress[levelId] };
+}
+
+/**
+ * Gets progress summed over every level.
+ * @returns {{coins: number, distance: number, bestDistance: number, runs: number}}
+ */
+export function getTotalProgress() {
+    return Object.keys(levelProgress).reduce((total, levelId) => {
+        const progress = getLevelProgress(levelId);
+        total.coins += progress.coins;
+        total.distance += progress.distance;
+        total.bestDistance = Math.max(total.bestDistance, progress.bestDistance);
+        total.runs += progress.runs;
+        return total;
+    }, { coins: 0, distance: 0, bestDistance: 0, runs: 0 });
+}
+
+/**
+ * Check if a level is unlocked for play
+ * @param {string} levelId - The level ID to check
+ * @returns {boolean} Whether the level's unlock rule is met
+ */
+export function isLevelUnlocked(levelId) {
+    return getUnlockStatus(levelId).unlocked;
+}
+
+/**
+ * Gets the IDs of every level whose unlock rule is met.
+ * @returns {string[]}
+ */
+function getUnlockedLevelIds() {
+    return LevelManager.getAvailableLevels()
+        .map(level => level.id)
+        .filter(isLevelUnlocked);
+}
+
+/**
+ * Emits 'levelUnlockSaved' with the ID of each level unlocked since the last check.
+ */
+function checkForNewUnlocks() {
+    getUnlockedLevelIds().forEach(levelId => {
+        if (unlockedLevelIds.has(levelId)) return;
+        unlockedLevelIds.add(levelId);
+        logger.info(`Level ${levelId} unlocked`);
+        eventBus.emit('levelUnlockSaved', levelId);
+    });
+}
+
+/**
+ * Evaluates a level's unlock rule for display.
+ * Nested 'all'/'any' rules are flattened into a requirement list; `mode` says how they combine.
+ * @param {string} levelId - The level ID to check
+ * @returns {{unlocked: boolean, mode: string, requirements: Array<{text: string, current: number, target: number, met: boolean}>}}
+ */
+export function getUnlockStatus(levelId) {
+    const manifest = LevelManager.getLevelManifest(levelId);
+    if (!manifest) {
+        logger.warn(`Unknown level ID in getUnlockStatus: ${levelId}`);
+        return { unlocked: false, mode: 'all', requirements: [] };
+    }
+
+    const rule = manifest.unlock;
+    if (!rule) {
+        return { unlocked: true, mode: 'all', requirements: [] };
+    }
+
+    const isGroup = rule.type === 'all' || rule.type === 'any';
+    const leaves = isGroup ? rule.rules.map(evaluateRule) : [evaluateRule(rule)];
+    return {
+        unlocked: evaluateRule(rule).met,
+        mode: isGroup ? rule.type : 'all',
+        requirements: leaves
+    };
+}
+
+/**
+ * Evaluates a single unlock rule against the current scores and progress.
+ * @param {object} rule - An unlock rule (see the schema at the top of this file).
+ * @returns {{text: string, current: number, target: number, met: boolean}}
+ */
+function evaluateRule(rule) {
+    const where = rule.levelId ? ` in ${getLevelName(rule.levelId)}` : '';
+    let result;
+
+    switch (rule.type) {
+        case 'highScore': {
+            const target = rule.minScore ?? 1;
+            result = {
+                text: `Score ${target} ${target === 1 ? 'point' : 'points'}${where}`,
+                current: rule.levelId ? ScoreManager.getLevelHighScore(rule.levelId) : ScoreManager.getGlobalHighScore(),
+                target
+            };
+            break;
+        }
+        case 'coins': {
+            const progress = rule.levelId ? getLevelProgress(rule.levelId) : getTotalProgress();
+            result = {
+                text: `Collect ${rule.count} coins${where}`,
+                current: progress.coins,
+                target: rule.count
+            };
+            break;
+        }
+        case 'distance': {
+            const progress = rule.levelId ? getLevelProgress(rule.levelId) : getTotalProgress();
+            result = rule.singleRun
+                ? { text: `Run ${rule.distance} m in a single run${where}`, current: Math.floor(progress.bestDistance), target: rule.distance }
+                : { text: `Run ${rule.distance} m in total${where}`, current: Math.floor(progress.distance), target: rule.distance };
+            break;
+        }
+        case 'all':
+        case 'any': {
+            const results = rule.rules.map(evaluateRule);
+            const metCount = results.filter(r => r.met).length;
+            const target = rule.type === 'all' ? results.length : Math.min(1, results.length);
+            return {
+                text: rule.text ?? results.map(r => r.text).join(rule.type === 'all' ? ' and ' : ' or '),
+                current: Math.min(metCount, target),
+                target,
+                met: metCount >= target
+            };
+        }
+        default:
+            logger.warn(`Unknown unlock rule type "${rule.type}"`);
+            return { text: rule.text ?? 'Unavailable', current: 0, target: 1, met: false };
+    }
+
+    return {
+        ...result,
+        text: rule.text ?? result.text,
+        met: result.current >= result.target
+    };
+}
+
+/**
+ * Gets a level's display name for requirement text.
+ * @param {string} levelId - The level ID.
+ * @returns {string} The name from its manifest, or the ID.
+ */
+function getLevelName(levelId) {
+    return LevelManager.getLevelManifest(levelId)?.name ?? levelId;
+}
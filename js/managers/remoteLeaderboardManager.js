@@ -0,0 +1,372 @@
+// js/managers/remoteLeaderboardManager.js
+import eventBus from '../core/eventBus.js';
+import { createLogger } from '../utils/logger.js';
+import { GAME_VERSION } from '../config/config.js';
+import { scoringConfig } from '../config/scoring.js';
+import { createRestLeaderboardAdapter } from '../leaderboard/restLeaderboardAdapter.js';
+import { createMemoryLeaderboardAdapter } from '../leaderboard/memoryLeaderboardAdapter.js';
+
+const logger = createLogger('RemoteLeaderboardManager');
+
+// Constants
+const QUEUE_KEY = 'openRunner_leaderboardQueue';
+const CLIENT_ID_KEY = 'openRunner_clientId';
+
+/**
+ * Adapters that scoringConfig.REMOTE_LEADERBOARD.ADAPTER can name. Each factory gets the
+ * remote leaderboard config section.
+ */
+const adapterFactories = {
+    rest: config => createRestLeaderboardAdapter(config.URL, { timeoutMs: config.TIMEOUT_MS }),
+    memory: () => createMemoryLeaderboardAdapter()
+};
+
+/**
+ * A leaderboard adapter is an object with:
+ * - name:                                   Shown in logs.
+ * - submitScore(levelId, entry):            Resolves to { rank } (rank may be null). Submitting
+ *                                           an id again updates that entry's name.
+ * - fetchTop(levelId, limit):               Resolves to entries, best first, each with a rank.
+ * - fetchAroundMe(levelId, clientId, range): Resolves to the client's best entry and its
+ *                                           neighbours, best first, each with a rank.
+ * Calls reject when the backend cannot be reached. An error with a 4xx `status` (other than
+ * 408 or 429) means the backend refused the entry, and it is dropped instead of queued.
+ * See restLeaderboardAdapter.js for the REST contract these map to.
+ */
+let adapter = null;
+let queue = []; // Entries waiting to be submitted: { levelId, entry }
+let lastSubmission = null; // The latest submitScore() submission
+const queuedOutcomes = new WeakMap(); // Queued entry -> { status, rank } once a retry settles it
+let clientId = null;
+let flushPromise = null;
+let onlineListenerAdded = false;
+
+/**
+ * Initialize the remote leaderboard.
+ * Creates the configured adapter, loads queued submissions and retries them.
+ */
+export function init() {
+    logger.debug('Initializing RemoteLeaderboardManager');
+    try {
+        const storedQueue = localStorage.getItem(QUEUE_KEY);
+        const parsedQueue = storedQueue ? JSON.parse(storedQueue) : [];
+        const storedItems = Array.isArray(parsedQueue) ? parsedQueue : [];
+        queue = storedItems.filter(isValidQueuedSubmission);
+        if (!Array.isArray(parsedQueue) || queue.length < storedItems.length) {
+            logger.warn('Dropped malformed submissions from the stored leaderboard queue');
+            saveQueue();
+        }
+        clientId = localStorage.getItem(CLIENT_ID_KEY);
+        if (!clientId) {
+            clientId = createId();
+            localStorage.setItem(CLIENT_ID_KEY, clientId);
+        }
+    } catch (error) {
+        logger.error('Error loading the leaderboard queue from localStorage:', error);
+        queue = [];
+        clientId = clientId || createId();
+    }
+
+    const config = scoringConfig.REMOTE_LEADERBOARD;
+    const factory = adapterFactories[config.ADAPTER];
+    if (config.ADAPTER && !factory) {
+        logger.warn(`Unknown remote leaderboard adapter "${config.ADAPTER}"`);
+    }
+    if (config.ADAPTER === 'rest' && !config.URL) {
+        logger.warn('The REST leaderboard adapter needs scoring.REMOTE_LEADERBOARD.URL; remote leaderboard disabled');
+    } else if (factory) {
+        setAdapter(factory(config));
+    }
+
+    if (!onlineListenerAdded && typeof window !== 'undefined') {
+        window.addEventListener('online', () => {
+            logger.info('Back online, retrying queued leaderboard submissions');
+            flushQueue();
+        });
+        onlineListenerAdded = true;
+    }
+}
+
+/**
+ * Swaps the backend scores are submitted to, e.g. for createMemoryLeaderboardAdapter() when
+ * testing without a network. Queued submissions are retried against the new adapter.
+ * @param {object|null} newAdapter - The adapter, or null to turn the remote leaderboard off.
+ */
+export function setAdapter(newAdapter) {
+    adapter = newAdapter;
+    logger.info(adapter ? `Remote leaderboard using the ${adapter.name} adapter` : 'Remote leaderboard disabled');
+    if (adapter) flushQueue();
+}
+
+/**
+ * Get the current adapter.
+ * @returns {object|null}
+ */
+export function getAdapter() {
+    return adapter;
+}
+
+/**
+ * Check whether scores are being submitted to a remote leaderboard.
+ * @returns {boolean}
+ */
+export function isEnabled() {
+    return adapter !== null;
+}
+
+/**
+ * Get the ID that marks this browser's entries on the remote leaderboard.
+ * @returns {string}
+ */
+export function getClientId() {
+    return clientId;
+}
+
+/**
+ * Get the number of submissions waiting to be retried.
+ * @returns {number}
+ */
+export function getQueuedCount() {
+    return queue.length;
+}
+
+/**
+ * Submits a finished run to the remote leaderboard. If the backend cannot be reached the
+ * entry is queued and retried once the browser is back online.
+ * Emits 'remoteLeaderboardSubmitted' or 'remoteLeaderboardQueued' with the entry's id.
+ * @param {string} levelId - The level ID
+ * @param {{name: string, score: number, seed: string, distance: number, cause: string}} run - The run to submit
+ * @returns {{id: string, levelId: string, entry: object, result: Promise<{status: string, rank: number|null}>}|null}
+ *   The submission, or null when the remote leaderboard is off. result never rejects; its
+ *   status is 'sent', 'queued', 'refused' (the backend won't take it) or 'failed'.
+ */
+export function submitScore(levelId, run) {
+    if (!adapter || !levelId) return null;
+
+    const entry = {
+        id: createId(),
+        clientId,
+        name: run.name || 'Runner',
+        score: run.score,
+        seed: run.seed ?? null,
+        distance: Math.floor(run.distance || 0),
+        cause: run.cause ?? 'unknown',
+        version: GAME_VERSION,
+        date: new Date().toISOString()
+    };
+    lastSubmission = { id: entry.id, levelId, entry, result: deliver(levelId, entry) };
+    return lastSubmission;
+}
+
+/**
+ * Gets the latest submission made by submitScore(), e.g. to follow or rename the run just
+ * submitted at game over.
+ * @returns {{id: string, levelId: string, entry: object, result: Promise}|null}
+ */
+export function getLastSubmission() {
+    return lastSubmission;
+}
+
+/**
+ * Changes the name a submission was made under, once the player has entered one. The
+ * entry is sent again with the same id, which the backend takes as a rename, or renamed
+ * in place if it is still queued. The submission's result becomes the rename's.
+ * @param {{id: string, levelId: string, entry: object, result: Promise}} submission - From submitScore().
+ * @param {string} name - The new name.
+ * @returns {Promise<{status: string, rank: number|null}>} As submitScore()'s result.
+ */
+export function renameSubmission(submission, name) {
+    submission.result = rename(submission, submission.result, name);
+    return submission.result;
+}
+
+/** @private */
+async function rename(submission, previousResult, name) {
+    // Wait until nothing is in flight, so the rename can't arrive before the original
+    const previous = await previousResult;
+    if (previous.status === 'refused') return previous;
+    while (flushPromise) {
+        await flushPromise;
+    }
+    const queued = queue.find(({ entry }) => entry.id === submission.id);
+    if (queued) {
+        queued.entry.name = name;
+        saveQueue();
+        return { status: 'queued', rank: null };
+    }
+    submission.entry = { ...submission.entry, name };
+    return deliver(submission.levelId, submission.entry);
+}
+
+/**
+ * Retries queued submissions in order, stopping at the first that still fails.
+ * Calls made while a retry is in progress share it.
+ * @returns {Promise<number>} The number of submissions sent.
+ */
+export function flushQueue() {
+    if (!flushPromise) {
+        flushPromise = sendQueued().finally(() => {
+            flushPromise = null;
+        });
+    }
+    return flushPromise;
+}
+
+/**
+ * Fetches the best entries of a level's remote leaderboard.
+ * @param {string} levelId - The level ID
+ * @param {number} [limit] - How many entries to fetch (default: REMOTE_LEADERBOARD.TOP_COUNT)
+ * @returns {Promise<object[]>} Entries, best first, each with a rank.
+ * @throws {Error} If the remote leaderboard is off or cannot be reached.
+ */
+export async function fetchTop(levelId, limit = scoringConfig.REMOTE_LEADERBOARD.TOP_COUNT) {
+    requireAdapter();
+    return adapter.fetchTop(levelId, limit);
+}
+
+/**
+ * Fetches this browser's best entry on a level's remote leaderboard and the entries around it.
+ * @param {string} levelId - The level ID
+ * @param {number} [range] - Entries to fetch above and below (default: REMOTE_LEADERBOARD.AROUND_ME_RANGE)
+ * @returns {Promise<object[]>} Entries, best first, each with a rank; empty if this browser has none.
+ * @throws {Error} If the remote leaderboard is off or cannot be reached.
+ */
+export async function fetchAroundMe(levelId, range = scoringConfig.REMOTE_LEADERBOARD.AROUND_ME_RANGE) {
+    requireAdapter();
+    return adapter.fetchAroundMe(levelId, clientId, range);
+}
+
+/**
+ * Sends an entry, or queues it behind the ones already waiting or while offline.
+ * @returns {Promise<{status: string, rank: number|null}>}
+ * @private
+ */
+async function deliver(levelId, entry) {
+    if (queue.length > 0 || isBrowserOffline()) {
+        // Keep submissions in order behind the ones already waiting
+        enqueue(levelId, entry);
+        await flushQueue();
+        const stillQueued = queue.some(item => item.entry === entry);
+        return queuedOutcomes.get(entry) ?? { status: stillQueued ? 'queued' : 'failed', rank: null };
+    }
+
+    try {
+        return { status: 'sent', rank: await sendEntry(levelId, entry) };
+    } catch (error) {
+        if (isRejection(error)) {
+            logger.error(`Leaderboard server refused the ${levelId} score:`, error);
+            return { status: 'refused', rank: null };
+        }
+        logger.warn(`Could not submit the ${levelId} score, queueing it:`, error.message);
+        enqueue(levelId, entry);
+        return { status: 'queued', rank: null };
+    }
+}
+
+/** @private */
+async function sendQueued() {
+    let sent = 0;
+    while (adapter && queue.length > 0 && !isBrowserOffline()) {
+        const { levelId, entry } = queue[0];
+        try {
+            queuedOutcomes.set(entry, { status: 'sent', rank: await sendEntry(levelId, entry) });
+            sent++;
+        } catch (error) {
+            if (!isRejection(error)) {
+                logger.warn(`Queued leaderboard submissions still failing (${queue.length} waiting):`, error.message);
+                break;
+            }
+            logger.error(`Leaderboard server refused a queued ${levelId} score, dropping it:`, error);
+            queuedOutcomes.set(entry, { status: 'refused', rank: null });
+        }
+        queue.shift();
+        saveQueue();
+    }
+    if (sent > 0) {
+        logger.info(`Sent ${sent} queued leaderboard submissions`);
+    }
+    return sent;
+}
+
+/**
+ * @returns {Promise<number|null>} The entry's rank, if the backend gave one.
+ * @private
+ */
+async function sendEntry(levelId, entry) {
+    const { rank } = await adapter.submitScore(levelId, entry);
+    logger.info(`Submitted ${entry.score} on ${levelId} to the remote leaderboard (rank ${rank ?? '?'})`);
+    eventBus.emit('remoteLeaderboardSubmitted', { levelId, id: entry.id, score: entry.score, rank: rank ?? null });
+    return rank ?? null;
+}
+
+/** @private */
+function enqueue(levelId, entry) {
+    queue.push({ levelId, entry });
+    const maxQueued = scoringConfig.REMOTE_LEADERBOARD.MAX_QUEUED;
+    if (queue.length > maxQueued) {
+        logger.warn(`Leaderboard queue is full, dropping ${queue.length - maxQueued} old submissions`);
+        queue.splice(0, queue.length - maxQueued);
+    }
+    saveQueue();
+    eventBus.emit('remoteLeaderboardQueued', { levelId, id: entry.id, score: entry.score, queued: queue.length });
+}
+
+/** @private */
+function saveQueue() {
+    try {
+        localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    } catch (error) {
+        logger.error('Error saving the leaderboard queue to localStorage:', error);
+    }
+}
+
+/**
+ * Checks a submission loaded from localStorage has the shape submitScore() queues, so a
+ * damaged or edited queue isn't sent on.
+ * @private
+ */
+function isValidQueuedSubmission(submission) {
+    const entry = submission?.entry;
+    const isOptionalString = value => value === null || typeof value === 'string';
+    return typeof submission?.levelId === 'string' &&
+        !!entry && typeof entry === 'object' &&
+        typeof entry.id === 'string' &&
+        typeof entry.clientId === 'string' &&
+        typeof entry.name === 'string' &&
+        Number.isFinite(entry.score) &&
+        Number.isFinite(entry.distance) &&
+        isOptionalString(entry.seed) &&
+        typeof entry.cause === 'string' &&
+        typeof entry.version === 'string' &&
+        typeof entry.date === 'string';
+}
+
+/** @private */
+function requireAdapter() {
+    if (!adapter) {
+        throw new Error('The remote leaderboard is not enabled.');
+    }
+}
+
+/**
+ * Whether an error means the backend will never accept the request, as opposed to it
+ * being unreachable for now.
+ * @private
+ */
+function isRejection(error) {
+    const status = error?.status;
+    return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+/** @private */
+function isBrowserOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/** @private */
+function createId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,361 @@
+// js/managers/replayManager.js
+import eventBus from '../core/eventBus.js';
+import { createLogger } from '../utils/logger.js';
+import { seedGameplayRandom } from '../utils/mathUtils.js';
+import { getPlayerInput } from '../input/controlsSetup.js';
+import { worldConfig } from '../config/world.js';
+import { getConfig } from '../config/config.js';
+import * as ScoreManager from './scoreManager.js';
+
+const logger = createLogger('ReplayManager');
+
+const LAST_REPLAY_KEY = 'openRunner_lastReplay';
+const REPLAY_FORMAT_VERSION = 3;
+
+// Input samples are packed into one hex digit per frame: bit 0 = left, bit 1 = right,
+// bit 2 = jump, bit 3 = slide. Version 1 replays only used the steering bits, so
+// their digits decode unchanged.
+const INPUT_LEFT_BIT = 1;
+const INPUT_RIGHT_BIT = 2;
+const INPUT_JUMP_BIT = 4;
+const INPUT_SLIDE_BIT = 8;
+
+// Analog steering is recorded in steps of 1/STEER_STEPS, and live runs steer with the same
+// rounded value so playback matches them exactly
+const STEER_STEPS = 32;
+
+const ReplayModes = Object.freeze({
+    IDLE: 'idle',
+    RECORDING: 'recording',
+    PLAYBACK: 'playback'
+});
+
+/**
+ * Records runs (seed, per-frame deltaTime and player input) and feeds them back
+ * into the game loop so a run can be reproduced exactly.
+ *
+ * Replay format:
+ * {
+ *   version: 3,
+ *   seed: string,
+ *   levelId: string,
+ *   recordedAt: ISO date string,
+ *   frames: { dt: number[], input: string, turnSensitivity?: [frame, value][], steer?: [frame, value][] },
+ *   levelSwitches?: [frame, levelId][],
+ *   end: { cause: string, score: number, position: [x, y, z] } | null
+ * }
+ * levelId is the level the run started on. levelSwitches lists the mid-run moves to the next
+ * level (a manifest's nextLevel), each before the frame it names; without it, the run stayed
+ * on one level. frames.turnSensitivity lists the frames the turn sensitivity setting changed
+ * on, starting with frame 0. Replays without it were recorded at a sensitivity of 1.
+ * frames.steer lists the frames the analog steering (a gamepad stick) changed on; without it,
+ * there was none.
+ */
+class ReplayManager {
+    constructor() {
+        this.mode = ReplayModes.IDLE;
+        this.player = null;
+        this.current = null;      // Replay being recorded or played back
+        this.armedReplay = null;  // Replay waiting for its level to start
+        this.lastReplay = null;   // Most recent finished recording
+        this.frameIndex = 0;
+        this.playbackTurnSensitivity = 1;
+        this.playbackTurnSensitivityIndex = 0; // Next frames.turnSensitivity change to apply
+        this.playbackSteer = 0;
+        this.playbackSteerIndex = 0; // Next frames.steer change to apply
+        this.playbackLevelSwitchIndex = 0; // Next levelSwitches entry to make
+        this.continuingTo = null; // Level the run is moving on to mid-run, for beginRun()
+
+        this._loadLastReplay();
+        eventBus.subscribe('playerDied', (cause) => this._handlePlayerDied(cause));
+        logger.info("ReplayManager instantiated");
+    }
+
+    /**
+     * Sets the player reference used to capture the final position of a run.
+     * @param {object} player - The player state object.
+     */
+    setPlayer(player) {
+        this.player = player;
+    }
+
+    /**
+     * Queues a replay for playback. It starts on the next beginRun() for its level.
+     * @param {object} replay - A replay object (see class docs).
+     * @returns {boolean} True if the replay is valid and was armed.
+     */
+    armPlayback(replay) {
+        if (!this._isValidReplay(replay)) {
+            logger.error("Cannot arm playback: replay data is invalid.");
+            return false;
+        }
+        this.armedReplay = replay;
+        logger.info(`Replay armed for level ${replay.levelId} (${replay.frames.dt.length} frames)`);
+        return true;
+    }
+
+    /**
+     * Marks the run as moving on to another level mid-run, so the next beginRun() carries on
+     * recording (or playing back) the same run instead of starting a new one. A recording
+     * notes the switch at the current frame.
+     * @param {string} levelId - The level the run moves on to.
+     */
+    continueRun(levelId) {
+        if (this.mode === ReplayModes.IDLE || !this.current) return;
+        this.continuingTo = levelId;
+        if (this.mode === ReplayModes.RECORDING) {
+            this.current.levelSwitches.push([this.current.frames.dt.length, levelId]);
+            logger.debug(`Recording continues on ${levelId} from frame ${this.current.frames.dt.length}`);
+        }
+    }
+
+    /**
+     * During playback, takes the level the recorded run moved on to before the upcoming
+     * frame, if it did. The caller makes the switch instead of playing the frame, so it
+     * happens on the same frame as in the recording.
+     * @returns {string|null} The level to switch to, or null.
+     */
+    takeDueLevelSwitch() {
+        if (this.mode !== ReplayModes.PLAYBACK) return null;
+        const due = this.current.levelSwitches?.[this.playbackLevelSwitchIndex];
+        if (!due || due[0] !== this.frameIndex) return null;
+        this.playbackLevelSwitchIndex++;
+        return due[1];
+    }
+
+    /**
+     * Starts a new run. Plays back the armed replay if it targets this level,
+     * otherwise starts recording. After continueRun(), carries on with the current run
+     * instead. Must be called before the level's chunks are populated so enemies and
+     * tumbleweeds draw from the freshly seeded RNG.
+     * @param {string} levelId - The level being started.
+     */
+    beginRun(levelId) {
+        const continuing = this.continuingTo === levelId && this.mode !== ReplayModes.IDLE;
+        this.continuingTo = null;
+
+        if (continuing) {
+            logger.info(`${this.mode === ReplayModes.PLAYBACK ? 'Playback' : 'Recording'} continues on ${levelId}`);
+        } else if (this.armedReplay && this.armedReplay.levelId === levelId) {
+            this.frameIndex = 0;
+            this.current = this.armedReplay;
+            this.armedReplay = null;
+            this.mode = ReplayModes.PLAYBACK;
+            this.playbackTurnSensitivity = 1;
+            this.playbackTurnSensitivityIndex = 0;
+            this.playbackSteer = 0;
+            this.playbackSteerIndex = 0;
+            this.playbackLevelSwitchIndex = 0;
+            if (this.current.seed !== worldConfig.SEED) {
+                logger.warn(`Replay was recorded with seed "${this.current.seed}" but the world seed is "${worldConfig.SEED}". Apply the replay's seed before starting it.`);
+            }
+            logger.info(`Playing back replay for ${levelId}`);
+        } else {
+            this.frameIndex = 0;
+            this.armedReplay = null;
+            this.current = {
+                version: REPLAY_FORMAT_VERSION,
+                seed: worldConfig.SEED,
+                levelId,
+                recordedAt: new Date().toISOString(),
+                frames: { dt: [], input: '', turnSensitivity: [], steer: [] },
+                levelSwitches: [],
+                end: null
+            };
+            this.mode = ReplayModes.RECORDING;
+            logger.debug(`Recording run for ${levelId}`);
+        }
+
+        seedGameplayRandom(`${this.current.seed}_${levelId}_gameplay`);
+    }
+
+    /**
+     * Produces the deltaTime and player input for the next gameplay frame.
+     * Records the live values, or substitutes the recorded ones during playback.
+     * @param {number} liveDeltaTime - The deltaTime measured by the game clock.
+     * @returns {{deltaTime: number, inputState: {left: boolean, right: boolean, jump: boolean, slide: boolean,
+     *   steer: number, turnSensitivity: number}}}
+     */
+    nextFrame(liveDeltaTime) {
+        if (this.mode === ReplayModes.PLAYBACK) {
+            const frames = this.current.frames;
+            if (this.frameIndex < frames.dt.length) {
+                const bits = parseInt(frames.input[this.frameIndex], 16);
+                // Setting and steering changes are walked in order rather than searched each frame
+                const sensitivityChanges = frames.turnSensitivity ?? [];
+                while (this.playbackTurnSensitivityIndex < sensitivityChanges.length &&
+                    sensitivityChanges[this.playbackTurnSensitivityIndex][0] <= this.frameIndex) {
+                    this.playbackTurnSensitivity = sensitivityChanges[this.playbackTurnSensitivityIndex][1];
+                    this.playbackTurnSensitivityIndex++;
+                }
+                const steerChanges = frames.steer ?? [];
+                while (this.playbackSteerIndex < steerChanges.length && steerChanges[this.playbackSteerIndex][0] <= this.frameIndex) {
+                    this.playbackSteer = steerChanges[this.playbackSteerIndex][1];
+                    this.playbackSteerIndex++;
+                }
+                const frame = {
+                    deltaTime: frames.dt[this.frameIndex],
+                    inputState: {
+                        left: (bits & INPUT_LEFT_BIT) !== 0,
+                        right: (bits & INPUT_RIGHT_BIT) !== 0,
+                        jump: (bits & INPUT_JUMP_BIT) !== 0,
+                        slide: (bits & INPUT_SLIDE_BIT) !== 0,
+                        steer: this.playbackSteer,
+                        turnSensitivity: this.playbackTurnSensitivity
+                    }
+                };
+                this.frameIndex++;
+                return frame;
+            }
+            logger.info("Replay frames exhausted, returning control to the player.");
+            this.mode = ReplayModes.IDLE;
+            eventBus.emit('replayPlaybackFinished');
+        }
+
+        const liveInput = getPlayerInput();
+        const inputState = {
+            ...liveInput,
+            steer: Math.round(liveInput.steer * STEER_STEPS) / STEER_STEPS,
+            turnSensitivity: getConfig('settings.TURN_SENSITIVITY', 1)
+        };
+        if (this.mode === ReplayModes.RECORDING) {
+            const steerChanges = this.current.frames.steer;
+            if ((steerChanges.at(-1)?.[1] ?? 0) !== inputState.steer) {
+                steerChanges.push([this.current.frames.dt.length, inputState.steer]);
+            }
+            // The setting can be changed from the pause menu, so changes are recorded as they happen
+            const sensitivityChanges = this.current.frames.turnSensitivity;
+            if (sensitivityChanges.at(-1)?.[1] !== inputState.turnSensitivity) {
+                sensitivityChanges.push([this.current.frames.dt.length, inputState.turnSensitivity]);
+            }
+            const bits = (inputState.left ? INPUT_LEFT_BIT : 0) | (inputState.right ? INPUT_RIGHT_BIT : 0) |
+                (inputState.jump ? INPUT_JUMP_BIT : 0) | (inputState.slide ? INPUT_SLIDE_BIT : 0);
+            this.current.frames.dt.push(liveDeltaTime);
+            this.current.frames.input += bits.toString(16);
+        }
+        return { deltaTime: liveDeltaTime, inputState };
+    }
+
+    /**
+     * Whether the current run is driven by a replay.
+     * @returns {boolean}
+     */
+    isPlayingBack() {
+        return this.mode === ReplayModes.PLAYBACK;
+    }
+
+    /**
+     * Whether a finished recording is available to watch or export.
+     * @returns {boolean}
+     */
+    hasLastReplay() {
+        return this.lastReplay !== null;
+    }
+
+    /**
+     * Returns the most recent finished recording.
+     * @returns {object|null}
+     */
+    getLastReplay() {
+        return this.lastReplay;
+    }
+
+    /**
+     * Serializes the most recent recording for sharing.
+     * @returns {string|null} JSON text, or null if nothing has been recorded.
+     */
+    exportLastReplay() {
+        return this.lastReplay ? JSON.stringify(this.lastReplay) : null;
+    }
+
+    /**
+     * Parses replay JSON produced by exportLastReplay().
+     * @param {string} json - The replay file contents.
+     * @returns {object} The parsed replay.
+     * @throws {Error} If the text is not a valid replay.
+     */
+    parseReplay(json) {
+        let replay;
+        try {
+            replay = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Replay file is not valid JSON: ${error.message}`);
+        }
+        if (!this._isValidReplay(replay)) {
+            throw new Error("Replay file is missing required fields or has mismatched frame data.");
+        }
+        return replay;
+    }
+
+    /** @private */
+    _handlePlayerDied(cause) {
+        if (!this.current || this.mode === ReplayModes.IDLE) return;
+
+        const position = this.player?.model?.position;
+        const end = {
+            cause: cause ?? 'unknown',
+            score: ScoreManager.getCurrentScore(),
+            position: position ? [position.x, position.y, position.z] : null
+        };
+
+        if (this.mode === ReplayModes.RECORDING) {
+            this.current.end = end;
+            this.lastReplay = this.current;
+            this._saveLastReplay();
+            logger.info(`Run recorded: ${this.current.frames.dt.length} frames, died to ${end.cause}`);
+        } else if (this.mode === ReplayModes.PLAYBACK) {
+            const expected = this.current.end;
+            const matches = expected && expected.cause === end.cause && expected.score === end.score &&
+                (!expected.position || !end.position || expected.position.every((v, i) => v === end.position[i]));
+            if (matches) {
+                logger.info(`Replay reproduced the recorded run at frame ${this.frameIndex}.`);
+            } else {
+                logger.warn(`Replay diverged from the recording at frame ${this.frameIndex}.`, { expected, actual: end });
+            }
+        }
+        // Leave the mode untouched until the next run so death handlers can still query isPlayingBack().
+    }
+
+    /** @private */
+    _isValidReplay(replay) {
+        return !!replay &&
+            typeof replay.seed === 'string' &&
+            typeof replay.levelId === 'string' &&
+            Array.isArray(replay.frames?.dt) &&
+            typeof replay.frames?.input === 'string' &&
+            replay.frames.dt.length === replay.frames.input.length &&
+            (replay.frames.turnSensitivity === undefined || Array.isArray(replay.frames.turnSensitivity)) &&
+            (replay.frames.steer === undefined || Array.isArray(replay.frames.steer)) &&
+            (replay.levelSwitches === undefined || (Array.isArray(replay.levelSwitches) &&
+                replay.levelSwitches.every(change => Array.isArray(change) && Number.isInteger(change[0]) &&
+                    typeof change[1] === 'string')));
+    }
+
+    /** @private */
+    _loadLastReplay() {
+        try {
+            const stored = localStorage.getItem(LAST_REPLAY_KEY);
+            if (stored !== null) {
+                this.lastReplay = this.parseReplay(stored);
+                logger.debug(`Loaded last replay for ${this.lastReplay.levelId}`);
+            }
+        } catch (error) {
+            logger.warn('Discarding stored replay:', error);
+            this.lastReplay = null;
+        }
+    }
+
+    /** @private */
+    _saveLastReplay() {
+        try {
+            localStorage.setItem(LAST_REPLAY_KEY, JSON.stringify(this.lastReplay));
+        } catch (error) {
+            logger.error('Error saving replay to localStorage:', error);
+        }
+    }
+}
+
+// Singleton instance
+const replayManager = new ReplayManager();
+
+export default replayManager;
@@ -2,17 +2,40 @@
 import eventBus from '../core/eventBus.js'; // Moved to core
 import { createLogger } from '../utils/logger.js';
 import * as LevelManager from './levelManager.js'; // Import LevelManager
+import { scoringConfig } from '../config/scoring.js';
+import * as RemoteLeaderboardManager from './remoteLeaderboardManager.js';
 
 const logger = createLogger('ScoreManager');
 
 // Constants
 const HIGH_SCORE_KEY = 'openRunner_highScore';
 const HIGH_SCORES_BY_LEVEL_KEY = 'openRunner_highScoresByLevel';
+const HIGH_SCORES_BY_SEED_KEY = 'openRunner_highScoresBySeed';
+const BEST_STATS_BY_LEVEL_KEY = 'openRunner_bestStatsByLevel';
 
 // In-memory cache
 let globalHighScore = 0;
 let highScoresByLevel = {};
+let highScoresBySeed = {}; // { [seed]: { [levelId]: score } }
+let bestStatsByLevel = {}; // { [levelId]: run stats, each the best value reached in a run }
 let currentScore = 0; // Add state for current score
+let unannouncedHighScoreLevels = new Set(); // Levels whose high score was beaten mid-run, before game over
+
+/**
+ * Statistics of the run in progress. The score is calculated from these (see scoringConfig).
+ * - distance:     World units travelled.
+ * - timeSurvived: Seconds of gameplay time.
+ * - topSpeed:     Fastest forward speed reached, in units per second.
+ * - coins:        Coins collected.
+ * - coinPoints:   Points those coins were worth.
+ * - nearMisses:   Obstacles and enemies passed closely without a hit.
+ * - powerupsUsed: Power-ups picked up.
+ */
+let runStats = createRunStats();
+
+function createRunStats() {
+    return { distance: 0, timeSurvived: 0, topSpeed: 0, coins: 0, coinPoints: 0, nearMisses: 0, powerupsUsed: 0 };
+}
 
 /**
  * Initialize the score manager
@@ -22,6 +45,18 @@ export function init() {
     logger.debug('Initializing ScoreManager');
     loadHighScores();
     currentScore = 0; // Ensure score is reset on init
+
+    eventBus.subscribe('coinCollected', () => {
+        runStats.coins++;
+    });
+    eventBus.subscribe('nearMiss', () => {
+        runStats.nearMisses++;
+        refreshCurrentScore();
+    });
+    eventBus.subscribe('powerupActivated', () => {
+        runStats.powerupsUsed++;
+        refreshCurrentScore();
+    });
 }
 
 /**
@@ -42,6 +77,20 @@ export function loadHighScores() {
             highScoresByLevel = JSON.parse(storedLevelScores);
             logger.debug('Loaded level-specific high scores', highScoresByLevel);
         }
+
+        // Load per-seed high scores
+        const storedSeedScores = localStorage.getItem(HIGH_SCORES_BY_SEED_KEY);
+        if (storedSeedScores !== null) {
+            highScoresBySeed = JSON.parse(storedSeedScores);
+            logger.debug('Loaded per-seed high scores', highScoresBySeed);
+        }
+
+        // Load per-level best run statistics
+        const storedBestStats = localStorage.getItem(BEST_STATS_BY_LEVEL_KEY);
+        if (storedBestStats !== null) {
+            bestStatsByLevel = JSON.parse(storedBestStats);
+            logger.debug('Loaded per-level best statistics', bestStatsByLevel);
+        }
     } catch (error) {
         logger.error('Error loading high scores from localStorage:', error);
         // If there's an error, we'll just use the default values (0)
@@ -59,6 +108,12 @@ export function saveHighScores() {
         // Save level-specific high scores
         localStorage.setItem(HIGH_SCORES_BY_LEVEL_KEY, JSON.stringify(highScoresByLevel));
 
+        // Save per-seed high scores
+        localStorage.setItem(HIGH_SCORES_BY_SEED_KEY, JSON.stringify(highScoresBySeed));
+
+        // Save per-level best run statistics
+        localStorage.setItem(BEST_STATS_BY_LEVEL_KEY, JSON.stringify(bestStatsByLevel));
+
         logger.debug('High scores saved to localStorage');
     } catch (error) {
         logger.error('Error saving high scores to localStorage:', error);
@@ -74,11 +129,13 @@ export function getCurrentScore() {
 }
 
 /**
- * Resets the current live score to 0.
+ * Resets the current live score and run statistics to 0.
  * Emits 'currentScoreUpdated' event to update UI.
  */
 export function resetCurrentScore() {
     currentScore = 0;
+    runStats = createRunStats();
+    unannouncedHighScoreLevels.clear();
     logger.debug('Current score reset to 0');
 
     // Emit event to update UI
@@ -89,9 +146,9 @@ export function resetCurrentScore() {
 }
 
 /**
- * Updates the current live score by adding an increment.
- * Emits 'currentScoreUpdated' event.
- * @param {number} increment - The amount to add to the score.
+ * Adds coin points (from a 'scoreChanged' event) to the run and updates the live score.
+ * Emits 'currentScoreUpdated' event if the score changed.
+ * @param {number} increment - The coin points to add.
  */
 export function updateCurrentScore(increment) {
     if (typeof increment !== 'number' || isNaN(increment)) {
@@ -99,9 +156,67 @@ export function updateCurrentScore(increment) {
         return;
     }
 
-    currentScore += increment;
-    logger.debug(`Score updated by ${increment}. New score: ${currentScore}`);
+    runStats.coinPoints += increment;
+    logger.debug(`Coin points updated by ${increment}. Total: ${runStats.coinPoints}`);
+    refreshCurrentScore();
+}
+
+/**
+ * Advances the run statistics that change every frame: distance, time and top speed.
+ * Emits 'currentScoreUpdated' event if the score changed.
+ * @param {object} player - The player state object (runDistance, currentSpeed and speed factors).
+ * @param {number} deltaTime - Gameplay time since the last frame, in seconds.
+ */
+export function updateRunStats(player, deltaTime) {
+    runStats.distance = player.runDistance || 0;
+    runStats.timeSurvived += deltaTime;
+    const speed = (player.currentSpeed || 0) * (player.speedMultiplier ?? 1) * (player.surfaceSpeedFactor ?? 1);
+    runStats.topSpeed = Math.max(runStats.topSpeed, speed);
+    refreshCurrentScore();
+}
+
+/**
+ * Get a copy of the current run's statistics.
+ * @returns {{distance: number, timeSurvived: number, topSpeed: number, coins: number, coinPoints: number, nearMisses: number, powerupsUsed: number}}
+ */
+export function getRunStats() {
+    return { ...runStats };
+}
+
+/**
+ * Splits a run's score into the points each statistic earned, using scoringConfig.SCORE_WEIGHTS.
+ * Statistics with a weight of 0 are left out.
+ * @param {object} [stats] - Run statistics (defaults to the current run).
+ * @returns {Array<{stat: string, value: number, points: number}>}
+ */
+export function getScoreBreakdown(stats = runStats) {
+    return Object.entries(scoringConfig.SCORE_WEIGHTS)
+        .filter(([, weight]) => weight !== 0)
+        .map(([stat, weight]) => ({
+            stat,
+            value: stats[stat] || 0,
+            points: Math.floor((stats[stat] || 0) * weight)
+        }));
+}
+
+/**
+ * Calculates the score for a set of run statistics.
+ * @param {object} [stats] - Run statistics (defaults to the current run).
+ * @returns {number} The score.
+ */
+export function calculateScore(stats = runStats) {
+    return getScoreBreakdown(stats).reduce((total, { points }) => total + points, 0);
+}
 
+/**
+ * Recalculates the live score from the run statistics.
+ * @private
+ */
+function refreshCurrentScore() {
+    const score = calculateScore();
+    if (score === currentScore) return;
+
+    currentScore = score;
     // Emit event for UI and other listeners
     eventBus.emit('currentScoreUpdated', {
         score: currentScore,
@@ -109,6 +224,37 @@ export function updateCurrentScore(increment) {
     });
 }
 
+/**
+ * Get the best statistics reached in any run of a level.
+ * @param {string} levelId - The level ID
+ * @returns {object} Run statistics, each the best value so far (0 if never played)
+ */
+export function getLevelBestStats(levelId) {
+    return { ...createRunStats(), ...bestStatsByLevel[levelId] };
+}
+
+/**
+ * Records the current run's statistics as bests for a level where they beat the previous ones.
+ * Called when the player dies and when a run moves on to another level.
+ * @param {string} levelId - The level the run was played in
+ * @returns {string[]} The statistics that set a new best
+ */
+export function commitRunStats(levelId) {
+    if (!levelId) return [];
+
+    const best = getLevelBestStats(levelId);
+    const newBests = Object.keys(runStats).filter(stat => runStats[stat] > best[stat]);
+    if (newBests.length > 0) {
+        newBests.forEach(stat => {
+            best[stat] = runStats[stat];
+        });
+        bestStatsByLevel[levelId] = best;
+        saveHighScores();
+        logger.debug(`New best statistics for level ${levelId}: ${newBests.join(', ')}`);
+    }
+    return newBests;
+}
+
 
 /**
  * Get the global high score
@@ -127,6 +273,33 @@ export function getLevelHighScore(levelId) {
     return highScoresByLevel[levelId] || 0;
 }
 
+/**
+ * Get the high score for a level on a specific run seed
+ * @param {string} levelId - The level ID
+ * @param {string} seed - The run seed
+ * @returns {number} The high score for that level and seed, or 0 if not set
+ */
+export function getSeedHighScore(levelId, seed) {
+    return highScoresBySeed[seed]?.[levelId] || 0;
+}
+
+/**
+ * Get all level high scores recorded on a specific run seed
+ * @param {string} seed - The run seed
+ * @returns {Object<string, number>} Map of levelId to high score
+ */
+export function getSeedHighScores(seed) {
+    return { ...(highScoresBySeed[seed] || {}) };
+}
+
+/**
+ * Get every seed that has a recorded score, e.g. to offer a leaderboard filter
+ * @returns {string[]} The recorded seeds
+ */
+export function getRecordedSeeds() {
+    return Object.keys(highScoresBySeed);
+}
+
 /**
  * Check if a score is a new high score (globally)
  * @param {number} score - The score to check
@@ -152,10 +325,22 @@ export function isNewLevelHighScore(score, levelId) {
  * @param {number} score - The score to check against high scores
  * @param {string} levelId - The level ID (optional, for level-specific high score)
  * @param {boolean} emitEvent - Whether to emit the newHighScore event (default: false)
+ * @param {string} seed - The run seed the score was set on (optional, recorded alongside the score)
+ * @param {{name: string, distance: number, cause: string}} run - Details of the finished run (optional).
+ *   When given, the score is also submitted to the remote leaderboard, if one is configured.
+ *   RemoteLeaderboardManager.getLastSubmission() then follows the submission and can rename it.
  * @returns {boolean} Whether a new high score was set
  */
-export function updateHighScore(score, levelId = null, emitEvent = false) {
+export function updateHighScore(score, levelId = null, emitEvent = false, seed = null, run = null) {
     let isNewHighScore = false;
+    let isNewSeedHighScore = false;
+
+    // Track the best score per seed separately; it does not count as a new overall high score
+    if (levelId && seed && score > getSeedHighScore(levelId, seed)) {
+        highScoresBySeed[seed] = { ...(highScoresBySeed[seed] || {}), [levelId]: score };
+        isNewSeedHighScore = true;
+        logger.debug(`New high score for level ${levelId} on seed "${seed}": ${score}`);
+    }
 
     // Update global high score if needed
     if (isNewGlobalHighScore(score)) {
@@ -172,41 +357,34 @@ export function updateHighScore(score, levelId = null, emitEvent = false) {
     }
 
     // Save to localStorage if any high score was updated
-    if (isNewHighScore) {
+    if (isNewHighScore || isNewSeedHighScore) {
         saveHighScores();
-
-        // Only emit event if explicitly requested (will be used at game over)
-        if (emitEvent) {
-            eventBus.emit('newHighScore', {
-                score: score,
-                levelId: levelId // Pass levelId so listeners know context
-            });
-        }
     }
 
-    return isNewHighScore;
-}
+    // The live score display raises the high score during the run without announcing it,
+    // so remember it and still announce it at game over
+    if (isNewHighScore && !emitEvent && levelId) {
+        unannouncedHighScoreLevels.add(levelId);
+    }
+    if (emitEvent) {
+        isNewHighScore = isNewHighScore || unannouncedHighScoreLevels.has(levelId);
+        unannouncedHighScoreLevels.clear();
+    }
 
-/**
- * Check if a level is unlocked for play
- * @param {string} levelId - The level ID to check
- * @returns {boolean} Whether the level is unlocked
- */
-export function isLevelUnlocked(levelId) {
-    // Level 1 is always unlocked
-    if (levelId === 'level1') {
-        return true;
+    // Only emit event if explicitly requested (will be used at game over)
+    if (isNewHighScore && emitEvent) {
+        eventBus.emit('newHighScore', {
+            score: score,
+            levelId: levelId, // Pass levelId so listeners know context
+            seed: seed
+        });
     }
 
-    // For level2, check if player has a score in level1
-    if (levelId === 'level2') {
-        return highScoresByLevel['level1'] > 0 || globalHighScore > 0;
+    if (run && levelId) {
+        RemoteLeaderboardManager.submitScore(levelId, { ...run, score, seed });
     }
 
-    // For future levels, can implement more complex unlocking logic
-    // For now, default to false for any unknown levels
-    logger.warn(`Unknown level ID in isLevelUnlocked: ${levelId}`);
-    return false;
+    return isNewHighScore;
 }
 
 // Initialize on module load
@@ -0,0 +1,174 @@
+// js/managers/seedManager.js
+import eventBus from '../core/eventBus.js';
+import { GameStates } from '../core/gameStateManager.js';
+import { createLogger } from '../utils/logger.js';
+import { updateConfig, SECTIONS } from '../config/config.js';
+import { worldConfig, DEFAULT_WORLD_SEED } from '../config/world.js';
+import { setTerrainSeed } from '../rendering/terrainGenerator.js';
+
+const logger = createLogger('SeedManager');
+
+// Constants
+const SEED_SETTINGS_KEY = 'openRunner_seedSettings';
+const MAX_CUSTOM_SEED_LENGTH = 64;
+
+/**
+ * How the seed for the next run is chosen.
+ * @readonly
+ * @enum {string}
+ */
+export const SeedModes = Object.freeze({
+    CLASSIC: 'classic', // The original fixed course
+    DAILY: 'daily',     // Same course for everyone on a given (UTC) day
+    RANDOM: 'random',   // A fresh seed every time a run starts from the menus
+    CUSTOM: 'custom'    // A seed typed in by the player
+});
+
+// In-memory state
+let seedMode = SeedModes.CLASSIC;
+let customSeed = '';
+
+/**
+ * Initialize the seed manager.
+ * Loads the saved seed preference and applies the resulting seed.
+ */
+export function init() {
+    logger.debug('Initializing SeedManager');
+    loadSeedSettings();
+    applySeed(resolveSeed());
+
+    // Returning to the title re-applies the player's selection (a fresh random seed, today's
+    // daily seed, or undoing a replay's seed); restarts keep the current seed.
+    eventBus.subscribe('gameStateChanged', ({ newState }) => {
+        if (newState === GameStates.TITLE) {
+            applySeed(resolveSeed());
+        }
+    });
+}
+
+/**
+ * Load the seed preference from localStorage
+ */
+function loadSeedSettings() {
+    try {
+        const stored = localStorage.getItem(SEED_SETTINGS_KEY);
+        if (stored !== null) {
+            const settings = JSON.parse(stored);
+            if (Object.values(SeedModes).includes(settings.mode)) {
+                seedMode = settings.mode;
+            }
+            customSeed = typeof settings.customSeed === 'string' ? settings.customSeed : '';
+            logger.debug(`Loaded seed settings: mode=${seedMode}`);
+        }
+    } catch (error) {
+        logger.error('Error loading seed settings from localStorage:', error);
+    }
+}
+
+/**
+ * Save the seed preference to localStorage
+ */
+function saveSeedSettings() {
+    try {
+        localStorage.setItem(SEED_SETTINGS_KEY, JSON.stringify({ mode: seedMode, customSeed }));
+    } catch (error) {
+        logger.error('Error saving seed settings to localStorage:', error);
+    }
+}
+
+/**
+ * Works out the seed for the current mode.
+ * @returns {string} The seed to use.
+ */
+function resolveSeed() {
+    switch (seedMode) {
+        case SeedModes.DAILY:
+            return getDailySeed();
+        case SeedModes.RANDOM:
+            return generateRandomSeed();
+        case SeedModes.CUSTOM:
+            if (customSeed) return customSeed;
+            logger.warn('Custom seed mode selected without a seed, using the classic course');
+            return DEFAULT_WORLD_SEED;
+        case SeedModes.CLASSIC:
+        default:
+            return DEFAULT_WORLD_SEED;
+    }
+}
+
+/**
+ * Applies a seed to the world config and terrain noise.
+ * Emits 'runSeedChanged' so the UI can show it.
+ * @param {string} seed - The seed to apply.
+ */
+export function applySeed(seed) {
+    if (seed !== worldConfig.SEED) {
+        logger.info(`Run seed set to "${seed}" (${seedMode})`);
+    }
+    updateConfig(SECTIONS.WORLD, { SEED: seed });
+    setTerrainSeed(seed);
+    eventBus.emit('runSeedChanged', { seed, mode: seedMode });
+}
+
+/**
+ * Gets the seed the current (or next) run uses.
+ * @returns {string} The active seed.
+ */
+export function getCurrentSeed() {
+    return worldConfig.SEED;
+}
+
+/**
+ * Gets the selected seed mode.
+ * @returns {string} One of SeedModes.
+ */
+export function getSeedMode() {
+    return seedMode;
+}
+
+/**
+ * Gets the last custom seed entered by the player.
+ * @returns {string} The custom seed (may be empty).
+ */
+export function getCustomSeed() {
+    return customSeed;
+}
+
+/**
+ * Changes how the run seed is chosen and applies the new seed immediately.
+ * @param {string} mode - One of SeedModes.
+ * @param {string} [newCustomSeed] - The seed to use in CUSTOM mode.
+ */
+export function setSeedMode(mode, newCustomSeed) {
+    if (!Object.values(SeedModes).includes(mode)) {
+        logger.warn(`Unknown seed mode: ${mode}`);
+        return;
+    }
+    seedMode = mode;
+    if (typeof newCustomSeed === 'string') {
+        customSeed = newCustomSeed.trim().slice(0, MAX_CUSTOM_SEED_LENGTH);
+    }
+    saveSeedSettings();
+    applySeed(resolveSeed());
+}
+
+/**
+ * Derives the daily challenge seed from a date (UTC, so every timezone shares it).
+ * @param {Date} [date=new Date()] - The date to derive the seed from.
+ * @returns {string} Seed in the form "daily-YYYY-MM-DD".
+ */
+export function getDailySeed(date = new Date()) {
+    return `daily-${date.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Generates a short random seed that is easy to read out and share.
+ * @returns {string} An 8 character base-36 seed.
+ */
+export function generateRandomSeed() {
+    let seed = '';
+    while (seed.length < 8) {
+        seed += Math.floor(Math.random() * 36).toString(36);
+    }
+    return seed;
+}
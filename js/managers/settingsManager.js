@@ -0,0 +1,126 @@
+// js/managers/settingsManager.js
+import eventBus from '../core/eventBus.js';
+import { createLogger } from '../utils/logger.js';
+import configManager, { SECTIONS, performanceManager } from '../config/config.js';
+import { settingsConfig } from '../config/settings.js';
+import { QualityPresets } from '../utils/performanceManager.js';
+import * as AudioManager from './audioManager.js';
+
+const logger = createLogger('SettingsManager');
+
+// Volume settings, by the AudioManager.AudioBuses value they control. Written out because
+// AudioManager imports this module (through UIManager), so its exports aren't ready yet here.
+const BUS_VOLUMES = {
+    MUSIC_VOLUME: 'music',
+    SFX_VOLUME: 'sfx',
+    UI_VOLUME: 'ui'
+};
+
+// Settings that pick or override the quality preset, mapped to performanceManager's setting keys
+const PERFORMANCE_OVERRIDES = {
+    SHADOWS: 'shadowsEnabled',
+    RENDER_DISTANCE: 'renderDistance',
+    PIXEL_RATIO: 'pixelRatio',
+    PARTICLE_DENSITY: 'particleDensity'
+};
+
+/**
+ * Initialize the settings manager.
+ * Applies the saved graphics settings. Call before performanceManager.init() so an 'auto'
+ * quality is left for it to detect, and a chosen quality stops it from detecting.
+ * Volumes are read by AudioManager when audio starts, and the turn sensitivity and FPS
+ * counter are read from the settings section as they are needed.
+ */
+export function init() {
+    logger.debug('Initializing SettingsManager');
+    applyGraphicsSettings(false);
+}
+
+/**
+ * Get the current settings.
+ * @returns {Object} The settings section, keyed like settingsConfig.
+ */
+export function getSettings() {
+    return configManager.getSection(SECTIONS.SETTINGS);
+}
+
+/**
+ * Get one setting.
+ * @param {string} key - A settingsConfig key, e.g. 'MUSIC_VOLUME'.
+ * @returns {*} The setting's value.
+ */
+export function getSetting(key) {
+    return configManager.get(`${SECTIONS.SETTINGS}.${key}`, settingsConfig[key]);
+}
+
+/**
+ * Changes a setting, applies it and saves it.
+ * Emits 'settingsChanged' with { key, value }.
+ * @param {string} key - A settingsConfig key, e.g. 'MUSIC_VOLUME'.
+ * @param {*} value - The new value.
+ */
+export function setSetting(key, value) {
+    if (!Object.prototype.hasOwnProperty.call(settingsConfig, key) || key === 'FIELDS') {
+        logger.warn(`Unknown setting "${key}"`);
+        return;
+    }
+    configManager.persistConfig(SECTIONS.SETTINGS, { [key]: value });
+    applySetting(key);
+    logger.info(`Setting ${key} changed to ${value}`);
+    eventBus.emit('settingsChanged', { key, value });
+}
+
+/**
+ * Puts every setting back to its default and forgets the saved ones.
+ * Emits 'settingsChanged' with { key: null }.
+ */
+export function resetSettings() {
+    const defaults = Object.fromEntries(Object.entries(settingsConfig).filter(([key]) => key !== 'FIELDS'));
+    configManager.updateConfig(SECTIONS.SETTINGS, defaults);
+    configManager.clearPersistedConfig(SECTIONS.SETTINGS);
+    applyGraphicsSettings(true);
+    applyVolumes();
+    logger.info('Settings reset to defaults');
+    eventBus.emit('settingsChanged', { key: null, value: null });
+}
+
+/**
+ * Applies a changed setting to the system it belongs to.
+ * @param {string} key - A settingsConfig key.
+ * @private
+ */
+function applySetting(key) {
+    if (key === 'QUALITY' || PERFORMANCE_OVERRIDES[key]) {
+        applyGraphicsSettings(key === 'QUALITY');
+    } else if (BUS_VOLUMES[key]) {
+        AudioManager.setBusVolume(BUS_VOLUMES[key], getSetting(key));
+    }
+}
+
+/**
+ * Hands the quality and its overrides to performanceManager. Adaptive quality only runs
+ * while the quality is 'auto', so it never undoes the player's choice.
+ * @param {boolean} detect - Whether an 'auto' quality should detect the device now.
+ * @private
+ */
+function applyGraphicsSettings(detect) {
+    const settings = getSettings();
+    const overrides = {};
+    Object.entries(PERFORMANCE_OVERRIDES).forEach(([key, performanceKey]) => {
+        overrides[performanceKey] = settings[key];
+    });
+    performanceManager.setOverrides(overrides);
+
+    const isAuto = settings.QUALITY === QualityPresets.AUTO;
+    performanceManager.setAdaptiveQuality(isAuto);
+    if (!isAuto) {
+        performanceManager.setQuality(settings.QUALITY);
+    } else if (detect) {
+        performanceManager.detectDeviceCapabilities();
+    }
+}
+
+/** @private */
+function applyVolumes() {
+    Object.entries(BUS_VOLUMES).forEach(([key, bus]) => AudioManager.setBusVolume(bus, getSetting(key)));
+}
@@ -0,0 +1,204 @@
+// js/managers/spatialAudioManager.js
+import * as THREE from 'three';
+import eventBus from '../core/eventBus.js';
+import { GameStates } from '../core/gameStateManager.js';
+import { audioConfig } from '../config/audio.js';
+import { tumbleweedConfig } from '../config/tumbleweed.js';
+import { ENEMY_STATE } from '../entities/enemy.js';
+import { CreatureVoices, createRollingLoop } from '../audio/creatureVoices.js';
+import { createLogger } from '../utils/logger.js';
+import * as AudioManager from './audioManager.js';
+
+const logger = createLogger('SpatialAudioManager');
+
+// Reusable vectors for positions and orientation
+const _position = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+
+// In-memory state
+const calls = [];           // { object3D, panner, endTime } for calls still playing
+const rollingLoops = new Map(); // Tumbleweed -> { panner, loop, level }
+const lastCallTimes = new WeakMap(); // Object3D -> AudioContext time of its last call
+let gameplayActive = false; // Rolling is only heard during gameplay
+
+/**
+ * Initialize the spatial audio manager.
+ * Listens for the events that make positional sounds. Nothing plays until AudioManager
+ * has started audio.
+ */
+export function init() {
+    logger.debug('Initializing SpatialAudioManager');
+
+    eventBus.subscribe('enemyStateChanged', ({ enemy, state }) => {
+        const call = audioConfig.SPATIAL.ENEMY_CALLS[enemy.type];
+        if (state === ENEMY_STATE.CHASING && call && enemy.mesh) {
+            playCall(enemy.mesh, call);
+        }
+    });
+
+    eventBus.subscribe('buzzardCalled', ({ object3D }) => {
+        playCall(object3D, audioConfig.SPATIAL.BUZZARD_CALL);
+    });
+
+    eventBus.subscribe('tumbleweedRollingChanged', ({ tumbleweed, rolling }) => {
+        if (rolling) {
+            startRolling(tumbleweed);
+        } else {
+            stopRolling(tumbleweed);
+        }
+    });
+
+    eventBus.subscribe('gameStateChanged', ({ newState }) => {
+        gameplayActive = newState === GameStates.PLAYING;
+    });
+}
+
+/**
+ * Moves the listener to the camera and every playing sound to the object making it.
+ * Called every frame, after the camera has moved.
+ * @param {THREE.Camera} camera - The camera the player hears from.
+ */
+export function update(camera) {
+    const audioContext = AudioManager.getAudioContext();
+    if (!audioContext || !camera) return;
+
+    updateListener(audioContext.listener, camera);
+
+    const now = audioContext.currentTime;
+    for (let i = calls.length - 1; i >= 0; i--) {
+        const call = calls[i];
+        if (now >= call.endTime) {
+            call.panner.disconnect();
+            calls.splice(i, 1);
+        } else {
+            setPannerPosition(call.panner, call.object3D);
+        }
+    }
+
+    rollingLoops.forEach((rolling, tumbleweed) => {
+        // A tumbleweed unloaded with its chunk never says it stopped
+        if (!tumbleweed.object3D.parent) {
+            stopRolling(tumbleweed);
+            return;
+        }
+        setPannerPosition(rolling.panner, tumbleweed.object3D);
+
+        const speed = tumbleweed.physics?.velocity.length() ?? 0;
+        const level = gameplayActive
+            ? Math.min(speed / tumbleweedConfig.ROLL_SPEED_MAX, 1) * audioConfig.SPATIAL.TUMBLEWEED_VOLUME
+            : 0;
+        // Only reschedule the gain when the change is audible
+        if (Math.abs(level - rolling.level) > 0.02) {
+            rolling.level = level;
+            rolling.loop.setLevel(level);
+        }
+    });
+}
+
+/**
+ * Plays a creature call from an object, unless too many calls are playing or the same
+ * object called too recently.
+ * @param {THREE.Object3D} object3D - What the call comes from.
+ * @param {{VOICE: string, PITCH: number, VOLUME: number}} call - An audio.SPATIAL call.
+ */
+function playCall(object3D, call) {
+    const audioContext = AudioManager.getAudioContext();
+    if (!audioContext || !object3D) return;
+
+    const voice = CreatureVoices[call.VOICE];
+    if (!voice) {
+        logger.warn(`Unknown creature voice "${call.VOICE}"`);
+        return;
+    }
+    const { MAX_CALLS, CALL_COOLDOWN_SECONDS } = audioConfig.SPATIAL;
+    const now = audioContext.currentTime;
+    if (calls.length >= MAX_CALLS || now - (lastCallTimes.get(object3D) ?? -Infinity) < CALL_COOLDOWN_SECONDS) {
+        return;
+    }
+    lastCallTimes.set(object3D, now);
+
+    const panner = createPanner(audioContext);
+    setPannerPosition(panner, object3D);
+    const duration = voice(audioContext, panner, now, { pitch: call.PITCH, volume: call.VOLUME });
+    calls.push({ object3D, panner, endTime: now + duration });
+}
+
+/** @private */
+function startRolling(tumbleweed) {
+    const audioContext = AudioManager.getAudioContext();
+    if (!audioContext || rollingLoops.has(tumbleweed)) return;
+
+    const panner = createPanner(audioContext);
+    setPannerPosition(panner, tumbleweed.object3D);
+    rollingLoops.set(tumbleweed, { panner, loop: createRollingLoop(audioContext, panner), level: 0 });
+}
+
+/** @private */
+function stopRolling(tumbleweed) {
+    const rolling = rollingLoops.get(tumbleweed);
+    if (!rolling) return;
+    rolling.loop.stop();
+    rolling.panner.disconnect();
+    rollingLoops.delete(tumbleweed);
+}
+
+/**
+ * Creates a panner with the audio.SPATIAL distance rules, feeding the SFX bus.
+ * @param {AudioContext} audioContext
+ * @returns {PannerNode}
+ * @private
+ */
+function createPanner(audioContext) {
+    const { PANNING_MODEL, REF_DISTANCE, MAX_DISTANCE, ROLLOFF } = audioConfig.SPATIAL;
+    const panner = audioContext.createPanner();
+    panner.panningModel = PANNING_MODEL;
+    panner.distanceModel = 'inverse';
+    panner.refDistance = REF_DISTANCE;
+    panner.maxDistance = MAX_DISTANCE;
+    panner.rolloffFactor = ROLLOFF;
+    panner.connect(AudioManager.getBusInput(AudioManager.AudioBuses.SFX));
+    return panner;
+}
+
+/**
+ * Moves a panner to an object's world position.
+ * @private
+ */
+function setPannerPosition(panner, object3D) {
+    object3D.getWorldPosition(_position);
+    if (panner.positionX) {
+        panner.positionX.value = _position.x;
+        panner.positionY.value = _position.y;
+        panner.positionZ.value = _position.z;
+    } else {
+        // Browsers without the AudioParam positions
+        panner.setPosition(_position.x, _position.y, _position.z);
+    }
+}
+
+/**
+ * Places and turns the listener to match the camera.
+ * @private
+ */
+function updateListener(listener, camera) {
+    camera.getWorldPosition(_position);
+    camera.getWorldDirection(_forward);
+    _up.set(0, 1, 0).applyQuaternion(camera.getWorldQuaternion(_quaternion));
+
+    if (listener.positionX) {
+        listener.positionX.value = _position.x;
+        listener.positionY.value = _position.y;
+        listener.positionZ.value = _position.z;
+        listener.forwardX.value = _forward.x;
+        listener.forwardY.value = _forward.y;
+        listener.forwardZ.value = _forward.z;
+        listener.upX.value = _up.x;
+        listener.upY.value = _up.y;
+        listener.upZ.value = _up.z;
+    } else {
+        listener.setPosition(_position.x, _position.y, _position.z);
+        listener.setOrientation(_forward.x, _forward.y, _forward.z, _up.x, _up.y, _up.z);
+    }
+}
@@ -4,13 +4,27 @@ import { updateMobileControlsVisibility, setDeviceClass } from '../utils/deviceU
 import gameStateManager, { GameStates } from '../core/gameStateManager.js';
 import * as ScoreManager from './scoreManager.js';
 import * as LevelManager from './levelManager.js';
+import * as ProgressManager from './progressManager.js';
+import * as LeaderboardManager from './leaderboardManager.js';
+import * as RemoteLeaderboardManager from './remoteLeaderboardManager.js';
+import * as AchievementManager from './achievementManager.js';
+import * as SettingsManager from './settingsManager.js';
+import replayManager from './replayManager.js';
+import { SeedModes } from './seedManager.js';
 import { createLogger } from '../utils/logger.js';
 // import { uiConfig as C } from '../config/ui.js'; // Removed alias import
 import { getConfig } from '../config/config.js'; // Import getConfig
+import { settingsConfig } from '../config/settings.js';
+import { controlsConfig } from '../config/controls.js';
+import {
+    InputActions, InputDevices, getBindings, setBinding, resetBindings, captureInput, cancelCapture, getActionLabel, getInputLabel
+} from '../input/inputBindings.js';
 
 const logger = createLogger('UIManager');
 // --- Element References ---
 let scoreElement;
+let livesElement;
+let powerupDisplayElement;
 let highScoreElement;
 let gameOverElement;
 let gameOverScoreElement;
@@ -31,11 +45,31 @@ let resumeButtonElement;
 let restartButtonElement;
 let returnToTitleButtonElement;
 let notificationElement;
+let seedModeSelectElement;
+let seedInputElement;
+let leaderboardScreenElement;
+let leaderboardLevelSelectElement;
+let leaderboardSeedSelectElement;
+let leaderboardScopeSelectElement;
+let leaderboardButtonsElement;
+let leaderboardTableElement;
+let achievementsScreenElement;
+let achievementsSummaryElement;
+let achievementsGridElement;
+let achievementToastsElement;
+let settingsScreenElement;
+let settingsFormElement;
+let controlsScreenElement;
+let controlsTableElement;
+let controlsMessageElement;
 
 // --- Internal State ---
 let currentScore = 0; // Keep track internally for display
 let currentHighScore = 0; // Keep track of high score
+let currentLives = 0; // Lives shown in the HUD
 let notificationTimeout = null; // For clearing notification timeouts
+let leaderboardRenderId = 0; // Lets a remote fetch tell whether its results are still wanted
+let settingsReturnElement = null; // The menu the settings screen was opened over
 
 /**
  * Handles game state changes by updating UI visibility.
@@ -51,9 +85,16 @@ function handleGameStateChange(eventData) {
     if (gameOverElement) gameOverElement.style.display = 'none';
     if (loadingScreenElement) loadingScreenElement.style.display = 'none';
     if (levelSelectScreenElement) levelSelectScreenElement.style.display = 'none';
+    if (leaderboardScreenElement) leaderboardScreenElement.style.display = 'none';
+    if (achievementsScreenElement) achievementsScreenElement.style.display = 'none';
+    if (settingsScreenElement) settingsScreenElement.style.display = 'none';
+    if (controlsScreenElement) controlsScreenElement.style.display = 'none';
+    settingsReturnElement = null;
+    cancelCapture();
 
     // Always hide score display by default, we'll show it only during gameplay
     if (scoreElement) scoreElement.style.display = 'none';
+    if (livesElement) livesElement.style.display = 'none';
     if (pauseMenuElement) pauseMenuElement.style.display = 'none';
 
     // Hide high score in non-gameplay states
@@ -78,6 +119,12 @@ function handleGameStateChange(eventData) {
             showLevelSelectScreen();
             if (scoreElement) scoreElement.style.display = 'none';
             break;
+        case GameStates.LEADERBOARD:
+            showLeaderboardScreen();
+            break;
+        case GameStates.ACHIEVEMENTS:
+            showAchievementsScreen();
+            break;
         case GameStates.PLAYING:
             const previousState = gameStateManager.getPreviousState();
             if (previousState === GameStates.PAUSED) {
@@ -121,13 +168,15 @@ function handleGameStateChange(eventData) {
  * @param {Object|number} scoreData - Object containing score information or just the score.
  */
 function showGameOverScreenWithScore(scoreData) {
-    let finalScore, highScore, levelId, isNewHighScore;
+    let finalScore, highScore, levelId, isNewHighScore, seed, stats;
 
     if (typeof scoreData === 'object') {
         finalScore = scoreData.score;
         highScore = scoreData.highScore;
         levelId = scoreData.levelId;
         isNewHighScore = scoreData.isNewHighScore;
+        seed = scoreData.seed;
+        stats = scoreData.stats;
     } else {
         finalScore = scoreData;
         highScore = ScoreManager.getGlobalHighScore();
@@ -200,6 +249,7 @@ function showGameOverScreenWithScore(scoreData) {
             gameOverElement.appendChild(buttonsDiv);
         }
 
+        addGameOverRunDetails(scoreData, { levelId, seed, stats });
         gameOverElement.style.display = 'flex';
     }
 
@@ -209,6 +259,211 @@ function showGameOverScreenWithScore(scoreData) {
     if (titleScreenElement) titleScreenElement.style.display = 'none';
 }
 
+/**
+ * Adds the run's statistics, the leaderboard name entry and the seed to the game over
+ * screen, above its buttons.
+ * @param {object} scoreData - The 'gameOverInfo' payload.
+ * @param {{levelId: string, seed: string, stats: object}} run - The run's level, seed and statistics.
+ * @private
+ */
+function addGameOverRunDetails(scoreData, { levelId, seed, stats }) {
+    const details = [];
+    if (stats) {
+        details.push(createGameOverStatsElement(scoreData));
+    }
+    if (scoreData.leaderboardRun) {
+        details.push(createLeaderboardEntryForm(levelId, scoreData.leaderboardRun, {
+            local: scoreData.qualifiesForLeaderboard,
+            remoteSubmission: scoreData.remoteSubmission
+        }));
+    }
+    if (scoreData.remoteSubmission) {
+        details.push(createRemoteLeaderboardStatusElement(scoreData.remoteSubmission));
+    }
+    if (seed) {
+        details.push(createGameOverSeedElement(seed));
+    }
+    gameOverElement.querySelector('.menu-buttons').before(...details);
+}
+
+/**
+ * Creates the run statistics table on the game over screen: each statistic, the points it
+ * earned and the level's best, with new bests highlighted.
+ * @param {object} scoreData - The 'gameOverInfo' payload (stats, breakdown, bestStats, newBestStats).
+ * @returns {HTMLTableElement} The statistics table.
+ */
+function createGameOverStatsElement({ stats, breakdown = [], bestStats = {}, newBestStats = [] }) {
+    const labels = getConfig('ui.RUN_STAT_LABELS', {});
+    const pointsByStat = Object.fromEntries(breakdown.map(({ stat, points }) => [stat, points]));
+
+    const table = document.createElement('table');
+    table.id = 'gameOverStats';
+    table.className = 'game-over-stats';
+    const header = table.insertRow();
+    ['', 'Run', 'Points', 'Best'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        header.appendChild(th);
+    });
+
+    Object.entries(labels).forEach(([stat, label]) => {
+        const row = table.insertRow();
+        if (newBestStats.includes(stat)) row.className = 'new-best';
+        row.insertCell().textContent = label;
+        row.insertCell().textContent = formatRunStat(stat, stats[stat] ?? 0);
+        row.insertCell().textContent = stat in pointsByStat ? `+${pointsByStat[stat]}` : '';
+        row.insertCell().textContent = formatRunStat(stat, bestStats[stat] ?? 0);
+    });
+    return table;
+}
+
+/**
+ * Formats a run statistic for display.
+ * @param {string} stat - The statistic's key (see ScoreManager's run statistics).
+ * @param {number} value - The value to format.
+ * @returns {string}
+ */
+function formatRunStat(stat, value) {
+    switch (stat) {
+        case 'distance':
+            return `${Math.floor(value)} m`;
+        case 'timeSurvived': {
+            const seconds = Math.floor(value);
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        }
+        case 'topSpeed':
+            return `${value.toFixed(1)} m/s`;
+        default:
+            return `${Math.floor(value)}`;
+    }
+}
+
+/**
+ * Creates the name entry shown on the game over screen when a run makes the local leaderboard
+ * or was submitted to the online one. Submitting it records the run locally under the name
+ * entered and renames the online submission, which went out under the last name used.
+ * @param {string} levelId - The level the run was played in.
+ * @param {{score: number, seed: string, distance: number, cause: string}} run - The run to record.
+ * @param {{local: boolean, remoteSubmission: object|null}} boards - Whether the run makes the
+ *   local leaderboard, and its RemoteLeaderboardManager submission, if any.
+ * @returns {HTMLFormElement} The name entry form.
+ */
+function createLeaderboardEntryForm(levelId, run, { local, remoteSubmission }) {
+    const form = document.createElement('form');
+    form.id = 'leaderboardEntryForm';
+    form.className = 'leaderboard-entry';
+
+    const label = document.createElement('label');
+    label.htmlFor = 'leaderboardNameInput';
+    label.textContent = local ? 'New leaderboard score! Your name:' : 'Your name on the online leaderboard:';
+    form.appendChild(label);
+
+    const input = document.createElement('input');
+    input.id = 'leaderboardNameInput';
+    input.type = 'text';
+    input.maxLength = getConfig('scoring.LEADERBOARD_NAME_MAX_LENGTH', 16);
+    input.value = LeaderboardManager.getPlayerName();
+    input.placeholder = 'Runner';
+    input.spellcheck = false;
+    // Keep typing from triggering global shortcuts (e.g. 'r' to restart)
+    input.addEventListener('keydown', (event) => event.stopPropagation());
+    form.appendChild(input);
+
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.textContent = 'Save';
+    form.appendChild(saveButton);
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        eventBus.emit('uiButtonClicked');
+        LeaderboardManager.setPlayerName(input.value);
+        const name = LeaderboardManager.getPlayerName(); // Trimmed, or the default
+        if (remoteSubmission && name !== remoteSubmission.entry.name) {
+            RemoteLeaderboardManager.renameSubmission(remoteSubmission, name);
+            followRemoteSubmission(remoteSubmission);
+        }
+        if (!local) {
+            form.remove();
+            return;
+        }
+        const rank = LeaderboardManager.addEntry(levelId, { ...run, name });
+        const result = document.createElement('div');
+        result.className = 'leaderboard-entry';
+        result.textContent = rank > 0 ? `Saved! #${rank} on the leaderboard` : 'Score no longer makes the leaderboard';
+        form.replaceWith(result);
+    });
+    return form;
+}
+
+/**
+ * Creates the line on the game over screen that follows the run's remote leaderboard submission.
+ * @param {{id: string, result: Promise}} submission - The run's RemoteLeaderboardManager submission.
+ * @returns {HTMLDivElement} The status element.
+ */
+function createRemoteLeaderboardStatusElement(submission) {
+    const statusEl = document.createElement('div');
+    statusEl.id = 'remoteLeaderboardStatus';
+    statusEl.className = 'game-over-seed';
+    statusEl.dataset.submissionId = submission.id;
+    statusEl.textContent = 'Sending your score to the online leaderboard...';
+    followRemoteSubmission(submission);
+    return statusEl;
+}
+
+/**
+ * Shows a submission's latest attempt, e.g. a rename, on the game over screen until it settles.
+ * An attempt superseded in the meantime doesn't overwrite the line.
+ * @param {{id: string, result: Promise}} submission - A RemoteLeaderboardManager submission.
+ */
+function followRemoteSubmission(submission) {
+    const { id, result } = submission;
+    updateRemoteLeaderboardStatus(id, 'Sending your score to the online leaderboard...');
+    result.then(outcome => {
+        if (submission.result === result) updateRemoteLeaderboardStatus(id, describeRemoteSubmission(outcome));
+    });
+}
+
+/**
+ * Describes how a remote leaderboard submission went.
+ * @param {{status: string, rank: number|null}} outcome - A RemoteLeaderboardManager submission result.
+ * @returns {string}
+ */
+function describeRemoteSubmission({ status, rank }) {
+    switch (status) {
+        case 'sent':
+            return rank ? `#${rank} on the online leaderboard` : 'Sent to the online leaderboard';
+        case 'queued':
+            return 'Offline - your score will be sent to the online leaderboard later';
+        default:
+            return 'The online leaderboard did not take your score';
+    }
+}
+
+/**
+ * Updates the game over screen's remote leaderboard line if it follows the given submission.
+ * @param {string} id - The submission the update is about.
+ * @param {string} text - The new status text.
+ */
+function updateRemoteLeaderboardStatus(id, text) {
+    const statusEl = document.getElementById('remoteLeaderboardStatus');
+    if (statusEl && statusEl.dataset.submissionId === id) {
+        statusEl.textContent = text;
+    }
+}
+
+/**
+ * Creates the "Seed: ..." line shown under the scores on the game over screen.
+ * @param {string} seed - The seed the run was played on.
+ * @returns {HTMLDivElement} The seed element.
+ */
+function createGameOverSeedElement(seed) {
+    const seedEl = document.createElement('div');
+    seedEl.id = 'gameOverSeed';
+    seedEl.className = 'game-over-seed';
+    seedEl.textContent = `${getConfig('ui.SEED_PREFIX', 'Seed: ')}${seed}`;
+    return seedEl;
+}
 
 /**
  * Initializes the UI Manager by getting references and setting up event listeners.
@@ -218,6 +473,8 @@ export function initUIManager() {
     setDeviceClass();
 
     scoreElement = document.getElementById('scoreDisplay');
+    livesElement = document.getElementById('livesDisplay');
+    powerupDisplayElement = document.getElementById('powerupDisplay');
     gameOverElement = document.getElementById('gameOverDisplay');
     gameOverRestartButtonElement = document.getElementById('gameOverRestartButton');
     gameOverTitleButtonElement = document.getElementById('gameOverTitleButton');
@@ -233,6 +490,22 @@ export function initUIManager() {
     resumeButtonElement = document.getElementById('resumeButton');
     restartButtonElement = document.getElementById('restartButton');
     returnToTitleButtonElement = document.getElementById('returnToTitleButton');
+    seedModeSelectElement = document.getElementById('seedModeSelect');
+    seedInputElement = document.getElementById('seedInput');
+    leaderboardScreenElement = document.getElementById('leaderboardScreen');
+    leaderboardLevelSelectElement = document.getElementById('leaderboardLevelSelect');
+    leaderboardSeedSelectElement = document.getElementById('leaderboardSeedSelect');
+    leaderboardScopeSelectElement = document.getElementById('leaderboardScopeSelect');
+    leaderboardButtonsElement = leaderboardScreenElement?.querySelector('.leaderboard-buttons');
+    leaderboardTableElement = document.getElementById('leaderboardTable');
+    achievementsScreenElement = document.getElementById('achievementsScreen');
+    achievementsSummaryElement = document.getElementById('achievementsSummary');
+    achievementsGridElement = document.getElementById('achievementsGrid');
+    settingsScreenElement = document.getElementById('settingsScreen');
+    settingsFormElement = document.getElementById('settingsForm');
+    controlsScreenElement = document.getElementById('controlsScreen');
+    controlsTableElement = document.getElementById('controlsTable');
+    controlsMessageElement = document.getElementById('controlsMessage');
 
     highScoreElement = document.getElementById('highScoreDisplay');
     if (!highScoreElement) {
@@ -278,6 +551,13 @@ export function initUIManager() {
         document.body.appendChild(notificationElement);
     }
 
+    achievementToastsElement = document.getElementById('achievementToasts');
+    if (!achievementToastsElement) {
+        achievementToastsElement = document.createElement('div');
+        achievementToastsElement.id = 'achievementToasts';
+        document.body.appendChild(achievementToastsElement);
+    }
+
     if (!loadingScreenElement || !progressBarElement || !progressTextElement ||
         !scoreElement || !gameOverElement || !titleScreenElement || !startButtonElement ||
         !levelSelectScreenElement || !levelListElement || !pauseMenuElement ||
@@ -293,7 +573,30 @@ export function initUIManager() {
         eventBus.subscribe('newHighScore', showNewHighScoreNotification);
         eventBus.subscribe('currentScoreUpdated', checkForLiveHighScore);
         eventBus.subscribe('levelUnlockSaved', (levelId) => {
-            showLevelUnlockedNotification(`Level ${levelId} Unlocked!`);
+            showLevelUnlockedNotification(LevelManager.getLevelManifest(levelId)?.name ?? levelId);
+        });
+        eventBus.subscribe('runSeedChanged', updateSeedDisplay);
+        eventBus.subscribe('playerHealthChanged', updateLivesDisplay);
+        eventBus.subscribe('powerupTimersUpdated', updatePowerupDisplay);
+        eventBus.subscribe('leaderboardUpdated', ({ levelId }) => {
+            if (leaderboardLevelSelectElement?.value === levelId) renderLeaderboard(levelId);
+        });
+        // A queued submission may go out later, while the game over screen is still up
+        eventBus.subscribe('remoteLeaderboardSubmitted', ({ id, rank }) => {
+            updateRemoteLeaderboardStatus(id, describeRemoteSubmission({ status: 'sent', rank }));
+        });
+        eventBus.subscribe('achievementUnlocked', showAchievementToast);
+        eventBus.subscribe('gamepadConnected', ({ name }) => showGamepadToast(name, true));
+        eventBus.subscribe('gamepadDisconnected', ({ name }) => showGamepadToast(name, false));
+        eventBus.subscribe('settingsChanged', updateSettingsForm);
+        eventBus.subscribe('settingsChanged', ({ key, value }) => {
+            if (key === 'CAMERA_MODE' && gameStateManager.getCurrentState() === GameStates.PLAYING) {
+                showCameraModeNotification(value);
+            }
+        });
+        eventBus.subscribe('freeCameraToggled', ({ enabled }) => showFreeCameraNotification(enabled));
+        eventBus.subscribe('inputBindingsChanged', () => {
+            if (isControlsScreenOpen()) renderControlsTable();
         });
         logger.info("Subscribed to events");
     } catch (e) {
@@ -416,6 +719,10 @@ export function showGameScreen() {
         scoreElement.style.transition = `opacity ${fadeDurationMs / 1000}s`;
     }
 
+    if (livesElement) {
+        livesElement.style.display = 'block';
+    }
+
     if (highScoreElement) {
         const highScore = ScoreManager.getGlobalHighScore();
         if (highScore > 0) {
@@ -460,6 +767,8 @@ export function updateScore(scoreIncrement) {
  */
 function checkForLiveHighScore(data) {
     const { score, levelId } = data;
+    // Replayed runs never count towards high scores
+    if (replayManager.isPlayingBack()) return;
 
     let currentHighScoreValue;
     if (levelId) {
@@ -514,6 +823,67 @@ export function updateScoreDisplay(score, makeVisible = false, forceHide = false
     }
 }
 
+/**
+ * Updates the lives and shield shown in the HUD.
+ * Triggered by the 'playerHealthChanged' event.
+ * @param {{lives: number, shield: boolean}} health - Lives left and whether the shield is raised.
+ */
+export function updateLivesDisplay({ lives, shield }) {
+    const lostLife = lives < currentLives;
+    currentLives = lives;
+    if (!livesElement) return;
+
+    const lifeIcon = getConfig('ui.LIFE_ICON', '\u2764');
+    const shieldIcon = getConfig('ui.SHIELD_ICON', '\u{1F6E1}');
+    livesElement.textContent = lifeIcon.repeat(lives);
+    if (shield) {
+        const shieldElement = document.createElement('span');
+        shieldElement.className = 'shield-icon';
+        shieldElement.textContent = shieldIcon;
+        livesElement.appendChild(shieldElement);
+    }
+
+    if (lostLife) {
+        livesElement.classList.add('lives-hit');
+        setTimeout(() => {
+            livesElement.classList.remove('lives-hit');
+        }, getConfig('ui.PULSE_ANIMATION_DURATION_MS', 1000) / 4);
+    }
+}
+
+/**
+ * Shows a countdown for each active timed powerup.
+ * Triggered by the 'powerupTimersUpdated' event every frame while any are running.
+ * @param {Array<{type: string, name: string, icon: string, color: string, timeLeft: number, duration: number}>} timers
+ */
+export function updatePowerupDisplay(timers) {
+    if (!powerupDisplayElement) return;
+    powerupDisplayElement.style.display = timers.length > 0 ? 'flex' : 'none';
+
+    const shownTypes = new Set();
+    timers.forEach(timer => {
+        shownTypes.add(timer.type);
+        let row = powerupDisplayElement.querySelector(`[data-powerup="${timer.type}"]`);
+        if (!row) {
+            row = document.createElement('div');
+            row.className = 'powerup-timer';
+            row.dataset.powerup = timer.type;
+            if (timer.color) row.style.setProperty('--powerup-color', timer.color);
+            row.innerHTML = '<span class="powerup-icon"></span><span class="powerup-name"></span>' +
+                '<div class="powerup-bar"><div class="powerup-bar-fill"></div></div><span class="powerup-time"></span>';
+            row.querySelector('.powerup-icon').textContent = timer.icon;
+            row.querySelector('.powerup-name').textContent = timer.name;
+            powerupDisplayElement.appendChild(row);
+        }
+        row.querySelector('.powerup-time').textContent = `${Math.ceil(timer.timeLeft)}s`;
+        row.querySelector('.powerup-bar-fill').style.width = `${(timer.timeLeft / timer.duration) * 100}%`;
+    });
+
+    [...powerupDisplayElement.children].forEach(row => {
+        if (!shownTypes.has(row.dataset.powerup)) row.remove();
+    });
+}
+
 /**
  * Updates the high score display
  * @param {number} highScore - The high score value to display
@@ -602,6 +972,52 @@ export function setupBackToTitleButton(returnToTitleCallback) {
 }
 
 
+/**
+ * Sets up the course/seed picker on the title screen.
+ * @param {function(string, string): void} onSeedModeChange - Called with the selected mode and the custom seed text.
+ */
+export function setupSeedControls(onSeedModeChange) {
+    if (!seedModeSelectElement || !seedInputElement || !onSeedModeChange) {
+        logger.warn("Seed controls or callback missing for setup.");
+        return;
+    }
+
+    seedModeSelectElement.onchange = () => {
+        eventBus.emit('uiButtonClicked');
+        const mode = seedModeSelectElement.value;
+        // Keep whatever custom seed was typed before; other modes fill the field with their seed
+        onSeedModeChange(mode, mode === SeedModes.CUSTOM ? seedInputElement.dataset.customSeed ?? '' : undefined);
+    };
+
+    seedInputElement.onchange = () => {
+        if (seedModeSelectElement.value !== SeedModes.CUSTOM) return;
+        seedInputElement.dataset.customSeed = seedInputElement.value;
+        onSeedModeChange(SeedModes.CUSTOM, seedInputElement.value);
+    };
+
+    // Keep typing in the seed box from triggering global shortcuts (e.g. 'l' for level select)
+    seedInputElement.addEventListener('keydown', (event) => event.stopPropagation());
+}
+
+/**
+ * Reflects the active run seed in the title screen seed picker.
+ * Triggered by the 'runSeedChanged' event.
+ * @param {object} data - The seed data.
+ * @param {string} data.seed - The active seed.
+ * @param {string} data.mode - The seed mode (one of SeedModes).
+ */
+export function updateSeedDisplay({ seed, mode }) {
+    if (!seedModeSelectElement || !seedInputElement) return;
+
+    seedModeSelectElement.value = mode;
+    const isCustom = mode === SeedModes.CUSTOM;
+    seedInputElement.readOnly = !isCustom;
+    if (isCustom) {
+        seedInputElement.dataset.customSeed = seed;
+    }
+    seedInputElement.value = seed;
+}
+
 /** Shows the level select screen overlay. */
 export function showLevelSelectScreen() {
     if (levelSelectScreenElement) {
@@ -640,6 +1056,723 @@ export function populateLevelSelect(levels, selectLevelCallback) {
     });
 }
 
+/**
+ * Sets up the leaderboard controls: the title screen button and the leaderboard screen's buttons.
+ * @param {function} onShow - Called when the title screen's Leaderboard button is clicked.
+ * @param {function} onBack - Called when Back to Title is clicked.
+ * @param {function} onExport - Called when Export is clicked.
+ * @param {function(string): void} onImport - Called with the contents of the chosen leaderboard file.
+ */
+export function setupLeaderboardButtons(onShow, onBack, onExport, onImport) {
+    const setupButton = (id, callback) => {
+        const buttonElement = document.getElementById(id);
+        if (!buttonElement || !callback) {
+            logger.warn(`Leaderboard button #${id} or its callback is missing`);
+            return;
+        }
+        const newButton = buttonElement.cloneNode(true);
+        buttonElement.parentNode.replaceChild(newButton, buttonElement);
+        newButton.addEventListener('click', () => {
+            eventBus.emit('uiButtonClicked');
+            callback();
+        });
+    };
+
+    setupButton('leaderboardButton', onShow);
+    setupButton('leaderboardBackButton', onBack);
+    setupButton('exportLeaderboardButton', onExport);
+
+    const fileInput = document.getElementById('leaderboardFileInput');
+    setupButton('importLeaderboardButton', () => fileInput?.click());
+    if (fileInput && onImport) {
+        fileInput.onchange = async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                onImport(await file.text());
+            } catch (error) {
+                displayError(new Error(`Could not read leaderboard file: ${error.message}`));
+            }
+        };
+    }
+
+    if (leaderboardLevelSelectElement) {
+        leaderboardLevelSelectElement.onchange = () => {
+            eventBus.emit('uiButtonClicked');
+            renderLeaderboard(leaderboardLevelSelectElement.value);
+        };
+    }
+    if (leaderboardScopeSelectElement) {
+        leaderboardScopeSelectElement.onchange = () => {
+            eventBus.emit('uiButtonClicked');
+            renderLeaderboard(leaderboardLevelSelectElement.value);
+        };
+    }
+    if (leaderboardSeedSelectElement) {
+        leaderboardSeedSelectElement.onchange = () => {
+            eventBus.emit('uiButtonClicked');
+            renderLeaderboard(leaderboardLevelSelectElement.value);
+        };
+    }
+}
+
+/** Shows the leaderboard screen overlay, starting on the current level's leaderboard. */
+export function showLeaderboardScreen() {
+    if (!leaderboardScreenElement || !leaderboardLevelSelectElement) return;
+
+    const selectedLevelId = leaderboardLevelSelectElement.value || LevelManager.getCurrentLevelId() ||
+        LevelManager.getDefaultLevelId();
+    leaderboardLevelSelectElement.innerHTML = '';
+    LevelManager.getAvailableLevels().forEach(level => {
+        const option = document.createElement('option');
+        option.value = level.id;
+        option.textContent = level.name;
+        leaderboardLevelSelectElement.appendChild(option);
+    });
+    leaderboardLevelSelectElement.value = selectedLevelId;
+    fillLeaderboardSeedSelect();
+
+    // The online views are only offered when a remote leaderboard is configured
+    if (leaderboardScopeSelectElement) {
+        const remoteEnabled = RemoteLeaderboardManager.isEnabled();
+        leaderboardScopeSelectElement.style.display = remoteEnabled ? '' : 'none';
+        if (!remoteEnabled) leaderboardScopeSelectElement.value = 'local';
+    }
+
+    renderLeaderboard(leaderboardLevelSelectElement.value);
+    leaderboardScreenElement.style.display = 'flex';
+}
+
+/**
+ * Offers every seed this browser has a score on as a leaderboard filter, keeping the
+ * current choice if it is still there.
+ * @private
+ */
+function fillLeaderboardSeedSelect() {
+    if (!leaderboardSeedSelectElement) return;
+    const selectedSeed = leaderboardSeedSelectElement.value;
+    const seeds = ScoreManager.getRecordedSeeds();
+    leaderboardSeedSelectElement.innerHTML = '';
+    [['', 'All seeds'], ...seeds.map(seed => [seed, `${getConfig('ui.SEED_PREFIX', 'Seed: ')}${seed}`])]
+        .forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            leaderboardSeedSelectElement.appendChild(option);
+        });
+    leaderboardSeedSelectElement.value = seeds.includes(selectedSeed) ? selectedSeed : '';
+}
+
+/**
+ * Fills the leaderboard table with a level's entries from the selected source: the local
+ * leaderboard, or the top or the player's neighbourhood of the remote one. With a seed
+ * selected, only runs on that seed are listed.
+ * @param {string} levelId - The level to show.
+ */
+function renderLeaderboard(levelId) {
+    if (!leaderboardTableElement) return;
+
+    const scope = leaderboardScopeSelectElement?.value || 'local';
+    const seed = leaderboardSeedSelectElement?.value || null;
+    const onSeed = entries => (seed ? entries.filter(entry => entry.seed === seed) : entries);
+    const renderId = ++leaderboardRenderId;
+    if (leaderboardButtonsElement) {
+        // Export and import only work on the local leaderboard
+        leaderboardButtonsElement.style.display = scope === 'local' ? '' : 'none';
+    }
+
+    if (scope === 'local') {
+        // The seed's best is kept even when it didn't make the level's leaderboard
+        const seedBest = seed ? ScoreManager.getSeedHighScores(seed)[levelId] : null;
+        const emptyText = seedBest
+            ? `No leaderboard runs on this seed - your best on it is ${seedBest}`
+            : 'No scores yet - go set one!';
+        fillLeaderboardTable(onSeed(LeaderboardManager.getLeaderboard(levelId)), emptyText);
+        return;
+    }
+
+    fillLeaderboardTable([], 'Loading...');
+    const request = scope === 'around'
+        ? RemoteLeaderboardManager.fetchAroundMe(levelId)
+        : RemoteLeaderboardManager.fetchTop(levelId);
+    request.then(entries => {
+        if (renderId !== leaderboardRenderId) return;
+        const queued = RemoteLeaderboardManager.getQueuedCount();
+        let emptyText = scope === 'around' ? 'You have no online scores on this level yet' : 'No online scores yet - go set one!';
+        if (seed && entries.length > 0) emptyText = 'None of these online scores are on this seed';
+        fillLeaderboardTable(onSeed(entries), queued > 0 ? `${emptyText} (${queued} waiting to be sent)` : emptyText);
+    }).catch(error => {
+        if (renderId !== leaderboardRenderId) return;
+        logger.warn('Could not fetch the online leaderboard:', error);
+        fillLeaderboardTable([], 'Could not reach the online leaderboard');
+    });
+}
+
+/**
+ * Replaces the leaderboard table's rows with entries. Entries with a rank (from the remote
+ * leaderboard) show it; the others are numbered in order. This browser's remote entries are highlighted.
+ * @param {object[]} entries - The entries, best first.
+ * @param {string} emptyText - Shown instead when there are no entries.
+ */
+function fillLeaderboardTable(entries, emptyText) {
+    leaderboardTableElement.innerHTML = '';
+    if (entries.length === 0) {
+        leaderboardTableElement.insertRow().insertCell().textContent = emptyText;
+        return;
+    }
+
+    const header = leaderboardTableElement.insertRow();
+    ['#', 'Name', 'Score', 'Distance', 'Seed', 'Ended by', 'Date'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        header.appendChild(th);
+    });
+
+    const clientId = RemoteLeaderboardManager.getClientId();
+    entries.forEach((entry, index) => {
+        const row = leaderboardTableElement.insertRow();
+        row.title = entry.version ? `Game version ${entry.version}` : '';
+        if (entry.clientId && entry.clientId === clientId) row.classList.add('own-entry');
+        row.insertCell().textContent = `${entry.rank ?? index + 1}`;
+        row.insertCell().textContent = entry.name;
+        row.insertCell().textContent = `${entry.score}`;
+        row.insertCell().textContent = formatRunStat('distance', entry.distance ?? 0);
+        row.insertCell().textContent = entry.seed ?? '-';
+        row.insertCell().textContent = formatDeathCause(entry.cause);
+        row.insertCell().textContent = new Date(entry.date).toLocaleDateString();
+    });
+}
+
+/**
+ * Turns a 'playerDied' cause (an object type like 'rock_small') into display text.
+ * @param {string} cause - The cause. Anything else, from an old or edited save, shows as '-'.
+ * @returns {string}
+ */
+function formatDeathCause(cause) {
+    if (!cause || typeof cause !== 'string') return '-';
+    const text = cause.replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Sets up the achievements controls: the title screen button and the gallery's back button.
+ * @param {function} onShow - Called when the title screen's Achievements button is clicked.
+ * @param {function} onBack - Called when Back to Title is clicked.
+ */
+export function setupAchievementsButtons(onShow, onBack) {
+    [['achievementsButton', onShow], ['achievementsBackButton', onBack]].forEach(([id, callback]) => {
+        const buttonElement = document.getElementById(id);
+        if (!buttonElement || !callback) {
+            logger.warn(`Achievements button #${id} or its callback is missing`);
+            return;
+        }
+        const newButton = buttonElement.cloneNode(true);
+        buttonElement.parentNode.replaceChild(newButton, buttonElement);
+        newButton.addEventListener('click', () => {
+            eventBus.emit('uiButtonClicked');
+            callback();
+        });
+    });
+}
+
+/** Shows the achievements gallery overlay. */
+export function showAchievementsScreen() {
+    if (!achievementsScreenElement || !achievementsGridElement) return;
+
+    const achievements = AchievementManager.getAchievements();
+    if (achievementsSummaryElement) {
+        achievementsSummaryElement.textContent = `${AchievementManager.getUnlockedCount()} of ${achievements.length} unlocked`;
+    }
+
+    achievementsGridElement.innerHTML = '';
+    achievements.forEach(achievement => {
+        const secret = achievement.hidden && !achievement.unlocked;
+        const card = document.createElement('li');
+        card.className = `achievement-card ${achievement.unlocked ? 'unlocked' : 'locked'}`;
+
+        const icon = document.createElement('span');
+        icon.className = 'achievement-icon';
+        icon.textContent = secret ? '?' : achievement.icon;
+        card.appendChild(icon);
+
+        const text = document.createElement('div');
+        text.className = 'achievement-text';
+        const name = document.createElement('strong');
+        name.textContent = secret ? 'Secret achievement' : achievement.name;
+        const description = document.createElement('span');
+        description.textContent = secret ? 'Keep playing to find out' : achievement.description;
+        text.append(name, description);
+
+        if (achievement.unlocked) {
+            const date = document.createElement('span');
+            date.className = 'achievement-date';
+            date.textContent = `Unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}`;
+            text.appendChild(date);
+        } else if (!secret && achievement.target > 1) {
+            const bar = document.createElement('div');
+            bar.className = 'achievement-progress';
+            const fill = document.createElement('div');
+            fill.className = 'achievement-progress-fill';
+            fill.style.width = `${(achievement.current / achievement.target) * 100}%`;
+            bar.appendChild(fill);
+            const count = document.createElement('span');
+            count.className = 'achievement-date';
+            count.textContent = `${achievement.current} / ${achievement.target}`;
+            text.append(bar, count);
+        }
+
+        card.appendChild(text);
+        achievementsGridElement.appendChild(card);
+    });
+
+    achievementsScreenElement.style.display = 'flex';
+}
+
+/**
+ * Shows a toast for a newly unlocked achievement. Toasts stack, so several unlocks at once
+ * are all seen, and each removes itself after achievements.TOAST_DURATION_MS.
+ * @param {{name: string, description: string, icon: string}} achievement - The 'achievementUnlocked' payload.
+ */
+export function showAchievementToast(achievement) {
+    showToast(achievement.icon ?? '', 'Achievement unlocked', achievement.name, getConfig('achievements.TOAST_DURATION_MS', 4000));
+}
+
+/**
+ * Shows a toast when a gamepad is plugged in or removed.
+ * @param {string} name - The gamepad's name.
+ * @param {boolean} connected - Whether it was plugged in.
+ */
+export function showGamepadToast(name, connected) {
+    showToast(
+        getConfig('ui.GAMEPAD_ICON', ''),
+        connected ? 'Controller connected' : 'Controller disconnected',
+        name,
+        getConfig('ui.GAMEPAD_TOAST_DURATION_MS', 3000),
+        'gamepad-toast'
+    );
+}
+
+/**
+ * Adds a toast to the stack in the corner, removing it after a while.
+ * @param {string} iconText - Emoji shown at the left.
+ * @param {string} titleText - Small heading.
+ * @param {string} nameText - Main line.
+ * @param {number} durationMs - How long the toast stays before fading.
+ * @param {string} [className] - Extra class for styling.
+ */
+function showToast(iconText, titleText, nameText, durationMs, className = '') {
+    if (!achievementToastsElement) return;
+
+    const toast = document.createElement('div');
+    toast.className = `achievement-toast ${className}`.trim();
+
+    const icon = document.createElement('span');
+    icon.className = 'achievement-icon';
+    icon.textContent = iconText;
+    toast.appendChild(icon);
+
+    const text = document.createElement('div');
+    text.className = 'achievement-text';
+    const title = document.createElement('span');
+    title.textContent = titleText;
+    const name = document.createElement('strong');
+    name.textContent = nameText;
+    text.append(title, name);
+    toast.appendChild(text);
+
+    achievementToastsElement.appendChild(toast);
+
+    const fadeDurationMs = getConfig('ui.NOTIFICATION_FADE_DURATION_MS', 300);
+    setTimeout(() => {
+        toast.classList.add('fading');
+        setTimeout(() => toast.remove(), fadeDurationMs);
+    }, durationMs);
+}
+
+/**
+ * Moves focus through the controls of the menu on screen, for gamepads. Up and left go back,
+ * down and right go forward, wrapping at the ends; left and right change a focused select or
+ * slider instead. With nothing focused yet, any direction focuses the first control.
+ * @param {'up'|'down'|'left'|'right'} direction
+ */
+export function navigateMenu(direction) {
+    const controls = getMenuControls();
+    if (controls.length === 0) return;
+
+    const index = controls.indexOf(document.activeElement);
+    if (index === -1) {
+        focusMenuControl(controls[0]);
+        return;
+    }
+    const horizontal = direction === 'left' || direction === 'right';
+    if (horizontal && adjustMenuControl(controls[index], direction === 'right' ? 1 : -1)) {
+        return;
+    }
+    const step = direction === 'up' || direction === 'left' ? -1 : 1;
+    focusMenuControl(controls[(index + step + controls.length) % controls.length]);
+}
+
+/**
+ * Presses the focused menu control, for gamepads. With nothing focused, focuses the first
+ * control instead, so a button held from gameplay can't press whatever comes up.
+ */
+export function activateMenuItem() {
+    const controls = getMenuControls();
+    if (controls.includes(document.activeElement)) {
+        document.activeElement.click();
+    } else if (controls.length > 0) {
+        focusMenuControl(controls[0]);
+    }
+}
+
+/**
+ * Gets the focusable controls of the topmost menu on screen, in page order.
+ * @returns {HTMLElement[]}
+ */
+function getMenuControls() {
+    const isShown = element => element.getClientRects().length > 0;
+    const menu = [...document.querySelectorAll('.ui-overlay')].filter(isShown).at(-1);
+    if (!menu) return [];
+    return [...menu.querySelectorAll('button, select, input:not([type="file"]):not([type="hidden"])')]
+        .filter(control => !control.disabled && isShown(control));
+}
+
+/** @private */
+function focusMenuControl(control) {
+    control.focus({ focusVisible: true });
+    control.scrollIntoView?.({ block: 'nearest' });
+}
+
+/**
+ * Steps a select or slider, as if changed by hand.
+ * @param {HTMLElement} control
+ * @param {number} step - 1 or -1.
+ * @returns {boolean} Whether the control is one that steps.
+ */
+function adjustMenuControl(control, step) {
+    if (control.tagName === 'SELECT') {
+        const index = Math.max(0, Math.min(control.options.length - 1, control.selectedIndex + step));
+        if (index !== control.selectedIndex) {
+            control.selectedIndex = index;
+            control.dispatchEvent(new Event('change'));
+        }
+        return true;
+    }
+    if (control.type === 'range') {
+        if (step > 0) {
+            control.stepUp();
+        } else {
+            control.stepDown();
+        }
+        control.dispatchEvent(new Event('input'));
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Builds the settings form from settings.FIELDS and sets up the settings buttons on the title
+ * screen, the pause menu, the settings screen itself and the controls screen it opens. The
+ * settings screen is an overlay rather than a game state, so it can open over the paused
+ * game and return to it.
+ */
+export function setupSettingsScreen() {
+    if (!settingsScreenElement || !settingsFormElement) {
+        logger.warn('Settings screen elements are missing');
+        return;
+    }
+
+    settingsFormElement.innerHTML = '';
+    settingsFormElement.addEventListener('submit', event => event.preventDefault());
+    settingsConfig.FIELDS.forEach(field => {
+        const id = `setting_${field.key}`;
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = field.label;
+        settingsFormElement.appendChild(label);
+
+        let control;
+        if (field.type === 'select') {
+            control = document.createElement('select');
+            field.options.forEach(option => {
+                const optionElement = document.createElement('option');
+                // JSON keeps null, booleans and numbers apart in the option values
+                optionElement.value = JSON.stringify(option.value);
+                optionElement.textContent = option.label;
+                control.appendChild(optionElement);
+            });
+            control.addEventListener('change', () => SettingsManager.setSetting(field.key, JSON.parse(control.value)));
+            settingsFormElement.appendChild(control);
+        } else if (field.type === 'range') {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'settings-range';
+            control = document.createElement('input');
+            control.type = 'range';
+            control.min = field.min;
+            control.max = field.max;
+            control.step = field.step;
+            const output = document.createElement('output');
+            output.htmlFor = id;
+            control.addEventListener('input', () => SettingsManager.setSetting(field.key, Number(control.value)));
+            wrapper.append(control, output);
+            settingsFormElement.appendChild(wrapper);
+        } else if (field.type === 'checkbox') {
+            control = document.createElement('input');
+            control.type = 'checkbox';
+            control.addEventListener('change', () => SettingsManager.setSetting(field.key, control.checked));
+            settingsFormElement.appendChild(control);
+        } else {
+            logger.warn(`Unknown settings field type "${field.type}" for ${field.key}`);
+            label.remove();
+            return;
+        }
+        control.id = id;
+        control.name = field.key;
+    });
+
+    const buttons = [
+        ['settingsButton', () => showSettingsScreen()],
+        ['pauseSettingsButton', () => showSettingsScreen()],
+        ['settingsResetButton', () => SettingsManager.resetSettings()],
+        ['settingsBackButton', () => hideSettingsScreen()],
+        ['settingsControlsButton', () => showControlsScreen()],
+        ['controlsResetButton', () => {
+            cancelCapture();
+            resetBindings();
+            setControlsMessage('Controls reset to defaults');
+        }],
+        ['controlsBackButton', () => hideControlsScreen()]
+    ];
+    buttons.forEach(([id, callback]) => {
+        const buttonElement = document.getElementById(id);
+        if (!buttonElement) {
+            logger.warn(`Settings button #${id} is missing`);
+            return;
+        }
+        const newButton = buttonElement.cloneNode(true);
+        buttonElement.parentNode.replaceChild(newButton, buttonElement);
+        newButton.addEventListener('click', () => {
+            eventBus.emit('uiButtonClicked');
+            callback();
+        });
+    });
+}
+
+/** Shows the settings screen over whichever of the title screen and pause menu is open. */
+export function showSettingsScreen() {
+    if (!settingsScreenElement) return;
+    settingsReturnElement = [titleScreenElement, pauseMenuElement]
+        .find(element => element && element.style.display !== 'none') ?? null;
+    if (settingsReturnElement) settingsReturnElement.style.display = 'none';
+    updateSettingsForm();
+    settingsScreenElement.style.display = 'flex';
+}
+
+/**
+ * Closes the settings screen, going back to the menu it was opened from. From the controls
+ * screen, goes back to the settings screen.
+ */
+export function hideSettingsScreen() {
+    if (!settingsScreenElement) return;
+    if (isControlsScreenOpen()) {
+        hideControlsScreen();
+        return;
+    }
+    settingsScreenElement.style.display = 'none';
+    if (settingsReturnElement) settingsReturnElement.style.display = 'flex';
+    settingsReturnElement = null;
+}
+
+/**
+ * Whether the settings screen, or the controls screen opened from it, is open.
+ * @returns {boolean}
+ */
+export function isSettingsScreenOpen() {
+    return (!!settingsScreenElement && settingsScreenElement.style.display !== 'none') || isControlsScreenOpen();
+}
+
+/** Shows the controls screen in place of the settings screen. */
+function showControlsScreen() {
+    if (!controlsScreenElement) return;
+    settingsScreenElement.style.display = 'none';
+    setControlsMessage('');
+    renderControlsTable();
+    controlsScreenElement.style.display = 'flex';
+}
+
+/** Closes the controls screen, going back to the settings screen. */
+function hideControlsScreen() {
+    if (!controlsScreenElement) return;
+    cancelCapture();
+    controlsScreenElement.style.display = 'none';
+    settingsScreenElement.style.display = 'flex';
+}
+
+/** @private */
+function isControlsScreenOpen() {
+    return !!controlsScreenElement && controlsScreenElement.style.display !== 'none';
+}
+
+/**
+ * Lists every action from controls.ACTIONS with a button for each of its keyboard and
+ * gamepad binding slots. Pressing one waits for the input to bind to it.
+ * @param {{device: string, action: string, slot: number}} [focus] - A slot button to focus
+ *   afterwards, so a gamepad user stays where they were.
+ * @private
+ */
+function renderControlsTable(focus = null) {
+    if (!controlsTableElement) return;
+    const devices = Object.values(InputDevices);
+    const bindings = Object.fromEntries(devices.map(device => [device, getBindings(device)]));
+
+    controlsTableElement.innerHTML = '';
+    const header = controlsTableElement.insertRow();
+    header.appendChild(document.createElement('th')).textContent = 'Action';
+    devices.forEach(device => {
+        const heading = header.appendChild(document.createElement('th'));
+        heading.textContent = device === InputDevices.KEYBOARD ? 'Keyboard' : 'Gamepad';
+        heading.colSpan = controlsConfig.BINDING_SLOTS[device];
+    });
+
+    controlsConfig.ACTIONS.forEach(({ id: action, label }) => {
+        const row = controlsTableElement.insertRow();
+        row.insertCell().textContent = label;
+        devices.forEach(device => {
+            for (let slot = 0; slot < controlsConfig.BINDING_SLOTS[device]; slot++) {
+                const input = bindings[device][action]?.[slot];
+                const button = document.createElement('button');
+                button.className = 'binding-button';
+                button.dataset.device = device;
+                button.dataset.action = action;
+                button.dataset.slot = slot;
+                button.textContent = input === undefined ? '—' : getInputLabel(device, input);
+                button.addEventListener('click', () => {
+                    eventBus.emit('uiButtonClicked');
+                    startBindingCapture(device, action, slot);
+                });
+                row.insertCell().appendChild(button);
+            }
+        });
+    });
+
+    if (focus) {
+        getBindingButton(focus.device, focus.action, focus.slot)?.focus({ focusVisible: true });
+    }
+}
+
+/**
+ * Waits for a key or gamepad button for a binding slot, then binds it and says what happened.
+ * @private
+ */
+function startBindingCapture(device, action, slot) {
+    const focus = { device, action, slot };
+    const inputName = device === InputDevices.KEYBOARD ? 'key' : 'gamepad button';
+    const actionLabel = getActionLabel(action);
+
+    renderControlsTable(focus);
+    const button = getBindingButton(device, action, slot);
+    if (button) {
+        button.textContent = '...';
+        button.classList.add('listening');
+    }
+    const cancelInputs = device === InputDevices.KEYBOARD
+        ? 'Esc'
+        : `Esc or ${getInputLabel(InputDevices.GAMEPAD, controlsConfig.GAMEPAD.BUTTONS.BACK)}`;
+    setControlsMessage(`Press a ${inputName} for ${actionLabel} - ${cancelInputs} cancels, Backspace clears`);
+
+    captureInput(device, input => {
+        const { ok, takenFrom, blockedBy } = setBinding(device, action, slot, input);
+        if (!ok && blockedBy) {
+            setControlsMessage(`${getActionLabel(blockedBy)} needs at least one ${inputName}`, true);
+        } else if (takenFrom) {
+            const left = getBindings(device)[takenFrom].length === 0 ? `, which now has no ${inputName}` : '';
+            setControlsMessage(`${getInputLabel(device, input)} moved from ${getActionLabel(takenFrom)} to ${actionLabel}${left}`, true);
+        } else {
+            setControlsMessage('');
+        }
+        renderControlsTable(focus);
+    }, () => {
+        setControlsMessage('');
+        renderControlsTable(focus);
+    });
+}
+
+/** @private */
+function getBindingButton(device, action, slot) {
+    return controlsTableElement?.querySelector(`.binding-button[data-device="${device}"][data-action="${action}"][data-slot="${slot}"]`) ?? null;
+}
+
+/**
+ * Shows a line under the controls table, e.g. a binding that moved between actions.
+ * @param {string} message
+ * @param {boolean} [warning=false] - Whether to highlight it.
+ * @private
+ */
+function setControlsMessage(message, warning = false) {
+    if (!controlsMessageElement) return;
+    controlsMessageElement.textContent = message;
+    controlsMessageElement.classList.toggle('warning', warning);
+}
+
+/** Shows the current settings in the settings form. */
+function updateSettingsForm() {
+    if (!settingsFormElement) return;
+    const settings = SettingsManager.getSettings();
+    settingsConfig.FIELDS.forEach(field => {
+        const control = document.getElementById(`setting_${field.key}`);
+        if (!control) return;
+        const value = settings[field.key];
+        if (field.type === 'select') {
+            control.value = JSON.stringify(value);
+        } else if (field.type === 'range') {
+            control.value = value;
+            const output = control.parentNode.querySelector('output');
+            if (output) output.textContent = field.percent ? `${Math.round(value * 100)}%` : String(value);
+        } else if (field.type === 'checkbox') {
+            control.checked = !!value;
+        }
+    });
+}
+
+/**
+ * Names the camera mode the player just switched to.
+ * @param {string} mode - A CameraModes value.
+ */
+function showCameraModeNotification(mode) {
+    const field = settingsConfig.FIELDS.find(({ key }) => key === 'CAMERA_MODE');
+    const label = field?.options.find(option => option.value === mode)?.label ?? mode;
+    showNotification(`Camera: ${label}`);
+}
+
+/**
+ * Says the free camera is on and which keys fly it, as they are bound, or that it's off.
+ * @param {boolean} enabled
+ */
+function showFreeCameraNotification(enabled) {
+    if (!enabled) {
+        showNotification('Free camera off');
+        return;
+    }
+    const bindings = getBindings(InputDevices.KEYBOARD);
+    const keys = (...actions) => actions
+        .map(action => (bindings[action].length > 0 ? getInputLabel(InputDevices.KEYBOARD, bindings[action][0]) : '—'))
+        .join('/');
+    showNotification(`Free camera: ${keys(InputActions.FREE_FLY_FORWARD, InputActions.FREE_FLY_BACK)} fly, ` +
+        `${keys(InputActions.FREE_FLY_TURN_LEFT, InputActions.FREE_FLY_TURN_RIGHT)} turn, ` +
+        `${keys(InputActions.FREE_FLY_LOOK_UP, InputActions.FREE_FLY_LOOK_DOWN)} look, ` +
+        `${keys(InputActions.FREE_FLY_UP, InputActions.FREE_FLY_DOWN)} up/down, ` +
+        `hold ${keys(InputActions.FREE_FLY_FAST)} to go faster`, '', 6000);
+}
+
+/**
+ * Shows a notification about the leaderboard, e.g. the result of an import.
+ * @param {string} message - The message to show.
+ */
+export function showLeaderboardNotification(message) {
+    showNotification(message, 'leaderboard-notification');
+}
+
 /** Shows the pause menu overlay. */
 export function showPauseMenu() {
     logger.info("Showing pause menu");
@@ -781,6 +1914,71 @@ export function setupGameOverButtons(onRestart, onReturnToTitle) {
     logger.info("Game over buttons setup complete");
 }
 
+/**
+ * Sets up the replay controls: watch/save on the game over screen and load on the title screen.
+ * @param {function} onWatch - Called when Watch Replay is clicked.
+ * @param {function} onSave - Called when Save Replay is clicked.
+ * @param {function(string): void} onLoad - Called with the contents of the chosen replay file.
+ */
+export function setupReplayButtons(onWatch, onSave, onLoad) {
+    const setupButton = (id, callback) => {
+        const buttonElement = document.getElementById(id);
+        if (!buttonElement || !callback) {
+            logger.warn(`Replay button #${id} or its callback is missing`);
+            return;
+        }
+        const newButton = buttonElement.cloneNode(true);
+        buttonElement.parentNode.replaceChild(newButton, buttonElement);
+        newButton.addEventListener('click', () => {
+            eventBus.emit('uiButtonClicked');
+            callback();
+        });
+    };
+
+    setupButton('gameOverWatchReplayButton', onWatch);
+    setupButton('gameOverSaveReplayButton', onSave);
+
+    const fileInput = document.getElementById('replayFileInput');
+    setupButton('loadReplayButton', () => fileInput?.click());
+    if (fileInput && onLoad) {
+        fileInput.onchange = async () => {
+            const file = fileInput.files?.[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                onLoad(await file.text());
+            } catch (error) {
+                displayError(new Error(`Could not read replay file: ${error.message}`));
+            }
+        };
+    }
+}
+
+/**
+ * Offers a text file to the user as a download.
+ * @param {string} filename - Suggested file name.
+ * @param {string} text - File contents.
+ */
+export function downloadTextFile(filename, text) {
+    const blob = new Blob([text], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Shows a notification about replay recording or playback.
+ * @param {string} message - The message to show.
+ */
+export function showReplayNotification(message) {
+    showNotification(message, 'replay-notification');
+}
+
 /**
  * Shows a notification for a new high score. This is now only called at game over.
  * @param {Object|number} data - Either the high score value or an object with score property
@@ -888,6 +2086,50 @@ export function displayError(error) {
      errorDiv.style.display = 'block';
 }
 
+/**
+ * Builds the requirement list (text plus progress bar per requirement) shown on a locked level.
+ * @param {{mode: string, requirements: Array<{text: string, current: number, target: number, met: boolean}>}} unlockStatus - From ProgressManager.getUnlockStatus().
+ * @returns {HTMLElement} The requirements element.
+ */
+function createUnlockRequirementsElement(unlockStatus) {
+    const container = document.createElement('div');
+    container.className = 'unlock-requirements';
+
+    if (unlockStatus.mode === 'any' && unlockStatus.requirements.length > 1) {
+        const header = document.createElement('p');
+        header.textContent = getConfig('ui.UNLOCK_ANY_TEXT', 'Any one of:');
+        container.appendChild(header);
+    }
+
+    unlockStatus.requirements.forEach(requirement => {
+        const row = document.createElement('div');
+        row.className = requirement.met ? 'unlock-requirement met' : 'unlock-requirement';
+
+        const label = document.createElement('span');
+        label.className = 'unlock-requirement-text';
+        label.textContent = requirement.text;
+
+        const value = document.createElement('span');
+        value.className = 'unlock-requirement-value';
+        value.textContent = `${Math.min(requirement.current, requirement.target)} / ${requirement.target}`;
+
+        const bar = document.createElement('div');
+        bar.className = 'unlock-progress';
+        const fill = document.createElement('div');
+        fill.className = 'unlock-progress-fill';
+        const fraction = requirement.target > 0 ? Math.min(1, requirement.current / requirement.target) : 1;
+        fill.style.width = `${(fraction * 100).toFixed(1)}%`;
+        bar.appendChild(fill);
+
+        row.appendChild(label);
+        row.appendChild(value);
+        row.appendChild(bar);
+        container.appendChild(row);
+    });
+
+    return container;
+}
+
 /**
  * Updates the level selection screen with unlocked levels
  */
@@ -909,7 +2151,7 @@ export function updateUnlockedLevels() {
         fallbackButton.innerHTML = '<h3>Forest</h3><p>Run through the lush forest landscape</p>';
         fallbackButton.addEventListener('click', () => {
             eventBus.emit('uiButtonClicked');
-            eventBus.emit('requestLevelTransition', 'level1');
+            eventBus.emit('requestLevelTransition', LevelManager.getDefaultLevelId());
         });
         levelListElement.appendChild(fallbackButton);
         return;
@@ -921,7 +2163,8 @@ export function updateUnlockedLevels() {
         levelButton.className = 'level-button';
 
         // Check if level is unlocked
-        const isUnlocked = data.id === 'level1' || ScoreManager.isLevelUnlocked(data.id);
+        const unlockStatus = ProgressManager.getUnlockStatus(data.id);
+        const isUnlocked = unlockStatus.unlocked;
 
         if (!isUnlocked) {
             levelButton.classList.add('locked');
@@ -935,6 +2178,9 @@ export function updateUnlockedLevels() {
 
         levelButton.appendChild(levelName);
         levelButton.appendChild(levelDesc);
+        if (!isUnlocked) {
+            levelButton.appendChild(createUnlockRequirementsElement(unlockStatus));
+        }
 
         if (isUnlocked) {
             levelButton.addEventListener('click', () => {
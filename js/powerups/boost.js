@@ -0,0 +1,55 @@
+// js/powerups/boost.js
+import * as THREE from 'three';
+import { gameplayConfig } from '../config/gameplay.js';
+import * as ModelFactory from '../rendering/modelFactory.js';
+import { pushPlayerMaterial, removePlayerMaterial, attachPlayerIndicator, detachPlayerIndicator } from './playerEffects.js';
+
+/**
+ * Boost: multiplies the player's forward speed and smashes obstacles out of the way.
+ * Enemies still cost a life.
+ */
+export const boostPowerup = {
+    type: gameplayConfig.POWERUP_TYPE_BOOST,
+    name: 'Boost',
+    icon: '\u26A1',
+    hudColor: '#ff8c00',
+    duration: gameplayConfig.BOOST_DURATION,
+    soundRate: gameplayConfig.BOOST_SOUND_RATE,
+    speedMultiplier: gameplayConfig.BOOST_SPEED_MULTIPLIER,
+    smashesObstacles: true,
+
+    createModel(objectData) {
+        return ModelFactory.createBoostModel(objectData);
+    },
+
+    applyVisual(player) {
+        pushPlayerMaterial(player, this.type, new THREE.MeshStandardMaterial({
+            color: gameplayConfig.BOOST_EFFECT_COLOR,
+            emissive: gameplayConfig.BOOST_EFFECT_EMISSIVE,
+            metalness: 0.4,
+            roughness: 0.3
+        }));
+
+        // Speed streaks trailing behind the player (the model faces -Z)
+        const trail = new THREE.Group();
+        const streakMaterial = new THREE.MeshBasicMaterial({
+            color: gameplayConfig.BOOST_TRAIL_COLOR,
+            transparent: true,
+            opacity: gameplayConfig.BOOST_TRAIL_OPACITY,
+            depthWrite: false
+        });
+        [[-0.8, 1.5], [0.8, 1.5], [0, 3.0]].forEach(([x, y]) => {
+            const streakGeometry = new THREE.ConeGeometry(0.25, 4.0, 6);
+            streakGeometry.rotateX(Math.PI / 2); // Point backwards, wide end at the player
+            const streak = new THREE.Mesh(streakGeometry, streakMaterial);
+            streak.position.set(x, y, 2.5);
+            trail.add(streak);
+        });
+        attachPlayerIndicator(player, this.type, trail);
+    },
+
+    removeVisual(player) {
+        removePlayerMaterial(player, this.type);
+        detachPlayerIndicator(player, this.type);
+    }
+};
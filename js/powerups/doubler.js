@@ -0,0 +1,73 @@
+// js/powerups/doubler.js
+import * as THREE from 'three';
+import { gameplayConfig } from '../config/gameplay.js';
+import * as ModelFactory from '../rendering/modelFactory.js';
+import { pushPlayerMaterial, removePlayerMaterial, attachPlayerIndicator, detachPlayerIndicator } from './playerEffects.js';
+
+/**
+ * Doubler: multiplies the value of every coin collected while it lasts.
+ */
+export const doublerPowerup = {
+    type: gameplayConfig.POWERUP_TYPE_DOUBLER,
+    name: 'Doubler',
+    icon: '×2',
+    hudColor: '#0088ff',
+    duration: gameplayConfig.POWERUP_DURATION,
+    coinEmissive: gameplayConfig.DOUBLER_EFFECT_EMISSIVE, // Coins glow while it is active
+
+    createModel(objectData) {
+        return ModelFactory.createDoublerModel(objectData);
+    },
+
+    onCollectCoin(value) {
+        return value * gameplayConfig.DOUBLER_MULTIPLIER;
+    },
+
+    applyVisual(player) {
+        pushPlayerMaterial(player, this.type, new THREE.MeshStandardMaterial({
+            color: gameplayConfig.DOUBLER_EFFECT_COLOR,
+            emissive: gameplayConfig.DOUBLER_EFFECT_EMISSIVE,
+            metalness: gameplayConfig.DOUBLER_EFFECT_METALNESS,
+            roughness: gameplayConfig.DOUBLER_EFFECT_ROUGHNESS
+        }));
+
+        // A floating X above the player's head
+        const indicator = new THREE.Group();
+        const indicatorSize = 0.3;
+        const indicatorHeight = 2.0; // Height above player
+
+        const xMaterial = new THREE.MeshStandardMaterial({
+            color: gameplayConfig.DOUBLER_EFFECT_COLOR,
+            emissive: gameplayConfig.DOUBLER_EFFECT_EMISSIVE,
+            metalness: 0.8,
+            roughness: 0.1
+        });
+
+        // Background disc for the X
+        const bgGeometry = new THREE.CylinderGeometry(indicatorSize * 1.2, indicatorSize * 1.2, 0.05, 16);
+        bgGeometry.rotateX(Math.PI / 2);
+        const bgMaterial = new THREE.MeshStandardMaterial({
+            color: 0x000033, // Dark blue background
+            transparent: true,
+            opacity: 0.6
+        });
+        indicator.add(new THREE.Mesh(bgGeometry, bgMaterial));
+
+        // The two diagonals of the X, slightly in front of the background
+        [Math.PI / 4, -Math.PI / 4].forEach(angle => {
+            const diagGeometry = new THREE.BoxGeometry(indicatorSize * 0.15, indicatorSize * 1.4, 0.05);
+            const diag = new THREE.Mesh(diagGeometry, xMaterial);
+            diag.rotation.z = angle;
+            diag.position.z = 0.03;
+            indicator.add(diag);
+        });
+
+        indicator.position.set(0, indicatorHeight, 0);
+        attachPlayerIndicator(player, this.type, indicator);
+    },
+
+    removeVisual(player) {
+        removePlayerMaterial(player, this.type);
+        detachPlayerIndicator(player, this.type);
+    }
+};
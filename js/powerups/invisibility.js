@@ -0,0 +1,39 @@
+// js/powerups/invisibility.js
+import * as THREE from 'three';
+import { gameplayConfig } from '../config/gameplay.js';
+import * as ModelFactory from '../rendering/modelFactory.js';
+import { pushPlayerMaterial, removePlayerMaterial } from './playerEffects.js';
+
+/**
+ * Invisibility: enemies lose track of the player and won't start chasing.
+ */
+export const invisibilityPowerup = {
+    type: gameplayConfig.POWERUP_TYPE_INVISIBILITY,
+    name: 'Invisibility',
+    icon: '\u{1F47B}',
+    hudColor: '#9b4dff',
+    duration: gameplayConfig.invisibilityConfig.durationMs / 1000,
+
+    createModel(objectData) {
+        return ModelFactory.createInvisibilityModel(objectData);
+    },
+
+    onEnemyCheck() {
+        return false;
+    },
+
+    applyVisual(player) {
+        pushPlayerMaterial(player, this.type, new THREE.MeshStandardMaterial({
+            color: gameplayConfig.INVISIBILITY_EFFECT_COLOR,
+            emissive: gameplayConfig.INVISIBILITY_EFFECT_EMISSIVE,
+            metalness: gameplayConfig.INVISIBILITY_EFFECT_METALNESS,
+            roughness: gameplayConfig.INVISIBILITY_EFFECT_ROUGHNESS,
+            transparent: true,
+            opacity: gameplayConfig.INVISIBILITY_EFFECT_OPACITY
+        }));
+    },
+
+    removeVisual(player) {
+        removePlayerMaterial(player, this.type);
+    }
+};
@@ -0,0 +1,37 @@
+// js/powerups/magnet.js
+import * as THREE from 'three';
+import { gameplayConfig } from '../config/gameplay.js';
+import * as ModelFactory from '../rendering/modelFactory.js';
+import { pushPlayerMaterial, removePlayerMaterial } from './playerEffects.js';
+
+/**
+ * Magnet: pulls nearby coins towards the player and widens the coin pickup radius.
+ */
+export const magnetPowerup = {
+    type: gameplayConfig.POWERUP_TYPE_MAGNET,
+    name: 'Magnet',
+    icon: '\u{1F9F2}',
+    hudColor: '#ff3b3b',
+    duration: gameplayConfig.POWERUP_DURATION,
+    coinAttraction: {
+        radius: gameplayConfig.MAGNET_POWERUP_RADIUS,
+        force: gameplayConfig.MAGNET_POWERUP_FORCE
+    },
+
+    createModel(objectData) {
+        return ModelFactory.createMagnetModel(objectData);
+    },
+
+    applyVisual(player) {
+        pushPlayerMaterial(player, this.type, new THREE.MeshStandardMaterial({
+            color: gameplayConfig.MAGNET_EFFECT_COLOR,
+            emissive: gameplayConfig.MAGNET_EFFECT_EMISSIVE,
+            metalness: gameplayConfig.MAGNET_EFFECT_METALNESS,
+            roughness: gameplayConfig.MAGNET_EFFECT_ROUGHNESS
+        }));
+    },
+
+    removeVisual(player) {
+        removePlayerMaterial(player, this.type);
+    }
+};
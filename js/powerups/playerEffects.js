@@ -0,0 +1,119 @@
+// js/powerups/playerEffects.js
+import * as THREE from 'three';
+
+/**
+ * Helpers for power-up visuals on the player model.
+ *
+ * Several power-ups can be active at once, so material overrides are kept in activation
+ * order and the most recent one is shown. Removing it reveals the one below it, and removing
+ * the last one restores the player's own materials. Indicators (meshes attached to the
+ * player, like the doubler's X) are flagged so overrides never recolor them.
+ */
+
+/**
+ * Shows a material on every mesh of the player model until it is removed again.
+ * @param {object} player - The player object.
+ * @param {string} key - Identifies the override (usually the power-up type).
+ * @param {THREE.Material} material - The material to show. It is disposed when removed.
+ */
+export function pushPlayerMaterial(player, key, material) {
+    const overrides = getOverrides(player);
+    removePlayerMaterial(player, key);
+    overrides.push({ key, material });
+    applyTopMaterial(player);
+}
+
+/**
+ * Removes and disposes a material override added by pushPlayerMaterial().
+ * @param {object} player - The player object.
+ * @param {string} key - The key the override was added with.
+ */
+export function removePlayerMaterial(player, key) {
+    const overrides = getOverrides(player);
+    const index = overrides.findIndex(override => override.key === key);
+    if (index === -1) return;
+
+    overrides[index].material.dispose();
+    overrides.splice(index, 1);
+    applyTopMaterial(player);
+}
+
+/**
+ * Attaches an indicator object to the player model. Its meshes keep their own materials.
+ * @param {object} player - The player object.
+ * @param {string} key - Identifies the indicator (usually the power-up type).
+ * @param {THREE.Object3D} indicator - The object to attach, positioned relative to the player.
+ */
+export function attachPlayerIndicator(player, key, indicator) {
+    detachPlayerIndicator(player, key);
+    indicator.traverse(child => {
+        child.userData.keepsOwnMaterial = true;
+    });
+    player.model.add(indicator);
+    getIndicators(player)[key] = indicator;
+}
+
+/**
+ * Removes an indicator added by attachPlayerIndicator() and disposes its geometries and materials.
+ * @param {object} player - The player object.
+ * @param {string} key - The key the indicator was attached with.
+ */
+export function detachPlayerIndicator(player, key) {
+    const indicators = getIndicators(player);
+    const indicator = indicators[key];
+    if (!indicator) return;
+
+    player.model.remove(indicator);
+    indicator.traverse(child => {
+        if (child instanceof THREE.Mesh) {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (Array.isArray(child.material)) {
+                    child.material.forEach(m => m.dispose());
+                } else {
+                    child.material.dispose();
+                }
+            }
+        }
+    });
+    delete indicators[key];
+}
+
+/**
+ * Gets an indicator added by attachPlayerIndicator(), e.g. to animate it.
+ * @param {object} player - The player object.
+ * @param {string} key - The key the indicator was attached with.
+ * @returns {THREE.Object3D|null}
+ */
+export function getPlayerIndicator(player, key) {
+    return getIndicators(player)[key] ?? null;
+}
+
+function getOverrides(player) {
+    if (!player.model.userData.materialOverrides) player.model.userData.materialOverrides = [];
+    return player.model.userData.materialOverrides;
+}
+
+function getIndicators(player) {
+    if (!player.model.userData.indicators) player.model.userData.indicators = {};
+    return player.model.userData.indicators;
+}
+
+function applyTopMaterial(player) {
+    const overrides = getOverrides(player);
+    const material = overrides.length > 0 ? overrides[overrides.length - 1].material : null;
+
+    player.model.traverse(child => {
+        if (!(child instanceof THREE.Mesh) || child.userData.keepsOwnMaterial) return;
+        if (material) {
+            // Store the original material the first time any override covers this mesh
+            if (!child.userData.originalMaterial) {
+                child.userData.originalMaterial = child.material;
+            }
+            child.material = material;
+        } else if (child.userData.originalMaterial) {
+            child.material = child.userData.originalMaterial;
+            delete child.userData.originalMaterial;
+        }
+    });
+}
@@ -0,0 +1,76 @@
+// js/powerups/powerupRegistry.js
+import { createLogger } from '../utils/logger.js';
+import { magnetPowerup } from './magnet.js';
+import { doublerPowerup } from './doubler.js';
+import { invisibilityPowerup } from './invisibility.js';
+import { shieldPowerup } from './shield.js';
+import { boostPowerup } from './boost.js';
+import { slowmoPowerup } from './slowmo.js';
+
+const logger = createLogger('PowerupRegistry');
+
+/**
+ * Power-up definitions, keyed by type. The type is also the object type the pickup spawns
+ * as in a level's OBJECT_TYPES. PlayerManager runs the timers and hooks of active power-ups;
+ * collision, coin and enemy code only ask it questions, so adding a power-up means writing
+ * a definition module and registering it here.
+ *
+ * Definition fields (all optional except type):
+ * - type:                     Unique power-up type.
+ * - name, icon, hudColor:     Shown in the HUD while the power-up is active.
+ * - duration:                 Seconds it lasts; null for power-ups that last until used up.
+ *                             Picking up an active power-up restarts its timer.
+ * - sound:                    Key into effectAudioMap played on pickup (default 'powerup'); mixed per audio.EFFECTS.
+ * - soundRate:                Playback rate of the pickup sound, to tell power-ups apart by pitch.
+ * - collisionRadius:          Pickup radius (default: the model config's COLLISION_RADIUS).
+ * - coinAttraction:           { radius, force } pulls coins towards the player.
+ * - coinEmissive:             Emissive color coins glow with while active.
+ * - speedMultiplier:          Multiplies the player's forward speed.
+ * - timeScale:                Scales the gameplay clock (steering keeps running in real time).
+ * - smashesObstacles:         Obstacles the player runs into are knocked aside without a hit.
+ * - createModel(objectData):  Builds the pickup mesh.
+ * - applyVisual(player), removeVisual(player):
+ *                             Add/remove the effect on the player model (see playerEffects.js).
+ * - onActivate(context), onExpire(context):
+ *                             Called when the power-up starts, and when it ends for any reason.
+ * - onTick(deltaTime, context):           Called every gameplay frame while active.
+ * - onCollectCoin(value, context):        Returns the coin's (possibly modified) value.
+ * - onEnemyCheck(enemy, context):         Return false to keep the enemy from targeting the player.
+ * - onHit(cause, context):                Return true to absorb a hit that would cost a life.
+ * Hooks receive a context of { player, playerManager } and are called with the definition as `this`.
+ */
+const definitions = new Map();
+
+/**
+ * Registers a power-up definition, replacing any existing one of the same type.
+ * @param {object} definition - The power-up definition (see above).
+ */
+export function registerPowerup(definition) {
+    if (!definition?.type) {
+        logger.error('Cannot register a power-up without a type', definition);
+        return;
+    }
+    if (definitions.has(definition.type)) {
+        logger.warn(`Replacing power-up definition "${definition.type}"`);
+    }
+    definitions.set(definition.type, definition);
+}
+
+/**
+ * Gets the definition of a power-up type.
+ * @param {string} type - The power-up type.
+ * @returns {object|null} The definition, or null if the type is not a power-up.
+ */
+export function getPowerupDefinition(type) {
+    return definitions.get(type) ?? null;
+}
+
+/**
+ * Gets every registered power-up definition.
+ * @returns {object[]}
+ */
+export function getPowerupDefinitions() {
+    return [...definitions.values()];
+}
+
+[magnetPowerup, doublerPowerup, invisibilityPowerup, shieldPowerup, boostPowerup, slowmoPowerup].forEach(registerPowerup);
@@ -0,0 +1,44 @@
+// js/powerups/shield.js
+import * as THREE from 'three';
+import { gameplayConfig } from '../config/gameplay.js';
+import * as ModelFactory from '../rendering/modelFactory.js';
+import { attachPlayerIndicator, detachPlayerIndicator } from './playerEffects.js';
+
+/**
+ * Shield: absorbs the next hit instead of it costing a life. It has no timer.
+ */
+export const shieldPowerup = {
+    type: gameplayConfig.POWERUP_TYPE_SHIELD,
+    name: 'Shield',
+    icon: '\u{1F6E1}',
+    hudColor: '#33ccff',
+    duration: null,
+
+    createModel(objectData) {
+        return ModelFactory.createShieldModel(objectData);
+    },
+
+    onHit(cause, { playerManager }) {
+        playerManager.deactivatePowerup(this.type);
+        return true;
+    },
+
+    applyVisual(player) {
+        // A translucent bubble around the player
+        const bubble = new THREE.Mesh(
+            new THREE.SphereGeometry(gameplayConfig.SHIELD_EFFECT_RADIUS, 24, 16),
+            new THREE.MeshStandardMaterial({
+                color: gameplayConfig.SHIELD_EFFECT_COLOR,
+                emissive: gameplayConfig.SHIELD_EFFECT_EMISSIVE,
+                transparent: true,
+                opacity: gameplayConfig.SHIELD_EFFECT_OPACITY,
+                depthWrite: false
+            })
+        );
+        attachPlayerIndicator(player, this.type, bubble);
+    },
+
+    removeVisual(player) {
+        detachPlayerIndicator(player, this.type);
+    }
+};
@@ -0,0 +1,60 @@
+// js/powerups/slowmo.js
+import * as THREE from 'three';
+import { gameplayConfig } from '../config/gameplay.js';
+import * as ModelFactory from '../rendering/modelFactory.js';
+import { attachPlayerIndicator, detachPlayerIndicator, getPlayerIndicator } from './playerEffects.js';
+
+/**
+ * Slow-mo: slows down the gameplay clock. Steering is driven by real time, so the player
+ * turns at full speed while everything else, including this timer, runs slower.
+ */
+export const slowmoPowerup = {
+    type: gameplayConfig.POWERUP_TYPE_SLOWMO,
+    name: 'Slow-mo',
+    icon: '\u23F3',
+    hudColor: '#66ffcc',
+    duration: gameplayConfig.SLOWMO_DURATION,
+    soundRate: gameplayConfig.SLOWMO_SOUND_RATE,
+    timeScale: gameplayConfig.SLOWMO_TIME_SCALE,
+
+    createModel(objectData) {
+        return ModelFactory.createSlowmoModel(objectData);
+    },
+
+    onTick(deltaTime, { player }) {
+        const ring = getPlayerIndicator(player, this.type);
+        if (ring) ring.rotation.y += gameplayConfig.SLOWMO_RING_SPIN * deltaTime;
+    },
+
+    applyVisual(player) {
+        // A clock face ring around the player, with tick marks, that slowly turns
+        const ring = new THREE.Group();
+        const material = new THREE.MeshStandardMaterial({
+            color: gameplayConfig.SLOWMO_EFFECT_COLOR,
+            emissive: gameplayConfig.SLOWMO_EFFECT_EMISSIVE,
+            transparent: true,
+            opacity: gameplayConfig.SLOWMO_EFFECT_OPACITY,
+            depthWrite: false
+        });
+        const radius = gameplayConfig.SLOWMO_RING_RADIUS;
+
+        const bandGeometry = new THREE.TorusGeometry(radius, 0.06, 6, 48);
+        bandGeometry.rotateX(Math.PI / 2);
+        ring.add(new THREE.Mesh(bandGeometry, material));
+
+        const tickGeometry = new THREE.BoxGeometry(0.1, 0.5, 0.1);
+        for (let i = 0; i < 12; i++) {
+            const angle = (i / 12) * Math.PI * 2;
+            const tick = new THREE.Mesh(tickGeometry, material);
+            tick.position.set(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
+            ring.add(tick);
+        }
+
+        ring.position.y = gameplayConfig.SLOWMO_RING_HEIGHT;
+        attachPlayerIndicator(player, this.type, ring);
+    },
+
+    removeVisual(player) {
+        detachPlayerIndicator(player, this.type);
+    }
+};
@@ -491,6 +491,141 @@ export function createScorpionModel(properties) {
     return group;
 }
 
+/**
+ * Creates a procedural Wolf model.
+ * @param {object} [properties] - Optional properties (e.g., color).
+ * @returns {THREE.Group} The wolf model group.
+ */
+export function createWolfModel(properties) {
+    const group = new THREE.Group();
+    const config = C_MODELS.WOLF;
+    const color = properties?.color || config.DEFAULT_COLOR;
+    const torsoWidth = config.TORSO_WIDTH, torsoHeight = config.TORSO_HEIGHT, torsoDepth = config.TORSO_DEPTH;
+    const headWidth = config.HEAD_WIDTH, headHeight = config.HEAD_HEIGHT, headDepth = config.HEAD_DEPTH;
+    const neckWidth = config.NECK_WIDTH, neckHeight = config.NECK_HEIGHT, neckDepth = config.NECK_DEPTH;
+    const legWidth = config.LEG_WIDTH, legHeight = config.LEG_HEIGHT, legDepth = config.LEG_DEPTH;
+    const material = new THREE.MeshStandardMaterial({ color: color, roughness: config.MATERIAL_ROUGHNESS });
+
+    const torsoGeometry = new THREE.BoxGeometry(torsoWidth, torsoHeight, torsoDepth, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL);
+    const torso = new THREE.Mesh(torsoGeometry, material);
+    torso.position.y = config.TORSO_Y_POS;
+    group.add(torso);
+
+    const headGeometry = new THREE.BoxGeometry(headWidth, headHeight, headDepth, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL);
+    const head = new THREE.Mesh(headGeometry, material);
+    head.position.set(0, torso.position.y + config.HEAD_Y_OFFSET, config.HEAD_Z_OFFSET);
+    group.add(head);
+
+    const eyes = createEyes(headWidth, head.position, C_MODELS.HELPER_EYE_COLOR, config.EYE_SIZE / headWidth);
+    group.add(eyes);
+    const snout = createSnout(head.position, color, config.SNOUT_WIDTH, config.SNOUT_HEIGHT, config.SNOUT_DEPTH);
+    group.add(snout);
+    const ears = createEars(headWidth, headHeight, head.position, color, true); // Pointy = true for wolf
+    group.add(ears);
+
+    const neckGeometry = new THREE.BoxGeometry(neckWidth, neckHeight, neckDepth, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL);
+    const neck = new THREE.Mesh(neckGeometry, material);
+    neck.position.set(0, torso.position.y + config.NECK_Y_OFFSET, config.NECK_Z_OFFSET);
+    neck.rotation.x = config.NECK_ROTATION_X;
+    group.add(neck);
+
+    const legY = config.LEG_Y_POS;
+    const legGeometry = new THREE.BoxGeometry(legWidth, legHeight, legDepth, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL);
+
+    const frontLeftLeg = new THREE.Mesh(legGeometry, material);
+    frontLeftLeg.position.set(-config.LEG_X_OFFSET, legY, config.FRONT_LEG_Z);
+    group.add(frontLeftLeg);
+    const frontRightLeg = new THREE.Mesh(legGeometry, material);
+    frontRightLeg.position.set(config.LEG_X_OFFSET, legY, config.FRONT_LEG_Z);
+    group.add(frontRightLeg);
+    const backLeftLeg = new THREE.Mesh(legGeometry, material);
+    backLeftLeg.position.set(-config.LEG_X_OFFSET, legY, config.BACK_LEG_Z);
+    group.add(backLeftLeg);
+    const backRightLeg = new THREE.Mesh(legGeometry, material);
+    backRightLeg.position.set(config.LEG_X_OFFSET, legY, config.BACK_LEG_Z);
+    group.add(backRightLeg);
+
+    // Bushy tail that hangs down behind the wolf
+    const tailBasePosition = new THREE.Vector3(0, torso.position.y + config.TAIL_BASE_Y_OFFSET, config.TAIL_BASE_Z_OFFSET);
+    let currentPos = new THREE.Vector3().copy(tailBasePosition);
+    let currentAngle = config.TAIL_INITIAL_ANGLE;
+    for (let i = 0; i < config.TAIL_SEGMENTS; i++) {
+        const segmentWidth = config.TAIL_WIDTH * (1 - i * config.TAIL_SEGMENT_WIDTH_FACTOR);
+        const segment = createBoxPart(segmentWidth, segmentWidth, config.TAIL_SEGMENT_LENGTH, color);
+        segment.position.copy(currentPos);
+        segment.rotation.x = currentAngle;
+        group.add(segment);
+        currentPos.z += Math.cos(currentAngle) * config.TAIL_SEGMENT_LENGTH;
+        currentPos.y += Math.sin(currentAngle) * config.TAIL_SEGMENT_LENGTH;
+        currentAngle += config.TAIL_ANGLE_INCREMENT;
+    }
+
+    group.userData.legs = { frontLeftLeg, frontRightLeg, backLeftLeg, backRightLeg };
+    group.userData.legHeight = legHeight;
+    group.traverse(child => { if (child.isMesh) { child.castShadow = true; child.receiveShadow = true; } });
+    return group;
+}
+
+/**
+ * Creates a procedural Yeti model.
+ * The yeti walks upright, so its swinging arms stand in for the front legs of the
+ * four-legged walk animation.
+ * @param {object} [properties] - Optional properties (e.g., color).
+ * @returns {THREE.Group} The yeti model group.
+ */
+export function createYetiModel(properties) {
+    const group = new THREE.Group();
+    const config = C_MODELS.YETI;
+    const color = properties?.color || config.DEFAULT_COLOR;
+    const torsoWidth = config.TORSO_WIDTH, torsoHeight = config.TORSO_HEIGHT, torsoDepth = config.TORSO_DEPTH;
+    const headWidth = config.HEAD_WIDTH, headHeight = config.HEAD_HEIGHT, headDepth = config.HEAD_DEPTH;
+    const armWidth = config.ARM_WIDTH, armHeight = config.ARM_HEIGHT, armDepth = config.ARM_DEPTH;
+    const legWidth = config.LEG_WIDTH, legHeight = config.LEG_HEIGHT, legDepth = config.LEG_DEPTH;
+    const material = new THREE.MeshStandardMaterial({ color: color, roughness: config.MATERIAL_ROUGHNESS });
+
+    const torsoGeometry = new THREE.BoxGeometry(torsoWidth, torsoHeight, torsoDepth, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL);
+    const torso = new THREE.Mesh(torsoGeometry, material);
+    const torsoY = legHeight / 2 + torsoHeight / 2 + config.TORSO_Y_OFFSET;
+    torso.position.y = torsoY;
+    group.add(torso);
+
+    const headGeometry = new THREE.BoxGeometry(headWidth, headHeight, headDepth, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL);
+    const head = new THREE.Mesh(headGeometry, material);
+    head.position.set(0, torsoY + torsoHeight / 2 + headHeight * config.HEAD_Y_OFFSET_FACTOR, config.HEAD_Z_OFFSET);
+    group.add(head);
+
+    // Darker, bare face patch with the eyes set into it
+    const face = createBoxPart(config.FACE_WIDTH, config.FACE_HEIGHT, config.FACE_DEPTH, config.FACE_COLOR);
+    face.position.set(0, head.position.y, head.position.z - headDepth / 2);
+    group.add(face);
+    const eyes = createEyes(headWidth, head.position, C_MODELS.HELPER_EYE_COLOR, config.EYE_SIZE / headWidth);
+    group.add(eyes);
+
+    const armY = torsoY + config.ARM_Y_OFFSET;
+    const armXOffset = torsoWidth / 2 + armWidth / 2;
+    const armGeometry = new THREE.BoxGeometry(armWidth, armHeight, armDepth, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL);
+    const frontLeftLeg = new THREE.Mesh(armGeometry, material);
+    frontLeftLeg.position.set(-armXOffset, armY, 0);
+    group.add(frontLeftLeg);
+    const frontRightLeg = new THREE.Mesh(armGeometry, material);
+    frontRightLeg.position.set(armXOffset, armY, 0);
+    group.add(frontRightLeg);
+
+    const legY = config.LEG_Y_POS;
+    const legGeometry = new THREE.BoxGeometry(legWidth, legHeight, legDepth, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL, config.GEOMETRY_DETAIL);
+    const backLeftLeg = new THREE.Mesh(legGeometry, material);
+    backLeftLeg.position.set(-config.LEG_X_OFFSET, legY, 0);
+    group.add(backLeftLeg);
+    const backRightLeg = new THREE.Mesh(legGeometry, material);
+    backRightLeg.position.set(config.LEG_X_OFFSET, legY, 0);
+    group.add(backRightLeg);
+
+    group.userData.legs = { frontLeftLeg, frontRightLeg, backLeftLeg, backRightLeg };
+    group.userData.legHeight = legHeight;
+    group.traverse(child => { if (child.isMesh) { child.castShadow = true; child.receiveShadow = true; } });
+    return group;
+}
+
 /**
  * Creates a procedural Buzzard model.
  * @param {object} [properties] - Optional properties (not currently used).
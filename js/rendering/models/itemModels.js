@@ -236,3 +236,206 @@ export function createInvisibilityModel(props = {}) {
   
   return group;
 }
+
+/**
+ * Creates a 3D model of a shield powerup: a round shield with a rim and a gold boss.
+ * @param {object} props - Properties for the shield model
+ * @param {number} props.size - Size of the shield model
+ * @param {number} props.color - Color of the shield face
+ * @returns {THREE.Group} The complete shield model
+ * @description Like the invisibility model, this creates its own materials, which are
+ * shared by clones of the group and disposed with it.
+ */
+export function createShieldModel(props = {}) {
+  const group = new THREE.Group();
+  const config = C_MODELS.SHIELD;
+  const size = props.size || config.DEFAULT_SIZE;
+  const color = props.color || config.DEFAULT_COLOR;
+  const radius = size * config.RADIUS_FACTOR;
+  const thickness = size * config.THICKNESS_FACTOR;
+
+  const faceMaterial = new THREE.MeshStandardMaterial({
+    color: color,
+    emissive: config.SHIELD_EMISSIVE,
+    metalness: config.SHIELD_METALNESS,
+    roughness: config.SHIELD_ROUGHNESS
+  });
+  const rimMaterial = new THREE.MeshStandardMaterial({
+    color: config.RIM_COLOR,
+    metalness: config.SHIELD_METALNESS,
+    roughness: config.SHIELD_ROUGHNESS
+  });
+  const bossMaterial = new THREE.MeshStandardMaterial({
+    color: config.BOSS_COLOR,
+    emissive: config.SHIELD_EMISSIVE,
+    metalness: 0.9,
+    roughness: 0.1
+  });
+
+  // Face, turned upright so it shows as it spins around Y
+  const faceGeometry = new THREE.CylinderGeometry(radius, radius, thickness, config.SEGMENTS);
+  const face = new THREE.Mesh(faceGeometry, faceMaterial);
+  face.rotation.x = Math.PI / 2;
+  group.add(face);
+
+  // Rim around the edge of the face
+  const rimGeometry = new THREE.TorusGeometry(radius, thickness * 0.6, 8, config.SEGMENTS);
+  const rim = new THREE.Mesh(rimGeometry, rimMaterial);
+  group.add(rim);
+
+  // Boss in the middle, on both sides
+  const bossGeometry = new THREE.SphereGeometry(radius * 0.3, 16, 12);
+  const boss = new THREE.Mesh(bossGeometry, bossMaterial);
+  boss.scale.z = (thickness * 2.5) / (radius * 0.6);
+  group.add(boss);
+
+  group.traverse(child => {
+    if (child.isMesh) {
+      child.castShadow = true;
+      child.receiveShadow = true;
+    }
+  });
+
+  group.name = "shield_powerup";
+  group.userData = {
+    objectType: 'shield',
+    collidable: false,
+    powerupType: config.POWERUP_TYPE
+  };
+
+  return group;
+}
+
+/**
+ * Creates a 3D model of a boost powerup: an amber lightning bolt.
+ * @param {object} props - Properties for the boost model
+ * @param {number} props.size - Size of the boost model
+ * @param {number} props.color - Color of the bolt
+ * @returns {THREE.Group} The complete boost model
+ */
+export function createBoostModel(props = {}) {
+  const group = new THREE.Group();
+  const config = C_MODELS.BOOST;
+  const size = props.size || config.DEFAULT_SIZE;
+  const color = props.color || config.DEFAULT_COLOR;
+
+  // Zig-zag bolt outline, centred on the origin
+  const shape = new THREE.Shape();
+  shape.moveTo(0.15 * size, 0.9 * size);
+  shape.lineTo(-0.45 * size, -0.05 * size);
+  shape.lineTo(-0.05 * size, -0.05 * size);
+  shape.lineTo(-0.2 * size, -0.9 * size);
+  shape.lineTo(0.45 * size, 0.15 * size);
+  shape.lineTo(0.05 * size, 0.15 * size);
+  shape.closePath();
+
+  const depth = size * config.DEPTH_FACTOR;
+  const geometry = new THREE.ExtrudeGeometry(shape, {
+    depth: depth,
+    bevelEnabled: true,
+    bevelThickness: depth * 0.25,
+    bevelSize: depth * 0.2,
+    bevelSegments: 1
+  });
+  geometry.translate(0, 0, -depth / 2);
+
+  const material = new THREE.MeshStandardMaterial({
+    color: color,
+    emissive: config.BOOST_EMISSIVE,
+    metalness: config.BOOST_METALNESS,
+    roughness: config.BOOST_ROUGHNESS
+  });
+  const bolt = new THREE.Mesh(geometry, material);
+  bolt.castShadow = true;
+  bolt.receiveShadow = true;
+  group.add(bolt);
+
+  group.name = "boost_powerup";
+  group.userData = {
+    objectType: 'boost',
+    collidable: false,
+    powerupType: config.POWERUP_TYPE
+  };
+
+  return group;
+}
+
+/**
+ * Creates a 3D model of a slow-mo powerup: an hourglass with sand in both bulbs.
+ * @param {object} props - Properties for the slow-mo model
+ * @param {number} props.size - Size of the slow-mo model
+ * @param {number} props.color - Color of the glass
+ * @returns {THREE.Group} The complete slow-mo model
+ */
+export function createSlowmoModel(props = {}) {
+  const group = new THREE.Group();
+  const config = C_MODELS.SLOWMO;
+  const size = props.size || config.DEFAULT_SIZE;
+  const color = props.color || config.DEFAULT_COLOR;
+  const bulbRadius = size * config.BULB_RADIUS_FACTOR;
+  const bulbHeight = size * config.BULB_HEIGHT_FACTOR;
+  const capHeight = size * config.CAP_HEIGHT_FACTOR;
+
+  const glassMaterial = new THREE.MeshStandardMaterial({
+    color: color,
+    emissive: color,
+    emissiveIntensity: 0.2,
+    metalness: 0.1,
+    roughness: 0.1,
+    transparent: true,
+    opacity: config.GLASS_OPACITY,
+    depthWrite: false
+  });
+  const sandMaterial = new THREE.MeshStandardMaterial({ color: config.SAND_COLOR, roughness: 0.9 });
+  const frameMaterial = new THREE.MeshStandardMaterial({ color: config.FRAME_COLOR, roughness: 0.7 });
+
+  // Two glass cones meeting at the neck
+  const bulbGeometry = new THREE.ConeGeometry(bulbRadius, bulbHeight, config.SEGMENTS, 1, true);
+  const topBulb = new THREE.Mesh(bulbGeometry, glassMaterial);
+  topBulb.rotation.x = Math.PI; // Point down towards the neck
+  topBulb.position.y = bulbHeight / 2;
+  group.add(topBulb);
+  const bottomBulb = new THREE.Mesh(bulbGeometry, glassMaterial);
+  bottomBulb.position.y = -bulbHeight / 2;
+  group.add(bottomBulb);
+
+  // Sand: a little left at the top, a pile at the bottom
+  const topSand = new THREE.Mesh(new THREE.ConeGeometry(bulbRadius * 0.5, bulbHeight * 0.45, config.SEGMENTS), sandMaterial);
+  topSand.rotation.x = Math.PI;
+  topSand.position.y = bulbHeight * 0.25;
+  group.add(topSand);
+  const bottomSand = new THREE.Mesh(new THREE.ConeGeometry(bulbRadius * 0.85, bulbHeight * 0.5, config.SEGMENTS), sandMaterial);
+  bottomSand.position.y = -bulbHeight * 0.72;
+  group.add(bottomSand);
+
+  // Caps and posts holding it together
+  const capGeometry = new THREE.CylinderGeometry(bulbRadius * 1.2, bulbRadius * 1.2, capHeight, config.SEGMENTS);
+  [1, -1].forEach(side => {
+    const cap = new THREE.Mesh(capGeometry, frameMaterial);
+    cap.position.y = side * (bulbHeight + capHeight / 2);
+    group.add(cap);
+  });
+  const postGeometry = new THREE.CylinderGeometry(capHeight * 0.3, capHeight * 0.3, bulbHeight * 2, 6);
+  [0, 1, 2].forEach(i => {
+    const angle = (i / 3) * Math.PI * 2;
+    const post = new THREE.Mesh(postGeometry, frameMaterial);
+    post.position.set(Math.cos(angle) * bulbRadius * 1.05, 0, Math.sin(angle) * bulbRadius * 1.05);
+    group.add(post);
+  });
+
+  group.traverse(child => {
+    if (child.isMesh && child.material !== glassMaterial) {
+      child.castShadow = true;
+      child.receiveShadow = true;
+    }
+  });
+
+  group.name = "slowmo_powerup";
+  group.userData = {
+    objectType: 'slowmo',
+    collidable: false,
+    powerupType: config.POWERUP_TYPE
+  };
+
+  return group;
+}
@@ -455,6 +455,82 @@ export function createWaterTowerModel(properties) {
     return group;
 }
 
+/**
+ * Creates an ice rock model using assets.
+ * @param {object} [properties] - Optional properties (not currently used).
+ * @returns {THREE.Group} The ice rock model group.
+ */
+export function createRockIceModel(properties) {
+    const group = new THREE.Group();
+    const config = C_MODELS.ROCK_ICE;
+    const geo = AssetManager.getAsset(config.GEO_KEY);
+    const mat = AssetManager.getAsset(config.MATERIAL_KEY);
+    if (!geo || !mat) { logger.warn(`Missing geometry (${config.GEO_KEY}) or material (${config.MATERIAL_KEY}) for rock_ice`); return group; }
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    group.add(mesh);
+    return group;
+}
+
+/**
+ * Creates a procedural Snowman model.
+ * @param {object} [properties] - Optional properties (not currently used).
+ * @returns {THREE.Group} The snowman model group.
+ */
+export function createSnowmanModel(properties) {
+    const group = new THREE.Group();
+    const config = C_MODELS.SNOWMAN;
+    const snowMat = AssetManager.getAsset(config.SNOW_MATERIAL_KEY);
+    const woodMat = AssetManager.getAsset(config.WOOD_MATERIAL_KEY);
+    if (!snowMat || !woodMat) { logger.warn(`Missing ${config.SNOW_MATERIAL_KEY} or ${config.WOOD_MATERIAL_KEY} for snowman`); return group; }
+
+    const base = new THREE.Mesh(new THREE.SphereGeometry(config.BASE_RADIUS, config.SPHERE_SEGMENTS, config.SPHERE_SEGMENTS), snowMat);
+    base.position.y = config.BASE_Y_POS;
+    group.add(base);
+    const middle = new THREE.Mesh(new THREE.SphereGeometry(config.MIDDLE_RADIUS, config.SPHERE_SEGMENTS, config.SPHERE_SEGMENTS), snowMat);
+    middle.position.y = config.MIDDLE_Y_POS;
+    group.add(middle);
+    const head = new THREE.Mesh(new THREE.SphereGeometry(config.HEAD_RADIUS, config.SPHERE_SEGMENTS, config.SPHERE_SEGMENTS), snowMat);
+    head.position.y = config.HEAD_Y_POS;
+    group.add(head);
+
+    // Coal eyes and buttons on the front (-Z) face
+    const coalMat = new THREE.MeshStandardMaterial({ color: config.COAL_COLOR, roughness: 0.9 });
+    const coalGeo = new THREE.SphereGeometry(config.COAL_RADIUS, 6, 6);
+    [-config.EYE_X_OFFSET, config.EYE_X_OFFSET].forEach(x => {
+        const eye = new THREE.Mesh(coalGeo, coalMat);
+        eye.position.set(x, config.HEAD_Y_POS + config.EYE_Y_OFFSET, -config.HEAD_RADIUS * 0.9);
+        group.add(eye);
+    });
+    for (let i = 0; i < config.BUTTON_COUNT; i++) {
+        const button = new THREE.Mesh(coalGeo, coalMat);
+        const offsetY = (i - (config.BUTTON_COUNT - 1) / 2) * config.BUTTON_Y_SPACING;
+        // Keep each button on the sphere's surface as it curves away from the front
+        button.position.set(0, config.MIDDLE_Y_POS + offsetY, -Math.sqrt(config.MIDDLE_RADIUS ** 2 - offsetY ** 2));
+        group.add(button);
+    }
+
+    const noseMat = new THREE.MeshStandardMaterial({ color: config.NOSE_COLOR, roughness: 0.7 });
+    const nose = new THREE.Mesh(new THREE.ConeGeometry(config.NOSE_RADIUS, config.NOSE_LENGTH, config.NOSE_SEGMENTS), noseMat);
+    nose.rotation.x = -Math.PI / 2;
+    nose.position.set(0, config.HEAD_Y_POS, -config.HEAD_RADIUS - config.NOSE_LENGTH / 2 + 0.05);
+    group.add(nose);
+
+    const armGeo = new THREE.CylinderGeometry(config.ARM_RADIUS, config.ARM_RADIUS, config.ARM_LENGTH, config.ARM_SEGMENTS);
+    const leftArm = new THREE.Mesh(armGeo, woodMat);
+    leftArm.position.set(-config.ARM_X_OFFSET, config.ARM_Y_POS, 0);
+    leftArm.rotation.z = config.ARM_ROTATION_Z;
+    group.add(leftArm);
+    const rightArm = new THREE.Mesh(armGeo, woodMat);
+    rightArm.position.set(config.ARM_X_OFFSET, config.ARM_Y_POS, 0);
+    rightArm.rotation.z = -config.ARM_ROTATION_Z;
+    group.add(rightArm);
+
+    group.traverse(child => { if (child.isMesh) { child.castShadow = true; child.receiveShadow = true; } });
+    return group;
+}
+
 /**
  * Creates a Tumbleweed model (visual only) using assets or fallback.
  * @param {object} [properties] - Optional properties (not currently used).
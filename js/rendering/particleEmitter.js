@@ -0,0 +1,474 @@
+// js/rendering/particleEmitter.js
+import * as THREE from 'three';
+import { performanceManager, getConfig } from '../config/config.js';
+import { particleConfig as P } from '../config/particles.js';
+
+// Each particle carries its own size and color, which PointsMaterial can't do
+const VERTEX_SHADER = `
+    uniform float scale;
+    attribute float size;
+    attribute vec4 particleColor;
+    varying vec4 vColor;
+    #include <fog_pars_vertex>
+
+    void main() {
+        vColor = particleColor;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = size * scale / -mvPosition.z;
+        gl_Position = projectionMatrix * mvPosition;
+        #include <fog_vertex>
+    }
+`;
+
+const FRAGMENT_SHADER = `
+    uniform sampler2D map;
+    varying vec4 vColor;
+    #include <fog_pars_fragment>
+
+    void main() {
+        gl_FragColor = vColor * texture2D(map, gl_PointCoord);
+        #include <colorspace_fragment>
+        #include <fog_fragment>
+    }
+`;
+
+const textures = new Map(); // TEXTURES key -> THREE.CanvasTexture, shared between emitters
+
+// Reusable objects
+const _origin = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+const _scatter = new THREE.Vector3();
+const _color = new THREE.Color();
+const _bufferSize = new THREE.Vector2();
+
+/**
+ * Draws one of particles.TEXTURES, or gets it from the cache.
+ * @param {string} key - A particles.TEXTURES key.
+ * @returns {THREE.CanvasTexture}
+ */
+function getTexture(key) {
+    if (textures.has(key)) return textures.get(key);
+
+    const definition = P.TEXTURES[key] ?? P.TEXTURES.soft;
+    const size = definition.size;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+
+    if (definition.shape === 'streak') {
+        const width = definition.width ?? 2;
+        const gradient = context.createLinearGradient(0, 0, 0, size);
+        definition.gradientStops.forEach(([offset, color]) => gradient.addColorStop(offset, color));
+        context.fillStyle = gradient;
+        context.fillRect((size - width) / 2, 0, width, size);
+    } else {
+        const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+        definition.gradientStops.forEach(([offset, color]) => gradient.addColorStop(offset, color));
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, size, size);
+    }
+
+    if (definition.shape === 'star') {
+        const horizontal = context.createLinearGradient(0, 0, size, 0);
+        const vertical = context.createLinearGradient(0, 0, 0, size);
+        [horizontal, vertical].forEach(ray => {
+            ray.addColorStop(0, 'rgba(255,255,255,0)');
+            ray.addColorStop(0.5, 'rgba(255,255,255,1)');
+            ray.addColorStop(1, 'rgba(255,255,255,0)');
+        });
+        context.globalCompositeOperation = 'lighter';
+        context.fillStyle = horizontal;
+        context.fillRect(0, size / 2 - 1, size, 2);
+        context.fillStyle = vertical;
+        context.fillRect(size / 2 - 1, 0, 2, size);
+    }
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.flipY = false; // Prevent FLIP_Y warning with 3D textures
+    texture.premultiplyAlpha = false; // Prevent PREMULTIPLY_ALPHA warning
+    textures.set(key, texture);
+    return texture;
+}
+
+/**
+ * Blends between [age, value] stops.
+ * @private
+ */
+function sampleCurve(stops, t) {
+    if (t <= stops[0][0]) return stops[0][1];
+    for (let i = 1; i < stops.length; i++) {
+        const [end, endValue] = stops[i];
+        if (t <= end) {
+            const [start, startValue] = stops[i - 1];
+            return startValue + (endValue - startValue) * ((t - start) / (end - start));
+        }
+    }
+    return stops[stops.length - 1][1];
+}
+
+/**
+ * Blends between [age, THREE.Color] stops into target.
+ * @private
+ */
+function sampleColorCurve(stops, t, target) {
+    if (t <= stops[0][0]) return target.copy(stops[0][1]);
+    for (let i = 1; i < stops.length; i++) {
+        const [end, endColor] = stops[i];
+        if (t <= end) {
+            const [start, startColor] = stops[i - 1];
+            return target.copy(startColor).lerp(endColor, (t - start) / (end - start));
+        }
+    }
+    return target.copy(stops[stops.length - 1][1]);
+}
+
+function randomRange([min, max]) {
+    return min + Math.random() * (max - min);
+}
+
+/**
+ * One particle effect from particles.EMITTERS. Its particles share a pool and are drawn as
+ * one THREE.Points. It can burst at a position, or be attached to objects to emit from
+ * them over time.
+ */
+export class ParticleEmitter {
+    /**
+     * @param {string} name - The particles.EMITTERS key, for logging.
+     * @param {object} preset - The preset from particles.EMITTERS.
+     */
+    constructor(name, preset) {
+        this.name = name;
+        this.preset = preset;
+        this.capacity = preset.maxParticles;
+        this.relative = !!(preset.followTarget || preset.field); // Particles are positioned from their attachment
+        this.colorStops = preset.colorOverLife.map(([t, color]) => [t, new THREE.Color(color)]);
+        this.attachments = [];
+
+        // Particles are allocated once; dead ones are swapped past activeCount for reuse
+        this.particles = Array.from({ length: this.capacity }, () => ({
+            position: new THREE.Vector3(), // World position, or from the attachment's anchor
+            velocity: new THREE.Vector3(),
+            age: 0,
+            lifetime: 1,
+            phase: 0,
+            source: null                   // The attachment that emitted it
+        }));
+        this.activeCount = 0;
+
+        this.positions = new Float32Array(this.capacity * 3);
+        this.colors = new Float32Array(this.capacity * 4);
+        this.sizes = new Float32Array(this.capacity);
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+        this.geometry.setAttribute('particleColor', new THREE.BufferAttribute(this.colors, 4));
+        this.geometry.setAttribute('size', new THREE.BufferAttribute(this.sizes, 1));
+        this.geometry.setDrawRange(0, 0);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.merge([
+                THREE.UniformsLib.fog,
+                { map: { value: null }, scale: { value: 1 } }
+            ]),
+            vertexShader: VERTEX_SHADER,
+            fragmentShader: FRAGMENT_SHADER,
+            blending: preset.blending === 'additive' ? THREE.AdditiveBlending : THREE.NormalBlending,
+            transparent: true,
+            depthWrite: false, // Particles don't obscure each other as much
+            fog: true
+        });
+        this.material.uniforms.map.value = getTexture(preset.texture);
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.name = `particles:${name}`;
+        this.points.frustumCulled = false; // Particles move every frame, so bounds would go stale
+        // Sizes are world units, scaled to pixels the way PointsMaterial does it
+        this.points.onBeforeRender = (renderer) => {
+            this.material.uniforms.scale.value = renderer.getDrawingBufferSize(_bufferSize).y / 2;
+        };
+    }
+
+    /**
+     * How many particles may be alive at once at the current particle density.
+     * @returns {number}
+     */
+    getLimit() {
+        return Math.floor(this.capacity * getConfig('particles.PARTICLE_DENSITY', 1.0));
+    }
+
+    /**
+     * Emits a burst of particles.
+     * @param {THREE.Vector3} position - Where, in world space; the preset's offset is added.
+     * @param {number} [count] - Particles at density 1; defaults to the preset's burst.
+     */
+    burst(position, count = this.preset.burst ?? 0) {
+        const scaled = Math.round(count * getConfig('particles.PARTICLE_DENSITY', 1.0));
+        const { x, y, z } = this._offset(position);
+        for (let i = 0; i < scaled && this.activeCount < this.getLimit(); i++) {
+            this._spawn(null, x, y, z, 0);
+        }
+    }
+
+    /**
+     * Emits at the preset's rate from a position that moves, such as the player's.
+     * @param {object} stream - Keeps the fraction of a particle owed between frames; pass
+     *   the same object every frame.
+     * @param {number} deltaTime - Seconds since last frame.
+     * @param {THREE.Vector3} position - Where, in world space; the preset's offset is added.
+     */
+    stream(stream, deltaTime, position) {
+        const { x, y, z } = this._offset(position);
+        this._emitOver(stream, null, deltaTime, x, y, z);
+    }
+
+    /**
+     * Emits from an object until stopped, or until the object leaves the scene. Field
+     * presets fill their box around it instead.
+     * @param {THREE.Object3D} object3D - What to emit from.
+     * @param {object} [options]
+     * @param {THREE.ColorRepresentation} [options.tint] - Multiplies the preset's colors.
+     * @param {number} [options.density=1] - How full a field keeps its box, 0-1.
+     * @returns {{stop: function(): void, setDensity: function(number): void}}
+     */
+    attach(object3D, { tint, density = 1 } = {}) {
+        const attachment = {
+            object3D,
+            tint: tint !== undefined ? new THREE.Color(tint) : null,
+            density,
+            anchor: new THREE.Vector3(),
+            accumulator: 0,
+            count: 0,
+            filled: false
+        };
+        this._updateAnchor(attachment);
+        this.attachments.push(attachment);
+        return {
+            stop: () => this._detach(attachment),
+            // Thinning out lets particles finish their lives; filling in spawns new ones
+            setDensity: (value) => { attachment.density = value; }
+        };
+    }
+
+    /**
+     * Moves and ages the particles, and emits from attachments.
+     * @param {number} deltaTime - Seconds since last frame.
+     * @param {boolean} emitting - Whether attachments emit. Fields always keep themselves full.
+     */
+    update(deltaTime, emitting) {
+        const limit = this.getLimit();
+        for (let i = this.attachments.length - 1; i >= 0; i--) {
+            const attachment = this.attachments[i];
+            if (!attachment.object3D.parent) {
+                this._detach(attachment);
+                continue;
+            }
+            this._updateAnchor(attachment);
+            if (this.preset.field) {
+                this._fill(attachment, Math.floor(limit * attachment.density), limit);
+            } else if (emitting && this.relative) {
+                this._emitOver(attachment, attachment, deltaTime, 0, 0, 0);
+            } else if (emitting) {
+                const { x, y, z } = attachment.anchor;
+                this._emitOver(attachment, null, deltaTime, x, y, z);
+            }
+        }
+
+        const { drift, gravity = 0, drag = 0, sway, field } = this.preset;
+        const dragFactor = Math.max(0, 1 - drag * deltaTime);
+        for (let i = 0; i < this.activeCount; i++) {
+            const particle = this.particles[i];
+            particle.age += deltaTime;
+
+            if (particle.age >= particle.lifetime) {
+                const source = particle.source;
+                if (field && source && this.attachments.includes(source) && source.count <= Math.floor(limit * source.density)) {
+                    this._reset(particle, source, 0, 0, 0, 0);
+                } else {
+                    this._kill(i);
+                    i--; // Re-process the particle swapped into this slot
+                    continue;
+                }
+            }
+
+            const { position, velocity } = particle;
+            velocity.y -= gravity * deltaTime;
+            if (drag) velocity.multiplyScalar(dragFactor);
+            position.addScaledVector(velocity, deltaTime);
+            if (drift) position.addScaledVector(drift, deltaTime);
+            if (sway) {
+                position.x += Math.sin(particle.age * sway.frequency * Math.PI * 2 + particle.phase) * sway.amount * deltaTime;
+            }
+            if (field) {
+                position.x = this._wrap(position.x, field.x);
+                position.y = this._wrap(position.y, field.y);
+                position.z = this._wrap(position.z, field.z);
+            }
+
+            this._write(i, particle);
+        }
+
+        this.geometry.setDrawRange(0, this.activeCount);
+        this.geometry.attributes.position.needsUpdate = true;
+        this.geometry.attributes.particleColor.needsUpdate = true;
+        this.geometry.attributes.size.needsUpdate = true;
+    }
+
+    /**
+     * Removes every particle and attachment.
+     */
+    clear() {
+        this.attachments.length = 0;
+        for (let i = 0; i < this.activeCount; i++) {
+            this.particles[i].source = null;
+        }
+        this.activeCount = 0;
+        this.geometry.setDrawRange(0, 0);
+    }
+
+    /**
+     * Frees the GPU resources. Textures are shared, so they stay.
+     */
+    dispose() {
+        this.clear();
+        this.points.parent?.remove(this.points);
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+
+    /** @private */
+    _offset(position) {
+        _origin.copy(position);
+        if (this.preset.offset) _origin.add(this.preset.offset);
+        return _origin;
+    }
+
+    /**
+     * Emits at the preset's rate, keeping the fraction of a particle owed in stream.
+     * @private
+     */
+    _emitOver(stream, source, deltaTime, x, y, z) {
+        const rate = (this.preset.rate ?? 0) * getConfig('particles.PARTICLE_DENSITY', 1.0);
+        stream.accumulator = (stream.accumulator ?? 0) + deltaTime * rate;
+        while (stream.accumulator >= 1 && this.activeCount < this.getLimit()) {
+            stream.accumulator -= 1;
+            this._spawn(source, x, y, z, 0);
+        }
+        // With the pool full, don't let a backlog build up
+        stream.accumulator = Math.min(stream.accumulator, 1);
+    }
+
+    /** @private */
+    _updateAnchor(attachment) {
+        attachment.object3D.getWorldPosition(attachment.anchor);
+        if (this.preset.offset) attachment.anchor.add(this.preset.offset);
+    }
+
+    /** @private */
+    _detach(attachment) {
+        const index = this.attachments.indexOf(attachment);
+        if (index !== -1) this.attachments.splice(index, 1);
+    }
+
+    /**
+     * Tops a field up to its share of the particle limit. The first fill starts particles
+     * part way through their lives, so the field doesn't fade in all at once.
+     * @private
+     */
+    _fill(attachment, count, limit) {
+        const prewarm = !attachment.filled;
+        while (attachment.count < count && this.activeCount < limit) {
+            this._spawn(attachment, 0, 0, 0, prewarm ? Math.random() : 0);
+        }
+        attachment.filled = true;
+    }
+
+    /** @private */
+    _spawn(source, x, y, z, ageFraction) {
+        const particle = this.particles[this.activeCount++];
+        this._reset(particle, source, x, y, z, ageFraction);
+        if (source) source.count++;
+        this._write(this.activeCount - 1, particle);
+    }
+
+    /**
+     * Starts a particle's life over.
+     * @private
+     */
+    _reset(particle, source, x, y, z, ageFraction) {
+        const { spawnSpread, field, direction, spread = 0, speed } = this.preset;
+        const box = field ?? spawnSpread;
+
+        particle.source = source;
+        particle.lifetime = randomRange(this.preset.lifetime);
+        if (performanceManager.currentQuality === 'low') {
+            particle.lifetime *= P.LIFETIME_LOW_QUALITY_FACTOR; // Lower quality = shorter lifetime for better performance
+        }
+        particle.age = particle.lifetime * ageFraction;
+        particle.phase = Math.random() * Math.PI * 2;
+
+        particle.position.set(x, y, z);
+        if (box) {
+            particle.position.x += (Math.random() - 0.5) * box.x;
+            particle.position.y += (Math.random() - 0.5) * box.y;
+            particle.position.z += (Math.random() - 0.5) * box.z;
+        }
+
+        _scatter.randomDirection().multiplyScalar(spread);
+        particle.velocity.copy(direction ?? _direction.set(0, 1, 0)).normalize()
+            .add(_scatter).normalize()
+            .multiplyScalar(speed ? randomRange(speed) : 0);
+    }
+
+    /** @private */
+    _kill(index) {
+        const particle = this.particles[index];
+        if (particle.source) particle.source.count--;
+        particle.source = null;
+
+        const lastIndex = --this.activeCount;
+        if (index !== lastIndex) {
+            this.particles[index] = this.particles[lastIndex];
+            this.particles[lastIndex] = particle;
+        }
+    }
+
+    /**
+     * Keeps a position within a field box centred on 0.
+     * @private
+     */
+    _wrap(value, size) {
+        const half = size / 2;
+        if (value < -half) return value + size;
+        if (value > half) return value - size;
+        return value;
+    }
+
+    /**
+     * Writes a particle's position, color and size into the buffers.
+     * @private
+     */
+    _write(index, particle) {
+        const { position, source } = particle;
+        const t = Math.min(particle.age / particle.lifetime, 1);
+
+        const ix = index * 3;
+        this.positions[ix] = position.x;
+        this.positions[ix + 1] = position.y;
+        this.positions[ix + 2] = position.z;
+        if (this.relative && source) {
+            this.positions[ix] += source.anchor.x;
+            this.positions[ix + 1] += source.anchor.y;
+            this.positions[ix + 2] += source.anchor.z;
+        }
+
+        sampleColorCurve(this.colorStops, t, _color);
+        if (source?.tint) _color.multiply(source.tint);
+        const ic = index * 4;
+        this.colors[ic] = _color.r;
+        this.colors[ic + 1] = _color.g;
+        this.colors[ic + 2] = _color.b;
+        this.colors[ic + 3] = sampleCurve(this.preset.opacityOverLife, t);
+
+        this.sizes[index] = sampleCurve(this.preset.sizeOverLife, t);
+    }
+}
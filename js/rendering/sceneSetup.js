@@ -51,9 +51,11 @@ export function initScene(canvasElement, levelConfig) { // Added levelConfig
     // Disable texture flipping which causes warnings with 3D textures
     renderer.outputEncoding = THREE.LinearEncoding;
 
+    // Read through configManager so quality and settings changes made before now apply
+    const shadowsEnabled = configManager.get('rendering.SHADOWS_ENABLED', renderingConfig.SHADOWS_ENABLED);
     renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(renderingConfig.PIXEL_RATIO); // Use imported constant
-    renderer.shadowMap.enabled = renderingConfig.SHADOWS_ENABLED; // Use imported constant
+    renderer.setPixelRatio(configManager.get('rendering.PIXEL_RATIO', renderingConfig.PIXEL_RATIO));
+    renderer.shadowMap.enabled = shadowsEnabled;
 
     // Lighting
     const ambientLight = new THREE.AmbientLight(
@@ -71,33 +73,67 @@ export function initScene(canvasElement, levelConfig) { // Added levelConfig
         levelConfig.DIRECTIONAL_LIGHT_POS_Y,
         levelConfig.DIRECTIONAL_LIGHT_POS_Z
     );
-    directionalLight.castShadow = renderingConfig.SHADOWS_ENABLED; // Use imported constant
-
-    // Configure shadow properties based on performance settings and constants
-    if (renderingConfig.SHADOWS_ENABLED) {
-        const shadowQuality = performanceManager.currentQuality === 'low' ? renderingAdvancedConfig.SHADOW_MAP_SIZE_LOW :
-                             performanceManager.currentQuality === 'medium' ? renderingAdvancedConfig.SHADOW_MAP_SIZE_MEDIUM :
-                             renderingAdvancedConfig.SHADOW_MAP_SIZE_HIGH;
-
-        directionalLight.shadow.mapSize.width = shadowQuality;
-        directionalLight.shadow.mapSize.height = shadowQuality;
-        directionalLight.shadow.camera.near = renderingAdvancedConfig.SHADOW_CAMERA_NEAR;
-        directionalLight.shadow.camera.far = renderingAdvancedConfig.SHADOW_CAMERA_FAR;
-        directionalLight.shadow.bias = renderingAdvancedConfig.SHADOW_BIAS;
-
-        // Configure shadow camera frustum
-        const frustumSize = renderingAdvancedConfig.SHADOW_FRUSTUM_SIZE;
-        directionalLight.shadow.camera.left = -frustumSize;
-        directionalLight.shadow.camera.right = frustumSize;
-        directionalLight.shadow.camera.top = frustumSize;
-        directionalLight.shadow.camera.bottom = -frustumSize;
-        directionalLight.shadow.camera.updateProjectionMatrix(); // Important after changing frustum
+    directionalLight.castShadow = shadowsEnabled;
+
+    if (shadowsEnabled) {
+        configureShadows(directionalLight);
     }
     scene.add(directionalLight);
 
     return { scene, camera, renderer };
 }
 
+/**
+ * Configures a directional light's shadow map and shadow camera from the performance
+ * settings and constants.
+ * @param {THREE.DirectionalLight} directionalLight
+ */
+function configureShadows(directionalLight) {
+    const shadowQuality = performanceManager.currentQuality === 'low' ? renderingAdvancedConfig.SHADOW_MAP_SIZE_LOW :
+                         performanceManager.currentQuality === 'medium' ? renderingAdvancedConfig.SHADOW_MAP_SIZE_MEDIUM :
+                         renderingAdvancedConfig.SHADOW_MAP_SIZE_HIGH;
+
+    directionalLight.shadow.mapSize.width = shadowQuality;
+    directionalLight.shadow.mapSize.height = shadowQuality;
+    directionalLight.shadow.camera.near = renderingAdvancedConfig.SHADOW_CAMERA_NEAR;
+    directionalLight.shadow.camera.far = renderingAdvancedConfig.SHADOW_CAMERA_FAR;
+    directionalLight.shadow.bias = renderingAdvancedConfig.SHADOW_BIAS;
+
+    // Configure shadow camera frustum
+    const frustumSize = renderingAdvancedConfig.SHADOW_FRUSTUM_SIZE;
+    directionalLight.shadow.camera.left = -frustumSize;
+    directionalLight.shadow.camera.right = frustumSize;
+    directionalLight.shadow.camera.top = frustumSize;
+    directionalLight.shadow.camera.bottom = -frustumSize;
+    directionalLight.shadow.camera.updateProjectionMatrix(); // Important after changing frustum
+}
+
+/**
+ * Turns shadows on or off for an existing renderer and scene, e.g. after a settings change.
+ * Every material in the scene is recompiled, so this is not meant to be called per frame.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {boolean} enabled
+ */
+export function applyShadowSetting(renderer, scene, enabled) {
+    renderer.shadowMap.enabled = enabled;
+    scene.traverse(object => {
+        if (object.isDirectionalLight) {
+            object.castShadow = enabled;
+            if (object.shadow.map) {
+                // Reallocated at the current quality's map size on the next render
+                object.shadow.map.dispose();
+                object.shadow.map = null;
+            }
+            if (enabled) configureShadows(object);
+        }
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach(material => {
+            if (material) material.needsUpdate = true;
+        });
+    });
+}
+
 /**
  * Handles window resize events to update camera aspect ratio and renderer size.
  * @param {THREE.PerspectiveCamera} camera
@@ -108,7 +144,7 @@ export function handleResize(camera, renderer) {
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
     // Maintain pixel ratio from performance settings
-    renderer.setPixelRatio(renderingConfig.PIXEL_RATIO); // Use imported constant
+    renderer.setPixelRatio(configManager.get('rendering.PIXEL_RATIO', renderingConfig.PIXEL_RATIO));
 }
 
 /**
@@ -128,7 +164,7 @@ export function createFpsCounter() {
     fpsCounter.style.fontFamily = 'monospace';
     fpsCounter.style.fontSize = '12px'; // Keep style for now
     fpsCounter.style.zIndex = '1000'; // Keep style for now
-    fpsCounter.style.display = configManager.get('debug.showFPS') ? 'block' : 'none'; // Use configManager
+    fpsCounter.style.display = configManager.get('settings.SHOW_FPS') ? 'block' : 'none'; // Use configManager
     fpsCounter.textContent = `${renderingAdvancedConfig.FPS_COUNTER_PREFIX}--`; // Use constant
     document.body.appendChild(fpsCounter);
     return fpsCounter;
@@ -143,5 +179,5 @@ export function updateFpsCounter(fpsCounter, fps) {
     if (!fpsCounter) return;
     // Use constants for text
     fpsCounter.textContent = `${renderingAdvancedConfig.FPS_COUNTER_PREFIX}${Math.round(fps)}${renderingAdvancedConfig.FPS_COUNTER_SEPARATOR}${performanceManager.currentQuality}`;
-    fpsCounter.style.display = configManager.get('debug.showFPS') ? 'block' : 'none'; // Use configManager
+    fpsCounter.style.display = configManager.get('settings.SHOW_FPS') ? 'block' : 'none'; // Use configManager
 }
\ No newline at end of file
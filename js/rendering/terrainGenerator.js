@@ -1,8 +1,9 @@
 // js/rendering/terrainGenerator.js
 import * as THREE from 'three';
 import { createNoise2D } from 'simplex-noise'; // Use createNoise2D for 2D noise
+import { prng_alea } from 'seedrandom';
 import { performanceManager } from '../config/config.js'; // Re-export from config.js
-import { worldConfig } from '../config/world.js';
+import { worldConfig, DEFAULT_WORLD_SEED } from '../config/world.js';
 import { terrainConfig } from '../config/terrain.js';
 
 
@@ -10,20 +11,99 @@ import { terrainConfig } from '../config/terrain.js';
 
 
 
-// Initialize the noise function with the seed
-const noise2D = createNoise2D(() => {
-    // This function provides the seed. Using a simple string hash for reproducibility.
-    // A more robust seeding mechanism might be needed for complex scenarios.
-    let h = 0;
-    for (let i = 0; i < worldConfig.SEED.length; i++) {
-        h = (h << 5) - h + worldConfig.SEED.charCodeAt(i);
-        h |= 0; // Convert to 32bit integer
+/**
+ * Builds a 2D noise function for a world seed and noise layer. simplex-noise shuffles its
+ * permutation table with the PRNG it's given, so each seed gets its own terrain. The
+ * classic course keeps the noise it has always had, so its high scores stay comparable.
+ * @param {string} seed - The world seed.
+ * @param {string} [layer] - Suffix for a separate layer, e.g. '_surface'.
+ * @returns {function(number, number): number} A simplex noise function.
+ * @private
+ */
+function createSeededNoise(seed, layer = '') {
+    if (seed === DEFAULT_WORLD_SEED) {
+        return createClassicNoise(`${seed}${layer}`);
     }
-    return h / 0x80000000; // Normalize to range expected by simplex-noise if needed
-});
-
-// Export the noise function so other modules can calculate terrain height
-export { noise2D };
+    return createNoise2D(prng_alea(`${seed}${layer}`));
+}
+
+/**
+ * The noise the classic course was built with: a constant derived from a string hash
+ * stands in for the PRNG, which is why every seed once gave the same terrain.
+ * @param {string} key - The seed and layer.
+ * @returns {function(number, number): number} A simplex noise function.
+ * @private
+ */
+function createClassicNoise(key) {
+    return createNoise2D(() => {
+        let h = 0;
+        for (let i = 0; i < key.length; i++) {
+            h = (h << 5) - h + key.charCodeAt(i);
+            h |= 0; // Convert to 32bit integer
+        }
+        return h / 0x80000000;
+    });
+}
+
+// Initialize the noise functions with the seed. Surfaces use their own layer so
+// their patches don't follow the hills.
+let currentNoiseSeed = worldConfig.SEED;
+let seededNoise2D = createSeededNoise(currentNoiseSeed);
+let surfaceNoise2D = createSeededNoise(currentNoiseSeed, '_surface');
+
+/**
+ * Samples the terrain noise for the current world seed.
+ * Exported so other modules can calculate terrain height.
+ * @param {number} x - Scaled world X coordinate.
+ * @param {number} y - Scaled world Z coordinate.
+ * @returns {number} Noise value in the range [-1, 1].
+ */
+export function noise2D(x, y) {
+    return seededNoise2D(x, y);
+}
+
+/**
+ * Rebuilds the terrain noise for a new world seed. Chunks generated before
+ * the call keep their old shape, so this should run before a level loads.
+ * @param {string} seed - The new world seed.
+ */
+export function setTerrainSeed(seed) {
+    if (seed === currentNoiseSeed) return;
+    currentNoiseSeed = seed;
+    seededNoise2D = createSeededNoise(seed);
+    surfaceNoise2D = createSeededNoise(seed, '_surface');
+}
+
+/**
+ * Works out the ground surface at a world position for a level.
+ * Levels declare DEFAULT_SURFACE and SURFACE_REGIONS ([{ type, minNoise, maxNoise }], first
+ * match wins) over the surface noise layer, sampled at SURFACE_NOISE_FREQUENCY.
+ * @param {number} worldX - World X coordinate.
+ * @param {number} worldZ - World Z coordinate.
+ * @param {object} levelConfig - The level's config.
+ * @returns {string} A key of terrainConfig.SURFACE_TYPES.
+ */
+export function getSurfaceType(worldX, worldZ, levelConfig) {
+    const defaultSurface = levelConfig?.DEFAULT_SURFACE ?? 'normal';
+    const regions = levelConfig?.SURFACE_REGIONS;
+    if (!regions || regions.length === 0) return defaultSurface;
+
+    const frequency = levelConfig.SURFACE_NOISE_FREQUENCY ?? levelConfig.NOISE_FREQUENCY;
+    const value = surfaceNoise2D(worldX * frequency, worldZ * frequency);
+    const region = regions.find(r => value >= (r.minNoise ?? -1) && value <= (r.maxNoise ?? 1));
+    return region ? region.type : defaultSurface;
+}
+
+/**
+ * Whether a level lays out any surface that changes the terrain's color.
+ * @param {object} levelConfig - The level's config.
+ * @returns {boolean}
+ * @private
+ */
+function hasTintedSurfaces(levelConfig) {
+    const surfaces = [levelConfig.DEFAULT_SURFACE, ...(levelConfig.SURFACE_REGIONS || []).map(r => r.type)];
+    return surfaces.some(type => terrainConfig.SURFACE_TYPES[type]?.COLOR != null);
+}
 
 // Renamed function to generate a single chunk at specific coordinates
 export function createTerrainChunk(chunkX, chunkZ, levelConfig) { // Added levelConfig parameter
@@ -103,11 +183,31 @@ for (let i = 0; i < positions.count; i++) {
     // Important: Notify Three.js that the positions have changed
     positions.needsUpdate = true;
 
+    // Tint each vertex by its surface type; the GPU blends the colors across the triangles
+    const useSurfaceColors = hasTintedSurfaces(levelConfig);
+    if (useSurfaceColors) {
+        const baseColor = new THREE.Color(levelConfig.TERRAIN_COLOR);
+        const tintColor = new THREE.Color();
+        const vertexColor = new THREE.Color();
+        const colors = new Float32Array(positions.count * 3);
+        for (let i = 0; i < positions.count; i++) {
+            vertex.fromBufferAttribute(positions, i);
+            const surface = terrainConfig.SURFACE_TYPES[getSurfaceType(vertex.x + offsetX, vertex.z + offsetZ, levelConfig)];
+            vertexColor.copy(baseColor);
+            if (surface?.COLOR != null) {
+                vertexColor.lerp(tintColor.setHex(surface.COLOR), terrainConfig.SURFACE_TINT_STRENGTH);
+            }
+            vertexColor.toArray(colors, i * 3);
+        }
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    }
+
     // Calculate normals for proper lighting
     geometry.computeVertexNormals();
 // Basic green material
     const material = new THREE.MeshStandardMaterial({
-        color: levelConfig.TERRAIN_COLOR, // Use color from level config
+        color: useSurfaceColors ? 0xffffff : levelConfig.TERRAIN_COLOR, // Vertex colors already include the level color
+        vertexColors: useSurfaceColors,
         wireframe: false, // Set to true to see the geometry structure
         side: THREE.DoubleSide // Render both sides, useful for debugging camera position
     });
@@ -17,6 +17,10 @@ class ConfigManager {
 
         // Initialization status
         this.initializationComplete = false;
+
+        // Values saved to localStorage by persistConfig, by section
+        this.persistedConfig = {};
+        this.storageKey = null;
     }
 
     /**
@@ -130,6 +134,67 @@ class ConfigManager {
         return true;
     }
 
+    /**
+     * Loads values saved by persistConfig from localStorage and applies them over the
+     * registered sections. Keys a section no longer has are dropped.
+     * @param {string} storageKey - The localStorage key to load from and save to.
+     */
+    loadPersistedConfig(storageKey) {
+        this.storageKey = storageKey;
+        this.persistedConfig = {};
+        try {
+            const stored = JSON.parse(localStorage.getItem(storageKey)) || {};
+            Object.entries(stored).forEach(([section, values]) => {
+                const current = this.configs.get(section);
+                if (!current || !values || typeof values !== 'object') return;
+                const known = Object.fromEntries(Object.entries(values).filter(([key]) => current.hasOwnProperty(key)));
+                this.persistedConfig[section] = known;
+                this.updateConfig(section, known);
+            });
+            logger.debug('Loaded persisted configuration', this.persistedConfig);
+        } catch (error) {
+            logger.error('Error loading persisted configuration from localStorage:', error);
+        }
+    }
+
+    /**
+     * Updates a configuration section and saves the updated values to localStorage, so
+     * loadPersistedConfig applies them again on the next visit.
+     * @param {string} section - Section name
+     * @param {Object} updates - Configuration updates
+     * @returns {boolean} Whether the update was successful
+     */
+    persistConfig(section, updates) {
+        if (!this.updateConfig(section, updates)) {
+            return false;
+        }
+        this.persistedConfig[section] = { ...this.persistedConfig[section], ...this._safeDeepClone(updates) };
+        this._savePersistedConfig();
+        return true;
+    }
+
+    /**
+     * Forgets the saved values of a section. The values in memory are left as they are.
+     * @param {string} section - Section name
+     */
+    clearPersistedConfig(section) {
+        delete this.persistedConfig[section];
+        this._savePersistedConfig();
+    }
+
+    /** @private */
+    _savePersistedConfig() {
+        if (!this.storageKey) {
+            logger.warn('persistConfig called before loadPersistedConfig; the change will not be saved');
+            return;
+        }
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.persistedConfig));
+        } catch (error) {
+            logger.error('Error saving persisted configuration to localStorage:', error);
+        }
+    }
+
     /**
      * Gets a configuration value
      * @param {string} key - Configuration key in format "section.key" or just "key" for top-level defaults
@@ -1,6 +1,11 @@
 // js/utils/mathUtils.js
 
 import * as THREE from 'three'; // Re-enabled THREE import
+import { prng_alea } from 'seedrandom';
+
+// Seed that gameplay randomness (enemy roaming, tumbleweeds) is derived from. Until a run
+// sets it, gameplay falls back to Math.random.
+let _gameplaySeed = null;
 
 /**
  * Utility functions for common mathematical operations
@@ -46,26 +51,49 @@ export function radToDeg(radians) {
     return radians * (180 / Math.PI);
 }
 
+/**
+ * Sets the seed gameplay random number generators are derived from.
+ * Pass null to fall back to Math.random.
+ * @param {string|null} seed - The seed string
+ */
+export function seedGameplayRandom(seed) {
+    _gameplaySeed = seed ?? null;
+}
+
+/**
+ * Creates a random number generator for one thing in the world, such as an enemy. Chunks
+ * load on their own schedule rather than the simulation's, so each object draws from its
+ * own stream, keyed by where it spawns, instead of sharing one whose order would depend
+ * on frame timing.
+ * @param {string} key - Identifies the object within the run, e.g. its chunk and index.
+ * @returns {function(): number} Returns numbers in [0, 1); Math.random if no seed is set.
+ */
+export function createGameplayRandom(key) {
+    return _gameplaySeed === null ? Math.random : prng_alea(`${_gameplaySeed}_${key}`);
+}
+
 /**
  * Generates a random number between min and max
  * @param {number} min - Minimum value (inclusive)
  * @param {number} max - Maximum value (exclusive)
+ * @param {function(): number} [random=Math.random] - Source of randomness
  * @returns {number} Random number in range [min, max)
  */
-export function randomRange(min, max) {
-    return min + Math.random() * (max - min);
+export function randomRange(min, max, random = Math.random) {
+    return min + random() * (max - min);
 }
 
 /**
  * Generates a random integer between min and max (inclusive)
  * @param {number} min - Minimum value (inclusive)
  * @param {number} max - Maximum value (inclusive)
+ * @param {function(): number} [random=Math.random] - Source of randomness
  * @returns {number} Random integer in range [min, max]
  */
-export function randomInt(min, max) {
+export function randomInt(min, max, random = Math.random) {
     min = Math.ceil(min);
     max = Math.floor(max);
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
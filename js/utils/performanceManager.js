@@ -78,6 +78,7 @@ class PerformanceManager {
         this.adaptiveQualityCooldown = 5000; // ms between adaptive quality changes
         this.lastQualityChange = 0;
         this.onSettingsChanged = null; // Callback for when settings change
+        this.overrides = {}; // Settings the player chose, kept across quality changes
         this._resizeListenerAdded = false; // Flag to track if resize listener is added
         this._resizeTimeout = null; // For debouncing resize events
     }
@@ -290,7 +291,7 @@ class PerformanceManager {
         }
 
         this.currentQuality = quality;
-        this.settings = { ...qualitySettings[quality] };
+        this.settings = { ...qualitySettings[quality], ...this.overrides };
 
         // Notify listeners
         if (this.onSettingsChanged) {
@@ -325,6 +326,24 @@ class PerformanceManager {
         }
     }
 
+    /**
+     * Replaces the overrides applied on top of whichever quality preset is active,
+     * including presets picked later by adaptive quality.
+     * @param {Object} overrides - Setting values by key; null or undefined values are left to the preset
+     */
+    setOverrides(overrides) {
+        this.overrides = Object.fromEntries(
+            Object.entries(overrides).filter(([key, value]) => value !== null && value !== undefined && key in this.settings)
+        );
+        const preset = qualitySettings[this.currentQuality] || this.settings;
+        this.settings = { ...preset, ...this.overrides };
+
+        // Notify listeners
+        if (this.onSettingsChanged) {
+            this.onSettingsChanged(this.settings);
+        }
+    }
+
     /**
      * Enable or disable adaptive quality
      * @param {boolean} enabled - Whether adaptive quality is enabled
@@ -354,6 +373,9 @@ class PerformanceManager {
 
         // Set a new timeout to debounce the resize event
         this._resizeTimeout = setTimeout(() => {
+            // A quality the player picked is left alone
+            if (!this.adaptiveQualityEnabled) return;
+
             // Only re-detect if we're using AUTO quality or if the window size changed significantly
             if (this.currentQuality === QualityPresets.AUTO) {
                 this.detectDeviceCapabilities();